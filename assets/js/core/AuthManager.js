@@ -8,13 +8,29 @@
  */
 
 class AuthManager extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         
         this.currentUser = null;
         this.isAuthenticated = false;
         this.token = null;
         
+        // Authentication backend (see services/AuthProvider.js)
+        this.provider = options.provider || new LocalAuthProvider();
+        
+        // Token storage and refresh go through the API service
+        this.apiService = options.apiService || new ApiService();
+        this.refreshLeeway = options.refreshLeeway || 60 * 1000; // refresh 1 minute before expiry
+        this.refreshTimer = null;
+        
+        // Login waiting for a second factor ({ challengeId, persistent })
+        this.pendingMfa = null;
+        
+        // Cross-tab sync (only remember-me sessions are shared between tabs)
+        this.tabId = generateId();
+        this.sessionPersistent = false;
+        this.authChannel = null;
+        
         // UI elements
         this.guestLanding = null;
         this.userDashboard = null;
@@ -28,6 +44,7 @@ class AuthManager extends EventEmitter {
         this.checkAuthState = this.checkAuthState.bind(this);
         this.showGuestView = this.showGuestView.bind(this);
         this.showUserView = this.showUserView.bind(this);
+        this.handleAuthMessage = this.handleAuthMessage.bind(this);
         
         this.init();
     }
@@ -38,8 +55,11 @@ class AuthManager extends EventEmitter {
     init() {
         try {
             this.setupUIElements();
+            this.setupTokenRefresh();
+            this.setupCrossTabSync();
             this.checkAuthState();
             this.setupEventListeners();
+            this.handleAuthLinks();
             this.setupAuthModals();
             
             console.log('AuthManager initialized');
@@ -67,64 +87,148 @@ class AuthManager extends EventEmitter {
         this.createAuthModals();
     }
     
+    /**
+     * Wire token refresh between the auth provider and the API service
+     */
+    setupTokenRefresh() {
+        this.apiService.setAuthRefreshHandler((session) => {
+            return this.provider.refresh(session?.refreshToken);
+        });
+        
+        this.apiService.on('authRefreshed', ({ session }) => {
+            this.handleTokensRefreshed(session);
+        });
+        
+        this.apiService.on('authRefreshFailed', ({ error }) => {
+            this.expireSession(error);
+        });
+    }
+    
+    /**
+     * Listen for logins and logouts in other tabs
+     * Uses BroadcastChannel where available, storage events otherwise
+     */
+    setupCrossTabSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.authChannel = new BroadcastChannel('gameVault_auth');
+            this.authChannel.onmessage = (event) => this.handleAuthMessage(event.data);
+            return;
+        }
+        
+        window.addEventListener('storage', (event) => {
+            if (event.key !== 'gameVault_auth_event' || !event.newValue) return;
+            
+            try {
+                this.handleAuthMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                console.error('Failed to read auth event from another tab:', error);
+            }
+        });
+    }
+    
     /**
      * Check current authentication state
      */
     checkAuthState() {
-        const savedToken = localStorage.getItem('gameVault_token');
-        const savedUser = localStorage.getItem('gameVault_user');
+        const session = this.apiService.getAuthSession();
+        const savedUser = this.getUserStorage().getItem('gameVault_user');
         
-        if (savedToken && savedUser) {
+        if (session && savedUser) {
+            // Refresh token gone stale while the app was closed
+            if (session.refreshExpiresAt && session.refreshExpiresAt <= Date.now()) {
+                this.clearAuthData();
+                this.showGuestView();
+                return;
+            }
+            
             try {
-                this.token = savedToken;
+                this.token = session.accessToken;
                 this.currentUser = JSON.parse(savedUser);
                 this.isAuthenticated = true;
+                this.sessionPersistent = this.apiService.isAuthSessionPersistent();
                 this.showUserView();
+                
+                // Refreshes right away if the access token already expired
+                this.scheduleTokenRefresh(session);
             } catch (error) {
                 console.error('Error parsing saved user data:', error);
                 this.clearAuthData();
                 this.showGuestView();
             }
         } else {
+            // Also drops tokens saved before expiry tracking existed
+            this.clearAuthData();
             this.showGuestView();
         }
     }
     
     /**
      * Handle user login
+     * Resolves with mfaRequired when the account needs a second factor (see verifyMfa)
+     * @param {Object} credentials - { email, password, remember }
      */
     async login(credentials) {
         try {
             // Show loading state
             this.emit('loginStart');
             
-            // Simulate API call (replace with actual API call)
-            const response = await this.mockApiCall('login', credentials);
+            const result = await this.provider.login({ ...credentials, device: this.getDeviceLabel() });
             
-            if (response.success) {
-                this.token = response.token;
-                this.currentUser = response.user;
-                this.isAuthenticated = true;
-                
-                // Save to localStorage
-                localStorage.setItem('gameVault_token', this.token);
-                localStorage.setItem('gameVault_user', JSON.stringify(this.currentUser));
-                
-                // Show success and redirect
-                this.emit('loginSuccess', this.currentUser);
-                this.closeAuthModals();
-                this.showUserView();
-                
-                return { success: true, user: this.currentUser };
-            } else {
-                throw new Error(response.message || 'Login failed');
+            if (result.status === 'mfa_required') {
+                this.pendingMfa = { challengeId: result.challengeId, persistent: Boolean(credentials.remember) };
+                this.emit('mfaRequired', { methods: result.methods, expiresAt: result.expiresAt });
+                return { success: false, mfaRequired: true, methods: result.methods };
             }
+            
+            this.completeLogin(result, Boolean(credentials.remember));
+            return { success: true, user: this.currentUser };
+        } catch (error) {
+            this.emit('loginError', error.message);
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Finish a login that is waiting for a second factor
+     * @param {string} code - Authenticator code or recovery code
+     */
+    async verifyMfa(code) {
+        if (!this.pendingMfa) {
+            return { success: false, error: 'Please sign in again', code: AuthErrorCodes.MFA_CHALLENGE_INVALID };
+        }
+        
+        try {
+            const { challengeId, persistent } = this.pendingMfa;
+            const session = await this.provider.verifyMfaChallenge(challengeId, code);
+            
+            this.pendingMfa = null;
+            this.completeLogin(session, persistent);
+            
+            return { success: true, user: this.currentUser };
         } catch (error) {
+            if (error.code === AuthErrorCodes.MFA_CHALLENGE_INVALID) {
+                this.pendingMfa = null;
+            }
+            
             this.emit('loginError', error.message);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
         }
     }
     
+    /**
+     * Start the session and switch to the dashboard after a successful login
+     * @param {Object} session - Session from the auth provider
+     * @param {boolean} persistent - Keep the session after the browser closes
+     */
+    completeLogin(session, persistent) {
+        this.startSession(session, persistent);
+        
+        // Show success and redirect
+        this.emit('loginSuccess', this.currentUser);
+        this.closeAuthModals();
+        this.showUserView();
+    }
+    
     /**
      * Handle user registration
      */
@@ -133,30 +237,119 @@ class AuthManager extends EventEmitter {
             // Show loading state
             this.emit('registerStart');
             
-            // Simulate API call (replace with actual API call)
-            const response = await this.mockApiCall('register', userData);
+            const session = await this.provider.register({ ...userData, device: this.getDeviceLabel() });
+            this.startSession(session);
             
-            if (response.success) {
-                this.token = response.token;
-                this.currentUser = response.user;
-                this.isAuthenticated = true;
-                
-                // Save to localStorage
-                localStorage.setItem('gameVault_token', this.token);
-                localStorage.setItem('gameVault_user', JSON.stringify(this.currentUser));
-                
-                // Show success and redirect
-                this.emit('registerSuccess', this.currentUser);
-                this.closeAuthModals();
-                this.showUserView();
-                
-                return { success: true, user: this.currentUser };
-            } else {
-                throw new Error(response.message || 'Registration failed');
-            }
+            // Show success and redirect
+            this.emit('registerSuccess', this.currentUser);
+            this.closeAuthModals();
+            this.showUserView();
+            
+            return { success: true, user: this.currentUser };
         } catch (error) {
             this.emit('registerError', error.message);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Store a session returned by the auth provider
+     * @param {Object} session - Session (tokens, expiry and user)
+     * @param {boolean} persistent - Keep the session after the browser closes
+     */
+    startSession(session, persistent = true) {
+        this.token = session.accessToken;
+        this.currentUser = session.user;
+        this.isAuthenticated = true;
+        this.sessionPersistent = persistent;
+        
+        // Tokens and user live in the same storage so they expire together
+        this.apiService.setAuthSession(session, persistent);
+        this.getUserStorage(persistent).setItem('gameVault_user', JSON.stringify(this.currentUser));
+        
+        this.scheduleTokenRefresh(session);
+        this.broadcastAuthChange('login');
+    }
+    
+    /**
+     * Storage holding the signed-in user
+     * @param {boolean} persistent - localStorage when true, sessionStorage when false, this tab's token store when omitted
+     * @returns {Storage} Storage
+     */
+    getUserStorage(persistent) {
+        if (persistent === undefined) {
+            return this.apiService.getAuthStorage();
+        }
+        return persistent ? localStorage : sessionStorage;
+    }
+    
+    /**
+     * Schedule a refresh shortly before the access token expires
+     * @param {Object} session - Session with expiry timestamps
+     */
+    scheduleTokenRefresh(session) {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        
+        if (!session || !session.expiresAt || !session.refreshToken) {
+            return;
+        }
+        
+        // setTimeout overflows above ~24.8 days
+        const delay = Math.min(
+            Math.max(0, session.expiresAt - Date.now() - this.refreshLeeway),
+            2147483647
+        );
+        
+        this.refreshTimer = setTimeout(() => {
+            // Another tab sharing this session may have refreshed it already
+            const stored = this.apiService.getAuthSession();
+            if (stored && stored.expiresAt > session.expiresAt) {
+                this.token = stored.accessToken;
+                this.scheduleTokenRefresh(stored);
+                return;
+            }
+            
+            // Failures are handled by the authRefreshFailed listener
+            this.apiService.refreshAuthToken().catch(() => {});
+        }, delay);
+    }
+    
+    /**
+     * Apply a refreshed token pair
+     * @param {Object} session - New session
+     */
+    handleTokensRefreshed(session) {
+        if (!this.isAuthenticated) return;
+        
+        this.token = session.accessToken;
+        
+        if (session.user) {
+            this.currentUser = session.user;
+            this.getUserStorage().setItem('gameVault_user', JSON.stringify(this.currentUser));
+        }
+        
+        this.scheduleTokenRefresh(session);
+        this.broadcastAuthChange('refreshed');
+        this.emit('tokenRefreshed', { expiresAt: session.expiresAt });
+    }
+    
+    /**
+     * End a session that can no longer be refreshed
+     * @param {Error} error - Refresh error
+     */
+    expireSession(error = null) {
+        if (!this.isAuthenticated) return;
+        
+        this.broadcastAuthChange('logout');
+        this.clearAuthData();
+        this.emit('sessionExpired', { reason: error?.code || error?.message || null });
+        this.showGuestView();
+        
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            this.showLoginModal();
+            this.showFormError(loginForm, 'Your session has expired. Please sign in again.');
         }
     }
     
@@ -164,6 +357,17 @@ class AuthManager extends EventEmitter {
      * Handle user logout
      */
     logout() {
+        const session = this.apiService.getAuthSession();
+        if (session) {
+            this.provider.logout(session).catch(error => {
+                console.error('Error ending session with auth provider:', error);
+            });
+        }
+        
+        if (this.isAuthenticated) {
+            this.broadcastAuthChange('logout');
+        }
+        
         this.clearAuthData();
         this.emit('logout');
         this.showGuestView();
@@ -173,12 +377,275 @@ class AuthManager extends EventEmitter {
      * Clear authentication data
      */
     clearAuthData() {
+        // Only this tab's store: a remember-me session in other tabs keeps its user
+        const userStorage = this.getUserStorage();
+        
+        this.resetAuthState();
+        
+        this.apiService.removeAuthToken();
+        localStorage.removeItem('gameVault_token'); // pre-refresh token format
+        userStorage.removeItem('gameVault_user');
+    }
+    
+    /**
+     * Forget the signed-in user without touching storage
+     */
+    resetAuthState() {
         this.currentUser = null;
         this.isAuthenticated = false;
         this.token = null;
+        this.sessionPersistent = false;
+        
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        
+        this.renderSessions([]);
+    }
+    
+    /**
+     * Tell other tabs about an auth change
+     * @param {string} type - login, logout, refreshed or userUpdated
+     */
+    broadcastAuthChange(type) {
+        const message = {
+            type,
+            userId: this.currentUser?.id || null,
+            persistent: this.sessionPersistent,
+            source: this.tabId,
+            timestamp: Date.now()
+        };
+        
+        try {
+            if (this.authChannel) {
+                this.authChannel.postMessage(message);
+            } else {
+                // Other tabs only see the change event, so the key can go straight away
+                localStorage.setItem('gameVault_auth_event', JSON.stringify(message));
+                localStorage.removeItem('gameVault_auth_event');
+            }
+        } catch (error) {
+            console.error('Failed to broadcast auth change:', error);
+        }
+    }
+    
+    /**
+     * Apply an auth change made in another tab
+     * @param {Object} message - { type, userId, persistent, source, timestamp }
+     */
+    handleAuthMessage(message) {
+        if (!message || message.source === this.tabId) return;
+        
+        // Sessions without remember-me live in sessionStorage and belong to a single tab
+        if (!message.persistent || (this.isAuthenticated && !this.sessionPersistent)) return;
+        
+        switch (message.type) {
+            case 'login':
+            case 'userUpdated':
+                this.adoptStoredSession();
+                break;
+            
+            case 'refreshed': {
+                const session = this.apiService.getAuthSession();
+                if (this.isAuthenticated && session) {
+                    // The old refresh token was rotated, so don't refresh with it again
+                    this.token = session.accessToken;
+                    this.scheduleTokenRefresh(session);
+                }
+                break;
+            }
+            
+            case 'logout':
+                if (this.isAuthenticated) {
+                    // Storage was already cleared by the other tab (and may hold a newer login)
+                    this.resetAuthState();
+                    this.emit('logout', { synced: true });
+                    this.showGuestView();
+                }
+                break;
+            
+            default:
+                return;
+        }
+        
+        this.emit('authSynced', { type: message.type });
+    }
+    
+    /**
+     * Switch to the session another tab saved in localStorage
+     * @returns {boolean} Whether a session was found
+     */
+    adoptStoredSession() {
+        const session = this.apiService.getAuthSession();
+        const savedUser = localStorage.getItem('gameVault_user');
+        
+        if (!session || !savedUser) return false;
+        
+        let user;
+        try {
+            user = JSON.parse(savedUser);
+        } catch (error) {
+            console.error('Error parsing saved user data:', error);
+            return false;
+        }
+        
+        const wasSignedOut = !this.isAuthenticated;
+        
+        this.token = session.accessToken;
+        this.currentUser = user;
+        this.isAuthenticated = true;
+        this.sessionPersistent = true;
+        this.scheduleTokenRefresh(session);
+        
+        if (wasSignedOut) {
+            this.pendingMfa = null;
+            this.closeAuthModals();
+        }
+        
+        this.showUserView();
+        return true;
+    }
+    
+    /**
+     * Describe this browser for the session list
+     * @returns {string} e.g. "Chrome on Windows (desktop)"
+     */
+    getDeviceLabel() {
+        const userAgent = navigator.userAgent || '';
+        
+        const browsers = [
+            ['Edge', /Edg\//],
+            ['Opera', /OPR\//],
+            ['Chrome', /Chrome\//],
+            ['Firefox', /Firefox\//],
+            ['Safari', /Safari\//]
+        ];
+        const systems = [
+            ['Windows', /Windows/],
+            ['Android', /Android/],
+            ['iOS', /iPhone|iPad|iPod/],
+            ['macOS', /Mac OS X/],
+            ['Linux', /Linux/]
+        ];
+        
+        const browser = (browsers.find(([, pattern]) => pattern.test(userAgent)) || ['Unknown browser'])[0];
+        const system = (systems.find(([, pattern]) => pattern.test(userAgent)) || ['unknown OS'])[0];
+        
+        return `${browser} on ${system} (${getDeviceType()})`;
+    }
+    
+    /**
+     * Load the active sessions into the dashboard
+     */
+    async loadSessions() {
+        const session = this.apiService.getAuthSession();
+        if (!this.isAuthenticated || !session) return;
+        
+        this.setSessionsStatus('Loading sessions...');
+        
+        try {
+            const sessions = await this.provider.listSessions(session);
+            this.renderSessions(sessions);
+            this.setSessionsStatus(sessions.length ? '' : 'No active sessions found.');
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            this.setSessionsStatus('Unable to load your sessions right now.');
+        }
+    }
+    
+    /**
+     * Render the session list
+     * @param {Array} sessions - Sessions from the auth provider
+     */
+    renderSessions(sessions) {
+        const list = document.getElementById('session-list');
+        if (!list) return;
+        
+        const revokeOthers = document.getElementById('revoke-other-sessions');
+        if (revokeOthers) {
+            revokeOthers.disabled = !sessions.some(entry => !entry.current);
+        }
+        
+        list.innerHTML = '';
         
-        localStorage.removeItem('gameVault_token');
-        localStorage.removeItem('gameVault_user');
+        sessions.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = entry.current ? 'session-item session-current' : 'session-item';
+            item.innerHTML = `
+                <i class="fas ${/mobile|tablet/.test(entry.device) ? 'fa-mobile-alt' : 'fa-desktop'} activity-icon"></i>
+                <div class="session-details">
+                    <div class="session-device"></div>
+                    <div class="session-meta">
+                        Signed in ${new Date(entry.createdAt).toLocaleString()} ·
+                        Last seen ${new Date(entry.lastSeenAt).toLocaleString()}
+                    </div>
+                </div>
+            `;
+            
+            // Device labels may come from the server, so never inject them as HTML
+            item.querySelector('.session-device').textContent = entry.device;
+            
+            if (entry.current) {
+                const badge = document.createElement('span');
+                badge.className = 'session-badge';
+                badge.textContent = 'This device';
+                item.querySelector('.session-device').appendChild(badge);
+            } else {
+                const button = document.createElement('button');
+                button.className = 'btn btn-outline btn-small';
+                button.dataset.revokeSession = entry.id;
+                button.textContent = 'Sign out';
+                item.appendChild(button);
+            }
+            
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Show a status line under the session list
+     * @param {string} message - Status message (empty to clear)
+     */
+    setSessionsStatus(message) {
+        const status = document.getElementById('sessions-status');
+        if (status) {
+            status.textContent = message;
+            status.style.display = message ? 'block' : 'none';
+        }
+    }
+    
+    /**
+     * Sign out another device
+     * @param {string} sessionId - Session to revoke
+     * @returns {Promise<boolean>} Success status
+     */
+    async revokeSession(sessionId) {
+        try {
+            await this.provider.revokeSession(this.apiService.getAuthSession(), sessionId);
+            this.emit('sessionRevoked', { sessionId });
+            await this.loadSessions();
+            return true;
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            this.setSessionsStatus('Unable to sign out that session. Please try again.');
+            return false;
+        }
+    }
+    
+    /**
+     * Sign out every device except this one
+     * @returns {Promise<boolean>} Success status
+     */
+    async revokeOtherSessions() {
+        try {
+            const revoked = await this.provider.revokeOtherSessions(this.apiService.getAuthSession());
+            this.emit('sessionRevoked', { sessionId: null, count: revoked });
+            await this.loadSessions();
+            return true;
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            this.setSessionsStatus('Unable to sign out other sessions. Please try again.');
+            return false;
+        }
     }
     
     /**
@@ -195,6 +662,9 @@ class AuthManager extends EventEmitter {
         // Update navigation
         this.updateNavigation(false);
         
+        // Hide permission-gated tools
+        this.applyPermissions();
+        
         this.emit('viewChanged', 'guest');
     }
     
@@ -218,57 +688,6 @@ class AuthManager extends EventEmitter {
         this.emit('viewChanged', 'user');
     }
     
-    /**
-     * Mock API call simulation
-     */
-    async mockApiCall(endpoint, data) {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                if (endpoint === 'login') {
-                    // Mock successful login
-                    resolve({
-                        success: true,
-                        token: 'mock_token_' + Date.now(),
-                        user: {
-                            id: 1,
-                            username: data.username || 'user123',
-                            email: data.email,
-                            displayName: data.username || 'Gaming User',
-                            avatar: 'https://via.placeholder.com/100x100/667eea/ffffff?text=U',
-                            joinedAt: new Date().toISOString(),
-                            stats: {
-                                gamesPlayed: 42,
-                                reviewsWritten: 15,
-                                hoursPlayed: 156,
-                                achievements: 23
-                            }
-                        }
-                    });
-                } else if (endpoint === 'register') {
-                    // Mock successful registration
-                    resolve({
-                        success: true,
-                        token: 'mock_token_' + Date.now(),
-                        user: {
-                            id: Date.now(),
-                            username: data.username,
-                            email: data.email,
-                            displayName: data.username,
-                            avatar: 'https://via.placeholder.com/100x100/667eea/ffffff?text=' + data.username.charAt(0).toUpperCase(),
-                            joinedAt: new Date().toISOString(),
-                            stats: {
-                                gamesPlayed: 0,
-                                reviewsWritten: 0,
-                                hoursPlayed: 0,
-                                achievements: 0
-                            }
-                        }
-                    });
-                }
-            }, 1500); // Simulate network delay
-        });
-    }
-    
     /**
      * Create guest landing page
      */
@@ -398,10 +817,20 @@ class AuthManager extends EventEmitter {
                     <div class="container">
                         <div class="dashboard-welcome">
                             <div class="user-info">
-                                <img id="dashboard-avatar" class="user-avatar-large" src="" alt="User Avatar">
+                                <div class="avatar-upload">
+                                    <img id="dashboard-avatar" class="user-avatar-large" src="" alt="User Avatar">
+                                    <input type="file" id="avatar-upload" class="sr-only" accept="image/*"
+                                           data-preview="#avatar-upload-preview" data-upload-url="/me/avatar"
+                                           data-upload-field="avatar" data-max-size="524288">
+                                    <label for="avatar-upload" class="avatar-upload-button" title="Change avatar">
+                                        <i class="fas fa-camera"></i>
+                                        <span class="sr-only">Change avatar</span>
+                                    </label>
+                                </div>
                                 <div class="user-details">
                                     <h1>Welcome back, <span id="dashboard-username"></span>!</h1>
                                     <p class="user-subtitle">Ready to discover new games?</p>
+                                    <div id="avatar-upload-preview" class="avatar-upload-preview"></div>
                                 </div>
                             </div>
                             <div class="user-stats">
@@ -426,6 +855,15 @@ class AuthManager extends EventEmitter {
                     </div>
                 </section>
                 
+                <!-- Email Verification Reminder -->
+                <section class="verify-email-banner" id="verify-email-banner" style="display: none;">
+                    <div class="container">
+                        <i class="fas fa-envelope"></i>
+                        <p>Please verify your email address to start writing reviews.</p>
+                        <button class="btn btn-outline btn-small" data-verify-email>Verify Email</button>
+                    </div>
+                </section>
+                
                 <!-- Quick Actions -->
                 <section class="quick-actions">
                     <div class="container">
@@ -446,7 +884,7 @@ class AuthManager extends EventEmitter {
                                 <i class="fas fa-pen"></i>
                                 <h3>Write Review</h3>
                                 <p>Share your gaming experience</p>
-                                <button class="btn btn-outline">Start Writing</button>
+                                <button class="btn btn-outline" data-write-review>Start Writing</button>
                             </div>
                             <div class="action-card">
                                 <i class="fas fa-users"></i>
@@ -458,6 +896,50 @@ class AuthManager extends EventEmitter {
                     </div>
                 </section>
                 
+                <!-- Moderator Tools (shown by applyPermissions) -->
+                <section class="moderator-tools" id="moderator-tools" data-requires-permission="moderator_tools:view" style="display: none;">
+                    <div class="container">
+                        <h2 class="section-title">Moderator Tools</h2>
+                        <div class="actions-grid">
+                            <div class="action-card">
+                                <i class="fas fa-flag"></i>
+                                <h3>Review Queue</h3>
+                                <p>Approve, reject or hide flagged reviews</p>
+                                <button class="btn btn-outline" data-moderation="queue">Open Queue</button>
+                            </div>
+                            <div class="action-card" data-requires-permission="user:manage_roles" style="display: none;">
+                                <i class="fas fa-user-shield"></i>
+                                <h3>Manage Roles</h3>
+                                <p>Promote or demote community members</p>
+                                <button class="btn btn-outline" data-moderation="roles">Manage Users</button>
+                            </div>
+                        </div>
+                    </div>
+                </section>
+                
+                <!-- Two-Factor Authentication -->
+                <section class="account-security" id="account-security">
+                    <div class="container">
+                        <div class="sessions-header">
+                            <h2 class="section-title">Two-Factor Authentication</h2>
+                            <button class="btn btn-outline btn-small" id="totp-toggle" data-totp-action="enable">Enable</button>
+                        </div>
+                        <p class="sessions-status" id="totp-status"></p>
+                    </div>
+                </section>
+                
+                <!-- Active Sessions -->
+                <section class="account-sessions" id="account-sessions">
+                    <div class="container">
+                        <div class="sessions-header">
+                            <h2 class="section-title">Active Sessions</h2>
+                            <button class="btn btn-outline btn-small" id="revoke-other-sessions" disabled>Sign out other sessions</button>
+                        </div>
+                        <p class="sessions-status" id="sessions-status" style="display: none;"></p>
+                        <ul class="session-list" id="session-list"></ul>
+                    </div>
+                </section>
+                
                 <!-- Recent Activity -->
                 <section class="recent-activity">
                     <div class="container">
@@ -512,6 +994,13 @@ class AuthManager extends EventEmitter {
                                     </button>
                                 </div>
                             </div>
+                            <div class="form-options">
+                                <label class="checkbox-label" for="login-remember">
+                                    <input type="checkbox" id="login-remember" name="remember">
+                                    <span>Remember me</span>
+                                </label>
+                                <a href="#" class="form-link" id="forgot-password-link">Forgot password?</a>
+                            </div>
                             <div class="form-actions">
                                 <button type="submit" class="btn btn-primary btn-full">
                                     <span class="btn-text">Sign In</span>
@@ -524,6 +1013,27 @@ class AuthManager extends EventEmitter {
                                 <p>Don't have an account? <a href="#" id="switch-to-register">Sign up</a></p>
                             </div>
                         </form>
+                        
+                        <!-- Second step for accounts with two-factor authentication -->
+                        <form id="mfa-form" class="auth-form" style="display: none;">
+                            <p class="form-description" id="mfa-description">Enter the 6-digit code from your authenticator app.</p>
+                            <div class="form-group">
+                                <label for="mfa-code" id="mfa-code-label">Authentication Code</label>
+                                <input type="text" id="mfa-code" name="code" inputmode="numeric" autocomplete="one-time-code" required>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary btn-full">
+                                    <span class="btn-text">Verify</span>
+                                    <span class="btn-loading" style="display: none;">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </span>
+                                </button>
+                            </div>
+                            <div class="form-footer">
+                                <p><a href="#" id="mfa-toggle-method">Use a recovery code instead</a></p>
+                                <p><a href="#" id="mfa-back">Back to sign in</a></p>
+                            </div>
+                        </form>
                     </div>
                 </div>
             </div>
@@ -580,10 +1090,172 @@ class AuthManager extends EventEmitter {
                     </div>
                 </div>
             </div>
-        `;
-        
-        document.body.insertAdjacentHTML('beforeend', modalHTML);
-        this.setupModalEvents();
+            
+            <!-- Forgot Password Modal -->
+            <div id="forgot-password-modal" class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2>Reset Password</h2>
+                        <button class="modal-close" data-modal="forgot-password-modal">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <!-- Step 1: request a reset code -->
+                        <form id="forgot-password-form" class="auth-form">
+                            <p class="form-description">Enter your account email and we'll send you a reset code.</p>
+                            <div class="form-group">
+                                <label for="forgot-email">Email</label>
+                                <input type="email" id="forgot-email" name="email" required>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary btn-full">
+                                    <span class="btn-text">Send Reset Code</span>
+                                    <span class="btn-loading" style="display: none;">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </span>
+                                </button>
+                            </div>
+                            <div class="form-footer">
+                                <p>Already have a code? <a href="#" id="switch-to-reset">Enter it</a></p>
+                            </div>
+                        </form>
+                        
+                        <!-- Step 2: set a new password -->
+                        <form id="reset-password-form" class="auth-form" style="display: none;">
+                            <p class="form-description">Enter the code from your email and choose a new password.</p>
+                            <div class="form-group">
+                                <label for="reset-token">Reset Code</label>
+                                <input type="text" id="reset-token" name="token" autocomplete="one-time-code" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="reset-password">New Password</label>
+                                <div class="password-input">
+                                    <input type="password" id="reset-password" name="password" autocomplete="new-password" required>
+                                    <button type="button" class="password-toggle" data-target="reset-password">
+                                        <i class="fas fa-eye"></i>
+                                    </button>
+                                </div>
+                            </div>
+                            <div class="form-group">
+                                <label for="reset-confirm-password">Confirm New Password</label>
+                                <div class="password-input">
+                                    <input type="password" id="reset-confirm-password" name="confirmPassword" autocomplete="new-password" required>
+                                    <button type="button" class="password-toggle" data-target="reset-confirm-password">
+                                        <i class="fas fa-eye"></i>
+                                    </button>
+                                </div>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary btn-full">
+                                    <span class="btn-text">Set New Password</span>
+                                    <span class="btn-loading" style="display: none;">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </span>
+                                </button>
+                            </div>
+                            <div class="form-footer">
+                                <p>Remembered it? <a href="#" class="switch-to-login-link">Sign in</a></p>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+            
+            <!-- Two-Factor Setup Modal -->
+            <div id="totp-modal" class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2>Two-Factor Authentication</h2>
+                        <button class="modal-close" data-modal="totp-modal">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <!-- Enroll: scan the key, then confirm a code -->
+                        <form id="totp-setup-form" class="auth-form">
+                            <p class="form-description">Add this key to your authenticator app, then enter the code it shows.</p>
+                            <code class="totp-secret" id="totp-secret"></code>
+                            <a href="#" class="form-link" id="totp-key-uri">Open in authenticator app</a>
+                            <div class="form-group">
+                                <label for="totp-setup-code">Authentication Code</label>
+                                <input type="text" id="totp-setup-code" name="code" inputmode="numeric" autocomplete="one-time-code" required>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary btn-full">
+                                    <span class="btn-text">Enable Two-Factor</span>
+                                    <span class="btn-loading" style="display: none;">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </span>
+                                </button>
+                            </div>
+                        </form>
+                        
+                        <!-- Shown once after enrolling -->
+                        <div id="totp-recovery-panel" class="auth-form" style="display: none;">
+                            <p class="form-description">Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.</p>
+                            <ul class="recovery-codes" id="totp-recovery-codes"></ul>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-outline btn-full" id="totp-copy-codes">Copy Codes</button>
+                            </div>
+                            <button type="button" class="btn btn-primary btn-full" id="totp-done">I've Saved My Codes</button>
+                        </div>
+                        
+                        <!-- Disable: requires a current code -->
+                        <form id="totp-disable-form" class="auth-form" style="display: none;">
+                            <p class="form-description">Enter a code from your authenticator app or a recovery code to turn off two-factor authentication.</p>
+                            <div class="form-group">
+                                <label for="totp-disable-code">Code</label>
+                                <input type="text" id="totp-disable-code" name="code" autocomplete="one-time-code" required>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary btn-full">
+                                    <span class="btn-text">Disable Two-Factor</span>
+                                    <span class="btn-loading" style="display: none;">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </span>
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+            
+            <!-- Verify Email Modal -->
+            <div id="verify-email-modal" class="modal-overlay">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2>Verify Your Email</h2>
+                        <button class="modal-close" data-modal="verify-email-modal">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="verify-email-form" class="auth-form">
+                            <p class="form-description">We sent a verification code to <strong id="verify-email-address"></strong>.</p>
+                            <div class="form-group">
+                                <label for="verify-token">Verification Code</label>
+                                <input type="text" id="verify-token" name="token" autocomplete="one-time-code" required>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary btn-full">
+                                    <span class="btn-text">Verify Email</span>
+                                    <span class="btn-loading" style="display: none;">
+                                        <i class="fas fa-spinner fa-spin"></i>
+                                    </span>
+                                </button>
+                            </div>
+                            <div class="form-footer">
+                                <p>Didn't get it? <a href="#" id="resend-verification">Send a new code</a></p>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', modalHTML);
+        this.setupModalEvents();
     }
     
     /**
@@ -598,6 +1270,22 @@ class AuthManager extends EventEmitter {
                 this.showLoginModal();
             } else if (e.target.matches('[data-logout]')) {
                 this.logout();
+            } else if (e.target.matches('[data-revoke-session]')) {
+                this.revokeSession(e.target.dataset.revokeSession);
+            } else if (e.target.matches('#revoke-other-sessions')) {
+                this.revokeOtherSessions();
+            } else if (e.target.matches('[data-verify-email]')) {
+                this.showVerifyEmailModal();
+            } else if (e.target.matches('#totp-toggle')) {
+                if (e.target.dataset.totpAction === 'disable') {
+                    this.showTotpModal('disable');
+                } else {
+                    this.handleTotpEnrollStart();
+                }
+            } else if (e.target.matches('[data-write-review]')) {
+                if (this.requirePermission('review:create')) {
+                    this.emit('writeReview');
+                }
             }
         });
     }
@@ -629,6 +1317,53 @@ class AuthManager extends EventEmitter {
             this.showLoginModal();
         });
         
+        // Password reset steps
+        document.getElementById('forgot-password-link')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.closeModal(document.getElementById('login-modal'));
+            this.showForgotPasswordModal();
+        });
+        
+        document.getElementById('switch-to-reset')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showForgotPasswordModal('reset');
+        });
+        
+        document.querySelector('.switch-to-login-link')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.closeModal(document.getElementById('forgot-password-modal'));
+            this.showLoginModal();
+        });
+        
+        document.getElementById('resend-verification')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.handleResendVerification(document.getElementById('verify-email-form'));
+        });
+        
+        // Two-factor login step
+        document.getElementById('mfa-toggle-method')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            const form = document.getElementById('mfa-form');
+            this.setMfaMethod(form.dataset.method === 'recovery_code' ? 'totp' : 'recovery_code');
+        });
+        
+        document.getElementById('mfa-back')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.pendingMfa = null;
+            this.showMfaStep(false);
+        });
+        
+        // Two-factor setup
+        document.getElementById('totp-copy-codes')?.addEventListener('click', () => {
+            const codes = Array.from(document.querySelectorAll('#totp-recovery-codes li')).map(item => item.textContent);
+            navigator.clipboard?.writeText(codes.join('\n'));
+        });
+        
+        document.getElementById('totp-done')?.addEventListener('click', () => {
+            document.getElementById('totp-recovery-codes').innerHTML = '';
+            this.closeModal(document.getElementById('totp-modal'));
+        });
+        
         // Password toggle
         document.addEventListener('click', (e) => {
             if (e.target.matches('.password-toggle') || e.target.closest('.password-toggle')) {
@@ -657,6 +1392,42 @@ class AuthManager extends EventEmitter {
             e.preventDefault();
             this.handleRegisterSubmit(e.target);
         });
+        
+        document.getElementById('forgot-password-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleForgotPasswordSubmit(e.target);
+        });
+        
+        document.getElementById('reset-password-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleResetPasswordSubmit(e.target);
+        });
+        
+        document.getElementById('verify-email-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleVerifyEmailSubmit(e.target);
+        });
+        
+        document.getElementById('mfa-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleMfaSubmit(e.target);
+        });
+        
+        document.getElementById('totp-setup-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleTotpSetupSubmit(e.target);
+        });
+        
+        document.getElementById('totp-disable-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleTotpDisableSubmit(e.target);
+        });
+        
+        // Avatar upload (sent by FormEventManager, see data-upload-url)
+        document.getElementById('avatar-upload')?.addEventListener('uploadComplete', (e) => {
+            this.updateCurrentUser({ avatar: e.detail.result.avatar });
+            this.updateNavigation(true);
+        });
     }
     
     /**
@@ -665,11 +1436,73 @@ class AuthManager extends EventEmitter {
     showLoginModal() {
         const modal = document.getElementById('login-modal');
         if (modal) {
+            // Always start from the password step
+            this.pendingMfa = null;
+            this.showMfaStep(false);
+            
             modal.style.display = 'flex';
             modal.classList.add('modal-show');
         }
     }
     
+    /**
+     * Switch the login modal between the password and two-factor steps
+     * @param {boolean} visible - Show the two-factor step
+     */
+    showMfaStep(visible) {
+        const loginForm = document.getElementById('login-form');
+        const mfaForm = document.getElementById('mfa-form');
+        if (!loginForm || !mfaForm) return;
+        
+        loginForm.style.display = visible ? 'none' : '';
+        mfaForm.style.display = visible ? '' : 'none';
+        
+        if (visible) {
+            mfaForm.reset();
+            this.setMfaMethod('totp');
+            document.getElementById('mfa-code')?.focus();
+        }
+    }
+    
+    /**
+     * Switch the two-factor step between authenticator and recovery codes
+     * @param {string} method - 'totp' or 'recovery_code'
+     */
+    setMfaMethod(method) {
+        const form = document.getElementById('mfa-form');
+        const input = document.getElementById('mfa-code');
+        if (!form || !input) return;
+        
+        const useRecovery = method === 'recovery_code';
+        form.dataset.method = method;
+        input.value = '';
+        input.inputMode = useRecovery ? 'text' : 'numeric';
+        
+        document.getElementById('mfa-code-label').textContent = useRecovery ? 'Recovery Code' : 'Authentication Code';
+        document.getElementById('mfa-description').textContent = useRecovery
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.';
+        document.getElementById('mfa-toggle-method').textContent = useRecovery
+            ? 'Use your authenticator app instead'
+            : 'Use a recovery code instead';
+    }
+    
+    /**
+     * Show two-factor setup modal
+     * @param {string} panel - 'setup', 'recovery' or 'disable'
+     */
+    showTotpModal(panel) {
+        const modal = document.getElementById('totp-modal');
+        if (!modal) return;
+        
+        document.getElementById('totp-setup-form').style.display = panel === 'setup' ? '' : 'none';
+        document.getElementById('totp-recovery-panel').style.display = panel === 'recovery' ? '' : 'none';
+        document.getElementById('totp-disable-form').style.display = panel === 'disable' ? '' : 'none';
+        
+        modal.style.display = 'flex';
+        modal.classList.add('modal-show');
+    }
+    
     /**
      * Show register modal
      */
@@ -681,6 +1514,42 @@ class AuthManager extends EventEmitter {
         }
     }
     
+    /**
+     * Show forgot password modal
+     * @param {string} step - 'request' for the email step, 'reset' for the new password step
+     * @param {string} token - Reset token to prefill
+     */
+    showForgotPasswordModal(step = 'request', token = '') {
+        const modal = document.getElementById('forgot-password-modal');
+        if (!modal) return;
+        
+        document.getElementById('forgot-password-form').style.display = step === 'request' ? '' : 'none';
+        document.getElementById('reset-password-form').style.display = step === 'reset' ? '' : 'none';
+        
+        if (token) {
+            document.getElementById('reset-token').value = token;
+        }
+        
+        modal.style.display = 'flex';
+        modal.classList.add('modal-show');
+    }
+    
+    /**
+     * Show verify email modal
+     */
+    showVerifyEmailModal() {
+        const modal = document.getElementById('verify-email-modal');
+        if (modal) {
+            const address = document.getElementById('verify-email-address');
+            if (address) {
+                address.textContent = this.currentUser?.email || 'your email address';
+            }
+            
+            modal.style.display = 'flex';
+            modal.classList.add('modal-show');
+        }
+    }
+    
     /**
      * Close modal
      */
@@ -699,6 +1568,9 @@ class AuthManager extends EventEmitter {
     closeAuthModals() {
         this.closeModal(document.getElementById('login-modal'));
         this.closeModal(document.getElementById('register-modal'));
+        this.closeModal(document.getElementById('forgot-password-modal'));
+        this.closeModal(document.getElementById('verify-email-modal'));
+        this.closeModal(document.getElementById('totp-modal'));
     }
     
     /**
@@ -708,7 +1580,8 @@ class AuthManager extends EventEmitter {
         const formData = new FormData(form);
         const credentials = {
             email: formData.get('email'),
-            password: formData.get('password')
+            password: formData.get('password'),
+            remember: formData.get('remember') === 'on'
         };
         
         // Show loading state
@@ -716,7 +1589,9 @@ class AuthManager extends EventEmitter {
         
         try {
             const result = await this.login(credentials);
-            if (!result.success) {
+            if (result.mfaRequired) {
+                this.showMfaStep(true);
+            } else if (!result.success) {
                 this.showFormError(form, result.error);
             }
         } catch (error) {
@@ -726,6 +1601,30 @@ class AuthManager extends EventEmitter {
         }
     }
     
+    /**
+     * Handle two-factor code submission
+     */
+    async handleMfaSubmit(form) {
+        const code = (new FormData(form).get('code') || '').trim();
+        
+        this.setFormLoading(form, true);
+        
+        try {
+            const result = await this.verifyMfa(code);
+            if (result.success) return;
+            
+            if (result.code === AuthErrorCodes.MFA_CHALLENGE_INVALID) {
+                // Challenge is gone; the password has to be entered again
+                this.showMfaStep(false);
+                this.showFormError(document.getElementById('login-form'), result.error);
+            } else {
+                this.showFormError(form, result.error);
+            }
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+    
     /**
      * Handle register form submission
      */
@@ -751,6 +1650,8 @@ class AuthManager extends EventEmitter {
             const result = await this.register(userData);
             if (!result.success) {
                 this.showFormError(form, result.error);
+            } else if (!result.user?.emailVerified) {
+                this.showVerifyEmailModal();
             }
         } catch (error) {
             this.showFormError(form, error.message);
@@ -759,6 +1660,169 @@ class AuthManager extends EventEmitter {
         }
     }
     
+    /**
+     * Handle forgot password form submission
+     */
+    async handleForgotPasswordSubmit(form) {
+        const email = new FormData(form).get('email');
+        
+        this.setFormLoading(form, true);
+        
+        try {
+            const result = await this.requestPasswordReset(email);
+            if (!result.success) {
+                this.showFormError(form, result.error);
+                return;
+            }
+            
+            this.showForgotPasswordModal('reset');
+            this.showFormNotice(
+                document.getElementById('reset-password-form'),
+                'If an account exists for that email, a reset code is on its way.'
+            );
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+    
+    /**
+     * Handle reset password form submission
+     */
+    async handleResetPasswordSubmit(form) {
+        const formData = new FormData(form);
+        const data = {
+            token: (formData.get('token') || '').trim(),
+            password: formData.get('password'),
+            confirmPassword: formData.get('confirmPassword')
+        };
+        
+        const validation = new FormValidator(ValidationRules.passwordReset).validate(data);
+        if (!validation.valid) {
+            this.showFormError(form, Object.values(validation.errors)[0]);
+            return;
+        }
+        
+        this.setFormLoading(form, true);
+        
+        try {
+            const result = await this.resetPassword(data.token, data.password);
+            if (!result.success) {
+                this.showFormError(form, result.error);
+                return;
+            }
+            
+            form.reset();
+            this.closeModal(document.getElementById('forgot-password-modal'));
+            this.showLoginModal();
+            this.showFormNotice(document.getElementById('login-form'), 'Your password has been reset. Please sign in.');
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+    
+    /**
+     * Handle verify email form submission
+     */
+    async handleVerifyEmailSubmit(form) {
+        const token = (new FormData(form).get('token') || '').trim();
+        
+        this.setFormLoading(form, true);
+        
+        try {
+            const result = await this.verifyEmail(token);
+            if (!result.success) {
+                this.showFormError(form, result.error);
+                return;
+            }
+            
+            form.reset();
+            this.closeModal(document.getElementById('verify-email-modal'));
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+    
+    /**
+     * Start two-factor enrollment from the dashboard
+     */
+    async handleTotpEnrollStart() {
+        const result = await this.beginTotpEnrollment();
+        
+        if (!result.success) {
+            this.setTotpStatus(result.error);
+            return;
+        }
+        
+        document.getElementById('totp-setup-form').reset();
+        document.getElementById('totp-secret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+        document.getElementById('totp-key-uri').href = result.keyUri;
+        this.showTotpModal('setup');
+    }
+    
+    /**
+     * Handle two-factor setup confirmation
+     */
+    async handleTotpSetupSubmit(form) {
+        const code = (new FormData(form).get('code') || '').trim();
+        
+        this.setFormLoading(form, true);
+        
+        try {
+            const result = await this.confirmTotpEnrollment(code);
+            if (!result.success) {
+                this.showFormError(form, result.error);
+                return;
+            }
+            
+            const list = document.getElementById('totp-recovery-codes');
+            list.innerHTML = '';
+            result.recoveryCodes.forEach(recoveryCode => {
+                const item = document.createElement('li');
+                item.textContent = recoveryCode;
+                list.appendChild(item);
+            });
+            
+            this.showTotpModal('recovery');
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+    
+    /**
+     * Handle two-factor disable submission
+     */
+    async handleTotpDisableSubmit(form) {
+        const code = (new FormData(form).get('code') || '').trim();
+        
+        this.setFormLoading(form, true);
+        
+        try {
+            const result = await this.disableTotp(code);
+            if (!result.success) {
+                this.showFormError(form, result.error);
+                return;
+            }
+            
+            form.reset();
+            this.closeModal(document.getElementById('totp-modal'));
+        } finally {
+            this.setFormLoading(form, false);
+        }
+    }
+    
+    /**
+     * Handle a request for a new verification code
+     */
+    async handleResendVerification(form) {
+        const result = await this.requestEmailVerification();
+        
+        if (result.success) {
+            this.showFormNotice(form, 'A new verification code has been sent.');
+        } else {
+            this.showFormError(form, result.error);
+        }
+    }
+    
     /**
      * Set form loading state
      */
@@ -798,6 +1862,28 @@ class AuthManager extends EventEmitter {
         }, 5000);
     }
     
+    /**
+     * Show form notice
+     */
+    showFormNotice(form, message) {
+        if (!form) return;
+        
+        let noticeDiv = form.querySelector('.form-notice');
+        if (!noticeDiv) {
+            noticeDiv = document.createElement('div');
+            noticeDiv.className = 'form-notice';
+            form.insertBefore(noticeDiv, form.querySelector('.form-actions'));
+        }
+        
+        noticeDiv.textContent = message;
+        noticeDiv.style.display = 'block';
+        
+        // Hide notice after 5 seconds
+        setTimeout(() => {
+            noticeDiv.style.display = 'none';
+        }, 5000);
+    }
+    
     /**
      * Update navigation based on auth state
      */
@@ -865,6 +1951,260 @@ class AuthManager extends EventEmitter {
                 element.textContent = value;
             }
         });
+        
+        // Show or hide role-specific tools
+        this.applyPermissions();
+        this.updateVerificationBanner();
+        this.updateTotpStatus();
+        
+        this.loadSessions();
+    }
+    
+    /**
+     * Check if the current user has been granted a permission
+     * Some permissions are withheld until the email is verified (see VerifiedEmailPermissions)
+     * @param {string} permission - Permission name (see RolePermissions)
+     * @returns {boolean} Permission status
+     */
+    can(permission) {
+        if (!this.isAuthenticated || !User.hasPermission(this.currentUser, permission)) {
+            return false;
+        }
+        
+        return this.currentUser.emailVerified || !User.requiresVerifiedEmail(permission);
+    }
+    
+    /**
+     * Check a permission before an action, prompting for the missing step
+     * @param {string} permission - Permission name
+     * @returns {boolean} Whether the action may proceed
+     */
+    requirePermission(permission) {
+        if (this.can(permission)) {
+            return true;
+        }
+        
+        if (!this.isAuthenticated) {
+            this.showLoginModal();
+        } else if (User.hasPermission(this.currentUser, permission)) {
+            // Role allows it, only verification is missing
+            this.showVerifyEmailModal();
+        }
+        
+        this.emit('permissionDenied', { permission });
+        return false;
+    }
+    
+    /**
+     * Show the verification reminder for unverified accounts
+     */
+    updateVerificationBanner() {
+        const banner = document.getElementById('verify-email-banner');
+        if (banner) {
+            banner.style.display = this.isAuthenticated && !this.currentUser?.emailVerified ? 'block' : 'none';
+        }
+    }
+    
+    /**
+     * Request a password reset code
+     * @param {string} email - Account email
+     * @returns {Promise<Object>} Result
+     */
+    async requestPasswordReset(email) {
+        try {
+            await this.provider.requestPasswordReset(email);
+            this.emit('passwordResetRequested', { email });
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Set a new password with a reset code
+     * Every session of the account ends, including this one
+     * @param {string} token - Reset code
+     * @param {string} password - New password
+     * @returns {Promise<Object>} Result
+     */
+    async resetPassword(token, password) {
+        try {
+            await this.provider.resetPassword(token, password);
+            
+            if (this.isAuthenticated) {
+                this.clearAuthData();
+                this.showGuestView();
+            }
+            
+            this.emit('passwordReset');
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Send a new verification code to the signed-in user
+     * @returns {Promise<Object>} Result
+     */
+    async requestEmailVerification() {
+        if (!this.isAuthenticated) {
+            return { success: false, error: 'Please sign in first' };
+        }
+        
+        try {
+            await this.provider.requestEmailVerification(this.apiService.getAuthSession());
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Confirm the email address with a verification code
+     * @param {string} token - Verification code
+     * @returns {Promise<Object>} Result
+     */
+    async verifyEmail(token) {
+        try {
+            const user = await this.provider.verifyEmail(token);
+            
+            // The code may belong to another account when opened from a link
+            if (this.isAuthenticated && user && user.id === this.currentUser.id) {
+                this.updateCurrentUser({ emailVerified: true, emailVerifiedAt: user.emailVerifiedAt });
+            }
+            
+            this.emit('emailVerified', user);
+            return { success: true, user };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Merge changes into the signed-in user and refresh the dashboard
+     * @param {Object} changes - User fields to update
+     */
+    updateCurrentUser(changes) {
+        this.currentUser = { ...this.currentUser, ...changes };
+        this.getUserStorage().setItem('gameVault_user', JSON.stringify(this.currentUser));
+        this.populateUserDashboard();
+        this.broadcastAuthChange('userUpdated');
+    }
+    
+    /**
+     * Show whether two-factor authentication is on
+     */
+    updateTotpStatus() {
+        const enabled = Boolean(this.currentUser?.mfaEnabled);
+        const toggle = document.getElementById('totp-toggle');
+        
+        if (toggle) {
+            toggle.textContent = enabled ? 'Disable' : 'Enable';
+            toggle.dataset.totpAction = enabled ? 'disable' : 'enable';
+        }
+        
+        this.setTotpStatus(enabled
+            ? 'Your account is protected with an authenticator app.'
+            : 'Add an authenticator app to protect your account with a second sign-in step.');
+    }
+    
+    /**
+     * Show a status line in the two-factor section
+     * @param {string} message - Status message
+     */
+    setTotpStatus(message) {
+        const status = document.getElementById('totp-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+    
+    /**
+     * Start two-factor enrollment
+     * @returns {Promise<Object>} Result with { secret, keyUri }
+     */
+    async beginTotpEnrollment() {
+        try {
+            const enrollment = await this.provider.beginTotpEnrollment(this.apiService.getAuthSession());
+            return { success: true, ...enrollment };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Turn on two-factor authentication
+     * @param {string} code - Code from the authenticator app
+     * @returns {Promise<Object>} Result with { recoveryCodes }
+     */
+    async confirmTotpEnrollment(code) {
+        try {
+            const { recoveryCodes } = await this.provider.confirmTotpEnrollment(this.apiService.getAuthSession(), code);
+            
+            this.updateCurrentUser({ mfaEnabled: true });
+            this.emit('mfaEnabled');
+            
+            return { success: true, recoveryCodes };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Turn off two-factor authentication
+     * @param {string} code - Authenticator code or recovery code
+     * @returns {Promise<Object>} Result
+     */
+    async disableTotp(code) {
+        try {
+            await this.provider.disableTotp(this.apiService.getAuthSession(), code);
+            
+            this.updateCurrentUser({ mfaEnabled: false });
+            this.emit('mfaDisabled');
+            
+            return { success: true };
+        } catch (error) {
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+    
+    /**
+     * Open the reset or verification flow from an emailed link
+     * (?reset_token=... or ?verify_token=...)
+     */
+    handleAuthLinks() {
+        const params = new URLSearchParams(window.location.search);
+        const resetToken = params.get('reset_token');
+        const verifyToken = params.get('verify_token');
+        
+        if (!resetToken && !verifyToken) return;
+        
+        // Keep tokens out of the history and out of shared URLs
+        params.delete('reset_token');
+        params.delete('verify_token');
+        const query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+        
+        if (resetToken) {
+            this.showForgotPasswordModal('reset', resetToken);
+        } else {
+            this.verifyEmail(verifyToken).then(result => {
+                if (!result.success) {
+                    this.showVerifyEmailModal();
+                    this.showFormError(document.getElementById('verify-email-form'), result.error);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Toggle elements marked with data-requires-permission
+     */
+    applyPermissions() {
+        document.querySelectorAll('[data-requires-permission]').forEach(element => {
+            element.style.display = this.can(element.dataset.requiresPermission) ? '' : 'none';
+        });
     }
 }
 
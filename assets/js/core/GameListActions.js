@@ -0,0 +1,101 @@
+/* ==============================================
+   GAME LIST ACTIONS
+   ============================================== */
+
+/**
+ * Actions for the signed-in user's wishlist and favorites
+ * games.wishlist and games.favorites hold game ids. save() updates them
+ * right away and rolls the change back if the API refuses it.
+ *
+ * Usage:
+ * stateManager.registerReducer('games', gameListsReducer);
+ * stateManager.setThunkContext({ api });
+ * await stateManager.dispatch(GameListActions.save('wishlist', 42, true));
+ */
+
+/**
+ * Lists the actions apply to, named like their games state key
+ */
+const GameLists = ['wishlist', 'favorites'];
+
+const GameListActions = {
+    /**
+     * Add a game to a list
+     * @param {string} listName - wishlist or favorites
+     * @param {number} gameId - Game ID
+     * @returns {Object} Action
+     */
+    add(listName, gameId) {
+        return { type: `${listName}/add`, gameId };
+    },
+    
+    /**
+     * Remove a game from a list
+     * @param {string} listName - wishlist or favorites
+     * @param {number} gameId - Game ID
+     * @returns {Object} Action
+     */
+    remove(listName, gameId) {
+        return { type: `${listName}/remove`, gameId };
+    },
+    
+    /**
+     * Change a list and save the change through the API
+     * Without an API in the thunk context the change is only kept in state.
+     * @param {string} listName - wishlist or favorites
+     * @param {number} gameId - Game ID
+     * @param {boolean} add - Add (true) or remove (false)
+     * @param {Object} options - ApiService options (e.g. description for the offline queue)
+     * @returns {Function} Thunk resolving to the API response
+     */
+    save(listName, gameId, add, options = {}) {
+        return (dispatch, getState, { api, optimistic }) => {
+            const action = add ? GameListActions.add(listName, gameId) : GameListActions.remove(listName, gameId);
+            
+            if (!api) {
+                dispatch(action);
+                return Promise.resolve(null);
+            }
+            
+            const users = api.users;
+            
+            return optimistic(action, () => {
+                if (listName === 'wishlist') {
+                    return add ? users.addToWishlist(gameId, options) : users.removeFromWishlist(gameId, options);
+                }
+                return add ? users.addFavorite(gameId, options) : users.removeFavorite(gameId, options);
+            });
+        };
+    }
+};
+
+/**
+ * Reducer for the games key: list actions add or remove game ids
+ * @param {Object} games - games state
+ * @param {Object} action - Action
+ * @returns {Object} Next games state
+ */
+function gameListsReducer(games, action) {
+    const [listName, operation] = action.type.split('/');
+    
+    if (!games || !GameLists.includes(listName)) {
+        return games;
+    }
+    
+    const list = games[listName] || [];
+    
+    if (operation === 'add' && !list.includes(action.gameId)) {
+        return { ...games, [listName]: [...list, action.gameId] };
+    }
+    
+    if (operation === 'remove' && list.includes(action.gameId)) {
+        return { ...games, [listName]: list.filter(id => id !== action.gameId) };
+    }
+    
+    return games;
+}
+
+// Export for global access
+window.GameLists = GameLists;
+window.GameListActions = GameListActions;
+window.gameListsReducer = gameListsReducer;
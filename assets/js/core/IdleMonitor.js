@@ -0,0 +1,370 @@
+/* ==============================================
+   INACTIVITY MONITOR
+   ============================================== */
+
+/**
+ * Signs the user out after a period without interaction
+ * Activity is written to the persisted `app.lastActivity` state so every open tab
+ * shares one idle clock; an idle sign-out is broadcast through `app.idleLogoutAt`.
+ * Both reach other tabs through StateManager's storage listener.
+ *
+ * Only "remember me" sessions are shared between tabs. A session kept in
+ * sessionStorage belongs to its tab, so its clock stays local: it neither
+ * writes nor follows the shared fields.
+ *
+ * Usage:
+ * const idleMonitor = new IdleMonitor({
+ *   stateManager,
+ *   authManager,
+ *   idleTimeout: 15 * 60 * 1000,   // show the warning after 15 minutes
+ *   warningDuration: 60 * 1000     // sign out 60 s later if ignored
+ * });
+ *
+ * idleMonitor.on('idleLogout', () => console.log('Signed out for inactivity'));
+ */
+
+class IdleMonitor extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.stateManager = options.stateManager;
+        this.authManager = options.authManager;
+        this.idleTimeout = options.idleTimeout || 15 * 60 * 1000;
+        this.warningDuration = options.warningDuration || 60 * 1000;
+        this.activityThrottle = options.activityThrottle || 5000; // limit persisted writes
+        this.activityEvents = options.activityEvents || ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+        this.now = options.now || (() => Date.now());
+        
+        this.running = false;
+        this.lastActivity = 0;
+        this.lastIdleLogoutAt = null;
+        this.idleTimer = null;
+        this.countdownTimer = null;
+        this.warningVisible = false;
+        this.dialog = null;
+        
+        // Bind methods
+        this.handleActivity = this.handleActivity.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize idle monitor
+     */
+    init() {
+        this.createWarningDialog();
+        
+        this.stateManager.subscribe('app', (newState) => {
+            this.handleAppState(newState);
+        });
+        
+        // Only signed-in users can time out
+        this.authManager.on('viewChanged', (view) => {
+            if (view === 'user') {
+                this.start();
+            } else {
+                this.stop();
+            }
+        });
+        
+        if (this.authManager.isAuthenticated) {
+            this.start();
+        }
+    }
+    
+    /**
+     * Start tracking activity
+     */
+    start() {
+        if (this.running) return;
+        
+        this.running = true;
+        this.lastIdleLogoutAt = this.stateManager.getState('app', {}).idleLogoutAt || null;
+        
+        this.activityEvents.forEach(eventName => {
+            document.addEventListener(eventName, this.handleActivity, { passive: true });
+        });
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        
+        // Loading the page counts as activity
+        this.recordActivity();
+        
+        this.emit('started');
+    }
+    
+    /**
+     * Stop tracking activity
+     */
+    stop() {
+        if (!this.running) return;
+        
+        this.running = false;
+        
+        this.activityEvents.forEach(eventName => {
+            document.removeEventListener(eventName, this.handleActivity);
+        });
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        this.hideWarning();
+        
+        this.emit('stopped');
+    }
+    
+    /**
+     * Handle user interaction
+     */
+    handleActivity() {
+        // The warning must be dismissed explicitly, not by moving the mouse
+        if (!this.running || this.warningVisible) return;
+        
+        if (this.now() - this.lastActivity >= this.activityThrottle) {
+            this.recordActivity();
+        }
+    }
+    
+    /**
+     * Re-check when the tab becomes visible (background timers may be throttled)
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'visible') {
+            this.check();
+        }
+    }
+    
+    /**
+     * Check whether this tab's session is the one every tab shares
+     * @returns {boolean} Shared status
+     */
+    isSessionShared() {
+        return Boolean(this.authManager.sessionPersistent);
+    }
+    
+    /**
+     * Store the activity time and restart the idle timer
+     */
+    recordActivity() {
+        this.lastActivity = this.now();
+        
+        if (this.isSessionShared()) {
+            this.stateManager.setState('app', { lastActivity: this.lastActivity }, true, true, { history: false });
+        }
+        
+        this.schedule();
+    }
+    
+    /**
+     * React to app state changes, including ones synced from other tabs
+     * @param {Object} state - New app state
+     */
+    handleAppState(state) {
+        // Other tabs' activity and sign-outs concern the shared session only
+        if (!this.running || !state || !this.isSessionShared()) return;
+        
+        if (state.idleLogoutAt && state.idleLogoutAt !== this.lastIdleLogoutAt) {
+            // Another tab already signed out for inactivity
+            this.lastIdleLogoutAt = state.idleLogoutAt;
+            this.signOut(false);
+            return;
+        }
+        
+        if (state.lastActivity > this.lastActivity) {
+            // Activity in another tab
+            this.lastActivity = state.lastActivity;
+            this.hideWarning();
+            this.schedule();
+        }
+    }
+    
+    /**
+     * Schedule the next idle check
+     */
+    schedule() {
+        clearTimeout(this.idleTimer);
+        
+        const delay = Math.max(0, this.lastActivity + this.idleTimeout - this.now());
+        this.idleTimer = setTimeout(() => this.check(), delay);
+    }
+    
+    /**
+     * Show the warning or sign out depending on how long the user has been idle
+     */
+    check() {
+        if (!this.running) return;
+        
+        const idleFor = this.now() - this.lastActivity;
+        
+        if (idleFor >= this.idleTimeout + this.warningDuration) {
+            this.signOut(true);
+        } else if (idleFor >= this.idleTimeout) {
+            this.showWarning();
+        } else {
+            this.schedule();
+        }
+    }
+    
+    /**
+     * Get milliseconds left before the automatic sign-out
+     * @returns {number} Remaining time
+     */
+    getRemainingTime() {
+        return Math.max(0, this.lastActivity + this.idleTimeout + this.warningDuration - this.now());
+    }
+    
+    /**
+     * Show the countdown dialog
+     */
+    showWarning() {
+        if (this.warningVisible) return;
+        
+        this.warningVisible = true;
+        this.updateCountdown();
+        
+        if (this.dialog) {
+            this.dialog.style.display = 'flex';
+            this.dialog.classList.add('modal-show');
+        }
+        
+        this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+        
+        // Sign out exactly at the deadline rather than on the next countdown tick
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => this.check(), this.getRemainingTime());
+        
+        this.emit('idleWarning', { remaining: this.getRemainingTime() });
+    }
+    
+    /**
+     * Hide the countdown dialog
+     */
+    hideWarning() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        
+        if (!this.warningVisible) return;
+        this.warningVisible = false;
+        
+        if (this.dialog) {
+            this.dialog.classList.remove('modal-show');
+            setTimeout(() => {
+                if (!this.warningVisible) {
+                    this.dialog.style.display = 'none';
+                }
+            }, 300);
+        }
+    }
+    
+    /**
+     * Update the countdown and sign out when it runs out
+     */
+    updateCountdown() {
+        const remaining = this.getRemainingTime();
+        
+        if (remaining <= 0) {
+            this.signOut(true);
+            return;
+        }
+        
+        const countdown = document.getElementById('idle-countdown');
+        if (countdown) {
+            countdown.textContent = Math.ceil(remaining / 1000);
+        }
+    }
+    
+    /**
+     * Keep the session after the warning
+     */
+    staySignedIn() {
+        this.hideWarning();
+        this.recordActivity();
+        this.emit('idleWarningDismissed');
+    }
+    
+    /**
+     * Sign out for inactivity
+     * @param {boolean} broadcast - Tell other tabs to sign out too
+     */
+    signOut(broadcast) {
+        if (!this.running) return;
+        
+        if (broadcast && this.isSessionShared()) {
+            this.lastIdleLogoutAt = this.now();
+            this.stateManager.setState('app', { idleLogoutAt: this.lastIdleLogoutAt }, true);
+        }
+        
+        this.stop();
+        this.authManager.logout();
+        
+        this.authManager.showLoginModal();
+        this.authManager.showFormNotice(
+            document.getElementById('login-form'),
+            'You were signed out after a period of inactivity.'
+        );
+        
+        this.emit('idleLogout', { broadcast });
+    }
+    
+    /**
+     * Create the warning dialog
+     */
+    createWarningDialog() {
+        const existingDialog = document.getElementById('idle-warning-modal');
+        if (existingDialog) {
+            this.dialog = existingDialog;
+            return;
+        }
+        
+        const dialogHTML = `
+            <div id="idle-warning-modal" class="modal-overlay" role="alertdialog" aria-labelledby="idle-warning-title">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2 id="idle-warning-title">Are you still there?</h2>
+                    </div>
+                    <div class="modal-body">
+                        <div class="auth-form">
+                            <p class="form-description">
+                                You'll be signed out in <strong class="idle-countdown" id="idle-countdown">60</strong> s due to inactivity.
+                            </p>
+                            <button type="button" class="btn btn-primary btn-full" id="idle-stay-signed-in">Stay Signed In</button>
+                            <button type="button" class="btn btn-outline btn-full" id="idle-sign-out">Sign Out Now</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        document.body.insertAdjacentHTML('beforeend', dialogHTML);
+        this.dialog = document.getElementById('idle-warning-modal');
+        
+        document.getElementById('idle-stay-signed-in')?.addEventListener('click', () => {
+            this.staySignedIn();
+        });
+        
+        document.getElementById('idle-sign-out')?.addEventListener('click', () => {
+            this.signOut(true);
+        });
+        
+        // AuthManager closes any .modal-overlay on a backdrop click, which
+        // reads as dismissing the warning, so treat it like the stay button
+        this.dialog?.addEventListener('click', (e) => {
+            if (e.target === this.dialog && this.warningVisible) {
+                this.staySignedIn();
+            }
+        });
+    }
+    
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.stop();
+        this.dialog?.remove();
+        this.dialog = null;
+    }
+}
+
+// Export for global access
+window.IdleMonitor = IdleMonitor;
@@ -12,21 +12,109 @@
  *   console.log('User state changed:', newState);
  * });
  * stateManager.setState('user', { name: 'John', level: 5 });
+ *
+ * Subscriptions take a dot path and only fire when the value there changes
+ * (Object.is, or the `equals` option). Merges keep unchanged branches, so
+ * updating ui.search leaves ui.notifications untouched.
+ * stateManager.subscribe('ui.search.query', (query, previousQuery) => { ... });
+ *
+ * Selectors derive values from paths or other selectors and recompute only
+ * when an input changes; subscribe to one like to a path.
+ * const selectWishlistCount = stateManager.createSelector(['games.favorites'], favorites => favorites.length);
+ * stateManager.subscribe(selectWishlistCount, count => renderBadge(count));
+ *
+ * Every change is recorded in a timeline that can be undone, redone and
+ * travelled through. Transactions group changes so they undo as one step,
+ * and checkpoints mark points to come back to. Travelling is in memory only:
+ * nothing is persisted, and a new change discards the entries after the
+ * current one. Frequent background writes (activity times, connection
+ * status) pass { history: false } so they don't flood the timeline or drop
+ * the redo entries.
+ * stateManager.setState('network', { latency: 40 }, false, true, { history: false });
+ * stateManager.transaction('Apply filters', () => { ... });
+ * stateManager.checkpoint('Before import');
+ * stateManager.undo();                       // last change or transaction
+ * stateManager.undo('ui');                   // last change to ui, recorded as a new change
+ * stateManager.travelTo(stateManager.getCheckpointIndex('Before import'));
+ *
+ * Keys listed in PersistedStateSchemas are saved as { version, data } and
+ * loaded on startup. Older payloads are upgraded one migration at a time;
+ * payloads that can't be read, migrated or validated are moved aside to
+ * gameVault_quarantine_<key> and the defaults are kept. Keys of reducers
+ * registered with { persist: true } get a schema and are loaded then.
+ * stateManager.registerMigration('user', 1, user => ({ ...user, displayName: user.username }));
+ *
+ * Persistence, cross-tab sync and history snapshots go through a
+ * StateSerializer, so Sets, Maps, Dates and models come back as themselves.
+ * Pass `serializer` to use another one.
+ *
+ * Keys can also be changed with actions. Reducers compute a key's next value
+ * from an action, middleware sees every action on its way (logging,
+ * analytics), and functions are dispatched as thunks. optimistic() applies an
+ * action before its request finishes and rolls it back if the request fails.
+ * setState keeps working alongside.
+ * stateManager.registerReducer('games', gameListsReducer);
+ * stateManager.use(store => next => action => { track(action.type); return next(action); });
+ * stateManager.dispatch({ type: 'wishlist/add', gameId: 42 });
+ * stateManager.dispatch((dispatch, getState, { api, optimistic }) =>
+ *   optimistic({ type: 'wishlist/add', gameId: 42 }, () => api.users.addToWishlist(42)));
  */
 
+/**
+ * Persisted state keys
+ * `version` is the current schema version and migrations[n] upgrades a
+ * version n payload to version n + 1, so changing a persisted shape means
+ * bumping the version and adding one migration. `validate` checks the
+ * upgraded data (default: a plain object).
+ */
+const PersistedStateSchemas = {
+    user: {
+        version: 1,
+        migrations: {
+            // Payloads saved before versioning (version 0) already have this shape
+            0: user => user
+        }
+    },
+    app: {
+        version: 1,
+        migrations: {
+            0: app => app
+        }
+    }
+};
+
 class StateManager extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
+        this.storage = options.storage || localStorage;
+        this.serializer = options.serializer || new StateSerializer();
+        this.persistedSchemas = options.persistedSchemas || PersistedStateSchemas;
         this.state = new Map();
-        this.subscribers = new Map();
+        this.subscribers = new Map();         // path -> Set of { callback, equals }
+        this.selectorSubscribers = new Set(); // { selector, callback, equals, value }
         this.history = [];
         this.maxHistorySize = 50;
+        this.historyIndex = -1;          // last applied entry; below history.length - 1 after travelling back
+        this.redoStacks = new Map();     // key -> entries undone with undo(key)
+        this.activeTransaction = null;   // { id, label, entries }
+        this.isTravelling = false;
+        this.nextEntryId = 1;
+        
+        this.reducers = new Map();       // key -> { reducer, persist }
+        this.middleware = [];
+        this.thunkContext = options.thunkContext || {};
+        this.pendingOptimistic = new Set(); // ids of optimistic actions waiting for their request
+        this.optimisticBase = null;      // reducer keys' values before the first pending optimistic action
+        this.optimisticLog = null;       // what changed those keys since, replayed on rollback
+        this.nextOptimisticId = 1;
         
         // Bind methods to maintain context
         this.setState = this.setState.bind(this);
         this.getState = this.getState.bind(this);
         this.subscribe = this.subscribe.bind(this);
         this.unsubscribe = this.unsubscribe.bind(this);
+        this.dispatch = this.dispatch.bind(this);
+        this.optimistic = this.optimistic.bind(this);
         
         this.init();
     }
@@ -78,6 +166,7 @@ class StateManager extends EventEmitter {
             popular: [],
             recent: [],
             favorites: [],
+            wishlist: [],
             library: [],
             currentGame: null,
             filters: {
@@ -130,8 +219,10 @@ class StateManager extends EventEmitter {
      * @param {*} value - New state value
      * @param {boolean} persist - Whether to persist to localStorage
      * @param {boolean} merge - Whether to merge with existing state
+     * @param {Object} options - { history: false } to leave the change out of the timeline
      */
-    setState(key, value, persist = false, merge = true) {
+    setState(key, value, persist = false, merge = true, options = {}) {
+        const { history = true } = options;
         const oldState = this.state.get(key);
         let newState;
         
@@ -141,8 +232,30 @@ class StateManager extends EventEmitter {
             newState = value;
         }
         
+        // A new change can't be followed by redoing older ones
+        if (history) {
+            this.redoStacks.delete(key);
+        }
+        this.logOptimisticChange(key, value, merge);
+        
+        return this.commitState(key, newState, { persist, history });
+    }
+    
+    /**
+     * Record, store and announce a new state value
+     * @param {string} key - State key
+     * @param {*} newState - New state value
+     * @param {Object} options - { persist, label, type, history }
+     * @returns {*} New state value
+     */
+    commitState(key, newState, options = {}) {
+        const { persist = false, label = null, type = 'change', history = true } = options;
+        const oldState = this.state.get(key);
+        
         // Add to history
-        this.addToHistory(key, oldState, newState);
+        if (history) {
+            this.addToHistory(key, oldState, newState, { label, type, persisted: persist });
+        }
         
         // Update state
         this.state.set(key, newState);
@@ -170,14 +283,32 @@ class StateManager extends EventEmitter {
     
     /**
      * Get state for a specific key
-     * @param {string} key - State key
+     * @param {string} key - State key, or a dot path such as 'ui.search.query'
      * @param {*} defaultValue - Default value if key doesn't exist
      * @returns {*} State value
      */
     getState(key, defaultValue = null) {
+        if (key.includes('.')) {
+            const [stateKey, ...path] = key.split('.');
+            const value = this.getIn(this.state.get(stateKey), path);
+            return value === undefined ? defaultValue : value;
+        }
+        
         return this.state.has(key) ? this.state.get(key) : defaultValue;
     }
     
+    /**
+     * Read a nested value
+     * @param {*} value - Object to read from
+     * @param {Array} path - Property names
+     * @returns {*} Value, or undefined when the path doesn't exist
+     */
+    getIn(value, path) {
+        return path.reduce((current, segment) => (
+            current === null || current === undefined ? undefined : current[segment]
+        ), value);
+    }
+    
     /**
      * Get all state
      * @returns {Object} All state as object
@@ -192,16 +323,27 @@ class StateManager extends EventEmitter {
     
     /**
      * Subscribe to state changes
-     * @param {string} key - State key to watch
+     * The callback gets (newValue, oldValue, path) and only runs when the
+     * watched value changes according to `equals`.
+     * @param {string|Function} key - State key, dot path, or selector (see createSelector)
      * @param {Function} callback - Callback function
+     * @param {Object} options - { equals: (a, b) => boolean }, Object.is by default
      * @returns {Function} Unsubscribe function
      */
-    subscribe(key, callback) {
+    subscribe(key, callback, options = {}) {
+        const equals = options.equals || Object.is;
+        
+        if (typeof key === 'function') {
+            const subscription = { selector: key, callback, equals, value: key() };
+            this.selectorSubscribers.add(subscription);
+            return () => this.selectorSubscribers.delete(subscription);
+        }
+        
         if (!this.subscribers.has(key)) {
             this.subscribers.set(key, new Set());
         }
         
-        this.subscribers.get(key).add(callback);
+        this.subscribers.get(key).add({ callback, equals });
         
         // Return unsubscribe function
         return () => this.unsubscribe(key, callback);
@@ -209,15 +351,29 @@ class StateManager extends EventEmitter {
     
     /**
      * Unsubscribe from state changes
-     * @param {string} key - State key
+     * @param {string|Function} key - State key, dot path or selector
      * @param {Function} callback - Callback function to remove
      */
     unsubscribe(key, callback) {
+        if (typeof key === 'function') {
+            this.selectorSubscribers.forEach((subscription) => {
+                if (subscription.selector === key && subscription.callback === callback) {
+                    this.selectorSubscribers.delete(subscription);
+                }
+            });
+            return;
+        }
+        
         if (this.subscribers.has(key)) {
-            this.subscribers.get(key).delete(callback);
+            const subscriptions = this.subscribers.get(key);
+            subscriptions.forEach((subscription) => {
+                if (subscription.callback === callback) {
+                    subscriptions.delete(subscription);
+                }
+            });
             
             // Clean up empty sets
-            if (this.subscribers.get(key).size === 0) {
+            if (subscriptions.size === 0) {
                 this.subscribers.delete(key);
             }
         }
@@ -233,75 +389,206 @@ class StateManager extends EventEmitter {
     
     /**
      * Notify subscribers of state changes
+     * Subscribers to the key and to paths inside it run when their value changed.
      * @param {string} key - State key
      * @param {*} newState - New state value
      * @param {*} oldState - Previous state value
      */
     notifySubscribers(key, newState, oldState) {
-        if (this.subscribers.has(key)) {
-            const callbacks = this.subscribers.get(key);
-            callbacks.forEach(callback => {
+        for (const [path, subscriptions] of [...this.subscribers.entries()]) {
+            if (path !== key && !path.startsWith(`${key}.`)) continue;
+            
+            const segments = path.split('.').slice(1);
+            const newValue = this.getIn(newState, segments);
+            const oldValue = this.getIn(oldState, segments);
+            
+            subscriptions.forEach(({ callback, equals }) => {
+                if (equals(newValue, oldValue)) return;
+                
                 try {
-                    callback(newState, oldState, key);
+                    callback(newValue, oldValue, path);
                 } catch (error) {
-                    console.error(`Error in state subscriber for ${key}:`, error);
+                    console.error(`Error in state subscriber for ${path}:`, error);
                 }
             });
         }
+        
+        this.notifySelectorSubscribers();
+    }
+    
+    /**
+     * Run selector subscribers whose selected value changed
+     */
+    notifySelectorSubscribers() {
+        this.selectorSubscribers.forEach((subscription) => {
+            try {
+                const value = subscription.selector();
+                if (subscription.equals(value, subscription.value)) return;
+                
+                const oldValue = subscription.value;
+                subscription.value = value;
+                subscription.callback(value, oldValue);
+            } catch (error) {
+                console.error('Error in state selector subscriber:', error);
+            }
+        });
+    }
+    
+    /**
+     * Create a memoized selector
+     * Inputs are state paths or other selectors. The result is recomputed
+     * only when an input changed, and the previous result is kept (same
+     * reference) when `equals` finds the new one equal.
+     * @param {Array} inputs - Paths or selectors, e.g. ['games.favorites', selectUser]
+     * @param {Function} combiner - Receives the input values, returns the selected value
+     * @param {Object} options - { equals: (a, b) => boolean }, Object.is by default
+     * @returns {Function} Selector, called without arguments
+     */
+    createSelector(inputs, combiner, options = {}) {
+        const equals = options.equals || Object.is;
+        let lastInputs = null;
+        let lastResult;
+        
+        return () => {
+            const values = inputs.map(input => (typeof input === 'function' ? input() : this.getState(input, undefined)));
+            
+            if (lastInputs && values.every((value, index) => Object.is(value, lastInputs[index]))) {
+                return lastResult;
+            }
+            
+            const result = combiner(...values);
+            if (!lastInputs || !equals(result, lastResult)) {
+                lastResult = result;
+            }
+            lastInputs = values;
+            
+            return lastResult;
+        };
+    }
+    
+    /**
+     * Compare two values one level deep, for `equals` options
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} Whether arrays have the same items, or objects the same properties
+     */
+    static shallowEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        
+        return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
     }
     
     /**
      * Deep merge two objects
+     * Branches the source doesn't change keep their identity (the target
+     * itself is returned when nothing changed), which is what lets path
+     * subscribers compare by reference.
      * @param {Object} target - Target object
      * @param {Object} source - Source object
      * @returns {Object} Merged object
      */
     deepMerge(target, source) {
         const result = { ...target };
+        let changed = false;
         
         for (const key in source) {
             if (source.hasOwnProperty(key)) {
-                if (
-                    typeof source[key] === 'object' && 
-                    source[key] !== null && 
-                    !Array.isArray(source[key]) &&
-                    typeof target[key] === 'object' &&
-                    target[key] !== null &&
-                    !Array.isArray(target[key])
-                ) {
+                if (this.isPlainObject(source[key]) && this.isPlainObject(target[key])) {
                     result[key] = this.deepMerge(target[key], source[key]);
                 } else {
                     result[key] = source[key];
                 }
+                
+                if (!Object.is(result[key], target[key]) || !(key in target)) {
+                    changed = true;
+                }
             }
         }
         
-        return result;
+        return changed ? result : target;
+    }
+    
+    /**
+     * Check for an object literal (Sets, Maps, Dates and arrays are replaced, not merged)
+     * @param {*} value - Value
+     * @returns {boolean} Plain object status
+     */
+    isPlainObject(value) {
+        if (typeof value !== 'object' || value === null) return false;
+        
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
     }
     
+    /* ===== HISTORY ===== */
+    
     /**
      * Add state change to history
      * @param {string} key - State key
      * @param {*} oldState - Previous state
      * @param {*} newState - New state
+     * @param {Object} details - { label, type: 'change'|'undo'|'redo', persisted }
      */
-    addToHistory(key, oldState, newState) {
-        this.history.push({
+    addToHistory(key, oldState, newState, details = {}) {
+        // Derived state (createComputed) recomputed while travelling isn't a change of its own
+        if (this.isTravelling) return;
+        
+        this.recordEntry({
+            type: details.type || 'change',
             key,
-            oldState: JSON.parse(JSON.stringify(oldState || {})),
-            newState: JSON.parse(JSON.stringify(newState)),
-            timestamp: Date.now()
+            label: details.label || this.activeTransaction?.label || null,
+            transaction: this.activeTransaction?.id || null,
+            persisted: Boolean(details.persisted),
+            oldState: this.snapshot(oldState),
+            newState: this.snapshot(newState)
         });
+    }
+    
+    /**
+     * Append an entry to the timeline
+     * Entries after the current position are discarded first.
+     * @param {Object} entry - History entry
+     * @returns {Object} Entry
+     */
+    recordEntry(entry) {
+        this.history.splice(this.historyIndex + 1);
+        
+        entry.id = this.nextEntryId++;
+        entry.timestamp = Date.now();
+        this.history.push(entry);
+        this.activeTransaction?.entries.push(entry);
         
         // Limit history size
         if (this.history.length > this.maxHistorySize) {
             this.history = this.history.slice(-this.maxHistorySize);
         }
+        this.historyIndex = this.history.length - 1;
+        
+        this.emit('historyChange', { entry, historyIndex: this.historyIndex });
+        return entry;
+    }
+    
+    /**
+     * Copy a state value for the history
+     * A serializer round trip, so models keep their class (structuredClone
+     * would turn them into plain objects). Functions are dropped.
+     * @param {*} value - State value
+     * @returns {*} Copy
+     */
+    snapshot(value) {
+        if (value === undefined) return undefined;
+        
+        return this.serializer.deserialize(this.serializer.serialize(value));
     }
     
     /**
      * Get state change history
-     * @param {string} key - Optional key to filter by
+     * @param {string} key - Optional key to filter by (checkpoints are left out)
      * @returns {Array} History entries
      */
     getHistory(key = null) {
@@ -312,22 +599,313 @@ class StateManager extends EventEmitter {
     }
     
     /**
-     * Undo last state change for a key
-     * @param {string} key - State key
+     * Clear the history, keeping the current state
+     */
+    clearHistory() {
+        this.history = [];
+        this.historyIndex = -1;
+        this.redoStacks.clear();
+        this.emit('historyChange', { entry: null, historyIndex: -1 });
+    }
+    
+    /**
+     * Undo a change
+     * Without a key, steps the timeline back over the last change or
+     * transaction (see travelTo). With a key, reverts the last change to that
+     * key as a new change, leaving other keys alone.
+     * @param {string} key - Optional state key
+     * @returns {boolean} Success status
+     */
+    undo(key = null) {
+        if (!key) {
+            const index = this.findStep(-1);
+            return index === null ? false : this.travelTo(index);
+        }
+        
+        const entry = this.history
+            .slice(0, this.historyIndex + 1)
+            .reverse()
+            .find(candidate => candidate.key === key && candidate.type === 'change' && !candidate.undone);
+        
+        if (!entry) {
+            return false;
+        }
+        
+        entry.undone = true;
+        if (!this.redoStacks.has(key)) {
+            this.redoStacks.set(key, []);
+        }
+        this.redoStacks.get(key).push(entry);
+        
+        this.commitState(key, this.snapshot(entry.oldState), { label: 'Undo', type: 'undo' });
+        
+        return true;
+    }
+    
+    /**
+     * Redo a change
+     * Without a key, steps the timeline forward after undo() or travelTo();
+     * with a key, reapplies the last change undone with undo(key).
+     * @param {string} key - Optional state key
+     * @returns {boolean} Success status
+     */
+    redo(key = null) {
+        if (!key) {
+            const index = this.findStep(1);
+            return index === null ? false : this.travelTo(index);
+        }
+        
+        const entry = this.redoStacks.get(key)?.pop();
+        if (!entry) {
+            return false;
+        }
+        
+        entry.undone = false;
+        this.commitState(key, this.snapshot(entry.newState), { label: 'Redo', type: 'redo' });
+        
+        return true;
+    }
+    
+    /**
+     * Find where undo() or redo() without a key should travel to
+     * Checkpoints are stepped over and transactions are one step.
+     * @param {number} direction - -1 for back, 1 for forward
+     * @returns {number|null} History index, or null at either end
+     */
+    findStep(direction) {
+        let index = direction < 0 ? this.historyIndex : this.historyIndex + 1;
+        
+        while (this.history[index]?.type === 'checkpoint') {
+            index += direction;
+        }
+        
+        const entry = this.history[index];
+        if (!entry) {
+            return null;
+        }
+        
+        while (entry.transaction && this.history[index + direction]?.transaction === entry.transaction) {
+            index += direction;
+        }
+        
+        return direction < 0 ? index - 1 : index;
+    }
+    
+    /**
+     * Restore the state as it was right after a history entry
+     * Keys changed between the current position and the target are set
+     * and their subscribers notified; the history itself is kept, so
+     * travelling forward again works until the next change.
+     * @param {number} historyIndex - Entry index, or -1 for before the first entry
      * @returns {boolean} Success status
      */
-    undo(key) {
-        const keyHistory = this.getHistory(key);
-        if (keyHistory.length < 2) {
+    travelTo(historyIndex) {
+        if (!Number.isInteger(historyIndex) || historyIndex < -1 || historyIndex >= this.history.length || this.activeTransaction) {
             return false;
         }
         
-        const previousEntry = keyHistory[keyHistory.length - 2];
-        this.setState(key, previousEntry.newState, false, false);
+        if (historyIndex === this.historyIndex) {
+            return true;
+        }
+        
+        const keys = new Set(this.history.filter(entry => entry.key !== null).map(entry => entry.key));
+        
+        this.isTravelling = true;
+        try {
+            keys.forEach((key) => {
+                const current = this.getHistoryValue(key, this.historyIndex);
+                const target = this.getHistoryValue(key, historyIndex);
+                
+                if (current.entry !== target.entry || current.field !== target.field) {
+                    this.applyState(key, target.entry[target.field]);
+                }
+            });
+        } finally {
+            this.isTravelling = false;
+        }
+        
+        this.historyIndex = historyIndex;
+        this.emit('timeTravel', { historyIndex, entry: this.history[historyIndex] || null });
+        this.emit('historyChange', { entry: null, historyIndex });
         
         return true;
     }
     
+    /**
+     * Find a key's value at a point in the history
+     * @param {string} key - State key
+     * @param {number} historyIndex - Entry index
+     * @returns {Object} { entry, field }: the value is entry[field]
+     */
+    getHistoryValue(key, historyIndex) {
+        for (let index = historyIndex; index >= 0; index--) {
+            if (this.history[index].key === key) {
+                return { entry: this.history[index], field: 'newState' };
+            }
+        }
+        
+        // Not changed yet at that point: the value before its first later change
+        const entry = this.history.find((candidate, index) => index > historyIndex && candidate.key === key);
+        return { entry, field: 'oldState' };
+    }
+    
+    /**
+     * Set a key without recording history (time travel and rollbacks)
+     * @param {string} key - State key
+     * @param {*} value - History snapshot, undefined to remove the key
+     */
+    applyState(key, value) {
+        const oldState = this.state.get(key);
+        const newState = this.snapshot(value);
+        
+        if (newState === undefined) {
+            this.state.delete(key);
+        } else {
+            this.state.set(key, newState);
+        }
+        
+        this.notifySubscribers(key, newState, oldState);
+        this.emit('stateChange', {
+            key,
+            newState,
+            oldState,
+            timeTravel: true,
+            timestamp: Date.now()
+        });
+    }
+    
+    /**
+     * Group changes so they are undone as one step
+     * fn runs synchronously; if it throws, its changes are rolled back and
+     * removed from the history before the error is rethrown. A transaction
+     * started inside another one joins it.
+     * @param {string} label - Label shown in the history
+     * @param {Function} fn - Makes the changes
+     * @returns {*} fn's return value
+     */
+    transaction(label, fn) {
+        if (this.activeTransaction) {
+            return fn();
+        }
+        
+        this.activeTransaction = { id: this.nextEntryId, label, entries: [] };
+        
+        try {
+            return fn();
+        } catch (error) {
+            this.rollback(this.activeTransaction.entries);
+            throw error;
+        } finally {
+            this.activeTransaction = null;
+        }
+    }
+    
+    /**
+     * Undo and forget a failed transaction's changes
+     * @param {Array} entries - The transaction's entries
+     */
+    rollback(entries) {
+        this.isTravelling = true;
+        try {
+            [...entries].reverse().forEach((entry) => {
+                this.applyState(entry.key, entry.oldState);
+                
+                if (entry.persisted) {
+                    this.persistState(entry.key, entry.oldState);
+                }
+            });
+        } finally {
+            this.isTravelling = false;
+        }
+        
+        this.history = this.history.filter(entry => !entries.includes(entry));
+        this.historyIndex = this.history.length - 1;
+        this.emit('historyChange', { entry: null, historyIndex: this.historyIndex });
+    }
+    
+    /**
+     * Mark the current point in the history
+     * @param {string} label - Checkpoint name
+     * @returns {number} History index of the checkpoint
+     */
+    checkpoint(label) {
+        this.recordEntry({ type: 'checkpoint', key: null, label });
+        return this.historyIndex;
+    }
+    
+    /**
+     * Find the latest checkpoint with a label
+     * @param {string} label - Checkpoint name
+     * @returns {number|null} History index, or null when it's gone (or never existed)
+     */
+    getCheckpointIndex(label) {
+        for (let index = this.history.length - 1; index >= 0; index--) {
+            if (this.history[index].type === 'checkpoint' && this.history[index].label === label) {
+                return index;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * List the changes between two values
+     * Plain objects are compared property by property; anything else
+     * (arrays, Sets, Maps, Dates) is reported as changed as a whole.
+     * @param {*} oldValue - Previous value
+     * @param {*} newValue - New value
+     * @param {string} path - Path of the values, for nested calls
+     * @returns {Array} Changes: { path, type: 'added'|'removed'|'changed', oldValue, newValue }
+     */
+    diff(oldValue, newValue, path = '') {
+        if (this.isPlainObject(oldValue) && this.isPlainObject(newValue)) {
+            const keys = new Set([...Object.keys(oldValue), ...Object.keys(newValue)]);
+            
+            return [...keys].flatMap((key) => {
+                const childPath = path ? `${path}.${key}` : key;
+                
+                if (!(key in oldValue)) {
+                    return [{ path: childPath, type: 'added', oldValue: undefined, newValue: newValue[key] }];
+                }
+                if (!(key in newValue)) {
+                    return [{ path: childPath, type: 'removed', oldValue: oldValue[key], newValue: undefined }];
+                }
+                return this.diff(oldValue[key], newValue[key], childPath);
+            });
+        }
+        
+        if (this.isEqual(oldValue, newValue)) {
+            return [];
+        }
+        
+        const type = oldValue === undefined ? 'added' : newValue === undefined ? 'removed' : 'changed';
+        return [{ path, type, oldValue, newValue }];
+    }
+    
+    /**
+     * Compare two values deeply
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} Equality status
+     */
+    isEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+        
+        if (a instanceof Date) {
+            return a.getTime() === b.getTime();
+        }
+        if (a instanceof Set || a instanceof Map) {
+            const entriesA = [...a.entries()];
+            const entriesB = [...b.entries()];
+            return entriesA.length === entriesB.length && entriesA.every((entry, index) => this.isEqual(entry, entriesB[index]));
+        }
+        
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length && keysA.every(key => key in b && this.isEqual(a[key], b[key]));
+    }
+    
     /**
      * Reset state to default
      * @param {string} key - Optional key to reset, or reset all if not provided
@@ -340,10 +918,205 @@ class StateManager extends EventEmitter {
         } else {
             this.state.clear();
             this.setupDefaultState();
+            this.clearHistory();
             this.emit('stateReset', { timestamp: Date.now() });
         }
     }
     
+    /* ===== ACTIONS ===== */
+    
+    /**
+     * Let a reducer manage a key
+     * The reducer gets (state, action) for every action and returns the key's
+     * next value, or the same value when the action doesn't concern it. It
+     * must not change its arguments: rollbacks replay actions through it.
+     * @param {string} key - State key
+     * @param {Function} reducer - (state, action) => state
+     * @param {Object} options - { persist: save the key after each change and restore it now }
+     * @returns {Function} Unregister function
+     */
+    registerReducer(key, reducer, options = {}) {
+        const persist = Boolean(options.persist);
+        this.reducers.set(key, { reducer, persist });
+        
+        // Reducers register after startup, so their saved value is loaded here
+        if (persist) {
+            if (!this.persistedSchemas[key]) {
+                this.persistedSchemas[key] = { version: 1, migrations: {} };
+            }
+            this.loadPersistedKey(key);
+        }
+        
+        return () => this.reducers.delete(key);
+    }
+    
+    /**
+     * Add middleware
+     * Middleware has the signature store => next => action, where store is
+     * { dispatch, getState }. Call next(action) to pass the action on (or a
+     * different one), or don't to swallow it. Thunks don't go through middleware.
+     * @param {Function} middleware - Middleware
+     * @returns {Function} Remove function
+     */
+    use(middleware) {
+        this.middleware.push(middleware);
+        return () => {
+            this.middleware = this.middleware.filter(candidate => candidate !== middleware);
+        };
+    }
+    
+    /**
+     * Add values thunks receive as their third argument (e.g. { api })
+     * @param {Object} context - Values to add
+     */
+    setThunkContext(context) {
+        this.thunkContext = { ...this.thunkContext, ...context };
+    }
+    
+    /**
+     * Dispatch an action
+     * Plain actions ({ type: 'wishlist/add', ... }) go through the middleware
+     * to the reducers; their changes are one step in the history, labelled
+     * with the action type. Functions are thunks, called with (dispatch,
+     * getState, context), where context is the thunk context plus optimistic().
+     * @param {Object|Function} action - Action or thunk
+     * @returns {*} The action, or the thunk's return value
+     */
+    dispatch(action) {
+        if (typeof action === 'function') {
+            return action(this.dispatch, this.getState, { ...this.thunkContext, optimistic: this.optimistic });
+        }
+        
+        if (!this.isPlainObject(action) || typeof action.type !== 'string') {
+            throw new TypeError('Actions must be plain objects with a string type');
+        }
+        
+        const store = { dispatch: this.dispatch, getState: this.getState };
+        const run = this.middleware.reduceRight((next, middleware) => middleware(store)(next), next => this.reduce(next));
+        
+        return run(action);
+    }
+    
+    /**
+     * Run an action through the reducers
+     * @param {Object} action - Action
+     * @returns {Object} Action
+     */
+    reduce(action) {
+        this.optimisticLog?.push({ action });
+        
+        this.transaction(action.type, () => {
+            this.reducers.forEach(({ reducer, persist }, key) => {
+                const oldState = this.state.get(key);
+                const newState = reducer(oldState, action);
+                
+                if (newState !== oldState) {
+                    this.redoStacks.delete(key);
+                    this.commitState(key, newState, { persist, label: action.type });
+                }
+            });
+        });
+        
+        this.emit('action', { action, timestamp: Date.now() });
+        return action;
+    }
+    
+    /**
+     * Apply an action now and undo it if its request fails
+     * The action is dispatched with meta.optimistic set to an id. If the
+     * request rejects, the reducer keys are rebuilt from before the action
+     * with everything dispatched (or set) since replayed, so later changes
+     * survive the rollback.
+     * @param {Object} action - Action
+     * @param {Function|Promise} request - The request, or a function starting it
+     * @returns {Promise<*>} The request's result; rejects with its error after the rollback
+     */
+    async optimistic(action, request) {
+        const id = this.nextOptimisticId++;
+        
+        if (!this.optimisticLog) {
+            this.optimisticBase = new Map([...this.reducers.keys()].map(key => [key, this.state.get(key)]));
+            this.optimisticLog = [];
+        }
+        this.pendingOptimistic.add(id);
+        
+        try {
+            this.dispatch({ ...action, meta: { ...action.meta, optimistic: id } });
+            const result = await (typeof request === 'function' ? request() : request);
+            this.settleOptimistic(id, false);
+            return result;
+        } catch (error) {
+            this.settleOptimistic(id, true);
+            throw error;
+        }
+    }
+    
+    /**
+     * Finish an optimistic action, rolling it back if it failed
+     * @param {number} id - Optimistic action id
+     * @param {boolean} failed - Whether the request failed
+     */
+    settleOptimistic(id, failed) {
+        const index = this.optimisticLog.findIndex(entry => entry.action?.meta?.optimistic === id);
+        
+        // Middleware may have swallowed the action: nothing to roll back
+        if (failed && index !== -1) {
+            const [{ action }] = this.optimisticLog.splice(index, 1);
+            this.replayOptimisticLog(`${action.type} (rolled back)`);
+            this.emit('actionRolledBack', { action, timestamp: Date.now() });
+        }
+        
+        this.pendingOptimistic.delete(id);
+        if (this.pendingOptimistic.size === 0) {
+            this.optimisticBase = null;
+            this.optimisticLog = null;
+        }
+    }
+    
+    /**
+     * Rebuild the reducer keys from the optimistic base and log
+     * @param {string} label - History label
+     */
+    replayOptimisticLog(label) {
+        const states = new Map(this.optimisticBase);
+        
+        this.optimisticLog.forEach((entry) => {
+            if (entry.action) {
+                this.reducers.forEach(({ reducer }, key) => {
+                    states.set(key, reducer(states.has(key) ? states.get(key) : this.state.get(key), entry.action));
+                });
+            } else {
+                const current = states.get(entry.key);
+                states.set(entry.key, entry.merge && this.isPlainObject(current) && this.isPlainObject(entry.value)
+                    ? this.deepMerge(current, entry.value)
+                    : entry.value);
+            }
+        });
+        
+        this.transaction(label, () => {
+            states.forEach((value, key) => {
+                if (!this.isEqual(value, this.state.get(key))) {
+                    this.redoStacks.delete(key);
+                    this.commitState(key, value, { persist: this.reducers.get(key)?.persist, label });
+                }
+            });
+        });
+    }
+    
+    /**
+     * Remember a setState() change to a reducer key while optimistic actions are pending
+     * @param {string} key - State key
+     * @param {*} value - Value passed to setState
+     * @param {boolean} merge - Whether it was merged
+     */
+    logOptimisticChange(key, value, merge) {
+        if (this.optimisticLog && this.reducers.has(key)) {
+            this.optimisticLog.push({ key, value, merge });
+        }
+    }
+    
+    /* ===== PERSISTENCE ===== */
+    
     /**
      * Persist state to localStorage
      * @param {string} key - State key
@@ -351,8 +1124,8 @@ class StateManager extends EventEmitter {
      */
     persistState(key, value) {
         try {
-            const serialized = JSON.stringify(value);
-            localStorage.setItem(`gameVault_state_${key}`, serialized);
+            const serialized = this.serializer.serialize({ version: this.getSchemaVersion(key), data: value });
+            this.storage.setItem(`gameVault_state_${key}`, serialized);
         } catch (error) {
             console.error(`Failed to persist state for ${key}:`, error);
         }
@@ -360,21 +1133,137 @@ class StateManager extends EventEmitter {
     
     /**
      * Load persisted state from localStorage
+     * Unreadable payloads are quarantined and the key keeps its defaults.
      */
     loadPersistedState() {
-        const persistentKeys = ['user', 'app'];
+        Object.keys(this.persistedSchemas).forEach(key => this.loadPersistedKey(key));
+    }
+    
+    /**
+     * Load one persisted key from localStorage
+     * @param {string} key - State key
+     */
+    loadPersistedKey(key) {
+        const stored = this.storage.getItem(`gameVault_state_${key}`);
+        if (!stored) return;
         
-        persistentKeys.forEach(key => {
-            try {
-                const stored = localStorage.getItem(`gameVault_state_${key}`);
-                if (stored) {
-                    const parsed = JSON.parse(stored);
-                    this.setState(key, parsed, false, true);
-                }
-            } catch (error) {
-                console.error(`Failed to load persisted state for ${key}:`, error);
+        try {
+            const { data, version } = this.decodePersistedState(key, stored);
+            
+            if (data === undefined) return;
+            
+            // Save the upgraded payload so the migrations run once
+            if (version < this.getSchemaVersion(key)) {
+                this.persistState(key, data);
             }
-        });
+            
+            this.setState(key, data, false, true);
+        } catch (error) {
+            this.quarantineState(key, stored, error);
+        }
+    }
+    
+    /**
+     * Parse, upgrade and validate a stored payload
+     * @param {string} key - State key
+     * @param {string} stored - Stored string
+     * @returns {Object} { data, version }: data is undefined for payloads from a newer schema
+     * @throws {Error} When the payload can't be parsed, migrated or validated
+     */
+    decodePersistedState(key, stored) {
+        const parsed = this.serializer.deserialize(stored);
+        const schema = this.persistedSchemas[key] || {};
+        const currentVersion = this.getSchemaVersion(key);
+        
+        // Payloads saved before versioning are the data itself
+        const isEnvelope = this.isPlainObject(parsed) && Number.isInteger(parsed.version) && 'data' in parsed;
+        const version = isEnvelope ? parsed.version : 0;
+        let data = isEnvelope ? parsed.data : parsed;
+        
+        if (version > currentVersion) {
+            // Written by a newer version of the app (e.g. in another tab): leave it for that version
+            console.warn(`Ignoring persisted state for ${key}: schema version ${version} is newer than ${currentVersion}`);
+            return { data: undefined, version };
+        }
+        
+        for (let from = version; from < currentVersion; from++) {
+            const migrate = schema.migrations?.[from];
+            if (!migrate) {
+                throw new Error(`No migration for ${key} from version ${from}`);
+            }
+            data = migrate(data);
+        }
+        
+        const isValid = schema.validate ? schema.validate(data) : this.isPlainObject(data);
+        if (!isValid) {
+            throw new Error(`Persisted state for ${key} failed validation`);
+        }
+        
+        return { data, version };
+    }
+    
+    /**
+     * Current schema version of a persisted key
+     * @param {string} key - State key
+     * @returns {number} Version (1 for keys without a schema)
+     */
+    getSchemaVersion(key) {
+        return this.persistedSchemas[key]?.version || 1;
+    }
+    
+    /**
+     * Register a migration for a persisted key
+     * Registering the migration from the current version bumps the version.
+     * @param {string} key - State key
+     * @param {number} fromVersion - Version the migration upgrades from
+     * @param {Function} migrate - Receives the old data, returns data for fromVersion + 1
+     */
+    registerMigration(key, fromVersion, migrate) {
+        if (!this.persistedSchemas[key]) {
+            this.persistedSchemas[key] = { version: 1, migrations: {} };
+        }
+        
+        const schema = this.persistedSchemas[key];
+        schema.migrations = { ...schema.migrations, [fromVersion]: migrate };
+        schema.version = Math.max(schema.version, fromVersion + 1);
+    }
+    
+    /**
+     * Move an unreadable payload out of the way
+     * The raw string is kept under gameVault_quarantine_<key> for debugging
+     * (only the latest one per key) and removed from the state key.
+     * @param {string} key - State key
+     * @param {string} stored - Stored string
+     * @param {Error} error - Why it couldn't be read
+     */
+    quarantineState(key, stored, error) {
+        console.warn(`Quarantined persisted state for ${key}:`, error);
+        
+        try {
+            this.storage.setItem(`gameVault_quarantine_${key}`, JSON.stringify({
+                raw: stored,
+                reason: error.message,
+                quarantinedAt: Date.now()
+            }));
+        } catch (storageError) {
+            // Storage full: dropping the payload still unblocks the app
+        }
+        
+        this.storage.removeItem(`gameVault_state_${key}`);
+        this.emit('stateQuarantined', { key, error });
+    }
+    
+    /**
+     * Get a quarantined payload
+     * @param {string} key - State key
+     * @returns {Object|null} { raw, reason, quarantinedAt }
+     */
+    getQuarantinedState(key) {
+        try {
+            return JSON.parse(this.storage.getItem(`gameVault_quarantine_${key}`));
+        } catch (error) {
+            return null;
+        }
     }
     
     /**
@@ -385,12 +1274,14 @@ class StateManager extends EventEmitter {
             if (event.key && event.key.startsWith('gameVault_state_')) {
                 const key = event.key.replace('gameVault_state_', '');
                 try {
-                    const newValue = event.newValue ? JSON.parse(event.newValue) : null;
+                    const { data: newValue } = event.newValue ? this.decodePersistedState(key, event.newValue) : {};
                     if (newValue) {
-                        this.setState(key, newValue, false, false);
+                        // Another tab's change, not one made here: keep it out of this tab's history
+                        this.setState(key, newValue, false, false, { history: false });
                         this.emit('stateSync', { key, value: newValue });
                     }
                 } catch (error) {
+                    // The writing tab owns the payload; just don't apply it here
                     console.error(`Failed to sync state for ${key}:`, error);
                 }
             }
@@ -405,18 +1296,24 @@ class StateManager extends EventEmitter {
     batchUpdate(updates, persist = false) {
         const changes = [];
         
-        Object.entries(updates).forEach(([key, value]) => {
-            const oldState = this.state.get(key);
-            const newState = typeof oldState === 'object' && typeof value === 'object' 
-                ? this.deepMerge(oldState, value) 
-                : value;
-            
-            this.state.set(key, newState);
-            changes.push({ key, newState, oldState });
-            
-            if (persist) {
-                this.persistState(key, newState);
-            }
+        // One step in the history
+        this.transaction('Batch update', () => {
+            Object.entries(updates).forEach(([key, value]) => {
+                const oldState = this.state.get(key);
+                const newState = typeof oldState === 'object' && typeof value === 'object' 
+                    ? this.deepMerge(oldState, value) 
+                    : value;
+                
+                this.addToHistory(key, oldState, newState, { persisted: persist });
+                this.redoStacks.delete(key);
+                this.logOptimisticChange(key, value, true);
+                this.state.set(key, newState);
+                changes.push({ key, newState, oldState });
+                
+                if (persist) {
+                    this.persistState(key, newState);
+                }
+            });
         });
         
         // Notify all subscribers after batch update
@@ -430,7 +1327,7 @@ class StateManager extends EventEmitter {
     /**
      * Create a computed state that derives from other states
      * @param {string} key - Computed state key
-     * @param {Array} dependencies - Keys this computed state depends on
+     * @param {Array} dependencies - Keys or dot paths this computed state depends on
      * @param {Function} computeFn - Function to compute the value
      */
     createComputed(key, dependencies, computeFn) {
@@ -458,8 +1355,9 @@ class StateManager extends EventEmitter {
             stateKeys: Array.from(this.state.keys()),
             subscriberCount: Array.from(this.subscribers.entries()).reduce((total, [key, callbacks]) => {
                 return total + callbacks.size;
-            }, 0),
+            }, this.selectorSubscribers.size),
             historyLength: this.history.length,
+            historyIndex: this.historyIndex,
             memoryUsage: this.calculateMemoryUsage()
         };
     }
@@ -484,7 +1382,12 @@ class StateManager extends EventEmitter {
     destroy() {
         this.state.clear();
         this.subscribers.clear();
+        this.selectorSubscribers.clear();
         this.history = [];
+        this.historyIndex = -1;
+        this.redoStacks.clear();
+        this.reducers.clear();
+        this.middleware = [];
         this.removeAllListeners();
         
         console.log('StateManager destroyed');
@@ -492,4 +1395,5 @@ class StateManager extends EventEmitter {
 }
 
 // Export for global access
+window.PersistedStateSchemas = PersistedStateSchemas;
 window.StateManager = StateManager;
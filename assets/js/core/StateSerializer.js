@@ -0,0 +1,159 @@
+/* ==============================================
+   STATE SERIALIZER
+   ============================================== */
+
+/**
+ * Turns state into a string and back without losing types
+ * Plain JSON turns Sets and Maps into {} and Dates into strings, and the
+ * models' toJSON() returns a string of its own. Values of a registered type
+ * are written as { $type, value } and rebuilt when parsed; Set, Map, Date,
+ * Game, User and Review are registered by default.
+ *
+ * StateManager uses it for persistence, cross-tab sync and history
+ * snapshots. Pass your own as `serializer` (anything with serialize() and
+ * deserialize()), or register more types.
+ *
+ * Usage:
+ * const serializer = new StateSerializer();
+ * serializer.register({
+ *   name: 'Money',
+ *   test: value => value instanceof Money,
+ *   toValue: money => [money.amount, money.currency],
+ *   fromValue: ([amount, currency]) => new Money(amount, currency)
+ * });
+ * const copy = serializer.deserialize(serializer.serialize({ tags: new Set(['rpg']) }));
+ */
+
+class StateSerializer {
+    constructor(options = {}) {
+        this.types = [];
+        
+        (options.types || StateSerializer.defaultTypes()).forEach(type => this.register(type));
+    }
+    
+    /**
+     * Types every serializer knows
+     * Models are looked up when used, since they load after this file.
+     * @returns {Array} Type definitions
+     */
+    static defaultTypes() {
+        return [
+            {
+                name: 'Date',
+                test: value => value instanceof Date,
+                toValue: date => date.getTime(), // NaN (invalid date) becomes null
+                fromValue: time => new Date(time ?? NaN)
+            },
+            {
+                name: 'Set',
+                test: value => value instanceof Set,
+                toValue: set => [...set],
+                fromValue: items => new Set(items)
+            },
+            {
+                name: 'Map',
+                test: value => value instanceof Map,
+                toValue: map => [...map.entries()],
+                fromValue: entries => new Map(entries)
+            },
+            {
+                name: 'Game',
+                test: value => typeof Game !== 'undefined' && value instanceof Game,
+                toValue: game => game.toObject(true),
+                fromValue: data => Game.fromObject(data)
+            },
+            {
+                name: 'User',
+                test: value => typeof User !== 'undefined' && value instanceof User,
+                toValue: user => user.toObject(true),
+                fromValue: data => User.fromObject(data)
+            },
+            {
+                name: 'Review',
+                test: value => typeof Review !== 'undefined' && value instanceof Review,
+                toValue: review => review.toObject(true),
+                fromValue: data => Review.fromObject(data)
+            }
+        ];
+    }
+    
+    /**
+     * Add a type, or replace the one with the same name
+     * Registered types are tried before the earlier ones.
+     * @param {Object} type - { name, test(value), toValue(value), fromValue(encoded) }
+     */
+    register(type) {
+        this.types = [type, ...this.types.filter(existing => existing.name !== type.name)];
+    }
+    
+    /**
+     * Serialize a value
+     * @param {*} value - Value
+     * @returns {string} JSON
+     */
+    serialize(value) {
+        const serializer = this;
+        
+        // A function, not an arrow: `this` is the holder, whose property hasn't
+        // been through toJSON() yet (Dates and models have their own)
+        return JSON.stringify(value, function (key, current) {
+            return serializer.encode(this[key], current);
+        });
+    }
+    
+    /**
+     * Encode one value for JSON.stringify
+     * @param {*} raw - Original value
+     * @param {*} current - Value after toJSON()
+     * @returns {*} Value to write
+     */
+    encode(raw, current) {
+        const type = this.types.find(candidate => candidate.test(raw));
+        
+        if (type) {
+            return { $type: type.name, value: type.toValue(raw) };
+        }
+        
+        // Keep data that happens to have a $type from being read as a typed value
+        if (current && typeof current === 'object' && !Array.isArray(current) && Object.prototype.hasOwnProperty.call(current, '$type')) {
+            return { $type: 'Object', value: Object.entries(current) };
+        }
+        
+        return current;
+    }
+    
+    /**
+     * Parse a serialized value
+     * @param {string} text - JSON
+     * @returns {*} Value
+     * @throws {Error} When the JSON is invalid or uses an unknown type
+     */
+    deserialize(text) {
+        return JSON.parse(text, (key, value) => this.decode(value));
+    }
+    
+    /**
+     * Rebuild one parsed value (children are rebuilt first)
+     * @param {*} value - Parsed value
+     * @returns {*} Value
+     */
+    decode(value) {
+        if (!value || typeof value !== 'object' || typeof value.$type !== 'string' || !('value' in value)) {
+            return value;
+        }
+        
+        if (value.$type === 'Object') {
+            return Object.fromEntries(value.value);
+        }
+        
+        const type = this.types.find(candidate => candidate.name === value.$type);
+        if (!type) {
+            throw new Error(`Unknown serialized type: ${value.$type}`);
+        }
+        
+        return type.fromValue(value.value);
+    }
+}
+
+// Export for global access
+window.StateSerializer = StateSerializer;
@@ -107,8 +107,47 @@ class GameVault {
                 console.warn('StateManager not available');
             }
             
+            if (typeof ApiService !== 'undefined') {
+                this.components.apiService = new ApiService(window.GAMEVAULT_API_URL || '', {
+                    persistentCache: this.createPersistentCache(),
+                    scheduler: this.createRequestScheduler()
+                });
+                console.log('ApiService initialized');
+                
+                // No backend configured: answer API requests from local fixtures
+                if (!window.GAMEVAULT_API_URL && typeof MockServer !== 'undefined') {
+                    this.components.mockServer = this.createMockServer(this.components.apiService);
+                    console.log('MockServer installed');
+                }
+                
+                // Responses are checked against their schema before models are built from them.
+                // Development fails on a mismatch; production only records it in telemetry.
+                if (typeof ResponseValidator !== 'undefined') {
+                    this.components.responseValidator = new ResponseValidator({ strict: this.isDevMode() });
+                    this.components.responseValidator.attach(this.components.apiService);
+                }
+                
+                if (typeof GamesApi !== 'undefined') {
+                    this.components.api = {
+                        games: new GamesApi(this.components.apiService),
+                        users: new UsersApi(this.components.apiService),
+                        reviews: new ReviewsApi(this.components.apiService)
+                    };
+                }
+            } else {
+                console.warn('ApiService not available');
+            }
+            
+            // Wishlist and favorites go through actions, applied optimistically
+            if (this.components.stateManager && typeof GameListActions !== 'undefined') {
+                this.setupStateActions(this.components.stateManager);
+            }
+            
             if (typeof AuthManager !== 'undefined') {
-                this.components.authManager = new AuthManager();
+                this.components.authManager = new AuthManager({
+                    provider: this.createAuthProvider(),
+                    apiService: this.components.apiService
+                });
                 console.log('AuthManager initialized');
             } else {
                 console.warn('AuthManager not available');
@@ -116,11 +155,65 @@ class GameVault {
                 this.createAuthFallback();
             }
             
+            // After AuthManager: requests left from a previous visit replay as the restored user
+            if (typeof OfflineQueue !== 'undefined' && this.components.apiService) {
+                this.components.offlineQueue = new OfflineQueue({
+                    apiService: this.components.apiService,
+                    stateManager: this.components.stateManager,
+                    getUserId: () => this.components.authManager?.currentUser?.id ?? null
+                });
+                this.bindOfflineQueueEvents(this.components.offlineQueue);
+                console.log('OfflineQueue initialized');
+            }
+            
+            if (typeof IdleMonitor !== 'undefined' && this.components.stateManager && this.components.authManager) {
+                this.components.idleMonitor = new IdleMonitor({
+                    stateManager: this.components.stateManager,
+                    authManager: this.components.authManager,
+                    idleTimeout: window.GAMEVAULT_IDLE_TIMEOUT || 15 * 60 * 1000
+                });
+                console.log('IdleMonitor initialized');
+            }
+            
+            if (typeof RealtimeClient !== 'undefined' && this.components.apiService) {
+                this.components.realtime = this.createRealtimeClient();
+                
+                if (this.components.realtime) {
+                    this.components.realtimeSync = new RealtimeSync({
+                        client: this.components.realtime,
+                        stateManager: this.components.stateManager
+                    });
+                    this.bindRealtimeEvents(this.components.realtime);
+                    this.components.realtime.connect();
+                    console.log('RealtimeClient initialized');
+                }
+            }
+            
             // Initialize other components that are already loaded
             this.components.theme = window.themeManager;
             this.components.navigation = window.navigationManager;
             this.components.animation = window.animationManager;
             this.components.search = window.searchManager;
+            
+            // Search through the API (real or mocked), the bundled data otherwise
+            if (this.isApiAvailable() && this.components.search) {
+                this.components.search.setApiService(this.components.apiService);
+            }
+            
+            // File inputs with data-upload-url upload through the API
+            if (this.isApiAvailable() && window.formEventManager) {
+                window.formEventManager.setApiService(this.components.apiService);
+            }
+            
+            // Request inspector (Alt+Shift+D), in development or when GAMEVAULT_DEVTOOLS is set
+            if (typeof DevOverlay !== 'undefined' && this.components.apiService?.telemetry && this.isDevMode()) {
+                this.components.devOverlay = new DevOverlay({ telemetry: this.components.apiService.telemetry });
+            }
+            
+            // State timeline (Alt+Shift+T): history, diffs and time travel
+            if (typeof StateTimeline !== 'undefined' && this.components.stateManager && this.isDevMode()) {
+                this.components.stateTimeline = new StateTimeline({ stateManager: this.components.stateManager });
+            }
             this.components.carousels = window.carouselInstances || [];
             
             console.log('GameVault components initialized:', this.components);
@@ -131,6 +224,172 @@ class GameVault {
         }
     }
     
+    /**
+     * Create the persistent layer of the API response cache
+     * @returns {PersistentCache|null} Persistent cache, or null when unavailable
+     */
+    createPersistentCache() {
+        if (typeof PersistentCache === 'undefined') {
+            return null;
+        }
+        
+        return new PersistentCache({
+            store: IndexedDBCacheStore.isSupported() ? new IndexedDBCacheStore() : new LocalStorageCacheStore(),
+            maxEntries: 200,
+            maxBytes: 5 * 1024 * 1024
+        });
+    }
+    
+    /**
+     * Create the scheduler that limits API requests in flight
+     * Search is called as the user types, so it gets its own rate limit.
+     * @returns {RequestScheduler|undefined} Scheduler, or undefined for ApiService's default
+     */
+    createRequestScheduler() {
+        if (typeof RequestScheduler === 'undefined') {
+            return undefined;
+        }
+        
+        return new RequestScheduler({
+            maxConcurrent: 6,
+            rateLimits: {
+                'GET /search': { capacity: 3, refillRate: 2 },
+                'GET /games': { capacity: 10, refillRate: 5 }
+            }
+        });
+    }
+    
+    /**
+     * Check whether API requests have a backend (real or mocked) to answer them
+     * @returns {boolean} Availability
+     */
+    isApiAvailable() {
+        return Boolean(this.components.apiService && (window.GAMEVAULT_API_URL || this.components.mockServer));
+    }
+    
+    /**
+     * Register reducers and middleware, and give thunks the API
+     * @param {StateManager} stateManager - State manager
+     */
+    setupStateActions(stateManager) {
+        stateManager.registerReducer('games', gameListsReducer);
+        stateManager.setThunkContext({
+            api: this.isApiAvailable() ? this.components.api || null : null,
+            apiService: this.components.apiService || null
+        });
+        
+        if (this.isDevMode()) {
+            stateManager.use(() => next => (action) => {
+                console.log(`Action ${action.type}:`, action);
+                return next(action);
+            });
+        }
+    }
+    
+    /**
+     * Check whether developer tools should be available
+     * @returns {boolean} Development mode
+     */
+    isDevMode() {
+        return window.GAMEVAULT_DEVTOOLS ?? ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    }
+    
+    /**
+     * Create the mock API used when no backend is configured
+     * Set window.GAMEVAULT_MOCK_OPTIONS to change latency or inject errors, e.g.
+     * { latency: [500, 2000], errorRate: 0.2 }
+     * @param {ApiService} apiService - API service to serve
+     * @returns {MockServer} Mock server
+     */
+    createMockServer(apiService) {
+        // The auth provider is created later, so look it up per request
+        const authenticate = (token) => this.components.authManager?.provider.verifyAccessToken?.(token);
+        
+        const mockServer = new MockServer({
+            adapter: new MockAdapter(window.GAMEVAULT_MOCK_OPTIONS || { latency: [150, 400] }),
+            authenticate,
+            storage: localStorage,
+            realtime: typeof MockRealtimeServer !== 'undefined' ? new MockRealtimeServer({ authenticate }) : null
+        });
+        
+        mockServer.install(apiService);
+        return mockServer;
+    }
+    
+    /**
+     * Create the real-time client
+     * Connects to window.GAMEVAULT_REALTIME_URL (set GAMEVAULT_REALTIME_TRANSPORT
+     * to 'sse' for Server-Sent Events), or to the mock server's stand-in
+     * @returns {RealtimeClient|null} Real-time client, or null without a server
+     */
+    createRealtimeClient() {
+        const options = {
+            stateManager: this.components.stateManager,
+            getToken: () => this.components.apiService.getAuthToken()
+        };
+        
+        if (window.GAMEVAULT_REALTIME_URL) {
+            return new RealtimeClient({
+                ...options,
+                url: window.GAMEVAULT_REALTIME_URL,
+                transport: window.GAMEVAULT_REALTIME_TRANSPORT || 'websocket'
+            });
+        }
+        
+        const realtimeServer = this.components.mockServer?.realtime;
+        if (realtimeServer) {
+            return new RealtimeClient({
+                ...options,
+                url: '/realtime',
+                createSocket: url => realtimeServer.createSocket(url)
+            });
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create the authentication backend
+     * Uses the REST API when a backend URL is configured, otherwise a
+     * local provider seeded with demo accounts for offline use
+     * @returns {AuthProvider} Auth provider
+     */
+    createAuthProvider() {
+        if (window.GAMEVAULT_API_URL && this.components.apiService) {
+            return new ApiAuthProvider(this.components.apiService);
+        }
+        
+        return new LocalAuthProvider({
+            latency: 800,
+            storage: localStorage, // sessions survive reloads and are shared between tabs
+            mailer: (message) => {
+                // No outgoing mail offline: log the link the email would contain
+                const param = message.purpose === 'password_reset' ? 'reset_token' : 'verify_token';
+                console.info(`Email to ${message.to}: ${window.location.origin}${window.location.pathname}?${param}=${message.token}`);
+            },
+            users: [{
+                username: 'demo',
+                email: 'demo@gamevault.com',
+                emailVerified: true,
+                password: 'GameVault1!',
+                displayName: 'Demo Gamer',
+                stats: {
+                    gamesPlayed: 42,
+                    reviewsWritten: 15,
+                    hoursPlayed: 156,
+                    achievements: 23
+                }
+            }, {
+                username: 'moderator',
+                email: 'moderator@gamevault.com',
+                emailVerified: true,
+                password: 'GameVault1!',
+                displayName: 'Community Moderator',
+                role: 'moderator'
+            }]
+        });
+    }
+    
     /**
      * Create a fallback auth system if AuthManager fails to load
      */
@@ -289,6 +548,47 @@ class GameVault {
                 this.viewGameDetails(card);
             });
         });
+        
+        this.refreshGameCards();
+        
+        // Favorites belong to the signed-in user
+        this.components.authManager?.on?.('viewChanged', () => {
+            this.refreshGameCards();
+        });
+    }
+    
+    /**
+     * Fill the static game cards with live data from the API
+     * Cards are matched by their data-game-id attribute
+     */
+    async refreshGameCards() {
+        const cards = document.querySelectorAll('.game-card[data-game-id]');
+        if (!cards.length || !this.isApiAvailable() || !this.components.api) return;
+        
+        try {
+            // Nobody clicked for these: user requests go first
+            const page = await this.components.api.games.list({ featured: true }, { priority: 'prefetch' });
+            const games = new Map(page.items.map(game => [String(game.id), game]));
+            
+            cards.forEach(card => {
+                const game = games.get(card.dataset.gameId);
+                if (!game) return;
+                
+                const rating = card.querySelector('.badge-rating');
+                if (rating) {
+                    rating.textContent = game.stats.averageRating;
+                }
+                
+                const players = card.querySelector('.card-stats .fa-users + span');
+                if (players) {
+                    players.textContent = `${formatNumber(game.stats.playersCount)} players`;
+                }
+                
+                this.setFavoriteIcon(card, game.userStats.favorited);
+            });
+        } catch (error) {
+            console.warn('Failed to load game card data:', error);
+        }
     }
     
     /**
@@ -694,41 +994,177 @@ class GameVault {
         return colors[type] || colors.info;
     }
     
+    /**
+     * Tell the user what happens to changes made offline
+     * @param {OfflineQueue} offlineQueue - Offline queue
+     */
+    bindOfflineQueueEvents(offlineQueue) {
+        offlineQueue.on('itemQueued', ({ item, collapsed }) => {
+            if (!collapsed && !navigator.onLine) {
+                this.showNotification(`You're offline. "${item.description}" will sync when you reconnect.`, 'info');
+            }
+        });
+        
+        offlineQueue.on('itemSucceeded', ({ item }) => {
+            this.showNotification(`Synced: ${item.description}`, 'success');
+        });
+        
+        offlineQueue.on('itemFailed', ({ item }) => {
+            this.showNotification(`Couldn't sync "${item.description}". Please try again.`, 'error');
+        });
+    }
+    
+    /**
+     * Follow the real-time channel: reconnect with the new token on sign in
+     * and out, and keep the notification badge current
+     * @param {RealtimeClient} realtime - Real-time client
+     */
+    bindRealtimeEvents(realtime) {
+        this.components.authManager?.on('loginSuccess', () => realtime.reconnect());
+        this.components.authManager?.on('logout', () => realtime.reconnect());
+        
+        if (this.components.stateManager) {
+            this.components.stateManager.subscribe('ui.notifications.unreadCount', (count) => {
+                this.updateNotificationBadge(count || 0);
+            });
+            this.updateNotificationBadge(this.components.stateManager.getState('ui.notifications.unreadCount', 0));
+        }
+    }
+    
+    /**
+     * Show the unread notification count on the bell
+     * @param {number} count - Unread notifications
+     */
+    updateNotificationBadge(count) {
+        const badge = document.querySelector('.notification-badge');
+        if (!badge) return;
+        
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.style.display = count > 0 ? '' : 'none';
+    }
+    
     /**
      * Toggle notifications panel
      */
     toggleNotifications() {
         console.log('Notifications toggled');
         // Implementation would show a notifications panel
-        this.showNotification('You have 3 new notifications', 'info');
+        const stateManager = this.components.stateManager;
+        const { queue = [], unreadCount = 0 } = stateManager?.getState('ui')?.notifications || {};
+        
+        if (!unreadCount) {
+            this.showNotification('No new notifications', 'info');
+            return;
+        }
+        
+        const latest = queue[0]?.message;
+        this.showNotification(
+            unreadCount === 1 && latest ? latest : `You have ${unreadCount} new notifications`,
+            'info'
+        );
+        
+        stateManager.setState('ui', { notifications: { unreadCount: 0 } });
+        if (this.isApiAvailable() && this.components.apiService.getAuthToken()) {
+            this.components.apiService.post('/notifications/read').catch(error => {
+                console.warn('Failed to mark notifications read:', error);
+            });
+        }
     }
     
     /**
      * Game card interaction methods
      */
     
-    toggleFavorite(card) {
+    async toggleFavorite(card) {
         const gameTitle = card.querySelector('.card-title')?.textContent || 'Game';
         const heartBtn = card.querySelector('.action-btn[title*="Favorites"] i');
         
         if (heartBtn) {
-            const isFavorited = heartBtn.classList.contains('fas');
+            const favorite = !heartBtn.classList.contains('fas');
             
-            if (isFavorited) {
-                heartBtn.classList.remove('fas');
-                heartBtn.classList.add('far');
-                this.showNotification(`${gameTitle} removed from favorites`, 'info');
-            } else {
-                heartBtn.classList.remove('far');
-                heartBtn.classList.add('fas');
-                this.showNotification(`${gameTitle} added to favorites`, 'success');
+            // Update right away and undo if the API refuses
+            this.setFavoriteIcon(card, favorite);
+            
+            try {
+                await this.saveGameListChange(card, 'favorites', favorite);
+                
+                if (favorite) {
+                    this.showNotification(`${gameTitle} added to favorites`, 'success');
+                } else {
+                    this.showNotification(`${gameTitle} removed from favorites`, 'info');
+                }
+            } catch (error) {
+                this.setFavoriteIcon(card, !favorite);
+                this.showNotification(this.getListErrorMessage(error, 'favorites'), 'error');
             }
         }
     }
     
-    addToList(card) {
+    async addToList(card) {
         const gameTitle = card.querySelector('.card-title')?.textContent || 'Game';
-        this.showNotification(`${gameTitle} added to your list`, 'success');
+        
+        try {
+            await this.saveGameListChange(card, 'wishlist', true);
+            this.showNotification(`${gameTitle} added to your list`, 'success');
+        } catch (error) {
+            this.showNotification(this.getListErrorMessage(error, 'your list'), 'error');
+        }
+    }
+    
+    /**
+     * Show a card's favorite state
+     * @param {HTMLElement} card - Game card
+     * @param {boolean} favorite - Favorite status
+     */
+    setFavoriteIcon(card, favorite) {
+        const heartIcon = card.querySelector('.action-btn[title*="Favorites"] i');
+        if (!heartIcon) return;
+        
+        heartIcon.classList.toggle('fas', favorite);
+        heartIcon.classList.toggle('far', !favorite);
+    }
+    
+    /**
+     * Save a wishlist or favorites change for a card's game
+     * games.<listName> changes right away and is rolled back if the API
+     * refuses. Cards without a game id only change on the page; without an
+     * API the change is only kept in state.
+     * @param {HTMLElement} card - Game card
+     * @param {string} listName - wishlist or favorites
+     * @param {boolean} add - Add (true) or remove (false)
+     * @returns {Promise} API response
+     */
+    saveGameListChange(card, listName, add) {
+        const gameId = Number(card.dataset.gameId);
+        const stateManager = this.components.stateManager;
+        if (!gameId || !stateManager) {
+            return Promise.resolve(null);
+        }
+        
+        const gameTitle = card.querySelector('.card-title')?.textContent || 'Game';
+        const options = {
+            description: add ? `Add ${gameTitle} to ${listName}` : `Remove ${gameTitle} from ${listName}`
+        };
+        
+        return stateManager.dispatch(GameListActions.save(listName, gameId, add, options));
+    }
+    
+    /**
+     * Describe a failed list change
+     * @param {ApiError} error - Request error
+     * @param {string} listLabel - List name shown to the user
+     * @returns {string} Message
+     */
+    getListErrorMessage(error, listLabel) {
+        if (error?.status === 401) {
+            return `Sign in to save games to ${listLabel}`;
+        }
+        
+        if (error instanceof RateLimitedError) {
+            return 'Too many changes at once. Please wait a moment and try again.';
+        }
+        
+        return `Couldn't update ${listLabel}. Please try again.`;
     }
     
     quickView(card) {
@@ -822,6 +1258,7 @@ domReady(() => {
             searchManager: 'Search functionality',
             animationManager: 'Animation system'
         });
+        console.log('Press Alt+Shift+D to inspect API requests');
     }
 });
 
@@ -0,0 +1,185 @@
+/* ==============================================
+   LOCAL GRAPHQL SCHEMA
+   ============================================== */
+
+/**
+ * Executes GraphQL operations against resolver functions in the page
+ * A stand-in for the GraphQL backend: MockServer mounts one at POST /graphql,
+ * and tests can run documents against it directly.
+ *
+ * There are no type definitions. Objects name their type with __typename;
+ * fields resolve through resolvers[Type][field](parent, args, context, info)
+ * or, without a resolver, from the parent's property of the same name
+ * (missing properties are null). Errors thrown by resolvers null the field
+ * and are reported in `errors` with their path and `code`.
+ *
+ * Usage:
+ * const schema = new LocalSchema({
+ *   Query: {
+ *     game: (root, { id }) => ({ __typename: 'Game', ...findGame(id) })
+ *   },
+ *   Mutation: {
+ *     rateGame: (root, { id, rating }, { user }) => { ... }
+ *   }
+ * });
+ *
+ * const { data, errors } = await schema.execute({ query, variables }, { user });
+ */
+
+class LocalSchema {
+    constructor(resolvers = {}) {
+        this.resolvers = resolvers;
+    }
+    
+    /**
+     * Run an operation
+     * @param {Object} request - { query, variables, operationName }
+     * @param {Object} context - Passed to every resolver (e.g. the signed-in user)
+     * @returns {Promise<Object>} { data, errors? }
+     */
+    async execute({ query, variables = {}, operationName = null }, context = {}) {
+        let document;
+        let operation;
+        
+        try {
+            document = GraphQL.parse(query);
+            operation = GraphQL.getOperation(document, operationName);
+        } catch (error) {
+            return { data: null, errors: error.errors || [{ message: error.message }] };
+        }
+        
+        const rootType = { query: 'Query', mutation: 'Mutation' }[operation.operation];
+        if (!rootType) {
+            return { data: null, errors: [this.formatError(new Error(`${operation.operation} operations are not supported`), [])] };
+        }
+        
+        const execution = {
+            fragments: GraphQL.getFragments(document),
+            variables: this.coerceVariables(operation, variables),
+            context,
+            errors: []
+        };
+        
+        if (execution.variables.errors) {
+            return { data: null, errors: execution.variables.errors };
+        }
+        
+        const data = await this.executeSelectionSet(operation.selectionSet, rootType, {}, [], execution);
+        
+        return execution.errors.length ? { data, errors: execution.errors } : { data };
+    }
+    
+    /**
+     * Apply declared defaults and check required variables
+     * @param {Object} operation - Operation definition
+     * @param {Object} variables - Provided variables
+     * @returns {Object} Variables, or { errors } when a required one is missing
+     */
+    coerceVariables(operation, variables) {
+        const values = { ...variables };
+        const errors = [];
+        
+        operation.variableDefinitions.forEach(({ name, type, defaultValue }) => {
+            if (values[name] === undefined && defaultValue) {
+                values[name] = GraphQL.valueFromAST(defaultValue);
+            }
+            
+            if ((values[name] === undefined || values[name] === null) && type.endsWith('!')) {
+                errors.push({
+                    message: `Variable "$${name}" of required type "${type}" was not provided`,
+                    extensions: { code: 'BAD_USER_INPUT' }
+                });
+            }
+        });
+        
+        return errors.length ? { errors } : values;
+    }
+    
+    /**
+     * Resolve the fields selected on an object
+     * Fields run one after another, which also gives mutations their required order.
+     * @param {Array} selectionSet - Selections
+     * @param {string} typename - Object type
+     * @param {Object} parent - Object value
+     * @param {Array} path - Response path
+     * @param {Object} execution - { fragments, variables, context, errors }
+     * @returns {Promise<Object>} Result object
+     */
+    async executeSelectionSet(selectionSet, typename, parent, path, execution) {
+        const result = {};
+        const fields = GraphQL.collectFields(selectionSet, typename, execution.fragments, execution.variables);
+        
+        for (const field of fields) {
+            const responseKey = field.alias || field.name;
+            const fieldPath = [...path, responseKey];
+            
+            if (field.name === '__typename') {
+                result[responseKey] = typename;
+                continue;
+            }
+            
+            try {
+                const args = GraphQL.getArguments(field, execution.variables);
+                const resolver = this.resolvers[typename]?.[field.name];
+                const value = resolver
+                    ? await resolver(parent, args, execution.context, { field, path: fieldPath })
+                    : parent[field.name];
+                
+                result[responseKey] = await this.completeValue(field, value, fieldPath, execution, typename);
+            } catch (error) {
+                execution.errors.push(this.formatError(error, fieldPath));
+                result[responseKey] = null;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Turn a resolved value into its result, descending into objects and lists
+     * @param {Object} field - Field node
+     * @param {*} value - Resolved value
+     * @param {Array} path - Response path
+     * @param {Object} execution - Execution state
+     * @param {string} parentType - Type of the object holding the field
+     * @returns {Promise<*>} Result value
+     */
+    async completeValue(field, value, path, execution, parentType) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        if (Array.isArray(value)) {
+            const items = [];
+            for (let index = 0; index < value.length; index++) {
+                items.push(await this.completeValue(field, value[index], [...path, index], execution, parentType));
+            }
+            return items;
+        }
+        
+        if (!field.selectionSet) {
+            return value;
+        }
+        
+        // Embedded objects without a type are named after their field, e.g. Game.stats -> GameStats
+        const typename = value.__typename || `${parentType}${field.name.charAt(0).toUpperCase()}${field.name.slice(1)}`;
+        return this.executeSelectionSet(field.selectionSet, typename, value, path, execution);
+    }
+    
+    /**
+     * Format a resolver error for the response
+     * @param {Error} error - Thrown error
+     * @param {Array} path - Response path
+     * @returns {Object} { message, path, extensions: { code } }
+     */
+    formatError(error, path) {
+        return {
+            message: error.message,
+            path,
+            extensions: { code: error.code || 'INTERNAL_SERVER_ERROR', ...(error.extensions || {}) }
+        };
+    }
+}
+
+// Export for global access
+window.LocalSchema = LocalSchema;
@@ -0,0 +1,466 @@
+/* ==============================================
+   MOCK REAL-TIME SERVER
+   ============================================== */
+
+/**
+ * In-page stand-in for the real-time backend (see RealtimeClient.js)
+ * Hands out MockWebSocket and MockEventSource objects that behave like the
+ * browser's, speaking the same JSON frames as the real server. Tests (and the
+ * demo, with no backend) publish events, drop connections or stop answering
+ * pings to exercise reconnects and heartbeats.
+ *
+ * The `notifications` topic is per user: connections opened with a token see
+ * their own user's notifications, anonymous ones get an UNAUTHENTICATED error.
+ *
+ * Usage:
+ * const realtimeServer = new MockRealtimeServer({ authenticate: token => provider.verifyAccessToken(token) });
+ * const realtime = new RealtimeClient({
+ *   url: 'ws://mock/realtime',
+ *   createSocket: url => realtimeServer.createSocket(url)
+ * });
+ *
+ * realtimeServer.publish('reviews:42', 'votes', { reviewId: 42, helpfulVotes: 10 });
+ * realtimeServer.notify(userId, { type: 'friend_request', message: 'white_wolf added you' });
+ * realtimeServer.dropConnections(); // clients reconnect
+ */
+
+/**
+ * WebSocket look-alike connected to a MockRealtimeServer
+ */
+class MockWebSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.server = null;
+    }
+    
+    /**
+     * Send a frame to the server
+     * @param {string} data - Frame
+     */
+    send(data) {
+        if (this.readyState !== MockWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        this.server.receive(this, data);
+    }
+    
+    /**
+     * Close the socket from the client side
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState >= MockWebSocket.CLOSING) return;
+        
+        this.server.disconnect(this);
+        this.finish(code, reason);
+    }
+    
+    /* ===== SERVER SIDE ===== */
+    
+    /**
+     * Open the socket
+     */
+    accept() {
+        this.readyState = MockWebSocket.OPEN;
+        this.onopen?.({ type: 'open' });
+    }
+    
+    /**
+     * Deliver a frame to the client
+     * @param {Object} message - Frame
+     */
+    deliver(message) {
+        if (this.readyState === MockWebSocket.OPEN) {
+            this.onmessage?.({ type: 'message', data: JSON.stringify(message) });
+        }
+    }
+    
+    /**
+     * Close the socket from the server side
+     * @param {number} code - Close code (1006 also fires onerror)
+     * @param {string} reason - Close reason
+     */
+    fail(code, reason) {
+        if (this.readyState >= MockWebSocket.CLOSING) return;
+        
+        if (code === 1006) {
+            this.onerror?.({ type: 'error' });
+        }
+        this.finish(code, reason);
+    }
+    
+    /**
+     * Fire onclose once the close completes
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    finish(code, reason) {
+        this.readyState = MockWebSocket.CLOSING;
+        
+        setTimeout(() => {
+            this.readyState = MockWebSocket.CLOSED;
+            this.onclose?.({ type: 'close', code, reason, wasClean: code !== 1006 });
+        }, 0);
+    }
+}
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSING = 2;
+MockWebSocket.CLOSED = 3;
+
+/**
+ * EventSource look-alike; topics come from the URL's `topics` parameter
+ */
+class MockEventSource {
+    constructor(url) {
+        this.url = url;
+        this.readyState = MockEventSource.CONNECTING;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.server = null;
+    }
+    
+    /**
+     * Close the stream
+     */
+    close() {
+        if (this.readyState === MockEventSource.CLOSED) return;
+        
+        this.readyState = MockEventSource.CLOSED;
+        this.server.disconnect(this);
+    }
+    
+    /* ===== SERVER SIDE ===== */
+    
+    /**
+     * Open the stream
+     */
+    accept() {
+        this.readyState = MockEventSource.OPEN;
+        this.onopen?.({ type: 'open' });
+    }
+    
+    /**
+     * Deliver an event to the client
+     * @param {Object} message - Frame
+     */
+    deliver(message) {
+        if (this.readyState === MockEventSource.OPEN) {
+            this.onmessage?.({ type: 'message', data: JSON.stringify(message) });
+        }
+    }
+    
+    /**
+     * End the stream from the server side
+     */
+    fail() {
+        if (this.readyState === MockEventSource.CLOSED) return;
+        
+        this.readyState = MockEventSource.CLOSED;
+        this.onerror?.({ type: 'error' });
+    }
+}
+
+MockEventSource.CONNECTING = 0;
+MockEventSource.OPEN = 1;
+MockEventSource.CLOSED = 2;
+
+class MockRealtimeServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.latency = options.latency ?? 50;
+        this.authenticate = options.authenticate || null;
+        this.heartbeatInterval = options.heartbeatInterval || 15000; // SSE keep-alive events
+        this.available = true;
+        this.respondToPings = true;
+        
+        this.connections = new Map(); // socket or event source -> { user, topics }
+        this.unread = new Map();      // userId -> unread notification count
+        this.heartbeatTimer = null;
+    }
+    
+    /* ===== CONNECTIONS ===== */
+    
+    /**
+     * Open a WebSocket to this server
+     * @param {string} url - URL, with an optional `token` parameter
+     * @returns {MockWebSocket} Socket
+     */
+    createSocket(url) {
+        return this.accept(new MockWebSocket(url), []);
+    }
+    
+    /**
+     * Open an event stream from this server
+     * @param {string} url - URL, with `topics` and an optional `token` parameter
+     * @returns {MockEventSource} Event source
+     */
+    createEventSource(url) {
+        const topics = new URL(url, window.location.href).searchParams.get('topics');
+        return this.accept(new MockEventSource(url), topics ? topics.split(',') : []);
+    }
+    
+    /**
+     * Accept (or refuse) a connection after the latency
+     * @param {MockWebSocket|MockEventSource} connection - Connection
+     * @param {Array} topics - Topics to subscribe straight away
+     * @returns {MockWebSocket|MockEventSource} The connection
+     */
+    accept(connection, topics) {
+        connection.server = this;
+        
+        setTimeout(() => {
+            if (connection.readyState !== 0) return; // closed while connecting
+            
+            if (!this.available) {
+                connection.fail(1006, 'Server unavailable');
+                return;
+            }
+            
+            const token = new URL(connection.url, window.location.href).searchParams.get('token');
+            const user = token ? this.getUser(token) : null;
+            
+            if (token && !user) {
+                connection.fail(4401, 'Invalid token');
+                return;
+            }
+            
+            this.connections.set(connection, { user, topics: new Set() });
+            connection.accept();
+            this.subscribe(connection, topics);
+            this.updateHeartbeat();
+            this.emit('connection', { user, url: connection.url });
+        }, this.latency);
+        
+        return connection;
+    }
+    
+    /**
+     * Forget a connection the client closed
+     * @param {MockWebSocket|MockEventSource} connection - Connection
+     */
+    disconnect(connection) {
+        this.connections.delete(connection);
+        this.updateHeartbeat();
+    }
+    
+    /**
+     * Handle a frame from a WebSocket
+     * @param {MockWebSocket} socket - Socket
+     * @param {string} raw - JSON frame
+     */
+    receive(socket, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            socket.deliver({ type: 'error', code: 'BAD_FRAME', message: 'Frames must be JSON' });
+            return;
+        }
+        
+        switch (message.type) {
+            case 'subscribe':
+                this.subscribe(socket, message.topics || []);
+                break;
+            case 'unsubscribe':
+                (message.topics || []).forEach(topic => this.connections.get(socket)?.topics.delete(topic));
+                break;
+            case 'ping':
+                if (this.respondToPings) {
+                    socket.deliver({ type: 'pong', at: message.at });
+                }
+                break;
+            default:
+                socket.deliver({ type: 'error', code: 'UNKNOWN_TYPE', message: `Unknown frame type "${message.type}"` });
+        }
+    }
+    
+    /**
+     * Subscribe a connection to topics
+     * @param {MockWebSocket|MockEventSource} connection - Connection
+     * @param {Array} topics - Topics
+     */
+    subscribe(connection, topics) {
+        const state = this.connections.get(connection);
+        if (!state) return;
+        
+        topics.forEach((topic) => {
+            if (topic === 'notifications' && !state.user) {
+                connection.deliver({ type: 'error', topic, code: 'UNAUTHENTICATED', message: 'Sign in to receive notifications' });
+                return;
+            }
+            
+            state.topics.add(topic);
+            
+            if (topic === 'notifications') {
+                connection.deliver(this.toEvent(topic, 'unread', { unreadCount: this.unread.get(state.user.id) || 0 }));
+            }
+        });
+    }
+    
+    /**
+     * Send SSE streams a heartbeat event while any are open
+     */
+    updateHeartbeat() {
+        const streams = Array.from(this.connections.keys()).filter(connection => connection instanceof MockEventSource);
+        
+        if (streams.length && !this.heartbeatTimer) {
+            this.heartbeatTimer = setInterval(() => {
+                this.connections.forEach((state, connection) => {
+                    if (connection instanceof MockEventSource) {
+                        connection.deliver({ type: 'heartbeat' });
+                    }
+                });
+            }, this.heartbeatInterval);
+        } else if (!streams.length && this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+    
+    /* ===== EVENTS ===== */
+    
+    /**
+     * Send an event to every connection subscribed to a topic
+     * @param {string} topic - Topic
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @returns {number} Connections reached
+     */
+    publish(topic, event, data) {
+        let delivered = 0;
+        
+        this.connections.forEach((state, connection) => {
+            if (state.topics.has(topic)) {
+                connection.deliver(this.toEvent(topic, event, data));
+                delivered++;
+            }
+        });
+        
+        return delivered;
+    }
+    
+    /**
+     * Send a notification to a user's connections
+     * @param {string} userId - User ID
+     * @param {Object} notification - { type, message, ... }
+     */
+    notify(userId, notification) {
+        const unreadCount = (this.unread.get(userId) || 0) + 1;
+        this.unread.set(userId, unreadCount);
+        
+        this.deliverToUser(userId, 'notification', {
+            notification: { id: generateId(), createdAt: new Date().toISOString(), read: false, ...notification },
+            unreadCount
+        });
+    }
+    
+    /**
+     * Mark a user's notifications read
+     * @param {string} userId - User ID
+     */
+    markRead(userId) {
+        this.unread.set(userId, 0);
+        this.deliverToUser(userId, 'unread', { unreadCount: 0 });
+    }
+    
+    /**
+     * Send a notifications event to one user's connections
+     * @param {string} userId - User ID
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    deliverToUser(userId, event, data) {
+        this.connections.forEach((state, connection) => {
+            if (state.user?.id === userId && state.topics.has('notifications')) {
+                connection.deliver(this.toEvent('notifications', event, data));
+            }
+        });
+    }
+    
+    /**
+     * Build an event frame
+     * @param {string} topic - Topic
+     * @param {string} event - Event name
+     * @param {*} data - Event data
+     * @returns {Object} Frame
+     */
+    toEvent(topic, event, data) {
+        return { type: 'event', topic, event, data, sentAt: Date.now() };
+    }
+    
+    /* ===== FAULTS ===== */
+    
+    /**
+     * Close every connection as if the network dropped
+     * @param {number} code - Close code
+     */
+    dropConnections(code = 1006) {
+        Array.from(this.connections.keys()).forEach((connection) => {
+            this.connections.delete(connection);
+            connection.fail(code, 'Connection dropped');
+        });
+        this.updateHeartbeat();
+    }
+    
+    /**
+     * Accept or refuse new connections
+     * @param {boolean} available - Availability
+     */
+    setAvailable(available) {
+        this.available = available;
+    }
+    
+    /* ===== HELPERS ===== */
+    
+    /**
+     * Resolve a token to its user
+     * @param {string} token - Access token
+     * @returns {Object|null} User
+     */
+    getUser(token) {
+        if (!this.authenticate) return null;
+        
+        try {
+            return this.authenticate(token) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Get server statistics
+     * @returns {Object} { connections, topics }
+     */
+    getStats() {
+        const topics = {};
+        this.connections.forEach(({ topics: subscribed }) => {
+            subscribed.forEach((topic) => {
+                topics[topic] = (topics[topic] || 0) + 1;
+            });
+        });
+        
+        return { connections: this.connections.size, topics };
+    }
+    
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.dropConnections(1001);
+    }
+}
+
+// Export for global access
+window.MockWebSocket = MockWebSocket;
+window.MockEventSource = MockEventSource;
+window.MockRealtimeServer = MockRealtimeServer;
@@ -0,0 +1,902 @@
+/* ==============================================
+   MOCK GAMEVAULT API
+   ============================================== */
+
+/**
+ * GameVault's REST routes served from fixtures through a MockAdapter
+ * Writes (reviews, ratings, wishlist, favorites, avatars) go to an in-memory
+ * copy of the fixtures, saved to storage so they survive reloads; reset()
+ * restores the seed. Chunked uploads (see ChunkedUpload.js) are kept in memory only.
+ *
+ * Signed-in routes read the Bearer token ApiService sends and resolve it with
+ * the `authenticate` option (usually LocalAuthProvider.verifyAccessToken).
+ * Errors use the API's { code, message, details } body.
+ *
+ * POST /graphql runs the same data through a LocalSchema (see createSchema()).
+ *
+ * With a `realtime` MockRealtimeServer, review votes are published on
+ * reviews:<id> and notify the review's author.
+ *
+ * Usage:
+ * const mockServer = new MockServer({
+ *   adapter: new MockAdapter({ latency: [150, 400] }),
+ *   authenticate: (token) => localAuthProvider.verifyAccessToken(token),
+ *   storage: localStorage
+ * });
+ * mockServer.install(apiService);
+ *
+ * const { data } = await apiService.get('/games?genre=RPG&sort=rating');
+ */
+
+class MockServer {
+    constructor(options = {}) {
+        this.adapter = options.adapter || new MockAdapter();
+        this.fixtures = options.fixtures || MockFixtures;
+        this.authenticate = options.authenticate || null;
+        this.storage = options.storage || null; // null keeps the data in memory only
+        this.storageKey = options.storageKey || 'gameVault_mockDb';
+        this.maxAvatarSize = options.maxAvatarSize || 512 * 1024;
+        this.maxUploadSize = options.maxUploadSize || 100 * 1024 * 1024;
+        this.realtime = options.realtime || null; // MockRealtimeServer
+        
+        this.db = null;
+        this.uploads = new Map(); // uploadId -> chunked upload session
+        this.schema = this.createSchema();
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize mock server
+     */
+    init() {
+        this.restore();
+        this.registerRoutes();
+    }
+    
+    /**
+     * Serve an ApiService's requests
+     * @param {ApiService} apiService - API service
+     */
+    install(apiService) {
+        this.adapter.install(apiService);
+    }
+    
+    /**
+     * Register the API routes
+     */
+    registerRoutes() {
+        const adapter = this.adapter;
+        
+        // Catalog
+        adapter.get('/games', request => this.listGames(request));
+        adapter.get('/games/:id', request => this.getGame(request));
+        adapter.get('/games/:id/reviews', request => this.listReviews(request));
+        adapter.put('/games/:id/rating', request => this.rateGame(request));
+        adapter.get('/genres', () => ({ genres: this.db.genres }));
+        adapter.get('/search', request => this.search(request));
+        
+        // Reviews
+        adapter.get('/reviews/:id', request => this.getReview(request));
+        adapter.post('/reviews', request => this.createReview(request));
+        adapter.put('/reviews/:id/vote', request => this.voteReview(request));
+        
+        // Users
+        adapter.get('/me', request => this.getMe(request));
+        adapter.post('/me/avatar', request => this.uploadAvatar(request));
+        adapter.get('/users/:id', request => this.getProfile(request));
+        adapter.get('/users/:id/reviews', request => this.listUserReviews(request));
+        
+        // Notifications (delivered over the real-time channel)
+        adapter.post('/notifications/read', request => this.markNotificationsRead(request));
+        
+        // Personal lists
+        adapter.get('/wishlist', request => this.getList(request, 'wishlist'));
+        adapter.post('/wishlist', request => this.addToList(request, 'wishlist', request.body?.gameId));
+        adapter.delete('/wishlist/:gameId', request => this.removeFromList(request, 'wishlist'));
+        adapter.get('/favorites', request => this.getList(request, 'favorites'));
+        adapter.put('/favorites/:gameId', request => this.addToList(request, 'favorites', request.params.gameId));
+        adapter.delete('/favorites/:gameId', request => this.removeFromList(request, 'favorites'));
+        
+        // Chunked uploads
+        adapter.post('/uploads', request => this.createUpload(request));
+        adapter.get('/uploads/:id', request => this.getUpload(request));
+        adapter.put('/uploads/:id', request => this.receiveChunk(request));
+        adapter.delete('/uploads/:id', request => this.deleteUpload(request));
+        
+        // GraphQL
+        adapter.post('/graphql', request => this.executeGraphQL(request));
+    }
+    
+    /* ===== ROUTE HANDLERS ===== */
+    
+    /**
+     * GET /games?q=&genre=&tag=&platform=&sort=&order=&limit=&cursor=
+     */
+    listGames({ query, headers }) {
+        const user = this.getUser(headers);
+        let games = this.db.games;
+        
+        if (query.q) {
+            const term = query.q.toLowerCase();
+            games = games.filter(game => game.title.toLowerCase().includes(term));
+        }
+        if (query.genre) {
+            games = games.filter(game => this.includesIgnoreCase(game.genre, query.genre));
+        }
+        if (query.tag) {
+            games = games.filter(game => this.includesIgnoreCase(game.tags, query.tag));
+        }
+        if (query.platform) {
+            games = games.filter(game => this.includesIgnoreCase(game.platform, query.platform));
+        }
+        ['featured', 'trending', 'popular', 'newRelease'].forEach(flag => {
+            if (query[flag] === 'true') {
+                games = games.filter(game => game[flag]);
+            }
+        });
+        
+        const sorters = {
+            rating: game => game.stats.averageRating,
+            players: game => game.stats.playersCount,
+            releaseDate: game => new Date(game.releaseDate).getTime(),
+            title: game => game.title.toLowerCase()
+        };
+        const sortBy = sorters[query.sort];
+        if (sortBy) {
+            const direction = query.order === 'asc' || (query.sort === 'title' && query.order !== 'desc') ? 1 : -1;
+            games = [...games].sort((a, b) => (sortBy(a) > sortBy(b) ? 1 : sortBy(a) < sortBy(b) ? -1 : 0) * direction);
+        }
+        
+        const { items, ...page } = this.paginate(games, query, 20);
+        
+        return { games: items.map(game => this.withUserStats(game, user)), ...page };
+    }
+    
+    /**
+     * GET /games/:id
+     */
+    getGame({ params, headers }) {
+        const game = this.findGame(params.id);
+        
+        if (!game) {
+            return this.notFound('Game not found');
+        }
+        
+        return this.withUserStats(game, this.getUser(headers));
+    }
+    
+    /**
+     * GET /games/:id/reviews?limit=&cursor=
+     */
+    listReviews({ params, query }) {
+        if (!this.findGame(params.id)) {
+            return this.notFound('Game not found');
+        }
+        
+        return this.reviewPage(review => String(review.gameId) === String(params.id), query);
+    }
+    
+    /**
+     * GET /reviews/:id
+     */
+    getReview({ params }) {
+        const review = this.db.reviews.find(candidate => String(candidate.id) === params.id);
+        return review || this.notFound('Review not found');
+    }
+    
+    /**
+     * GET /me
+     */
+    getMe({ headers }) {
+        const user = this.getUser(headers);
+        return user || this.unauthorized();
+    }
+    
+    /**
+     * POST /me/avatar (multipart, field "avatar")
+     */
+    async uploadAvatar({ body, headers }) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const file = body instanceof FormData ? body.get('avatar') : null;
+        
+        if (!(file instanceof Blob)) {
+            return this.validationError({ avatar: ['Choose an image to upload'] });
+        }
+        if (!file.type.startsWith('image/')) {
+            return this.validationError({ avatar: ['Avatar must be an image'] });
+        }
+        if (file.size > this.maxAvatarSize) {
+            return this.payloadTooLarge(`Avatar must be ${Math.round(this.maxAvatarSize / 1024)} KB or smaller`);
+        }
+        
+        // A data URL outlives the page, unlike an object URL
+        this.db.avatars[user.id] = await this.toDataURL(file);
+        this.persist();
+        
+        return { avatar: this.db.avatars[user.id] };
+    }
+    
+    /**
+     * GET /users/:id
+     */
+    getProfile({ params }) {
+        const profile = this.db.users[params.id];
+        return profile || this.notFound('User not found');
+    }
+    
+    /**
+     * GET /users/:id/reviews?limit=&cursor=
+     */
+    listUserReviews({ params, query }) {
+        if (!this.db.users[params.id]) {
+            return this.notFound('User not found');
+        }
+        
+        return this.reviewPage(review => review.userId === params.id, query);
+    }
+    
+    /**
+     * PUT /games/:id/rating { rating }
+     */
+    rateGame({ params, body, headers }) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const game = this.findGame(params.id);
+        if (!game) return this.notFound('Game not found');
+        
+        const rating = Number(body?.rating);
+        if (!Number.isFinite(rating) || rating < 0 || rating > 10) {
+            return this.validationError({ rating: 'Rating must be a number between 0 and 10' });
+        }
+        
+        const ratings = this.db.ratings[user.id] || (this.db.ratings[user.id] = {});
+        const previous = ratings[game.id];
+        const stats = game.stats;
+        const total = stats.averageRating * stats.ratingsCount - (previous ?? 0) + rating;
+        
+        if (previous === undefined) {
+            stats.ratingsCount++;
+        }
+        stats.averageRating = Math.round(total / stats.ratingsCount * 10) / 10;
+        ratings[game.id] = rating;
+        
+        this.persist();
+        
+        return { gameId: game.id, rating, averageRating: stats.averageRating, ratingsCount: stats.ratingsCount };
+    }
+    
+    /**
+     * GET /search?q=
+     */
+    search({ query }) {
+        const q = (query.q || '').trim().toLowerCase();
+        if (!q) return { results: [] };
+        
+        const terms = q.split(/\s+/);
+        const results = createSearchIndex(this.db).filter(item => {
+            const text = [item.title, item.type, item.genre, item.developer, item.description, ...(item.tags || [])]
+                .join(' ')
+                .toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+        
+        // Title matches first
+        results.sort((a, b) => Number(b.title.toLowerCase().includes(q)) - Number(a.title.toLowerCase().includes(q)));
+        
+        return { results };
+    }
+    
+    /**
+     * POST /reviews { gameId, title, content, rating, ... }
+     */
+    createReview({ body, headers }) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const game = this.findGame(body?.gameId);
+        if (!game) return this.notFound('Game not found');
+        
+        if (this.db.reviews.some(review => review.gameId === game.id && review.userId === user.id)) {
+            return MockAdapter.reply(409, { code: 'ALREADY_REVIEWED', message: 'You have already reviewed this game' });
+        }
+        
+        const review = new Review({
+            ...body,
+            id: generateId(),
+            gameId: game.id,
+            userId: user.id,
+            username: user.username,
+            userAvatar: user.avatar || null,
+            publishedAt: new Date().toISOString()
+        });
+        
+        if (!review.isValid()) {
+            return this.validationError(review.getErrors());
+        }
+        
+        const record = JSON.parse(JSON.stringify(review.toObject()));
+        this.db.reviews.push(record);
+        this.db.users[user.id] = this.toProfile(user);
+        game.stats.reviewsCount++;
+        this.persist();
+        
+        return MockAdapter.reply(201, record, { Location: `/reviews/${record.id}` });
+    }
+    
+    /**
+     * PUT /reviews/:id/vote { vote: 'helpful' | 'unhelpful' | null }
+     */
+    voteReview({ params, body, headers }) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const review = this.db.reviews.find(candidate => String(candidate.id) === params.id);
+        if (!review) return this.notFound('Review not found');
+        
+        const vote = body?.vote ?? null;
+        if (![null, 'helpful', 'unhelpful'].includes(vote)) {
+            return this.validationError({ vote: 'Vote must be helpful, unhelpful or null' });
+        }
+        if (review.userId === user.id) {
+            return this.validationError({ vote: 'You cannot vote on your own review' });
+        }
+        
+        const votes = this.db.votes[user.id] || (this.db.votes[user.id] = {});
+        const previous = votes[review.id] || null;
+        const stats = review.stats;
+        const counter = { helpful: 'helpfulVotes', unhelpful: 'unhelpfulVotes' };
+        
+        if (previous) stats[counter[previous]] = Math.max(0, (stats[counter[previous]] || 0) - 1);
+        if (vote) stats[counter[vote]] = (stats[counter[vote]] || 0) + 1;
+        
+        if (vote) {
+            votes[review.id] = vote;
+        } else {
+            delete votes[review.id];
+        }
+        this.persist();
+        
+        const result = {
+            reviewId: review.id,
+            vote,
+            helpfulVotes: stats.helpfulVotes || 0,
+            unhelpfulVotes: stats.unhelpfulVotes || 0
+        };
+        
+        this.realtime?.publish(`reviews:${review.id}`, 'votes', result);
+        if (vote === 'helpful' && !previous) {
+            this.realtime?.notify(review.userId, {
+                type: 'review_vote',
+                message: `${user.username} found your review "${review.title}" helpful`,
+                reviewId: review.id
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * POST /notifications/read
+     */
+    markNotificationsRead({ headers }) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        this.realtime?.markRead(user.id);
+        return MockAdapter.reply(204);
+    }
+    
+    /**
+     * GET /wishlist, GET /favorites
+     */
+    getList({ headers }, listName) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const ids = this.getUserLists(user.id)[listName];
+        return { games: ids.map(id => this.findGame(id)).filter(Boolean).map(game => this.withUserStats(game, user)) };
+    }
+    
+    /**
+     * POST /wishlist { gameId }, PUT /favorites/:gameId
+     */
+    addToList({ headers }, listName, gameId) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const game = this.findGame(gameId);
+        if (!game) return this.notFound('Game not found');
+        
+        const ids = this.getUserLists(user.id)[listName];
+        if (!ids.includes(game.id)) {
+            ids.push(game.id);
+            if (listName === 'wishlist') {
+                game.stats.wishlistCount = (game.stats.wishlistCount || 0) + 1;
+            }
+            this.persist();
+        }
+        
+        return MockAdapter.reply(201, { gameId: game.id, [listName]: [...ids] });
+    }
+    
+    /**
+     * DELETE /wishlist/:gameId, DELETE /favorites/:gameId
+     */
+    removeFromList({ params, headers }, listName) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const lists = this.getUserLists(user.id);
+        const index = lists[listName].findIndex(id => String(id) === String(params.gameId));
+        
+        if (index !== -1) {
+            lists[listName].splice(index, 1);
+            const game = this.findGame(params.gameId);
+            if (game && listName === 'wishlist' && game.stats.wishlistCount > 0) {
+                game.stats.wishlistCount--;
+            }
+            this.persist();
+        }
+        
+        return MockAdapter.reply(204);
+    }
+    
+    /**
+     * POST /uploads { fileName, size, type, chunkSize }
+     */
+    createUpload({ body, headers }) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const size = Number(body?.size);
+        if (!Number.isInteger(size) || size < 0) {
+            return this.validationError({ size: ['Size must be a whole number of bytes'] });
+        }
+        if (size > this.maxUploadSize) {
+            return this.payloadTooLarge(`Files must be ${Math.round(this.maxUploadSize / 1024 / 1024)} MB or smaller`);
+        }
+        
+        const upload = {
+            uploadId: generateId(),
+            userId: user.id,
+            fileName: body.fileName || 'upload',
+            type: body.type || 'application/octet-stream',
+            size,
+            offset: 0,
+            chunks: [],
+            complete: false,
+            url: null
+        };
+        this.uploads.set(upload.uploadId, upload);
+        
+        return MockAdapter.reply(201, this.toUploadStatus(upload), { Location: `/uploads/${upload.uploadId}` });
+    }
+    
+    /**
+     * GET /uploads/:id
+     */
+    getUpload({ params, headers }) {
+        const upload = this.findUpload(params.id, headers);
+        return upload instanceof MockReply ? upload : this.toUploadStatus(upload);
+    }
+    
+    /**
+     * PUT /uploads/:id with Content-Range: bytes start-end/size
+     */
+    receiveChunk({ params, body, headers }) {
+        const upload = this.findUpload(params.id, headers);
+        if (upload instanceof MockReply) return upload;
+        
+        const range = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+)$/.exec(headers['Content-Range'] || headers['content-range'] || '');
+        const chunk = body instanceof Blob ? body : new Blob([]);
+        const start = range?.[1] === undefined ? 0 : Number(range[1]);
+        
+        if (!range || Number(range[3]) !== upload.size) {
+            return this.validationError({ 'Content-Range': ['Expected bytes start-end/size for this upload'] });
+        }
+        
+        // Out of order, or a repeat of a chunk already stored: tell the client where to continue
+        if (upload.complete || start !== upload.offset) {
+            return MockAdapter.reply(409, { code: 'OFFSET_MISMATCH', message: `Expected offset ${upload.offset}`, ...this.toUploadStatus(upload) });
+        }
+        
+        upload.chunks.push(chunk);
+        upload.offset += chunk.size;
+        
+        if (upload.offset >= upload.size) {
+            upload.complete = true;
+            upload.url = URL.createObjectURL(new Blob(upload.chunks, { type: upload.type }));
+            upload.chunks = [];
+        }
+        
+        return this.toUploadStatus(upload);
+    }
+    
+    /**
+     * DELETE /uploads/:id
+     */
+    deleteUpload({ params, headers }) {
+        const upload = this.findUpload(params.id, headers);
+        if (upload instanceof MockReply) return upload;
+        
+        if (upload.url) {
+            URL.revokeObjectURL(upload.url);
+        }
+        this.uploads.delete(upload.uploadId);
+        
+        return MockAdapter.reply(204);
+    }
+    
+    /**
+     * POST /graphql { query, variables, operationName }
+     */
+    executeGraphQL({ body, headers }) {
+        if (!body?.query) {
+            return MockAdapter.reply(400, { errors: [{ message: 'Missing query', extensions: { code: 'BAD_REQUEST' } }] });
+        }
+        
+        return this.schema.execute(body, { headers, user: this.getUser(headers) });
+    }
+    
+    /* ===== GRAPHQL SCHEMA ===== */
+    
+    /**
+     * Build the GraphQL schema over the REST handlers
+     *
+     * Query:    game(id), games(q, genre, tag, platform, featured, sort, order, limit, cursor),
+     *           genres, review(id), user(id), me
+     * Mutation: rateGame(id, rating), addFavorite(gameId), removeFavorite(gameId),
+     *           addToWishlist(gameId), removeFromWishlist(gameId), createReview(input)
+     * Game.reviews(limit, cursor), User.reviews(limit, cursor), Review.game, Review.author
+     * @returns {LocalSchema} Schema
+     */
+    createSchema() {
+        const game = (record, user) => record && { __typename: 'Game', ...this.withUserStats(record, user) };
+        const review = record => record && { __typename: 'Review', ...record };
+        const profile = record => record && { __typename: 'User', ...record };
+        const reviewPage = (predicate, args) => {
+            const { reviews, ...page } = this.reviewPage(predicate, this.toQuery(args));
+            return { __typename: 'ReviewPage', ...page, items: reviews.map(review) };
+        };
+        
+        // List mutations answer with the game, so cached copies pick up userStats
+        const listMutation = (listName, add) => (root, { gameId }, { headers }) => {
+            this.unwrap(add
+                ? this.addToList({ headers }, listName, gameId)
+                : this.removeFromList({ params: { gameId: String(gameId) }, headers }, listName));
+            return game(this.findGame(gameId), this.getUser(headers));
+        };
+        
+        return new LocalSchema({
+            Query: {
+                game: (root, { id }, { user }) => game(this.findGame(id) || this.unwrap(this.notFound('Game not found')), user),
+                games: (root, args, { headers }) => {
+                    const { games, ...page } = this.listGames({ query: this.toQuery(args), headers });
+                    return { __typename: 'GamePage', ...page, items: games.map(record => ({ __typename: 'Game', ...record })) };
+                },
+                genres: () => this.db.genres.map(genre => ({ __typename: 'Genre', ...genre })),
+                review: (root, { id }) => review(this.unwrap(this.getReview({ params: { id: String(id) } }))),
+                user: (root, { id }) => profile(this.unwrap(this.getProfile({ params: { id: String(id) } }))),
+                me: (root, args, { user }) => profile(user) // null when signed out
+            },
+            Game: {
+                reviews: (parent, args) => reviewPage(candidate => String(candidate.gameId) === String(parent.id), args)
+            },
+            User: {
+                reviews: (parent, args) => reviewPage(candidate => candidate.userId === parent.id, args)
+            },
+            Review: {
+                game: (parent, args, { user }) => game(this.findGame(parent.gameId), user),
+                author: parent => profile(this.db.users[parent.userId] || null)
+            },
+            Mutation: {
+                rateGame: (root, { id, rating }, { headers }) => {
+                    this.unwrap(this.rateGame({ params: { id: String(id) }, body: { rating }, headers }));
+                    return game(this.findGame(id), this.getUser(headers));
+                },
+                addFavorite: listMutation('favorites', true),
+                removeFavorite: listMutation('favorites', false),
+                addToWishlist: listMutation('wishlist', true),
+                removeFromWishlist: listMutation('wishlist', false),
+                createReview: (root, { input }, { headers }) => review(this.unwrap(this.createReview({ body: input, headers })))
+            }
+        });
+    }
+    
+    /**
+     * Turn a REST handler's error reply into a GraphQL error
+     * @param {*} result - Handler result
+     * @returns {*} Result data
+     */
+    unwrap(result) {
+        if (!(result instanceof MockReply)) {
+            return result;
+        }
+        
+        if (result.status < 400) {
+            return result.data;
+        }
+        
+        const codes = { 401: 'UNAUTHENTICATED', 404: 'NOT_FOUND', 422: 'BAD_USER_INPUT' };
+        const error = new Error(result.data?.message || 'Request failed');
+        error.code = codes[result.status] || result.data?.code;
+        
+        if (result.data?.details?.fields) {
+            error.extensions = { fields: result.data.details.fields };
+        }
+        
+        throw error;
+    }
+    
+    /**
+     * Convert GraphQL arguments to the string query the REST handlers read
+     * @param {Object} args - Arguments
+     * @returns {Object} Query object
+     */
+    toQuery(args = {}) {
+        return Object.fromEntries(Object.entries(args)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => [key, String(value)]));
+    }
+    
+    /* ===== DATA HELPERS ===== */
+    
+    /**
+     * Slice a list by cursor (or offset) and limit
+     * Cursors are opaque to clients; here they encode the next offset.
+     * @param {Array} items - Full result list
+     * @param {Object} query - { limit, cursor, offset }
+     * @param {number} defaultLimit - Page size when none is given
+     * @returns {Object} { items, total, limit, nextCursor }
+     */
+    paginate(items, query, defaultLimit) {
+        const limit = Math.min(parseInt(query.limit, 10) || defaultLimit, 100);
+        let offset = parseInt(query.offset, 10) || 0;
+        
+        if (query.cursor) {
+            try {
+                offset = parseInt(atob(query.cursor), 10) || 0;
+            } catch (error) {
+                offset = 0;
+            }
+        }
+        
+        const end = offset + limit;
+        
+        return {
+            items: items.slice(offset, end),
+            total: items.length,
+            limit,
+            nextCursor: end < items.length ? btoa(String(end)) : null
+        };
+    }
+    
+    /**
+     * Page of reviews, newest first
+     * @param {Function} predicate - Review filter
+     * @param {Object} query - Pagination query
+     * @returns {Object} { reviews, total, limit, nextCursor }
+     */
+    reviewPage(predicate, query) {
+        const reviews = this.db.reviews
+            .filter(predicate)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        
+        const { items, ...page } = this.paginate(reviews, query, 10);
+        return { reviews: items, ...page };
+    }
+    
+    /**
+     * Public profile of a user (no email or account settings)
+     * @param {Object} user - User data
+     * @returns {Object} Profile
+     */
+    toProfile(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            displayName: user.displayName || user.username,
+            avatar: user.avatar || null,
+            bio: user.bio || '',
+            stats: { ...user.stats }
+        };
+    }
+    
+    /**
+     * Resolve the signed-in user from the Authorization header
+     * @param {Object} headers - Request headers
+     * @returns {Object|null} User
+     */
+    getUser(headers = {}) {
+        const token = (headers.Authorization || headers.authorization || '').replace(/^Bearer /, '');
+        
+        if (!token || !this.authenticate) return null;
+        
+        try {
+            const user = this.authenticate(token);
+            return user ? { ...user, avatar: this.db.avatars[user.id] || user.avatar } : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Find one of the signed-in user's uploads
+     * @param {string} uploadId - Upload ID
+     * @param {Object} headers - Request headers
+     * @returns {Object|MockReply} Upload session, or an error reply
+     */
+    findUpload(uploadId, headers) {
+        const user = this.getUser(headers);
+        if (!user) return this.unauthorized();
+        
+        const upload = this.uploads.get(uploadId);
+        return upload && upload.userId === user.id ? upload : this.notFound('Upload not found');
+    }
+    
+    /**
+     * Public state of an upload
+     * @param {Object} upload - Upload session
+     * @returns {Object} { uploadId, fileName, type, size, offset, complete, url }
+     */
+    toUploadStatus({ chunks, userId, ...status }) {
+        return status;
+    }
+    
+    /**
+     * Encode a file as a data URL
+     * @param {Blob} blob - File
+     * @returns {Promise<string>} Data URL
+     */
+    async toDataURL(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+        
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        
+        return `data:${blob.type};base64,${btoa(binary)}`;
+    }
+    
+    /**
+     * Find a game by id
+     * @param {string|number} id - Game ID (path parameters arrive as strings)
+     * @returns {Object|null} Game record
+     */
+    findGame(id) {
+        return this.db.games.find(game => String(game.id) === String(id)) || null;
+    }
+    
+    /**
+     * Get (creating if needed) a user's personal lists
+     * @param {string} userId - User ID
+     * @returns {Object} { wishlist, favorites } arrays of game ids
+     */
+    getUserLists(userId) {
+        if (!this.db.lists[userId]) {
+            this.db.lists[userId] = { wishlist: [], favorites: [] };
+        }
+        return this.db.lists[userId];
+    }
+    
+    /**
+     * Copy a game with the signed-in user's stats filled in
+     * @param {Object} game - Game record
+     * @param {Object|null} user - Signed-in user
+     * @returns {Object} Game data
+     */
+    withUserStats(game, user) {
+        if (!user) return game;
+        
+        const lists = this.getUserLists(user.id);
+        return {
+            ...game,
+            userStats: {
+                wishlisted: lists.wishlist.includes(game.id),
+                favorited: lists.favorites.includes(game.id),
+                rating: this.db.ratings[user.id]?.[game.id] ?? null
+            }
+        };
+    }
+    
+    /**
+     * Case-insensitive array membership
+     * @param {Array} values - Values
+     * @param {string} value - Value to look for
+     * @returns {boolean} Membership
+     */
+    includesIgnoreCase(values = [], value) {
+        const needle = String(value).toLowerCase();
+        return values.some(candidate => String(candidate).toLowerCase() === needle);
+    }
+    
+    /* ===== ERROR REPLIES ===== */
+    
+    notFound(message) {
+        return MockAdapter.reply(404, { code: 'NOT_FOUND', message });
+    }
+    
+    unauthorized() {
+        return MockAdapter.reply(401, { code: 'UNAUTHORIZED', message: 'Please sign in to continue' });
+    }
+    
+    validationError(fields) {
+        return MockAdapter.reply(422, { code: 'VALIDATION_ERROR', message: 'Please correct the highlighted fields', details: { fields } });
+    }
+    
+    payloadTooLarge(message) {
+        return MockAdapter.reply(413, { code: 'PAYLOAD_TOO_LARGE', message });
+    }
+    
+    /* ===== PERSISTENCE ===== */
+    
+    /**
+     * Create a fresh copy of the fixtures
+     * @returns {Object} Database
+     */
+    seed() {
+        const db = JSON.parse(JSON.stringify({
+            games: this.fixtures.games,
+            genres: this.fixtures.genres,
+            developers: this.fixtures.developers,
+            reviews: this.fixtures.reviews
+        }));
+        
+        // userId -> public profile
+        db.users = Object.fromEntries((this.fixtures.users || []).map(user => [user.id, user]));
+        
+        db.games.forEach(game => {
+            game.stats.wishlistCount = game.stats.wishlistCount || 0;
+        });
+        db.lists = {};   // userId -> { wishlist, favorites }
+        db.ratings = {}; // userId -> { gameId: rating }
+        db.avatars = {}; // userId -> data URL
+        db.votes = {};   // userId -> { reviewId: 'helpful' | 'unhelpful' }
+        
+        return db;
+    }
+    
+    /**
+     * Load saved data, or seed from the fixtures
+     */
+    restore() {
+        try {
+            const stored = this.storage?.getItem(this.storageKey);
+            
+            // Collections added to the fixtures since the data was saved start from the seed
+            this.db = stored ? { ...this.seed(), ...JSON.parse(stored) } : this.seed();
+        } catch (error) {
+            console.error('Failed to restore mock data:', error);
+            this.db = this.seed();
+        }
+    }
+    
+    /**
+     * Save the data
+     */
+    persist() {
+        if (!this.storage) return;
+        
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.db));
+        } catch (error) {
+            console.error('Failed to persist mock data:', error);
+        }
+    }
+    
+    /**
+     * Discard every change and start again from the fixtures
+     */
+    reset() {
+        this.db = this.seed();
+        this.storage?.removeItem(this.storageKey);
+    }
+}
+
+// Export for global access
+window.MockServer = MockServer;
@@ -0,0 +1,311 @@
+/* ==============================================
+   MOCK DATA FIXTURES
+   ============================================== */
+
+/**
+ * Seed data for MockServer and the local search index
+ * Games use the Game model's shape and reviews the Review model's, so
+ * fixtures can be passed straight to `new Game()` / `new Review()`.
+ * The first four games are the featured cards in index.html.
+ *
+ * Kept as plain JSON-compatible data: never mutate it, MockServer works on a copy.
+ *
+ * Usage:
+ * const game = new Game(MockFixtures.games[0]);
+ * const searchData = createSearchIndex(MockFixtures);
+ */
+
+const MockFixtures = {
+    games: [
+        {
+            id: 1,
+            title: 'Cyberpunk 2077',
+            slug: 'cyberpunk-2077',
+            shortDescription: 'An open-world action RPG set in the megalopolis of Night City.',
+            description: 'Cyberpunk 2077 is an open-world, action-adventure RPG set in the dark future of Night City, a dangerous megalopolis obsessed with power, glamour and body modification.',
+            developer: 'CD Projekt RED',
+            publisher: 'CD Projekt',
+            genre: ['Action', 'RPG'],
+            tags: ['sci-fi', 'open-world', 'rpg', 'action'],
+            platform: ['PC', 'PlayStation 5', 'Xbox Series X|S'],
+            releaseDate: '2020-12-10',
+            isReleased: true,
+            price: { current: 59.99, original: 59.99, currency: 'USD' },
+            ageRating: 'M',
+            images: { cover: 'https://via.placeholder.com/350x500/667eea/ffffff?text=Cyberpunk+2077' },
+            stats: { playersCount: 2100000, averageRating: 9.1, ratingsCount: 18450, reviewsCount: 2 },
+            featured: true,
+            newRelease: true
+        },
+        {
+            id: 2,
+            title: 'The Witcher 3: Wild Hunt',
+            slug: 'the-witcher-3-wild-hunt',
+            shortDescription: 'Hunt monsters and search for Ciri across a vast war-torn world.',
+            description: 'As war rages on throughout the Northern Realms, you take on the greatest contract of your life: tracking down the Child of Prophecy, a living weapon that can alter the shape of the world.',
+            developer: 'CD Projekt RED',
+            publisher: 'CD Projekt',
+            genre: ['Open World', 'RPG'],
+            tags: ['fantasy', 'open-world', 'rpg', 'adventure'],
+            platform: ['PC', 'PlayStation 5', 'Xbox Series X|S', 'Nintendo Switch'],
+            releaseDate: '2015-05-19',
+            isReleased: true,
+            price: { current: 9.99, original: 39.99, currency: 'USD', discount: 75 },
+            ageRating: 'M',
+            images: { cover: 'https://via.placeholder.com/350x500/f093fb/ffffff?text=The+Witcher+3' },
+            stats: { playersCount: 5200000, averageRating: 9.8, ratingsCount: 52310, reviewsCount: 1 },
+            featured: true,
+            popular: true
+        },
+        {
+            id: 3,
+            title: 'Elden Ring',
+            slug: 'elden-ring',
+            shortDescription: 'Rise, Tarnished, and become an Elden Lord in the Lands Between.',
+            description: 'A vast fantasy action RPG from FromSoftware and George R. R. Martin, where open fields and huge dungeons are seamlessly connected.',
+            developer: 'FromSoftware',
+            publisher: 'Bandai Namco',
+            genre: ['Action', 'RPG'],
+            tags: ['souls-like', 'fantasy', 'difficult', 'open-world'],
+            platform: ['PC', 'PlayStation 5', 'Xbox Series X|S'],
+            releaseDate: '2022-02-25',
+            isReleased: true,
+            price: { current: 59.99, original: 59.99, currency: 'USD' },
+            ageRating: 'M',
+            images: { cover: 'https://via.placeholder.com/350x500/4facfe/ffffff?text=Elden+Ring' },
+            stats: { playersCount: 3800000, averageRating: 9.6, ratingsCount: 40122, reviewsCount: 1 },
+            featured: true,
+            trending: true
+        },
+        {
+            id: 4,
+            title: 'God of War',
+            slug: 'god-of-war',
+            shortDescription: 'Kratos and Atreus journey through the realms of Norse myth.',
+            description: 'His vengeance against the Gods of Olympus years behind him, Kratos now lives as a man in the realm of Norse gods and monsters, and must teach his son to survive in it.',
+            developer: 'Santa Monica Studio',
+            publisher: 'Sony Interactive Entertainment',
+            genre: ['Action', 'Adventure'],
+            tags: ['mythology', 'action', 'adventure', 'single-player'],
+            platform: ['PC', 'PlayStation 4'],
+            releaseDate: '2018-04-20',
+            isReleased: true,
+            price: { current: 49.99, original: 49.99, currency: 'USD' },
+            ageRating: 'M',
+            images: { cover: 'https://via.placeholder.com/350x500/fbbf24/ffffff?text=God+of+War' },
+            stats: { playersCount: 2900000, averageRating: 9.4, ratingsCount: 27804, reviewsCount: 0 },
+            featured: true
+        },
+        {
+            id: 5,
+            title: "Baldur's Gate 3",
+            slug: 'baldurs-gate-3',
+            shortDescription: 'Gather your party and return to the Forgotten Realms.',
+            description: 'A story-rich, party-based RPG set in the universe of Dungeons & Dragons, where your choices shape a tale of fellowship and betrayal.',
+            developer: 'Larian Studios',
+            publisher: 'Larian Studios',
+            genre: ['RPG', 'Strategy'],
+            tags: ['fantasy', 'turn-based', 'rpg', 'co-op'],
+            platform: ['PC', 'PlayStation 5', 'Xbox Series X|S'],
+            releaseDate: '2023-08-03',
+            isReleased: true,
+            price: { current: 59.99, original: 59.99, currency: 'USD' },
+            ageRating: 'M',
+            images: { cover: 'https://via.placeholder.com/350x500/10b981/ffffff?text=Baldurs+Gate+3' },
+            stats: { playersCount: 4100000, averageRating: 9.7, ratingsCount: 31877, reviewsCount: 0 },
+            popular: true,
+            multiplayer: { supported: true, online: true, coop: true, maxPlayers: 4 }
+        },
+        {
+            id: 6,
+            title: 'Hades',
+            slug: 'hades',
+            shortDescription: 'Defy the god of the dead as you hack and slash out of the Underworld.',
+            description: 'A god-like rogue-like dungeon crawler that combines the best aspects of Supergiant\'s critically acclaimed titles.',
+            developer: 'Supergiant Games',
+            publisher: 'Supergiant Games',
+            genre: ['Action', 'Roguelike'],
+            tags: ['mythology', 'roguelike', 'action', 'indie'],
+            platform: ['PC', 'Nintendo Switch', 'PlayStation 5', 'Xbox Series X|S'],
+            releaseDate: '2020-09-17',
+            isReleased: true,
+            price: { current: 24.99, original: 24.99, currency: 'USD' },
+            ageRating: 'T',
+            images: { cover: 'https://via.placeholder.com/350x500/ef4444/ffffff?text=Hades' },
+            stats: { playersCount: 1500000, averageRating: 9.3, ratingsCount: 12950, reviewsCount: 0 },
+            trending: true
+        },
+        {
+            id: 7,
+            title: 'Stardew Valley',
+            slug: 'stardew-valley',
+            shortDescription: 'Inherit your grandfather\'s old farm plot and start a new life.',
+            description: 'An open-ended country-life RPG: grow crops, raise animals, go fishing and become part of the local community.',
+            developer: 'ConcernedApe',
+            publisher: 'ConcernedApe',
+            genre: ['Simulation', 'RPG'],
+            tags: ['farming', 'relaxing', 'pixel-art', 'co-op'],
+            platform: ['PC', 'Nintendo Switch', 'PlayStation 4', 'Xbox One', 'Mobile'],
+            releaseDate: '2016-02-26',
+            isReleased: true,
+            price: { current: 14.99, original: 14.99, currency: 'USD' },
+            ageRating: 'E',
+            images: { cover: 'https://via.placeholder.com/350x500/84cc16/ffffff?text=Stardew+Valley' },
+            stats: { playersCount: 6300000, averageRating: 9.5, ratingsCount: 48213, reviewsCount: 0 },
+            popular: true,
+            multiplayer: { supported: true, online: true, local: true, coop: true, maxPlayers: 8 }
+        },
+        {
+            id: 8,
+            title: 'Hollow Knight: Silksong',
+            slug: 'hollow-knight-silksong',
+            shortDescription: 'Play as Hornet and climb to the peak of a haunted kingdom.',
+            description: 'Discover a vast, haunted kingdom in the sequel to the award-winning action-adventure Hollow Knight.',
+            developer: 'Team Cherry',
+            publisher: 'Team Cherry',
+            genre: ['Action', 'Platformer'],
+            tags: ['metroidvania', 'difficult', 'indie', 'action'],
+            platform: ['PC', 'Nintendo Switch', 'PlayStation 5', 'Xbox Series X|S'],
+            releaseDate: '2025-09-04',
+            isReleased: true,
+            price: { current: 19.99, original: 19.99, currency: 'USD' },
+            ageRating: 'E10+',
+            images: { cover: 'https://via.placeholder.com/350x500/6366f1/ffffff?text=Silksong' },
+            stats: { playersCount: 900000, averageRating: 9.2, ratingsCount: 8730, reviewsCount: 0 },
+            newRelease: true
+        }
+    ],
+    
+    genres: [
+        { id: 'action', title: 'Action', count: 1247, description: 'Fast-paced games with combat and challenges' },
+        { id: 'rpg', title: 'RPG', count: 892, description: 'Role-playing games with character progression' },
+        { id: 'adventure', title: 'Adventure', count: 734, description: 'Story-driven exploration and puzzle solving' },
+        { id: 'strategy', title: 'Strategy', count: 418, description: 'Games of planning, tactics and resource management' },
+        { id: 'simulation', title: 'Simulation', count: 356, description: 'Games that recreate real-world activities' }
+    ],
+    
+    developers: [
+        { id: 'cd-projekt-red', title: 'CD Projekt RED', gameCount: 12, description: 'Polish video game developer' },
+        { id: 'fromsoftware', title: 'FromSoftware', gameCount: 31, description: 'Japanese developer known for the Souls series' },
+        { id: 'larian-studios', title: 'Larian Studios', gameCount: 14, description: 'Belgian developer of the Divinity series' }
+    ],
+    
+    // Public profiles of the fixture reviewers
+    users: [
+        {
+            id: 'fixture-user-1',
+            username: 'nightcity_runner',
+            displayName: 'Night City Runner',
+            bio: 'Open worlds, long RPGs and the occasional souls-like.',
+            stats: { gamesPlayed: 87, reviewsWritten: 2, hoursPlayed: 1450, achievements: 312 }
+        },
+        {
+            id: 'fixture-user-2',
+            username: 'chrome_and_coffee',
+            displayName: 'Chrome & Coffee',
+            stats: { gamesPlayed: 34, reviewsWritten: 1, hoursPlayed: 520, achievements: 96 }
+        },
+        {
+            id: 'fixture-user-3',
+            username: 'white_wolf',
+            displayName: 'White Wolf',
+            bio: 'Completionist. Gwent champion of Velen.',
+            stats: { gamesPlayed: 152, reviewsWritten: 1, hoursPlayed: 3020, achievements: 1187 }
+        }
+    ],
+    
+    reviews: [
+        {
+            id: 'review-1',
+            gameId: 1,
+            userId: 'fixture-user-1',
+            username: 'nightcity_runner',
+            title: 'A very different game after the updates',
+            content: 'Night City is the real star here. After the 2.0 update the skill trees, police system and vehicle combat finally feel like they belong together, and the main story is still excellent.',
+            rating: 9,
+            recommended: true,
+            playtimeAtReview: 5400,
+            completedGame: true,
+            platform: 'PC',
+            verified: true,
+            stats: { helpfulVotes: 128 },
+            createdAt: '2024-02-11T18:30:00Z',
+            publishedAt: '2024-02-11T18:30:00Z'
+        },
+        {
+            id: 'review-2',
+            gameId: 1,
+            userId: 'fixture-user-2',
+            username: 'chrome_and_coffee',
+            title: 'Great story, demanding hardware',
+            content: 'The writing and side quests are some of the best in the genre. Be aware that it is heavy on older graphics cards, so lower the crowd density if you see stutter in the city centre.',
+            rating: 8,
+            recommended: true,
+            playtimeAtReview: 2700,
+            platform: 'PC',
+            stats: { helpfulVotes: 41 },
+            createdAt: '2024-05-03T09:12:00Z',
+            publishedAt: '2024-05-03T09:12:00Z'
+        },
+        {
+            id: 'review-3',
+            gameId: 2,
+            userId: 'fixture-user-3',
+            username: 'white_wolf',
+            title: 'Still the benchmark for open-world RPGs',
+            content: 'Years later the quest design holds up remarkably well. Almost every contract has a twist, and both expansions are worth the price of the base game on their own.',
+            rating: 10,
+            recommended: true,
+            playtimeAtReview: 9600,
+            completedGame: true,
+            platform: 'PlayStation 5',
+            verified: true,
+            stats: { helpfulVotes: 312 },
+            createdAt: '2023-11-20T21:05:00Z',
+            publishedAt: '2023-11-20T21:05:00Z'
+        },
+        {
+            id: 'review-4',
+            gameId: 3,
+            userId: 'fixture-user-1',
+            username: 'nightcity_runner',
+            title: 'Hard, fair and full of secrets',
+            content: 'Every time I thought I had seen the whole map the game opened up another region. Bosses are tough but learnable, and summons make the difficulty manageable for newcomers.',
+            rating: 10,
+            recommended: true,
+            playtimeAtReview: 7200,
+            platform: 'PC',
+            stats: { helpfulVotes: 97 },
+            createdAt: '2024-03-15T14:44:00Z',
+            publishedAt: '2024-03-15T14:44:00Z'
+        }
+    ]
+};
+
+/**
+ * Flatten fixtures into the records SearchManager lists
+ * @param {Object} fixtures - Fixture set (games, genres, developers)
+ * @returns {Array} Search records
+ */
+function createSearchIndex(fixtures = MockFixtures) {
+    const games = fixtures.games.map(game => ({
+        id: game.id,
+        title: game.title,
+        type: 'game',
+        genre: game.genre.join(' '),
+        developer: game.developer,
+        year: new Date(game.releaseDate).getFullYear(),
+        rating: game.stats.averageRating,
+        image: game.images.cover,
+        tags: game.tags
+    }));
+    
+    const genres = fixtures.genres.map(genre => ({ ...genre, type: 'genre' }));
+    const developers = fixtures.developers.map(developer => ({ ...developer, type: 'developer' }));
+    
+    return [...games, ...genres, ...developers];
+}
+
+// Export for global access
+window.MockFixtures = MockFixtures;
+window.createSearchIndex = createSearchIndex;
@@ -18,6 +18,9 @@
  * 
  * review.addHelpfulVote('user789');
  * console.log(review.getHelpfulScore());
+ * 
+ * // Moderation and edits by others require a user with the right permissions
+ * review.moderate('hide', moderatorUser, 'Spoilers without warning');
  */
 
 class Review {
@@ -292,17 +295,37 @@ class Review {
         return null;
     }
     
+    /**
+     * Check whether a user may edit this review
+     * Authors need review:edit_own, everyone else review:edit_any
+     * @param {User|Object} user - Acting user
+     * @returns {boolean} Permission status
+     */
+    canBeEditedBy(user) {
+        if (!user) return false;
+        
+        const permission = user.id === this.userId ? 'review:edit_own' : 'review:edit_any';
+        return User.hasPermission(user, permission);
+    }
+    
     /**
      * Update review content
      * @param {Object} updates - Content updates
-     * @param {string} editorId - ID of user making edit
+     * @param {User|Object} editor - User making the edit (defaults to the author)
      * @returns {boolean} Success status
      */
-    updateContent(updates, editorId = null) {
+    updateContent(updates, editor = null) {
+        if (editor && !this.canBeEditedBy(editor)) {
+            this.emit('permissionDenied', { action: 'edit', userId: editor.id });
+            return false;
+        }
+        
+        const editorId = editor ? editor.id : this.userId;
+        
         // Store edit history
         const editEntry = {
             timestamp: new Date(),
-            editorId: editorId || this.userId,
+            editorId,
             changes: {},
             reason: updates.reason || 'Content update'
         };
@@ -370,21 +393,29 @@ class Review {
     
     /**
      * Remove reply from review
+     * Reply authors may remove their own replies, moderators any reply
      * @param {string} replyId - Reply ID
+     * @param {User|Object} actor - User removing the reply
      * @returns {boolean} Success status
      */
-    removeReply(replyId) {
-        const initialLength = this.replies.length;
-        this.replies = this.replies.filter(reply => reply.id !== replyId);
+    removeReply(replyId, actor) {
+        const reply = this.replies.find(r => r.id === replyId);
+        if (!reply) {
+            return false;
+        }
         
-        if (this.replies.length < initialLength) {
-            this.stats.replies = this.replies.length;
-            this.updatedAt = new Date();
-            this.emit('replyRemoved', { replyId });
-            return true;
+        const permission = actor && actor.id === reply.userId ? 'reply:remove_own' : 'reply:remove_any';
+        if (!User.hasPermission(actor, permission)) {
+            this.emit('permissionDenied', { action: 'removeReply', userId: actor?.id ?? null, replyId });
+            return false;
         }
         
-        return false;
+        this.replies = this.replies.filter(r => r.id !== replyId);
+        this.stats.replies = this.replies.length;
+        this.updatedAt = new Date();
+        this.emit('replyRemoved', { replyId, removedBy: actor.id });
+        
+        return true;
     }
     
     /**
@@ -409,14 +440,21 @@ class Review {
     /**
      * Moderate review
      * @param {string} action - Moderation action (approve, reject, hide)
-     * @param {string} moderatorId - Moderator ID
+     * @param {User|Object} moderator - User with the review:moderate permission
      * @param {string} notes - Moderation notes
      * @returns {boolean} Success status
      */
-    moderate(action, moderatorId, notes = '') {
+    moderate(action, moderator, notes = '') {
         const validActions = ['approve', 'reject', 'hide'];
         if (!validActions.includes(action)) return false;
         
+        if (!User.hasPermission(moderator, 'review:moderate')) {
+            this.emit('permissionDenied', { action: 'moderate', userId: moderator?.id ?? null });
+            return false;
+        }
+        
+        const moderatorId = moderator.id;
+        
         const statusMap = {
             approve: 'approved',
             reject: 'rejected',
@@ -15,7 +15,51 @@
  * 
  * user.updatePreferences({ theme: 'dark' });
  * user.addToLibrary(gameId);
+ * 
+ * if (user.can('review:moderate')) { ... }
+ */
+
+/**
+ * Roles in ascending order of privilege
+ */
+const UserRoles = ['user', 'moderator', 'admin'];
+
+/**
+ * Permissions granted to each role
+ * Each role inherits everything granted to the roles below it
+ */
+const RolePermissions = (() => {
+    const user = [
+        'review:create',
+        'review:edit_own',
+        'reply:create',
+        'reply:remove_own'
+    ];
+    
+    const moderator = [
+        ...user,
+        'review:moderate',
+        'review:edit_any',
+        'reply:remove_any',
+        'moderator_tools:view'
+    ];
+    
+    const admin = [
+        ...moderator,
+        'user:manage_roles',
+        'admin_tools:view'
+    ];
+    
+    return { user, moderator, admin };
+})();
+
+/**
+ * Permissions withheld until the user has verified their email address
  */
+const VerifiedEmailPermissions = [
+    'review:create',
+    'reply:create'
+];
 
 class User {
     constructor(data = {}) {
@@ -30,7 +74,10 @@ class User {
         this.website = data.website || '';
         
         // Authentication
+        this.role = data.role || 'user'; // user, moderator, admin
         this.isAuthenticated = data.isAuthenticated || false;
+        this.emailVerified = Boolean(data.emailVerified);
+        this.emailVerifiedAt = data.emailVerifiedAt ? new Date(data.emailVerifiedAt) : null;
         this.lastLoginAt = data.lastLoginAt ? new Date(data.lastLoginAt) : null;
         this.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
         this.updatedAt = data.updatedAt ? new Date(data.updatedAt) : new Date();
@@ -139,6 +186,11 @@ class User {
             this.errors.set('website', 'Website must be a valid URL');
         }
         
+        // Role validation
+        if (!UserRoles.includes(this.role)) {
+            this.errors.set('role', `Role must be one of: ${UserRoles.join(', ')}`);
+        }
+        
         return this.errors.size === 0;
     }
     
@@ -576,6 +628,67 @@ class User {
         };
     }
     
+    /**
+     * Check if user has a role or a more privileged one
+     * @param {string} role - Minimum role
+     * @returns {boolean} Role status
+     */
+    hasRole(role) {
+        return User.hasRole(this, role);
+    }
+    
+    /**
+     * Check if user has been granted a permission
+     * @param {string} permission - Permission name (e.g. 'review:moderate')
+     * @returns {boolean} Permission status
+     */
+    can(permission) {
+        return User.hasPermission(this, permission);
+    }
+    
+    /**
+     * Mark the email address as verified
+     * @param {Date|string} verifiedAt - Verification time
+     * @returns {boolean} Success status
+     */
+    markEmailVerified(verifiedAt = new Date()) {
+        if (this.emailVerified) {
+            return false;
+        }
+        
+        this.emailVerified = true;
+        this.emailVerifiedAt = new Date(verifiedAt);
+        this.updatedAt = new Date();
+        
+        this.emit('emailVerified', { email: this.email, verifiedAt: this.emailVerifiedAt });
+        
+        return true;
+    }
+    
+    /**
+     * Change user role
+     * @param {string} role - New role
+     * @param {User|Object} actor - User making the change
+     * @returns {boolean} Success status
+     */
+    setRole(role, actor) {
+        if (!UserRoles.includes(role) || !User.hasPermission(actor, 'user:manage_roles')) {
+            return false;
+        }
+        
+        if (role === this.role) {
+            return false;
+        }
+        
+        const oldRole = this.role;
+        this.role = role;
+        this.updatedAt = new Date();
+        
+        this.emit('roleChanged', { newRole: role, oldRole, actorId: actor.id });
+        
+        return true;
+    }
+    
     /**
      * Check if user can perform action based on privacy settings
      * @param {string} action - Action to check
@@ -624,6 +737,7 @@ class User {
             id: this.id,
             username: this.username,
             displayName: this.displayName,
+            role: this.role,
             avatar: this.getAvatarUrl(),
             bio: this.bio,
             location: this.location,
@@ -639,6 +753,8 @@ class User {
         
         if (includePrivate) {
             obj.email = this.email;
+            obj.emailVerified = this.emailVerified;
+            obj.emailVerifiedAt = this.emailVerifiedAt;
             obj.preferences = { ...this.preferences };
             obj.library = Array.from(this.library);
             obj.wishlist = Array.from(this.wishlist);
@@ -681,6 +797,45 @@ class User {
         return User.fromObject(JSON.parse(json));
     }
     
+    /**
+     * Check if a user has a role or a more privileged one
+     * Works with User instances and plain user objects
+     * @param {User|Object} user - User
+     * @param {string} role - Minimum role
+     * @returns {boolean} Role status
+     */
+    static hasRole(user, role) {
+        if (!user) return false;
+        
+        const userRank = UserRoles.indexOf(user.role || 'user');
+        const requiredRank = UserRoles.indexOf(role);
+        
+        return userRank !== -1 && requiredRank !== -1 && userRank >= requiredRank;
+    }
+    
+    /**
+     * Check if a user has been granted a permission
+     * Works with User instances and plain user objects
+     * @param {User|Object} user - User
+     * @param {string} permission - Permission name
+     * @returns {boolean} Permission status
+     */
+    static hasPermission(user, permission) {
+        if (!user) return false;
+        
+        const granted = RolePermissions[user.role || 'user'] || [];
+        return granted.includes(permission);
+    }
+    
+    /**
+     * Check if a permission is withheld until the email is verified
+     * @param {string} permission - Permission name
+     * @returns {boolean} Whether verification is required
+     */
+    static requiresVerifiedEmail(permission) {
+        return VerifiedEmailPermissions.includes(permission);
+    }
+    
     // Event system methods
     
     /**
@@ -733,3 +888,6 @@ class User {
 
 // Export for global access
 window.User = User;
+window.UserRoles = UserRoles;
+window.RolePermissions = RolePermissions;
+window.VerifiedEmailPermissions = VerifiedEmailPermissions;
@@ -3,7 +3,9 @@
    ============================================== */
 
 class SearchManager {
-    constructor() {
+    constructor(options = {}) {
+        this.apiService = options.apiService || null; // local search data when not set
+        this.searchController = null;
         this.searchInput = null;
         this.searchButton = null;
         this.searchResults = null;
@@ -90,77 +92,11 @@ class SearchManager {
     }
     
     /**
-     * Load sample search data
+     * Load local search data
      */
     loadSearchData() {
-        // In a real application, this would come from an API
-        this.searchData = [
-            {
-                id: 1,
-                title: 'Cyberpunk 2077',
-                type: 'game',
-                genre: 'Action RPG',
-                developer: 'CD Projekt RED',
-                year: 2020,
-                rating: 9.1,
-                image: 'https://via.placeholder.com/80x100/667eea/ffffff?text=C2077',
-                tags: ['sci-fi', 'open-world', 'rpg', 'action']
-            },
-            {
-                id: 2,
-                title: 'The Witcher 3: Wild Hunt',
-                type: 'game',
-                genre: 'Open World RPG',
-                developer: 'CD Projekt RED',
-                year: 2015,
-                rating: 9.8,
-                image: 'https://via.placeholder.com/80x100/f093fb/ffffff?text=W3',
-                tags: ['fantasy', 'open-world', 'rpg', 'adventure']
-            },
-            {
-                id: 3,
-                title: 'Elden Ring',
-                type: 'game',
-                genre: 'Action RPG',
-                developer: 'FromSoftware',
-                year: 2022,
-                rating: 9.6,
-                image: 'https://via.placeholder.com/80x100/4facfe/ffffff?text=ER',
-                tags: ['souls-like', 'fantasy', 'difficult', 'open-world']
-            },
-            {
-                id: 4,
-                title: 'God of War',
-                type: 'game',
-                genre: 'Action Adventure',
-                developer: 'Santa Monica Studio',
-                year: 2018,
-                rating: 9.4,
-                image: 'https://via.placeholder.com/80x100/fbbf24/ffffff?text=GOW',
-                tags: ['mythology', 'action', 'adventure', 'single-player']
-            },
-            {
-                id: 5,
-                title: 'Action',
-                type: 'genre',
-                count: 1247,
-                description: 'Fast-paced games with combat and challenges'
-            },
-            {
-                id: 6,
-                title: 'RPG',
-                type: 'genre',
-                count: 892,
-                description: 'Role-playing games with character progression'
-            },
-            {
-                id: 7,
-                title: 'CD Projekt RED',
-                type: 'developer',
-                gameCount: 12,
-                description: 'Polish video game developer'
-            }
-        ];
+        // Same fixtures the mock API serves, so offline results match the API's
+        this.searchData = typeof MockFixtures !== 'undefined' ? createSearchIndex(MockFixtures) : [];
     }
     
     /**
@@ -241,20 +177,79 @@ class SearchManager {
         });
     }
     
+    /**
+     * Search the API instead of the bundled data
+     * @param {ApiService} apiService - API service
+     */
+    setApiService(apiService) {
+        this.apiService = apiService;
+    }
+    
     /**
      * Handle search input
      * @param {string} query - Search query
      */
-    handleSearch(query) {
+    async handleSearch(query) {
         this.currentQuery = query.trim();
         
+        // Results for the previous query are no longer wanted
+        this.cancelSearch();
+        
         if (this.currentQuery.length < this.minQueryLength) {
             this.showDefaultContent();
             return;
         }
         
         this.isSearching = true;
-        this.showSearchResults(this.performSearch(this.currentQuery));
+        
+        try {
+            this.showSearchResults(await this.fetchResults(this.currentQuery));
+            this.isSearching = false;
+        } catch (error) {
+            // Superseded by a newer query, which now owns isSearching
+            if (error.aborted) return;
+            
+            console.error('Search request failed, using local results:', error);
+            this.showSearchResults(this.performSearch(this.currentQuery));
+            this.isSearching = false;
+        }
+    }
+    
+    /**
+     * Get results from the API, or from local data when there is none
+     * @param {string} query - Search query
+     * @returns {Promise<Array>} Search results
+     */
+    async fetchResults(query) {
+        if (!this.apiService) {
+            return this.performSearch(query);
+        }
+        
+        const controller = new AbortController();
+        this.searchController = controller;
+        
+        try {
+            const response = await this.apiService.get(`/search?q=${encodeURIComponent(query)}`, {
+                signal: controller.signal,
+                tag: 'search'
+            });
+            
+            return response.data?.results || [];
+        } finally {
+            if (this.searchController === controller) {
+                this.searchController = null;
+            }
+        }
+    }
+    
+    /**
+     * Abort the search request in flight, if any
+     */
+    cancelSearch() {
+        if (this.searchController) {
+            this.searchController.abort();
+            this.searchController = null;
+        }
     }
     
     /**
@@ -439,15 +434,23 @@ class SearchManager {
     /**
      * Execute search
      */
-    executeSearch() {
+    async executeSearch() {
         const query = this.searchInput ? this.searchInput.value : '';
         
         if (query.trim().length >= this.minQueryLength) {
             this.addToHistory(query);
             
+            let results;
+            try {
+                results = await this.fetchResults(query.trim());
+            } catch (error) {
+                if (error.aborted) return;
+                results = this.performSearch(query);
+            }
+            
             dispatchCustomEvent('searchExecute', {
                 query: query,
-                results: this.performSearch(query)
+                results
             });
             
             console.log('Search executed:', query);
@@ -489,6 +492,7 @@ class SearchManager {
         document.body.classList.remove('search-overlay-open');
         
         // Clear search state
+        this.cancelSearch();
         this.currentQuery = '';
         this.isSearching = false;
         
@@ -789,6 +793,7 @@ let searchManager;
 
 domReady(() => {
     searchManager = new SearchManager();
+    window.searchManager = searchManager;
     
     // Listen for search events
     document.addEventListener('searchResultClick', (e) => {
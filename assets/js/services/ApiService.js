@@ -9,25 +9,72 @@
  * Usage:
  * const apiService = new ApiService('https://api.gamevault.com');
  * const games = await apiService.get('/games', { cache: true });
+ * const feed = await apiService.get('/feed', { cache: true, cacheStrategy: CacheStrategies.NETWORK_FIRST });
  * const newGame = await apiService.post('/games', gameData);
+ *
+ * Cached GETs live in memory and, when a `persistentCache` (see CacheStore.js)
+ * is passed, in IndexedDB/localStorage too. Expired entries are kept to
+ * revalidate with If-None-Match/If-Modified-Since.
+ *
+ * Failed requests are retried according to the request's `retry` policy and
+ * endpoints that keep failing are short-circuited (see RetryPolicy.js).
+ *
+ * FormData, Blob and other binary bodies are sent as they are. Pass
+ * `onUploadProgress` (or use upload()) to get progress events; large files
+ * can be sent in resumable chunks with ChunkedUpload.
+ * const { data } = await apiService.upload('/me/avatar', file, {
+ *   fieldName: 'avatar',
+ *   onProgress: ({ percent }) => console.log(`${percent}%`)
+ * });
+ *
+ * GraphQL operations go through the same pipeline (see graphql()); query
+ * results land in a normalized cache (see NormalizedCache.js).
+ * const { data } = await apiService.graphql(`query ($id: ID!) { game(id: $id) { id title } }`, { id: 3 });
+ *
+ * Cached responses can hold the signed-in user's data (e.g. userStats on
+ * games), so every cache layer is cleared when a session is set or removed.
+ *
+ * A "remember me" session lives in localStorage, shared by every tab; any
+ * other session lives in this tab's sessionStorage. Each tab reads, writes
+ * and clears only the store its own session uses.
+ *
+ * Requests are recorded by `telemetry` (see RequestTelemetry.js), whose
+ * latency, error, retry and cache metrics are part of getStats().
+ *
+ * The `scheduler` (see RequestScheduler.js) limits requests in flight and
+ * per-endpoint rates. Pass `priority` ('user', 'prefetch' or 'background')
+ * for requests the user didn't ask for; those may be dropped when too many wait.
+ * await apiService.get('/games?sort=rating', { priority: 'prefetch' });
  */
 
 class ApiService extends EventEmitter {
     constructor(baseURL = '', options = {}) {
         super();
         
+        const {
+            persistentCache = null,
+            memoryCacheSize = 100,
+            circuitBreaker,
+            graphqlEndpoint = '/graphql',
+            graphqlCache,
+            telemetry,
+            scheduler,
+            ...requestOptions
+        } = options;
+        
         this.baseURL = baseURL.replace(/\/$/, ''); // Remove trailing slash
         this.defaultOptions = {
             timeout: 10000,
             retries: 3,
             retryDelay: 1000,
             cache: false,
+            cacheStrategy: CacheStrategies.CACHE_FIRST,
             cacheExpiry: 5 * 60 * 1000, // 5 minutes
             headers: {
                 'Content-Type': 'application/json',
                 'Accept': 'application/json'
             },
-            ...options
+            ...requestOptions
         };
         
         // Request/response interceptors
@@ -35,8 +82,33 @@ class ApiService extends EventEmitter {
         this.responseInterceptors = [];
         
         // Cache and request tracking
-        this.cache = new Map();
-        this.pendingRequests = new Map();
+        this.cache = new Map();           // memory layer, in least recently used order
+        this.memoryCacheSize = memoryCacheSize;
+        this.persistentCache = persistentCache;
+        this.pendingRequests = new Map(); // in-flight GETs by request key
+        this.activeCallers = new Set();   // one entry per caller, for cancelAll/cancelByTag
+        
+        // Token refresh (see setAuthRefreshHandler)
+        this.authStorage = null; // store holding this tab's session (see getAuthStorage)
+        this.authRefreshHandler = null;
+        this.refreshPromise = null;
+        
+        // Mutations made while offline (see setOfflineQueue)
+        this.offlineQueue = null;
+        
+        // Endpoints failing repeatedly are short-circuited (pass false to disable)
+        this.circuitBreaker = circuitBreaker === false ? null : (circuitBreaker || new CircuitBreaker());
+        
+        // GraphQL (see graphql())
+        this.graphqlEndpoint = graphqlEndpoint;
+        this.graphqlCache = graphqlCache === false ? null : (graphqlCache || new NormalizedCache());
+        this.graphqlDocuments = new Map(); // query source -> parsed document with __typename fields
+        
+        // Request log and metrics (pass false to disable)
+        this.telemetry = telemetry === false ? null : (telemetry || new RequestTelemetry());
+        
+        // Concurrency, priority lanes and rate limits (pass false to disable)
+        this.scheduler = scheduler === false ? null : (scheduler || new RequestScheduler());
         
         // Initialize
         this.init();
@@ -47,7 +119,10 @@ class ApiService extends EventEmitter {
      */
     init() {
         this.setupDefaultInterceptors();
+        this.setupAuthRefreshInterceptor();
         this.setupNetworkMonitoring();
+        this.setupCircuitBreaker();
+        this.telemetry?.attach(this);
         
         console.log('ApiService initialized with baseURL:', this.baseURL);
     }
@@ -88,6 +163,33 @@ class ApiService extends EventEmitter {
         );
     }
     
+    /**
+     * Setup the 401 interceptor
+     * Refreshes the access token once, then replays the failed request.
+     * Concurrent 401s share a single refresh; requests made while it is in
+     * flight wait for it in request() before they are sent.
+     */
+    setupAuthRefreshInterceptor() {
+        this.addResponseInterceptor(null, (error) => {
+            const config = error.config || {};
+            
+            if (error.status !== 401 || !this.authRefreshHandler ||
+                config.skipAuthRefresh || config._authRetried) {
+                return Promise.reject(error);
+            }
+            
+            // A request sent with a token that has since been replaced only needs replaying
+            const usedToken = (config.headers?.Authorization || '').replace(/^Bearer /, '');
+            const tokenChanged = usedToken && usedToken !== this.getAuthToken();
+            const refresh = tokenChanged ? Promise.resolve() : this.refreshAuthToken();
+            
+            return refresh.then(
+                () => this.replayRequest(config),
+                () => Promise.reject(error)
+            );
+        });
+    }
+    
     /**
      * Setup network monitoring
      */
@@ -101,6 +203,17 @@ class ApiService extends EventEmitter {
         });
     }
     
+    /**
+     * Re-emit circuit changes so callers only listen to the API service
+     */
+    setupCircuitBreaker() {
+        if (!this.circuitBreaker) return;
+        
+        this.circuitBreaker.on('open', (event) => this.emit('circuitOpen', event));
+        this.circuitBreaker.on('halfOpen', (event) => this.emit('circuitHalfOpen', event));
+        this.circuitBreaker.on('close', (event) => this.emit('circuitClose', event));
+    }
+    
     /**
      * Add request interceptor
      * @param {Function} interceptor - Request interceptor function
@@ -134,35 +247,59 @@ class ApiService extends EventEmitter {
     
     /**
      * Apply response interceptors
+     * Interceptors are chained like promises: an error interceptor that
+     * resolves (e.g. with a replayed response) recovers the request, one
+     * that returns nothing passes the error on.
      * @param {*} response - Response or error
      * @param {boolean} isError - Whether this is an error response
-     * @returns {*} Modified response
+     * @returns {Promise} Modified response
      */
     applyResponseInterceptors(response, isError = false) {
-        return this.responseInterceptors.reduce((res, interceptor) => {
-            try {
-                if (isError && interceptor.error) {
-                    return interceptor.error(res) || res;
-                } else if (!isError && interceptor.success) {
-                    return interceptor.success(res) || res;
+        const initial = isError ? Promise.reject(response) : Promise.resolve(response);
+        
+        return this.responseInterceptors.reduce((promise, interceptor) => {
+            return promise.then(
+                (res) => {
+                    if (!interceptor.success) return res;
+                    try {
+                        return interceptor.success(res) || res;
+                    } catch (error) {
+                        console.error('Response interceptor error:', error);
+                        return res;
+                    }
+                },
+                (err) => {
+                    if (!interceptor.error) return Promise.reject(err);
+                    try {
+                        const result = interceptor.error(err);
+                        return result === undefined ? Promise.reject(err) : result;
+                    } catch (error) {
+                        console.error('Response interceptor error:', error);
+                        return Promise.reject(err);
+                    }
                 }
-                return res;
-            } catch (error) {
-                console.error('Response interceptor error:', error);
-                return res;
-            }
-        }, response);
+            );
+        }, initial);
     }
     
     /**
      * Make HTTP request
+     * Identical in-flight GETs share one fetch. Pass `signal` (AbortSignal) or
+     * `tag` (see cancelByTag) to cancel; a cancelled request rejects with
+     * `aborted: true`.
      * @param {string} url - Request URL
-     * @param {Object} options - Request options
+     * @param {Object} options - Request options ({ signal, tag, ... })
      * @returns {Promise} Request promise
      */
     async request(url, options = {}) {
+        // Hold requests while a token refresh is in flight
+        if (this.refreshPromise && !options.skipAuthRefresh) {
+            await this.refreshPromise.catch(() => {});
+        }
+        
         const config = {
             url: this.buildURL(url),
+            originalUrl: url,
             method: 'GET',
             ...this.defaultOptions,
             ...options,
@@ -172,85 +309,320 @@ class ApiService extends EventEmitter {
             }
         };
         
+        if (options.signal?.aborted) {
+            return Promise.reject(this.createAbortResponse(config));
+        }
+        
+        // Mutations made while offline wait in the queue and resolve as `queued`
+        if (this.offlineQueue && !config.skipOfflineQueue &&
+            this.offlineQueue.canQueue(config.method, config.data) && this.offlineQueue.shouldQueue()) {
+            const item = this.offlineQueue.enqueue(url, options);
+            this.emit('requestQueued', { config, item });
+            return this.createQueuedResponse(item, config);
+        }
+        
         // Apply request interceptors
         const finalConfig = this.applyRequestInterceptors(config);
         
-        // Check cache first
         if (finalConfig.cache && finalConfig.method === 'GET') {
-            const cached = this.getFromCache(finalConfig.url);
-            if (cached) {
-                this.emit('cacheHit', { url: finalConfig.url });
-                return cached;
-            }
+            const response = await this.requestWithCache(finalConfig, options);
+            this.emit('cacheResult', { url: finalConfig.url, hit: Boolean(response.fromCache) });
+            return response;
         }
         
-        // Check for pending identical requests
-        const requestKey = this.getRequestKey(finalConfig);
-        if (this.pendingRequests.has(requestKey)) {
-            return this.pendingRequests.get(requestKey);
+        return this.send(finalConfig, options);
+    }
+    
+    /**
+     * Send a request, sharing it with identical GETs already in flight
+     * @param {Object} config - Request configuration (after interceptors)
+     * @param {Object} options - Caller options ({ signal, tag })
+     * @returns {Promise} Request promise
+     */
+    send(config, options = {}) {
+        // Only GETs are safe to share; auth replays skip this because the
+        // request they replay is still pending under the same key
+        const requestKey = config.method === 'GET' && !config._authRetried
+            ? this.getRequestKey(config)
+            : null;
+        
+        const shared = requestKey && this.pendingRequests.get(requestKey);
+        
+        // A user waiting on a shared prefetch shouldn't wait in the prefetch lane
+        if (shared) {
+            this.scheduler?.promote(shared.config, config.priority || 'user');
         }
         
-        // Create request promise
-        const requestPromise = this.executeRequest(finalConfig);
+        const pending = shared || this.startRequest(config, requestKey);
         
-        // Store pending request
-        this.pendingRequests.set(requestKey, requestPromise);
+        return this.awaitRequest(pending, config, options);
+    }
+    
+    /**
+     * Answer a cached GET according to its cache strategy
+     * @param {Object} config - Request configuration (after interceptors)
+     * @param {Object} options - Caller options ({ signal, tag })
+     * @returns {Promise} Response, with `fromCache` and `stale` set when served from cache
+     */
+    async requestWithCache(config, options) {
+        const key = config.url;
+        const entry = await this.readCache(key);
+        const fresh = Boolean(entry && entry.expiresAt > Date.now());
         
-        try {
-            const response = await requestPromise;
+        switch (config.cacheStrategy) {
+            case CacheStrategies.NETWORK_FIRST:
+                try {
+                    return await this.fetchAndCache(config, options, entry);
+                } catch (error) {
+                    if (!entry || error.aborted) throw error;
+                    
+                    this.emit('cacheFallback', { url: key, error });
+                    return this.createCachedResponse(entry, config);
+                }
             
-            // Cache successful GET requests
-            if (finalConfig.cache && finalConfig.method === 'GET' && response.ok) {
-                this.setCache(finalConfig.url, response.data, finalConfig.cacheExpiry);
-            }
+            case CacheStrategies.STALE_WHILE_REVALIDATE:
+                if (!entry) {
+                    return this.fetchAndCache(config, options, entry);
+                }
+                
+                if (!fresh) {
+                    // The caller already has an answer, so its signal doesn't apply and it can wait
+                    this.fetchAndCache({ ...config, priority: 'background' }, { tag: options.tag }, entry)
+                        .then(response => this.emit('cacheUpdate', { url: key, response }))
+                        .catch(() => {});
+                }
+                
+                this.emit('cacheHit', { url: key, stale: !fresh });
+                return this.createCachedResponse(entry, config);
             
-            return response;
-        } finally {
-            // Clean up pending request
-            this.pendingRequests.delete(requestKey);
+            default:
+                if (fresh) {
+                    this.emit('cacheHit', { url: key, stale: false });
+                    return this.createCachedResponse(entry, config);
+                }
+                
+                return this.fetchAndCache(config, options, entry);
         }
     }
     
+    /**
+     * Fetch a cacheable GET, revalidating the cached copy when there is one
+     * @param {Object} config - Request configuration
+     * @param {Object} options - Caller options ({ signal, tag })
+     * @param {Object|null} entry - Cached entry, possibly expired
+     * @returns {Promise} Response
+     */
+    async fetchAndCache(config, options, entry) {
+        if (entry?.etag) {
+            config.headers['If-None-Match'] = entry.etag;
+        }
+        if (entry?.lastModified) {
+            config.headers['If-Modified-Since'] = entry.lastModified;
+        }
+        
+        const response = await this.send(config, options);
+        
+        if (response.notModified && entry) {
+            const renewed = { ...entry, expiresAt: Date.now() + config.cacheExpiry };
+            this.writeCache(config.url, renewed);
+            return this.createCachedResponse(renewed, config);
+        }
+        
+        if (response.ok) {
+            this.writeCache(config.url, this.createCacheEntry(response, config));
+        }
+        
+        return response;
+    }
+    
+    /**
+     * Send a request that several callers may wait on
+     * @param {Object} config - Request configuration
+     * @param {string|null} requestKey - Deduplication key, or null to not share it
+     * @returns {Object} Pending request { key, controller, callers, promise }
+     */
+    startRequest(config, requestKey) {
+        const pending = {
+            key: requestKey,
+            config,
+            controller: new AbortController(),
+            callers: 0,
+            promise: null
+        };
+        
+        // The fetch follows this signal, not any single caller's
+        config.signal = pending.controller.signal;
+        
+        pending.promise = this.executeRequest(config)
+            .finally(() => {
+                // Clean up pending request
+                if (requestKey && this.pendingRequests.get(requestKey) === pending) {
+                    this.pendingRequests.delete(requestKey);
+                }
+            });
+        
+        if (requestKey) {
+            this.pendingRequests.set(requestKey, pending);
+        }
+        
+        return pending;
+    }
+    
+    /**
+     * Wait for a pending request on behalf of one caller
+     * A cancelled caller stops waiting straight away; the fetch itself is
+     * only aborted once every caller sharing it has cancelled.
+     * @param {Object} pending - Pending request from startRequest
+     * @param {Object} config - Request configuration
+     * @param {Object} options - Caller options ({ signal, tag })
+     * @returns {Promise} Request promise
+     */
+    awaitRequest(pending, config, { signal, tag } = {}) {
+        const caller = { tag, controller: new AbortController() };
+        const forwardAbort = () => caller.controller.abort();
+        
+        pending.callers++;
+        this.activeCallers.add(caller);
+        signal?.addEventListener('abort', forwardAbort);
+        
+        return new Promise((resolve, reject) => {
+            caller.controller.signal.addEventListener('abort', () => {
+                reject(this.createAbortResponse(config));
+                
+                pending.callers--;
+                if (pending.callers === 0) {
+                    // Nobody is waiting any more; later callers must not join an aborted fetch
+                    if (pending.key && this.pendingRequests.get(pending.key) === pending) {
+                        this.pendingRequests.delete(pending.key);
+                    }
+                    pending.controller.abort();
+                }
+            });
+            
+            pending.promise.then(resolve, reject);
+        }).finally(() => {
+            signal?.removeEventListener('abort', forwardAbort);
+            this.activeCallers.delete(caller);
+        });
+    }
+    
+    /**
+     * Cancel every request in flight
+     * @returns {number} Number of cancelled calls
+     */
+    cancelAll() {
+        const callers = [...this.activeCallers];
+        callers.forEach(caller => caller.controller.abort());
+        return callers.length;
+    }
+    
+    /**
+     * Cancel the requests made with a tag
+     * @param {string} tag - Tag passed as the `tag` request option
+     * @returns {number} Number of cancelled calls
+     */
+    cancelByTag(tag) {
+        const callers = [...this.activeCallers].filter(caller => caller.tag === tag);
+        callers.forEach(caller => caller.controller.abort());
+        return callers.length;
+    }
+    
     /**
      * Execute HTTP request with retry logic
      * @param {Object} config - Request configuration
      * @returns {Promise} Request promise
      */
     async executeRequest(config) {
+        const retryPolicy = RetryPolicy.fromConfig(config);
+        const breaker = config.circuitBreaker === false ? null : this.circuitBreaker;
+        const circuitKey = breaker ? breaker.getKey(config) : null;
         let lastError;
         
-        for (let attempt = 0; attempt <= config.retries; attempt++) {
+        for (let attempt = 0; ; attempt++) {
+            if (config.signal?.aborted) {
+                break;
+            }
+            
+            // Wait for a slot in the request's priority lane
+            let release = () => {};
+            if (this.scheduler) {
+                try {
+                    release = await this.scheduler.acquire(config);
+                } catch (error) {
+                    lastError = error;
+                    break;
+                }
+            }
+            
+            // Endpoint keeps failing: fail fast instead of adding to the load
+            if (breaker && !breaker.canRequest(circuitKey)) {
+                release();
+                lastError = this.createCircuitOpenError(circuitKey);
+                break;
+            }
+            
             try {
                 this.emit('requestStart', { config, attempt });
                 
-                const response = await this.fetchWithTimeout(config);
-                const processedResponse = await this.processResponse(response, config);
+                let processedResponse;
+                try {
+                    const response = await this.fetchWithTimeout(config);
+                    processedResponse = await this.processResponse(response, config);
+                } finally {
+                    // Retry delays and response interceptors don't hold the slot
+                    release();
+                }
                 
+                breaker?.recordSuccess(circuitKey);
                 this.emit('requestSuccess', { config, response: processedResponse, attempt });
                 
                 return this.applyResponseInterceptors(processedResponse);
             } catch (error) {
                 lastError = error;
                 
-                this.emit('requestError', { config, error, attempt });
-                
-                // Don't retry on client errors (4xx) except 408, 429
-                if (error.status >= 400 && error.status < 500 && 
-                    error.status !== 408 && error.status !== 429) {
+                if (config.signal?.aborted) {
+                    breaker?.releaseTrial(circuitKey);
                     break;
                 }
                 
-                // Don't retry on last attempt
-                if (attempt === config.retries) {
+                if (breaker) {
+                    // Client errors prove the endpoint is up
+                    if (breaker.isFailure(error)) {
+                        breaker.recordFailure(circuitKey);
+                    } else {
+                        breaker.recordSuccess(circuitKey);
+                    }
+                }
+                
+                this.emit('requestError', { config, error, attempt });
+                
+                // A retry would only hit the circuit that just opened
+                if (breaker?.getState(circuitKey) === 'open' || !retryPolicy.shouldRetry(error, attempt, config)) {
                     break;
                 }
                 
-                // Wait before retry
-                await this.delay(config.retryDelay * Math.pow(2, attempt));
+                const delay = retryPolicy.getDelay(attempt, error);
+                this.emit('requestRetry', { config, error, attempt, delay });
+                
+                await this.delay(delay, config.signal);
             }
         }
         
+        // Dropped requests were low priority and skip the error interceptors too
+        if (lastError?.dropped) {
+            this.emit('requestDropped', { config });
+            return Promise.reject(this.createDroppedResponse(config, lastError));
+        }
+        
+        // Cancelled requests skip the error interceptors: nobody is waiting to recover them
+        if (config.signal?.aborted) {
+            this.emit('requestAborted', { config });
+            return Promise.reject(this.createAbortResponse(config));
+        }
+        
         const finalError = this.createErrorResponse(lastError, config);
+        this.emit('requestFailed', { config, error: finalError });
+        
         return this.applyResponseInterceptors(finalError, true);
     }
     
@@ -263,6 +635,10 @@ class ApiService extends EventEmitter {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), config.timeout);
         
+        // Cancellation aborts the same fetch as the timeout
+        const cancel = () => controller.abort();
+        config.signal?.addEventListener('abort', cancel);
+        
         const fetchOptions = {
             method: config.method,
             headers: config.headers,
@@ -271,15 +647,172 @@ class ApiService extends EventEmitter {
         
         // Add body for non-GET requests
         if (config.method !== 'GET' && config.data) {
-            if (config.headers['Content-Type'] === 'application/json') {
+            if (this.isBinaryBody(config.data)) {
+                fetchOptions.body = config.data;
+                
+                // The browser sets multipart boundaries and blob types itself
+                if (config.headers['Content-Type'] === 'application/json') {
+                    const { 'Content-Type': contentType, ...headers } = config.headers;
+                    fetchOptions.headers = headers;
+                }
+            } else if (config.headers['Content-Type'] === 'application/json') {
                 fetchOptions.body = JSON.stringify(config.data);
             } else {
                 fetchOptions.body = config.data;
             }
         }
         
-        return fetch(config.url, fetchOptions)
-            .finally(() => clearTimeout(timeoutId));
+        // fetch can't report upload progress, so those requests go through XHR
+        if (config.onUploadProgress) {
+            fetchOptions.onUploadProgress = config.onUploadProgress;
+        }
+        
+        // An adapter (e.g. MockAdapter) can answer in place of the network
+        const send = config.adapter || (config.onUploadProgress ? this.sendWithProgress.bind(this) : fetch);
+        
+        return send(config.url, fetchOptions)
+            .finally(() => {
+                clearTimeout(timeoutId);
+                config.signal?.removeEventListener('abort', cancel);
+            });
+    }
+    
+    /**
+     * Send a request through XMLHttpRequest, reporting upload progress
+     * Same signature and result as fetch, so processResponse() handles it unchanged.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options plus onUploadProgress
+     * @returns {Promise<Response>} Response
+     */
+    sendWithProgress(url, options = {}) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const { signal, onUploadProgress } = options;
+            
+            const abort = () => xhr.abort();
+            const cleanup = () => signal?.removeEventListener('abort', abort);
+            
+            xhr.open(options.method || 'GET', url);
+            xhr.responseType = 'blob';
+            
+            Object.entries(options.headers || {}).forEach(([name, value]) => {
+                xhr.setRequestHeader(name, value);
+            });
+            
+            xhr.upload.addEventListener('progress', (event) => {
+                onUploadProgress(this.createProgressEvent(event.loaded, event.lengthComputable ? event.total : null));
+            });
+            
+            xhr.addEventListener('load', () => {
+                cleanup();
+                
+                // Null-body statuses can't be given a body
+                const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+                
+                resolve(new Response(body, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: this.parseResponseHeaders(xhr.getAllResponseHeaders())
+                }));
+            });
+            
+            xhr.addEventListener('error', () => {
+                cleanup();
+                reject(new TypeError('Network request failed'));
+            });
+            
+            xhr.addEventListener('abort', () => {
+                cleanup();
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+            
+            xhr.send(options.body ?? null);
+            
+            if (signal?.aborted) {
+                xhr.abort();
+            } else {
+                signal?.addEventListener('abort', abort);
+            }
+        });
+    }
+    
+    /**
+     * Parse the header block returned by XMLHttpRequest
+     * @param {string} raw - getAllResponseHeaders() output
+     * @returns {Object} Headers object
+     */
+    parseResponseHeaders(raw) {
+        const headers = {};
+        
+        raw.trim().split(/[\r\n]+/).forEach((line) => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+            }
+        });
+        
+        return headers;
+    }
+    
+    /**
+     * Build an upload progress event
+     * @param {number} loaded - Bytes sent
+     * @param {number|null} total - Total bytes, when known
+     * @returns {Object} { loaded, total, percent }
+     */
+    createProgressEvent(loaded, total) {
+        return {
+            loaded,
+            total,
+            percent: total ? Math.min(100, Math.round(loaded / total * 100)) : null
+        };
+    }
+    
+    /**
+     * Check whether a body must be sent as-is rather than JSON-encoded
+     * @param {*} data - Request data
+     * @returns {boolean} Binary status
+     */
+    isBinaryBody(data) {
+        return (typeof FormData !== 'undefined' && data instanceof FormData) ||
+               (typeof Blob !== 'undefined' && data instanceof Blob) ||
+               (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+               data instanceof ArrayBuffer ||
+               ArrayBuffer.isView(data);
+    }
+    
+    /**
+     * Build multipart form data for an upload
+     * @param {File|Blob|FormData|Object} data - A file, a FormData, or { field: value } with files among the values
+     * @param {string} fieldName - Field for a lone file
+     * @returns {FormData} Form data
+     */
+    toFormData(data, fieldName = 'file') {
+        if (data instanceof FormData) {
+            return data;
+        }
+        
+        const formData = new FormData();
+        
+        if (data instanceof Blob) {
+            formData.append(fieldName, data, data.name || 'blob');
+            return formData;
+        }
+        
+        Object.entries(data || {}).forEach(([name, value]) => {
+            const values = Array.isArray(value) ? value : [value];
+            values.forEach((item) => {
+                if (item instanceof Blob) {
+                    formData.append(name, item, item.name || 'blob');
+                } else if (item !== null && item !== undefined) {
+                    formData.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+                }
+            });
+        });
+        
+        return formData;
     }
     
     /**
@@ -298,6 +831,14 @@ class ApiService extends EventEmitter {
             config
         };
         
+        // Conditional request: the cached copy is still current
+        if (response.status === 304 &&
+            (config.headers['If-None-Match'] || config.headers['If-Modified-Since'])) {
+            result.notModified = true;
+            result.data = null;
+            return result;
+        }
+        
         // Parse response body
         try {
             const contentType = response.headers.get('content-type') || '';
@@ -342,6 +883,63 @@ class ApiService extends EventEmitter {
         };
     }
     
+    /**
+     * Create the response for a request saved to the offline queue
+     * @param {Object} item - Queued item
+     * @param {Object} config - Request configuration
+     * @returns {Object} 202 response with `queued: true`
+     */
+    createQueuedResponse(item, config) {
+        return {
+            ok: true,
+            status: 202,
+            statusText: 'Queued',
+            headers: {},
+            data: null,
+            config,
+            queued: true,
+            queueId: item.id
+        };
+    }
+    
+    /**
+     * Create the error for a request stopped by an open circuit
+     * Status 0 like a network error: the server was not contacted, so the
+     * offline queue keeps the request instead of dropping it.
+     * @param {string} key - Endpoint key
+     * @returns {Error} Error with `circuitOpen: true`
+     */
+    createCircuitOpenError(key) {
+        const error = new Error(`Circuit open for ${key}`);
+        error.name = 'CircuitOpenError';
+        error.status = 0;
+        error.circuitOpen = true;
+        
+        return error;
+    }
+    
+    /**
+     * Create the rejection for a cancelled request
+     * @param {Object} config - Request configuration
+     * @returns {Object} Error response with `aborted: true`
+     */
+    createAbortResponse(config) {
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        
+        return { ...this.createErrorResponse(error, config), aborted: true };
+    }
+    
+    /**
+     * Create the rejection for a request the scheduler dropped
+     * @param {Object} config - Request configuration
+     * @param {Error} error - Scheduler error
+     * @returns {Object} Error response with `dropped: true`
+     */
+    createDroppedResponse(config, error) {
+        return { ...this.createErrorResponse(error, config), dropped: true };
+    }
+    
     /**
      * Convert response headers to object
      * @param {Headers} headers - Response headers
@@ -371,56 +969,135 @@ class ApiService extends EventEmitter {
     
     /**
      * Generate request key for deduplication
+     * Uses the URL as requested, before the cache-busting timestamp is added
      * @param {Object} config - Request configuration
      * @returns {string} Request key
      */
     getRequestKey(config) {
-        const { method, url, data } = config;
+        const { method, url, originalUrl, data } = config;
+        const requestUrl = originalUrl ? this.buildURL(originalUrl) : url;
         const dataHash = data ? JSON.stringify(data) : '';
-        return `${method}:${url}:${dataHash}`;
+        return `${method}:${requestUrl}:${dataHash}`;
     }
     
     /**
-     * Get data from cache
+     * Get an entry from the memory cache
+     * Expired entries are returned too; callers check `expiresAt`
      * @param {string} key - Cache key
-     * @returns {*} Cached data or null
+     * @returns {Object|null} Cache entry
      */
     getFromCache(key) {
         const cached = this.cache.get(key);
-        if (cached && cached.expiry > Date.now()) {
-            return cached.data;
-        }
+        if (!cached) return null;
+        
+        // Move to the end: most recently used
+        this.cache.delete(key);
+        this.cache.set(key, cached);
         
-        // Remove expired cache
-        if (cached) {
-            this.cache.delete(key);
+        return cached;
+    }
+    
+    /**
+     * Set an entry in the memory cache, evicting the least recently used
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry (see createCacheEntry)
+     */
+    setCache(key, entry) {
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        
+        while (this.cache.size > this.memoryCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+    
+    /**
+     * Read an entry from memory, falling back to the persistent layer
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Cache entry
+     */
+    async readCache(key) {
+        const cached = this.getFromCache(key);
+        if (cached || !this.persistentCache) {
+            return cached;
         }
         
-        return null;
+        try {
+            const stored = await this.persistentCache.get(key);
+            if (stored) {
+                this.setCache(key, stored);
+            }
+            return stored;
+        } catch (error) {
+            console.error(`Failed to read persistent cache for ${key}:`, error);
+            return null;
+        }
     }
     
     /**
-     * Set data in cache
+     * Write an entry to memory and the persistent layer
      * @param {string} key - Cache key
-     * @param {*} data - Data to cache
-     * @param {number} expiry - Cache expiry in milliseconds
-     */
-    setCache(key, data, expiry) {
-        this.cache.set(key, {
-            data,
-            expiry: Date.now() + expiry,
-            timestamp: Date.now()
-        });
+     * @param {Object} entry - Cache entry
+     */
+    writeCache(key, entry) {
+        this.setCache(key, entry);
+        
+        // Blobs don't survive JSON serialization
+        if (this.persistentCache && !(entry.data instanceof Blob)) {
+            this.persistentCache.set(key, entry).catch((error) => {
+                console.error(`Failed to persist cache entry for ${key}:`, error);
+            });
+        }
     }
     
     /**
-     * Clear cache
+     * Create a cache entry from a response
+     * @param {Object} response - Processed response
+     * @param {Object} config - Request configuration
+     * @returns {Object} Cache entry
+     */
+    createCacheEntry(response, config) {
+        return {
+            data: response.data,
+            status: response.status,
+            headers: response.headers,
+            url: response.url,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null,
+            timestamp: Date.now(),
+            expiresAt: Date.now() + config.cacheExpiry
+        };
+    }
+    
+    /**
+     * Create a response from a cache entry
+     * @param {Object} entry - Cache entry
+     * @param {Object} config - Request configuration
+     * @returns {Object} Response with `fromCache: true`
+     */
+    createCachedResponse(entry, config) {
+        return {
+            ok: true,
+            status: entry.status,
+            statusText: 'OK',
+            headers: entry.headers,
+            url: entry.url,
+            data: entry.data,
+            config,
+            fromCache: true,
+            stale: entry.expiresAt <= Date.now()
+        };
+    }
+    
+    /**
+     * Clear cache in memory and in the persistent layer
      * @param {string} pattern - Optional pattern to match keys
+     * @returns {Promise<void>} Resolves once the persistent layer is cleared
      */
     clearCache(pattern = null) {
         if (pattern) {
             const regex = new RegExp(pattern);
-            for (const key of this.cache.keys()) {
+            for (const key of [...this.cache.keys()]) {
                 if (regex.test(key)) {
                     this.cache.delete(key);
                 }
@@ -428,6 +1105,24 @@ class ApiService extends EventEmitter {
         } else {
             this.cache.clear();
         }
+        
+        if (!this.persistentCache) {
+            return Promise.resolve();
+        }
+        
+        return this.persistentCache.clear(pattern).catch((error) => {
+            console.error('Failed to clear persistent cache:', error);
+        });
+    }
+    
+    /**
+     * Replay a request after its token was refreshed
+     * @param {Object} config - Original request configuration
+     * @returns {Promise} Request promise
+     */
+    replayRequest(config) {
+        const { url, originalUrl, ...options } = config;
+        return this.request(originalUrl || url, { ...options, _authRetried: true });
     }
     
     /**
@@ -435,8 +1130,140 @@ class ApiService extends EventEmitter {
      * @returns {string|null} Auth token
      */
     getAuthToken() {
-        return localStorage.getItem('gameVault_auth_token') || 
-               sessionStorage.getItem('gameVault_auth_token');
+        const session = this.getAuthSession();
+        if (session) {
+            return session.accessToken;
+        }
+        
+        return this.getAuthStorage().getItem('gameVault_auth_token');
+    }
+    
+    /**
+     * Get the store holding this tab's session
+     * A session in sessionStorage was started in this tab and wins over a
+     * shared one another tab wrote to localStorage.
+     * @returns {Storage} localStorage or sessionStorage
+     */
+    getAuthStorage() {
+        if (!this.authStorage) {
+            const hasTabSession = sessionStorage.getItem('gameVault_auth_session') !== null ||
+                                  sessionStorage.getItem('gameVault_auth_token') !== null;
+            this.authStorage = hasTabSession ? sessionStorage : localStorage;
+        }
+        
+        return this.authStorage;
+    }
+    
+    /**
+     * Get the stored access/refresh token pair
+     * @returns {Object|null} { accessToken, refreshToken, expiresAt, refreshExpiresAt }
+     */
+    getAuthSession() {
+        const stored = this.getAuthStorage().getItem('gameVault_auth_session');
+        
+        if (!stored) return null;
+        
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.error('Failed to parse stored auth session:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Store an access/refresh token pair
+     * @param {Object} session - { accessToken, refreshToken, expiresAt, refreshExpiresAt }
+     * @param {boolean} persistent - Whether to store in localStorage
+     */
+    setAuthSession(session, persistent = false) {
+        this.clearUserData();
+        this.storeAuthSession(session, persistent);
+    }
+    
+    /**
+     * Write a token pair to storage (a refresh keeps the same user and caches)
+     * @param {Object} session - { accessToken, refreshToken, expiresAt, refreshExpiresAt }
+     * @param {boolean} persistent - Whether to store in localStorage
+     */
+    storeAuthSession(session, persistent) {
+        const { accessToken, refreshToken, expiresAt, refreshExpiresAt } = session;
+        const storage = this.useAuthStorage(persistent);
+        
+        storage.setItem('gameVault_auth_session', JSON.stringify({
+            accessToken,
+            refreshToken,
+            expiresAt,
+            refreshExpiresAt
+        }));
+    }
+    
+    /**
+     * Check whether the stored session lives in localStorage
+     * @returns {boolean} Persistent status
+     */
+    isAuthSessionPersistent() {
+        return this.getAuthStorage() === localStorage && localStorage.getItem('gameVault_auth_session') !== null;
+    }
+    
+    /**
+     * Check whether the stored access token has expired
+     * @param {number} leeway - Milliseconds to treat as already expired
+     * @returns {boolean} Expired status
+     */
+    isAuthTokenExpired(leeway = 0) {
+        const session = this.getAuthSession();
+        return Boolean(session && session.expiresAt && session.expiresAt - leeway <= Date.now());
+    }
+    
+    /**
+     * Register the queue that holds mutating requests while offline
+     * @param {OfflineQueue} queue - Offline queue
+     */
+    setOfflineQueue(queue) {
+        this.offlineQueue = queue;
+    }
+    
+    /**
+     * Register the function that exchanges the stored session for a new one
+     * @param {Function} handler - async (session) => newSession
+     */
+    setAuthRefreshHandler(handler) {
+        this.authRefreshHandler = handler;
+    }
+    
+    /**
+     * Refresh the access token, sharing one refresh between concurrent callers
+     * @returns {Promise<Object>} New session
+     */
+    refreshAuthToken() {
+        if (!this.authRefreshHandler) {
+            return Promise.reject(new Error('No auth refresh handler registered'));
+        }
+        
+        if (!this.refreshPromise) {
+            const persistent = this.isAuthSessionPersistent();
+            
+            this.emit('authRefreshStart');
+            
+            this.refreshPromise = Promise.resolve()
+                .then(() => this.authRefreshHandler(this.getAuthSession()))
+                .then((session) => {
+                    this.storeAuthSession(session, persistent);
+                    this.emit('authRefreshed', { session });
+                    return session;
+                })
+                .catch((error) => {
+                    this.removeAuthToken();
+                    this.emit('authRefreshFailed', { error });
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        
+        return this.refreshPromise;
     }
     
     /**
@@ -445,28 +1272,75 @@ class ApiService extends EventEmitter {
      * @param {boolean} persistent - Whether to store in localStorage
      */
     setAuthToken(token, persistent = false) {
+        this.clearUserData();
+        this.useAuthStorage(persistent).setItem('gameVault_auth_token', token);
+    }
+    
+    /**
+     * Make localStorage or sessionStorage the store for this tab's session
+     * Clears the previous session there. This tab's sessionStorage is always
+     * cleared too, but another tab's shared session is left alone.
+     * @param {boolean} persistent - localStorage when true, sessionStorage otherwise
+     * @returns {Storage} Storage to write to
+     */
+    useAuthStorage(persistent) {
+        const storage = persistent ? localStorage : sessionStorage;
+        
+        this.removeStoredAuth(sessionStorage);
         if (persistent) {
-            localStorage.setItem('gameVault_auth_token', token);
-        } else {
-            sessionStorage.setItem('gameVault_auth_token', token);
+            this.removeStoredAuth(localStorage);
         }
+        
+        this.authStorage = storage;
+        return storage;
     }
     
     /**
      * Remove authentication token
      */
     removeAuthToken() {
-        localStorage.removeItem('gameVault_auth_token');
-        sessionStorage.removeItem('gameVault_auth_token');
+        this.removeStoredAuth(this.getAuthStorage());
+        this.authStorage = null;
+        this.clearUserData();
+    }
+    
+    /**
+     * Remove stored tokens and sessions from one store
+     * @param {Storage} storage - localStorage or sessionStorage
+     */
+    removeStoredAuth(storage) {
+        storage.removeItem('gameVault_auth_token');
+        storage.removeItem('gameVault_auth_session');
+    }
+    
+    /**
+     * Drop every cached response when the signed-in user changes
+     * REST responses and GraphQL entities (Game:<id> carries userStats) may
+     * hold the previous user's data.
+     */
+    clearUserData() {
+        this.graphqlCache?.clear();
+        this.clearCache();
+        this.emit('userDataCleared');
     }
     
     /**
      * Utility delay function
      * @param {number} ms - Milliseconds to delay
+     * @param {AbortSignal} signal - Optional signal that ends the wait early
      * @returns {Promise} Delay promise
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            
+            signal?.addEventListener('abort', done);
+        });
     }
     
     // HTTP method shortcuts
@@ -524,6 +1398,221 @@ class ApiService extends EventEmitter {
         return this.request(url, { ...options, method: 'DELETE' });
     }
     
+    /**
+     * Multipart upload with progress
+     * Uploads can't wait in the offline queue and aren't retried unless they
+     * carry an Idempotency-Key, so callers should be ready for a failure.
+     * @param {string} url - Request URL
+     * @param {File|Blob|FormData|Object} data - What to upload (see toFormData)
+     * @param {Object} options - Request options plus { method, fieldName, onProgress }
+     * @returns {Promise} Request promise
+     */
+    upload(url, data, options = {}) {
+        const { method = 'POST', fieldName = 'file', onProgress, ...requestOptions } = options;
+        
+        return this.request(url, {
+            timeout: 5 * 60 * 1000, // large files on slow links
+            ...requestOptions,
+            method,
+            data: this.toFormData(data, fieldName),
+            onUploadProgress: onProgress || requestOptions.onUploadProgress
+        });
+    }
+    
+    /**
+     * Run a GraphQL operation
+     * Sent as a POST through request(), so interceptors, auth refresh,
+     * cancellation and the circuit breaker apply. Queries are retried like
+     * GETs; mutations only with an Idempotency-Key.
+     *
+     * Query results are normalized into graphqlCache and answered from it
+     * according to `cacheStrategy` (CacheStrategies, default cache-first;
+     * `cache: false` always asks the server). Mutation results update the
+     * cached entities they return.
+     *
+     * Resolves with the response, `data` holding the operation's data and
+     * `errors` any partial errors. Rejects like other requests, with a
+     * GraphQLError as `error` when the server returned errors and no data.
+     * @param {string} query - GraphQL document
+     * @param {Object} variables - Variables
+     * @param {Object} options - Request options plus { operationName, cache, cacheStrategy, cacheExpiry, endpoint }
+     * @returns {Promise} Request promise
+     */
+    async graphql(query, variables = {}, options = {}) {
+        const {
+            operationName = null,
+            cache = true,
+            cacheStrategy = CacheStrategies.CACHE_FIRST,
+            cacheExpiry = this.defaultOptions.cacheExpiry,
+            endpoint = this.graphqlEndpoint,
+            ...requestOptions
+        } = options;
+        
+        const document = this.getGraphQLDocument(query);
+        const operation = GraphQL.getOperation(document, operationName);
+        const isQuery = operation.operation === 'query';
+        const request = { document, query: GraphQL.print(document), variables, operationName, endpoint, isQuery, requestOptions };
+        
+        if (!isQuery || !cache || !this.graphqlCache) {
+            return this.sendGraphQL(request);
+        }
+        
+        const response = await this.queryGraphQLCache(request, cacheStrategy, cacheExpiry);
+        this.emit('cacheResult', { url: endpoint, operationName, hit: Boolean(response.fromCache) });
+        
+        return response;
+    }
+    
+    /**
+     * Answer a GraphQL query from the normalized cache or the server, by cache strategy
+     * @param {Object} request - GraphQL request
+     * @param {string} cacheStrategy - CacheStrategies value
+     * @param {number} cacheExpiry - Milliseconds results stay fresh
+     * @returns {Promise} Response, with `fromCache` and `stale` set when served from cache
+     */
+    async queryGraphQLCache(request, cacheStrategy, cacheExpiry) {
+        const { document, variables, operationName, endpoint, requestOptions } = request;
+        const cached = this.graphqlCache.read(document, variables, operationName);
+        const fresh = Boolean(cached && (!cached.storedAt || cached.storedAt + cacheExpiry > Date.now()));
+        
+        switch (cacheStrategy) {
+            case CacheStrategies.NETWORK_FIRST:
+                try {
+                    return await this.sendGraphQL(request);
+                } catch (error) {
+                    if (!cached || error.aborted) throw error;
+                    
+                    this.emit('cacheFallback', { url: endpoint, operationName, error });
+                    return this.createGraphQLCachedResponse(cached, request, false);
+                }
+            
+            case CacheStrategies.STALE_WHILE_REVALIDATE:
+                if (!cached) {
+                    return this.sendGraphQL(request);
+                }
+                
+                if (!fresh) {
+                    // The caller already has an answer, so its signal doesn't apply
+                    const { signal, ...backgroundOptions } = requestOptions;
+                    this.sendGraphQL({ ...request, requestOptions: backgroundOptions })
+                        .then(response => this.emit('cacheUpdate', { url: endpoint, operationName, response }))
+                        .catch(() => {});
+                }
+                
+                this.emit('cacheHit', { url: endpoint, operationName, stale: !fresh });
+                return this.createGraphQLCachedResponse(cached, request, !fresh);
+            
+            default:
+                if (fresh) {
+                    this.emit('cacheHit', { url: endpoint, operationName, stale: false });
+                    return this.createGraphQLCachedResponse(cached, request, false);
+                }
+                
+                return this.sendGraphQL(request);
+        }
+    }
+    
+    /**
+     * Call back with a query's data now and whenever cached entities it selected change
+     * @param {string} query - GraphQL document
+     * @param {Object} variables - Variables
+     * @param {Function} callback - Called with the data
+     * @param {Object} options - graphql() options
+     * @returns {Function} Stop watching
+     */
+    watchGraphQL(query, variables, callback, options = {}) {
+        const document = this.getGraphQLDocument(query);
+        let last = null;
+        
+        const update = () => {
+            const cached = this.graphqlCache?.read(document, variables, options.operationName);
+            const serialized = cached && JSON.stringify(cached.data);
+            
+            if (cached && serialized !== last) {
+                last = serialized;
+                callback(cached.data);
+            }
+        };
+        
+        this.graphqlCache?.on('change', update);
+        this.graphql(query, variables, options)
+            .then((response) => {
+                if (!this.graphqlCache) callback(response.data);
+            })
+            .catch(error => this.emit('watchError', { query, variables, error }));
+        
+        return () => this.graphqlCache?.off('change', update);
+    }
+    
+    /**
+     * Send a GraphQL operation and store its result
+     * @param {Object} request - { document, query, variables, operationName, endpoint, isQuery, requestOptions }
+     * @returns {Promise} Response with GraphQL data
+     */
+    async sendGraphQL({ document, query, variables, operationName, endpoint, isQuery, requestOptions }) {
+        // Only mutations wait in the offline queue: a query needs its answer now,
+        // and failing lets the cache strategy fall back to cached data
+        const response = await this.post(endpoint, { query, variables, operationName }, {
+            ...requestOptions,
+            idempotent: isQuery,
+            skipOfflineQueue: isQuery
+        });
+        
+        // Mutations saved by the offline queue have no result yet
+        if (response.queued) {
+            return response;
+        }
+        
+        const { data = null, errors = [] } = response.data || {};
+        
+        if (!data && errors.length) {
+            const error = new GraphQLError(errors);
+            error.status = response.status;
+            error.response = response;
+            return this.applyResponseInterceptors(this.createErrorResponse(error, response.config), true);
+        }
+        
+        // Results with errors aren't cached, so the failed fields are asked for again
+        if (data && !errors.length && this.graphqlCache) {
+            this.graphqlCache.write(document, variables, data, operationName);
+        }
+        
+        return { ...response, data, errors };
+    }
+    
+    /**
+     * Parse a GraphQL document once, adding __typename to every selection
+     * @param {string} query - GraphQL document
+     * @returns {Object} Parsed document
+     */
+    getGraphQLDocument(query) {
+        if (!this.graphqlDocuments.has(query)) {
+            this.graphqlDocuments.set(query, GraphQL.addTypename(GraphQL.parse(query)));
+        }
+        return this.graphqlDocuments.get(query);
+    }
+    
+    /**
+     * Build the response for a query answered from the normalized cache
+     * @param {Object} cached - { data, storedAt }
+     * @param {Object} request - GraphQL request
+     * @param {boolean} stale - Whether the data is past its expiry
+     * @returns {Object} Response with `fromCache` and `stale` set
+     */
+    createGraphQLCachedResponse(cached, request, stale) {
+        return {
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: {},
+            data: cached.data,
+            errors: [],
+            config: { url: this.buildURL(request.endpoint), method: 'POST', data: { query: request.query, variables: request.variables } },
+            fromCache: true,
+            stale
+        };
+    }
+    
     /**
      * Get service statistics
      * @returns {Object} Service statistics
@@ -531,7 +1620,14 @@ class ApiService extends EventEmitter {
     getStats() {
         return {
             cacheSize: this.cache.size,
+            persistentCache: this.persistentCache ? this.persistentCache.getStats() : null,
             pendingRequests: this.pendingRequests.size,
+            activeCalls: this.activeCallers.size,
+            queuedRequests: this.offlineQueue ? this.offlineQueue.items.length : 0,
+            openCircuits: this.circuitBreaker ? this.circuitBreaker.getStats() : {},
+            scheduler: this.scheduler ? this.scheduler.getStats() : null,
+            graphqlCache: this.graphqlCache ? this.graphqlCache.getStats() : null,
+            telemetry: this.telemetry ? this.telemetry.getStats() : null,
             interceptors: {
                 request: this.requestInterceptors.length,
                 response: this.responseInterceptors.length
@@ -543,6 +1639,8 @@ class ApiService extends EventEmitter {
      * Cleanup resources
      */
     destroy() {
+        this.cancelAll();
+        this.scheduler?.destroy();
         this.cache.clear();
         this.pendingRequests.clear();
         this.requestInterceptors = [];
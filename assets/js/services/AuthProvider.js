@@ -0,0 +1,1306 @@
+/* ==============================================
+   AUTHENTICATION PROVIDERS
+   ============================================== */
+
+/**
+ * Pluggable authentication backends used by AuthManager
+ * Every provider resolves to a session or rejects with an AuthError
+ *
+ * Session shape:
+ * {
+ *   accessToken, refreshToken,
+ *   expiresAt, refreshExpiresAt,   // epoch milliseconds
+ *   user
+ * }
+ *
+ * login() resolves to a challenge instead when the account has two-factor enabled;
+ * pass its id and the user's code to verifyMfaChallenge() to get the session:
+ * { status: 'mfa_required', challengeId, methods: ['totp', 'recovery_code'], expiresAt }
+ *
+ * Usage:
+ * // Production: route through the API service
+ * const provider = new ApiAuthProvider(apiService);
+ *
+ * // Tests and offline demos: in-memory user store
+ * const provider = new LocalAuthProvider({
+ *   users: [{ username: 'demo', email: 'demo@gamevault.com', password: 'GameVault1!' }]
+ * });
+ *
+ * const authManager = new AuthManager({ provider });
+ */
+
+/**
+ * Error codes shared by all providers
+ */
+const AuthErrorCodes = {
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    USERNAME_TAKEN: 'USERNAME_TAKEN',
+    EMAIL_TAKEN: 'EMAIL_TAKEN',
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    SESSION_INVALID: 'SESSION_INVALID',
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    TOKEN_INVALID: 'TOKEN_INVALID',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    MFA_CODE_INVALID: 'MFA_CODE_INVALID',
+    MFA_CHALLENGE_INVALID: 'MFA_CHALLENGE_INVALID',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+/**
+ * Authentication error with a machine-readable code
+ */
+class AuthError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code || AuthErrorCodes.UNKNOWN_ERROR;
+        this.details = details;
+    }
+}
+
+/**
+ * Base provider defining the interface AuthManager relies on
+ */
+class AuthProvider {
+    /**
+     * Authenticate with credentials
+     * @param {Object} credentials - { email | username, password }
+     * @returns {Promise<Object>} Session
+     */
+    async login(credentials) {
+        throw new Error(`${this.constructor.name} does not implement login()`);
+    }
+    
+    /**
+     * Create a new account
+     * @param {Object} userData - { username, email, password }
+     * @returns {Promise<Object>} Session
+     */
+    async register(userData) {
+        throw new Error(`${this.constructor.name} does not implement register()`);
+    }
+    
+    /**
+     * Exchange a refresh token for a new token pair
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<Object>} Session (user may be omitted)
+     */
+    async refresh(refreshToken) {
+        throw new AuthError(AuthErrorCodes.SESSION_INVALID, `${this.constructor.name} does not support token refresh`);
+    }
+    
+    /**
+     * End a session
+     * @param {Object} session - Current session
+     * @returns {Promise<void>}
+     */
+    async logout(session) {
+        // Stateless providers have nothing to revoke
+    }
+    
+    /**
+     * List the active sessions of the signed-in user
+     * @param {Object} session - Current session
+     * @returns {Promise<Array>} Sessions as { id, device, createdAt, lastSeenAt, current }
+     */
+    async listSessions(session) {
+        throw new Error(`${this.constructor.name} does not implement listSessions()`);
+    }
+    
+    /**
+     * Revoke one of the signed-in user's sessions
+     * @param {Object} session - Current session
+     * @param {string} sessionId - Session to revoke
+     * @returns {Promise<void>}
+     */
+    async revokeSession(session, sessionId) {
+        throw new Error(`${this.constructor.name} does not implement revokeSession()`);
+    }
+    
+    /**
+     * Revoke every session of the signed-in user except the current one
+     * @param {Object} session - Current session
+     * @returns {Promise<number>} Number of revoked sessions
+     */
+    async revokeOtherSessions(session) {
+        const sessions = await this.listSessions(session);
+        const others = sessions.filter(entry => !entry.current);
+        
+        await Promise.all(others.map(entry => this.revokeSession(session, entry.id)));
+        return others.length;
+    }
+    
+    /**
+     * Send a password reset token to an email address
+     * Resolves even for unknown addresses so accounts cannot be enumerated
+     * @param {string} email - Account email
+     * @returns {Promise<void>}
+     */
+    async requestPasswordReset(email) {
+        throw new Error(`${this.constructor.name} does not implement requestPasswordReset()`);
+    }
+    
+    /**
+     * Set a new password using a reset token
+     * @param {string} token - Reset token
+     * @param {string} password - New password
+     * @returns {Promise<void>}
+     */
+    async resetPassword(token, password) {
+        throw new Error(`${this.constructor.name} does not implement resetPassword()`);
+    }
+    
+    /**
+     * Send a new email verification token to the signed-in user
+     * @param {Object} session - Current session
+     * @returns {Promise<void>}
+     */
+    async requestEmailVerification(session) {
+        throw new Error(`${this.constructor.name} does not implement requestEmailVerification()`);
+    }
+    
+    /**
+     * Confirm an email address
+     * @param {string} token - Verification token
+     * @returns {Promise<Object>} Updated user
+     */
+    async verifyEmail(token) {
+        throw new Error(`${this.constructor.name} does not implement verifyEmail()`);
+    }
+    
+    /**
+     * Complete a login that returned an mfa_required challenge
+     * @param {string} challengeId - Challenge id from login()
+     * @param {string} code - Authenticator code or recovery code
+     * @returns {Promise<Object>} Session
+     */
+    async verifyMfaChallenge(challengeId, code) {
+        throw new Error(`${this.constructor.name} does not implement verifyMfaChallenge()`);
+    }
+    
+    /**
+     * Start TOTP enrollment for the signed-in user
+     * @param {Object} session - Current session
+     * @returns {Promise<Object>} { secret, keyUri }
+     */
+    async beginTotpEnrollment(session) {
+        throw new Error(`${this.constructor.name} does not implement beginTotpEnrollment()`);
+    }
+    
+    /**
+     * Turn on TOTP once the user proves their authenticator works
+     * @param {Object} session - Current session
+     * @param {string} code - Code from the authenticator
+     * @returns {Promise<Object>} { recoveryCodes }
+     */
+    async confirmTotpEnrollment(session, code) {
+        throw new Error(`${this.constructor.name} does not implement confirmTotpEnrollment()`);
+    }
+    
+    /**
+     * Turn off TOTP
+     * @param {Object} session - Current session
+     * @param {string} code - Authenticator code or recovery code
+     * @returns {Promise<void>}
+     */
+    async disableTotp(session, code) {
+        throw new Error(`${this.constructor.name} does not implement disableTotp()`);
+    }
+}
+
+/**
+ * Provider backed by the GameVault REST API
+ */
+class ApiAuthProvider extends AuthProvider {
+    constructor(apiService, options = {}) {
+        super();
+        
+        this.apiService = apiService;
+        this.endpoints = {
+            login: '/auth/login',
+            register: '/auth/register',
+            refresh: '/auth/refresh',
+            logout: '/auth/logout',
+            sessions: '/auth/sessions',
+            forgotPassword: '/auth/password/forgot',
+            resetPassword: '/auth/password/reset',
+            verificationRequest: '/auth/email/verification',
+            verifyEmail: '/auth/email/verify',
+            mfaVerify: '/auth/mfa/verify',
+            totpSetup: '/auth/mfa/totp/setup',
+            totpConfirm: '/auth/mfa/totp/confirm',
+            totpDisable: '/auth/mfa/totp/disable',
+            ...options.endpoints
+        };
+    }
+    
+    /**
+     * Authenticate with credentials
+     * @param {Object} credentials - Login credentials
+     * @returns {Promise<Object>} Session
+     */
+    async login(credentials) {
+        return this.send('login', {
+            email: credentials.email,
+            username: credentials.username,
+            password: credentials.password,
+            device: credentials.device
+        });
+    }
+    
+    /**
+     * Create a new account
+     * @param {Object} userData - Registration data
+     * @returns {Promise<Object>} Session
+     */
+    async register(userData) {
+        return this.send('register', {
+            username: userData.username,
+            email: userData.email,
+            password: userData.password,
+            device: userData.device
+        });
+    }
+    
+    /**
+     * Exchange a refresh token for a new token pair
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<Object>} Session
+     */
+    async refresh(refreshToken) {
+        return this.send('refresh', { refreshToken }, false);
+    }
+    
+    /**
+     * End a session on the server
+     * @param {Object} session - Current session
+     */
+    async logout(session) {
+        await this.apiService.post(this.endpoints.logout, {
+            refreshToken: session.refreshToken
+        }, { retries: 0, skipAuthRefresh: true });
+    }
+    
+    /**
+     * List the signed-in user's sessions
+     * The request is authenticated by the access token, so the session argument is unused
+     * @returns {Promise<Array>} Sessions
+     */
+    async listSessions() {
+        try {
+            const response = await this.apiService.get(this.endpoints.sessions);
+            const sessions = Array.isArray(response.data) ? response.data : (response.data?.sessions || []);
+            
+            return sessions.map(entry => ({
+                id: entry.id,
+                device: entry.device || 'Unknown device',
+                createdAt: new Date(entry.createdAt).getTime(),
+                lastSeenAt: new Date(entry.lastSeenAt || entry.createdAt).getTime(),
+                current: Boolean(entry.current)
+            }));
+        } catch (errorResponse) {
+            throw this.toAuthError(errorResponse);
+        }
+    }
+    
+    /**
+     * Revoke a session on the server
+     * @param {Object} session - Current session (unused)
+     * @param {string} sessionId - Session to revoke
+     */
+    async revokeSession(session, sessionId) {
+        try {
+            await this.apiService.delete(`${this.endpoints.sessions}/${encodeURIComponent(sessionId)}`);
+        } catch (errorResponse) {
+            throw this.toAuthError(errorResponse);
+        }
+    }
+    
+    /**
+     * Revoke all other sessions in a single request
+     * @returns {Promise<number>} Number of revoked sessions
+     */
+    async revokeOtherSessions() {
+        try {
+            const response = await this.apiService.delete(`${this.endpoints.sessions}?except=current`);
+            return response.data?.revoked || 0;
+        } catch (errorResponse) {
+            throw this.toAuthError(errorResponse);
+        }
+    }
+    
+    /**
+     * Request a password reset email
+     * @param {string} email - Account email
+     */
+    async requestPasswordReset(email) {
+        await this.call('forgotPassword', { email });
+    }
+    
+    /**
+     * Set a new password using a reset token
+     * @param {string} token - Reset token
+     * @param {string} password - New password
+     */
+    async resetPassword(token, password) {
+        await this.call('resetPassword', { token, password });
+    }
+    
+    /**
+     * Resend the verification email (authenticated by the access token)
+     */
+    async requestEmailVerification() {
+        await this.call('verificationRequest', {}, {});
+    }
+    
+    /**
+     * Confirm an email address
+     * @param {string} token - Verification token
+     * @returns {Promise<Object>} Updated user
+     */
+    async verifyEmail(token) {
+        const data = await this.call('verifyEmail', { token });
+        return data.user || data;
+    }
+    
+    /**
+     * Complete a two-factor login
+     * @param {string} challengeId - Challenge id
+     * @param {string} code - Authenticator or recovery code
+     * @returns {Promise<Object>} Session
+     */
+    async verifyMfaChallenge(challengeId, code) {
+        return this.send('mfaVerify', { challengeId, code });
+    }
+    
+    /**
+     * Start TOTP enrollment
+     * @returns {Promise<Object>} { secret, keyUri }
+     */
+    async beginTotpEnrollment() {
+        const data = await this.call('totpSetup', {}, {});
+        return { secret: data.secret, keyUri: data.keyUri || data.otpauthUrl };
+    }
+    
+    /**
+     * Confirm TOTP enrollment
+     * @param {Object} session - Current session (unused)
+     * @param {string} code - Authenticator code
+     * @returns {Promise<Object>} { recoveryCodes }
+     */
+    async confirmTotpEnrollment(session, code) {
+        const data = await this.call('totpConfirm', { code }, {});
+        return { recoveryCodes: data.recoveryCodes || [] };
+    }
+    
+    /**
+     * Turn off TOTP
+     * @param {Object} session - Current session (unused)
+     * @param {string} code - Authenticator or recovery code
+     */
+    async disableTotp(session, code) {
+        await this.call('totpDisable', { code }, {});
+    }
+    
+    /**
+     * POST to an auth endpoint that does not return a session
+     * @param {string} endpoint - Endpoint name
+     * @param {Object} payload - Request body
+     * @param {Object} options - Request options (defaults skip retries and the refresh flow)
+     * @returns {Promise<Object>} Response body
+     */
+    async call(endpoint, payload, options = { retries: 0, skipAuthRefresh: true }) {
+        try {
+            const response = await this.apiService.post(this.endpoints[endpoint], payload, options);
+            return response.data || {};
+        } catch (errorResponse) {
+            throw this.toAuthError(errorResponse);
+        }
+    }
+    
+    /**
+     * POST to an auth endpoint and normalize the result
+     * @param {string} endpoint - Endpoint name
+     * @param {Object} payload - Request body
+     * @param {boolean} requireUser - Whether the response must include the user
+     * @returns {Promise<Object>} Session
+     */
+    async send(endpoint, payload, requireUser = true) {
+        let response;
+        
+        try {
+            // Auth endpoints must never trigger the 401 refresh flow themselves
+            response = await this.apiService.post(this.endpoints[endpoint], payload, {
+                retries: 0,
+                skipAuthRefresh: true
+            });
+        } catch (errorResponse) {
+            throw this.toAuthError(errorResponse);
+        }
+        
+        const data = response.data || {};
+        if (data.status === 'mfa_required') {
+            return {
+                status: 'mfa_required',
+                challengeId: data.challengeId,
+                methods: data.methods || ['totp', 'recovery_code'],
+                expiresAt: data.expiresAt ? new Date(data.expiresAt).getTime() : null
+            };
+        }
+        
+        return this.normalizeSession(data, requireUser);
+    }
+    
+    /**
+     * Normalize a server token payload into the session shape
+     * Accepts either absolute expiry timestamps or lifetimes in seconds
+     * @param {Object} data - Response body
+     * @param {boolean} requireUser - Whether the user is required
+     * @returns {Object} Session
+     */
+    normalizeSession(data, requireUser) {
+        const accessToken = data.accessToken || data.token;
+        
+        if (!accessToken || (requireUser && !data.user)) {
+            throw new AuthError(AuthErrorCodes.UNKNOWN_ERROR, 'Malformed authentication response');
+        }
+        
+        const now = Date.now();
+        const toTimestamp = (absolute, seconds) => {
+            if (absolute) return new Date(absolute).getTime();
+            if (seconds) return now + seconds * 1000;
+            return null;
+        };
+        
+        return {
+            accessToken,
+            refreshToken: data.refreshToken || null,
+            expiresAt: toTimestamp(data.expiresAt, data.expiresIn),
+            refreshExpiresAt: toTimestamp(data.refreshExpiresAt, data.refreshExpiresIn),
+            user: data.user || null
+        };
+    }
+    
+    /**
+     * Map an ApiService error response to an AuthError
+     * @param {Object} errorResponse - Rejected response from ApiService
+     * @returns {AuthError} Auth error
+     */
+    toAuthError(errorResponse) {
+        const body = errorResponse?.error?.response?.data || {};
+        const status = errorResponse?.status || 0;
+        
+        if (body.code) {
+            return new AuthError(body.code, body.message || 'Authentication failed', body.details);
+        }
+        
+        if (status === 0) {
+            return new AuthError(AuthErrorCodes.NETWORK_ERROR, 'Unable to reach the server');
+        }
+        
+        if (status === 401) {
+            return errorResponse.config?.url?.includes(this.endpoints.refresh)
+                ? new AuthError(AuthErrorCodes.SESSION_EXPIRED, 'Your session has expired')
+                : new AuthError(AuthErrorCodes.INVALID_CREDENTIALS, 'Invalid email or password');
+        }
+        
+        if (status === 400 || status === 422) {
+            return new AuthError(AuthErrorCodes.VALIDATION_ERROR, body.message || 'Invalid request');
+        }
+        
+        if (status === 404 || status === 410) {
+            return new AuthError(AuthErrorCodes.TOKEN_INVALID, body.message || 'This link is invalid or has expired');
+        }
+        
+        return new AuthError(AuthErrorCodes.UNKNOWN_ERROR, body.message || errorResponse?.statusText || 'Authentication failed');
+    }
+}
+
+/**
+ * In-memory provider for tests and offline demos
+ * Keeps a real user store with salted password hashes and issued token pairs.
+ * Not a security boundary: the hash only keeps plain passwords out of memory dumps.
+ * Pass `now` to drive token expiry from a deterministic clock in tests.
+ * Pass `storage` (e.g. localStorage) to keep users and sessions across page loads
+ * and share them between tabs; the store is re-read before every operation.
+ * Reset and verification tokens are handed to `mailer` instead of being emailed.
+ * Two-factor codes are checked with TOTP against `now`, so tests can fix the clock.
+ */
+class LocalAuthProvider extends AuthProvider {
+    constructor(options = {}) {
+        super();
+        
+        this.users = new Map();
+        this.sessions = new Map();
+        this.latency = options.latency || 0;
+        this.now = options.now || (() => Date.now());
+        this.accessTokenTTL = options.accessTokenTTL || 15 * 60 * 1000; // 15 minutes
+        this.refreshTokenTTL = options.refreshTokenTTL || 7 * 24 * 60 * 60 * 1000; // 7 days
+        this.resetTokenTTL = options.resetTokenTTL || 30 * 60 * 1000; // 30 minutes
+        this.verificationTokenTTL = options.verificationTokenTTL || 24 * 60 * 60 * 1000; // 1 day
+        this.mailer = options.mailer || (message => console.info(`[LocalAuthProvider] ${message.purpose} token for ${message.to}: ${message.token}`));
+        this.mfaChallengeTTL = options.mfaChallengeTTL || 5 * 60 * 1000; // 5 minutes
+        this.maxMfaAttempts = options.maxMfaAttempts || 5;
+        this.tokens = new Map();
+        this.challenges = new Map();
+        this.nextUserId = 1;
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'gameVault_localAuth';
+        
+        this.restore();
+        
+        // Seeds are skipped when a persisted store already has them
+        (options.users || []).forEach(seed => {
+            if (!this.findUser(seed.email) && !this.findUser(seed.username)) {
+                this.createUser(seed);
+            }
+        });
+        
+        this.persist();
+    }
+    
+    /**
+     * Authenticate with credentials
+     * @param {Object} credentials - { email | username, password }
+     * @returns {Promise<Object>} Session
+     */
+    async login(credentials = {}) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const identifier = credentials.email || credentials.username || '';
+        const record = this.findUser(identifier);
+        
+        if (!record || record.passwordHash !== this.hashPassword(credentials.password || '', record.salt)) {
+            throw new AuthError(AuthErrorCodes.INVALID_CREDENTIALS, 'Invalid email or password');
+        }
+        
+        if (record.mfa?.enabled) {
+            return this.createChallenge(record, credentials.device);
+        }
+        
+        return this.createSession(record, credentials.device);
+    }
+    
+    /**
+     * Complete a two-factor login
+     * A challenge is dropped after too many wrong codes
+     * @param {string} challengeId - Challenge id from login()
+     * @param {string} code - Authenticator code or recovery code
+     * @returns {Promise<Object>} Session
+     */
+    async verifyMfaChallenge(challengeId, code) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const challenge = this.challenges.get(challengeId);
+        const record = challenge && this.users.get(challenge.userId);
+        
+        if (!challenge || !record || challenge.expiresAt <= this.now()) {
+            this.challenges.delete(challengeId);
+            this.persist();
+            throw new AuthError(AuthErrorCodes.MFA_CHALLENGE_INVALID, 'This sign-in attempt has expired. Please sign in again');
+        }
+        
+        if (!(await this.checkSecondFactor(record, code))) {
+            challenge.attempts++;
+            if (challenge.attempts >= this.maxMfaAttempts) {
+                this.challenges.delete(challengeId);
+                this.persist();
+                throw new AuthError(AuthErrorCodes.MFA_CHALLENGE_INVALID, 'Too many incorrect codes. Please sign in again');
+            }
+            
+            this.persist();
+            throw new AuthError(AuthErrorCodes.MFA_CODE_INVALID, 'That code is not valid', {
+                attemptsLeft: Math.max(0, this.maxMfaAttempts - challenge.attempts)
+            });
+        }
+        
+        this.challenges.delete(challengeId);
+        return this.createSession(record, challenge.device);
+    }
+    
+    /**
+     * Start TOTP enrollment with a fresh secret
+     * @param {Object} session - Current session
+     * @returns {Promise<Object>} { secret, keyUri }
+     */
+    async beginTotpEnrollment(session) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const record = this.users.get(this.resolveSession(session).userId);
+        if (record.mfa?.enabled) {
+            throw new AuthError(AuthErrorCodes.VALIDATION_ERROR, 'Two-factor authentication is already enabled');
+        }
+        
+        const secret = TOTP.generateSecret();
+        record.mfa = { enabled: false, pendingSecret: secret };
+        this.persist();
+        
+        return { secret, keyUri: TOTP.getKeyUri(secret, record.user.email) };
+    }
+    
+    /**
+     * Turn on TOTP and issue recovery codes
+     * @param {Object} session - Current session
+     * @param {string} code - Code for the pending secret
+     * @returns {Promise<Object>} { recoveryCodes } in plain text, shown once
+     */
+    async confirmTotpEnrollment(session, code) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const record = this.users.get(this.resolveSession(session).userId);
+        const secret = record.mfa?.pendingSecret;
+        
+        if (!secret) {
+            throw new AuthError(AuthErrorCodes.VALIDATION_ERROR, 'Start two-factor setup first');
+        }
+        
+        const counter = await TOTP.verify(code, secret, { time: this.now() });
+        if (counter === null) {
+            throw new AuthError(AuthErrorCodes.MFA_CODE_INVALID, 'That code is not valid');
+        }
+        
+        const recoveryCodes = this.generateRecoveryCodes();
+        record.mfa = {
+            enabled: true,
+            secret,
+            lastCounter: counter,
+            recoveryCodes: recoveryCodes.map(recoveryCode => {
+                const salt = Math.random().toString(36).substr(2, 9);
+                return { salt, hash: this.hashPassword(this.normalizeRecoveryCode(recoveryCode), salt) };
+            })
+        };
+        record.user.mfaEnabled = true;
+        this.persist();
+        
+        return { recoveryCodes };
+    }
+    
+    /**
+     * Turn off TOTP
+     * @param {Object} session - Current session
+     * @param {string} code - Authenticator code or recovery code
+     */
+    async disableTotp(session, code) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const record = this.users.get(this.resolveSession(session).userId);
+        if (!record.mfa?.enabled) {
+            throw new AuthError(AuthErrorCodes.VALIDATION_ERROR, 'Two-factor authentication is not enabled');
+        }
+        
+        if (!(await this.checkSecondFactor(record, code))) {
+            this.persist();
+            throw new AuthError(AuthErrorCodes.MFA_CODE_INVALID, 'That code is not valid');
+        }
+        
+        record.mfa = null;
+        record.user.mfaEnabled = false;
+        this.persist();
+    }
+    
+    /**
+     * Create a new account
+     * @param {Object} userData - { username, email, password }
+     * @returns {Promise<Object>} Session
+     */
+    async register(userData = {}) {
+        await this.simulateLatency();
+        this.restore();
+        
+        // Self-registration never grants elevated roles
+        const record = this.createUser({ ...userData, role: 'user', emailVerified: false });
+        this.sendToken(record, 'verify_email');
+        
+        return this.createSession(record, userData.device);
+    }
+    
+    /**
+     * Rotate a token pair
+     * The old refresh token is invalidated so a leaked one can only be used once
+     * @param {string} refreshToken - Refresh token
+     * @returns {Promise<Object>} Session
+     */
+    async refresh(refreshToken) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const session = this.findSession('refreshToken', refreshToken);
+        if (!session) {
+            throw new AuthError(AuthErrorCodes.SESSION_INVALID, 'Session not found');
+        }
+        
+        if (session.refreshExpiresAt <= this.now()) {
+            this.sessions.delete(session.id);
+            this.persist();
+            throw new AuthError(AuthErrorCodes.SESSION_EXPIRED, 'Your session has expired');
+        }
+        
+        this.issueTokens(session);
+        this.persist();
+        return this.toSession(session);
+    }
+    
+    /**
+     * Revoke a session
+     * @param {Object} session - Current session
+     */
+    async logout(session) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const stored = this.findSession('refreshToken', session.refreshToken);
+        if (stored) {
+            this.sessions.delete(stored.id);
+            this.persist();
+        }
+    }
+    
+    /**
+     * List the active sessions of the session's user
+     * @param {Object} session - Current session
+     * @returns {Promise<Array>} Sessions, most recently used first
+     */
+    async listSessions(session) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const current = this.resolveSession(session);
+        const now = this.now();
+        
+        return Array.from(this.sessions.values())
+            .filter(stored => stored.userId === current.userId && stored.refreshExpiresAt > now)
+            .map(stored => ({
+                id: stored.id,
+                device: stored.device,
+                createdAt: stored.createdAt,
+                lastSeenAt: stored.lastSeenAt,
+                current: stored.id === current.id
+            }))
+            .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    }
+    
+    /**
+     * Revoke another session of the same user
+     * @param {Object} session - Current session
+     * @param {string} sessionId - Session to revoke
+     */
+    async revokeSession(session, sessionId) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const current = this.resolveSession(session);
+        const target = this.sessions.get(sessionId);
+        
+        if (!target || target.userId !== current.userId) {
+            throw new AuthError(AuthErrorCodes.SESSION_INVALID, 'Session not found');
+        }
+        
+        this.sessions.delete(sessionId);
+        this.persist();
+    }
+    
+    /**
+     * Revoke every other session of the same user
+     * @param {Object} session - Current session
+     * @returns {Promise<number>} Number of revoked sessions
+     */
+    async revokeOtherSessions(session) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const current = this.resolveSession(session);
+        let revoked = 0;
+        
+        this.sessions.forEach((stored, id) => {
+            if (stored.userId === current.userId && id !== current.id) {
+                this.sessions.delete(id);
+                revoked++;
+            }
+        });
+        
+        this.persist();
+        return revoked;
+    }
+    
+    /**
+     * Send a password reset token if the account exists
+     * @param {string} email - Account email
+     */
+    async requestPasswordReset(email) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const record = this.findUser(email || '');
+        if (record) {
+            this.sendToken(record, 'password_reset');
+        }
+    }
+    
+    /**
+     * Set a new password and sign out every session of the account
+     * @param {string} token - Reset token
+     * @param {string} password - New password
+     */
+    async resetPassword(token, password) {
+        await this.simulateLatency();
+        this.restore();
+        
+        if (!password) {
+            throw new AuthError(AuthErrorCodes.VALIDATION_ERROR, 'A new password is required');
+        }
+        
+        const record = this.consumeToken(token, 'password_reset');
+        record.salt = Math.random().toString(36).substr(2, 9);
+        record.passwordHash = this.hashPassword(password, record.salt);
+        
+        this.sessions.forEach((stored, id) => {
+            if (stored.userId === record.user.id) {
+                this.sessions.delete(id);
+            }
+        });
+        
+        this.persist();
+    }
+    
+    /**
+     * Send a new verification token to the session's user
+     * @param {Object} session - Current session
+     */
+    async requestEmailVerification(session) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const record = this.users.get(this.resolveSession(session).userId);
+        if (!record.user.emailVerified) {
+            this.sendToken(record, 'verify_email');
+        }
+    }
+    
+    /**
+     * Confirm an email address
+     * @param {string} token - Verification token
+     * @returns {Promise<Object>} Updated user
+     */
+    async verifyEmail(token) {
+        await this.simulateLatency();
+        this.restore();
+        
+        const record = this.consumeToken(token, 'verify_email');
+        record.user.emailVerified = true;
+        record.user.emailVerifiedAt = new Date(this.now()).toISOString();
+        
+        this.persist();
+        return this.publicUser(record);
+    }
+    
+    /**
+     * Resolve the user behind an access token
+     * @param {string} accessToken - Access token
+     * @returns {Object} Public user data
+     */
+    verifyAccessToken(accessToken) {
+        this.restore();
+        
+        const session = this.findSession('accessToken', accessToken);
+        
+        if (!session) {
+            throw new AuthError(AuthErrorCodes.SESSION_INVALID, 'Session not found');
+        }
+        
+        if (session.expiresAt <= this.now()) {
+            throw new AuthError(AuthErrorCodes.SESSION_EXPIRED, 'Access token has expired');
+        }
+        
+        session.lastSeenAt = this.now();
+        this.persist();
+        
+        return this.publicUser(this.users.get(session.userId));
+    }
+    
+    /**
+     * Add a user to the store
+     * @param {Object} userData - { username, email, password, ...profile }
+     * @returns {Object} Stored user record
+     */
+    createUser(userData) {
+        const { username, email, password } = userData;
+        
+        if (!username || !email || !password) {
+            throw new AuthError(AuthErrorCodes.VALIDATION_ERROR, 'Username, email and password are required');
+        }
+        
+        if (this.findUser(username)) {
+            throw new AuthError(AuthErrorCodes.USERNAME_TAKEN, 'This username is already taken');
+        }
+        
+        if (this.findUser(email)) {
+            throw new AuthError(AuthErrorCodes.EMAIL_TAKEN, 'An account with this email already exists');
+        }
+        
+        const id = userData.id || this.nextUserId++;
+        const salt = Math.random().toString(36).substr(2, 9);
+        const record = {
+            salt,
+            passwordHash: this.hashPassword(password, salt),
+            user: {
+                id,
+                username,
+                email,
+                displayName: userData.displayName || username,
+                role: userData.role || 'user',
+                emailVerified: Boolean(userData.emailVerified),
+                mfaEnabled: false,
+                emailVerifiedAt: userData.emailVerified ? new Date(this.now()).toISOString() : null,
+                avatar: userData.avatar || 'https://via.placeholder.com/100x100/667eea/ffffff?text=' + username.charAt(0).toUpperCase(),
+                joinedAt: new Date(this.now()).toISOString(),
+                stats: {
+                    gamesPlayed: 0,
+                    reviewsWritten: 0,
+                    hoursPlayed: 0,
+                    achievements: 0,
+                    ...userData.stats
+                }
+            }
+        };
+        
+        this.users.set(id, record);
+        return record;
+    }
+    
+    /**
+     * Find a user record by email or username (case-insensitive)
+     * @param {string} identifier - Email or username
+     * @returns {Object|null} User record
+     */
+    findUser(identifier) {
+        const needle = String(identifier).toLowerCase();
+        
+        for (const record of this.users.values()) {
+            if (record.user.email.toLowerCase() === needle || record.user.username.toLowerCase() === needle) {
+                return record;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find a stored session by one of its tokens
+     * @param {string} field - 'accessToken' or 'refreshToken'
+     * @param {string} token - Token value
+     * @returns {Object|null} Stored session
+     */
+    findSession(field, token) {
+        if (!token) return null;
+        
+        for (const session of this.sessions.values()) {
+            if (session[field] === token) {
+                return session;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find the stored session behind a client session
+     * @param {Object} session - Client session
+     * @returns {Object} Stored session
+     */
+    resolveSession(session = {}) {
+        const stored = this.findSession('refreshToken', session.refreshToken)
+            || this.findSession('accessToken', session.accessToken);
+        
+        if (!stored) {
+            throw new AuthError(AuthErrorCodes.SESSION_INVALID, 'Session not found');
+        }
+        
+        return stored;
+    }
+    
+    /**
+     * Start a session for a user
+     * @param {Object} record - User record
+     * @param {string} device - Device description shown in session lists
+     * @returns {Object} Session
+     */
+    createSession(record, device) {
+        const session = {
+            id: this.generateToken('sess'),
+            userId: record.user.id,
+            device: device || 'Unknown device',
+            createdAt: this.now()
+        };
+        
+        this.issueTokens(session);
+        this.sessions.set(session.id, session);
+        this.persist();
+        
+        return this.toSession(session);
+    }
+    
+    /**
+     * Issue a fresh token pair on a stored session
+     * @param {Object} session - Stored session
+     */
+    issueTokens(session) {
+        const now = this.now();
+        
+        session.accessToken = this.generateToken('access');
+        session.refreshToken = this.generateToken('refresh');
+        session.expiresAt = now + this.accessTokenTTL;
+        session.refreshExpiresAt = now + this.refreshTokenTTL;
+        session.lastSeenAt = now;
+    }
+    
+    /**
+     * Convert a stored session to the provider session shape
+     * @param {Object} session - Stored session
+     * @returns {Object} Session
+     */
+    toSession(session) {
+        return {
+            accessToken: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresAt: session.expiresAt,
+            refreshExpiresAt: session.refreshExpiresAt,
+            user: this.publicUser(this.users.get(session.userId))
+        };
+    }
+    
+    /**
+     * Park a password-verified login until the second factor arrives
+     * @param {Object} record - User record
+     * @param {string} device - Device description for the eventual session
+     * @returns {Object} mfa_required challenge
+     */
+    createChallenge(record, device) {
+        const challenge = {
+            id: this.generateToken('mfa'),
+            userId: record.user.id,
+            device,
+            attempts: 0,
+            expiresAt: this.now() + this.mfaChallengeTTL
+        };
+        
+        this.challenges.set(challenge.id, challenge);
+        this.persist();
+        
+        return {
+            status: 'mfa_required',
+            challengeId: challenge.id,
+            methods: ['totp', 'recovery_code'],
+            expiresAt: challenge.expiresAt
+        };
+    }
+    
+    /**
+     * Check an authenticator code or burn a recovery code
+     * Authenticator codes cannot be replayed within their validity window
+     * @param {Object} record - User record with TOTP enabled
+     * @param {string} code - Code entered by the user
+     * @returns {Promise<boolean>} Whether the code was accepted
+     */
+    async checkSecondFactor(record, code) {
+        const mfa = record.mfa;
+        const input = String(code || '').trim();
+        
+        if (/^\d{6}$/.test(input)) {
+            const counter = await TOTP.verify(input, mfa.secret, { time: this.now() });
+            if (counter === null || counter <= mfa.lastCounter) {
+                return false;
+            }
+            
+            mfa.lastCounter = counter;
+            return true;
+        }
+        
+        const normalized = this.normalizeRecoveryCode(input);
+        const index = mfa.recoveryCodes.findIndex(entry => entry.hash === this.hashPassword(normalized, entry.salt));
+        
+        if (index === -1) {
+            return false;
+        }
+        
+        mfa.recoveryCodes.splice(index, 1);
+        return true;
+    }
+    
+    /**
+     * Generate single-use recovery codes
+     * @param {number} count - Number of codes
+     * @returns {Array<string>} Codes formatted as XXXXX-XXXXX
+     */
+    generateRecoveryCodes(count = 10) {
+        return Array.from({ length: count }, () => {
+            const bytes = new Uint8Array(7);
+            crypto.getRandomValues(bytes);
+            const code = TOTP.base32Encode(bytes).substr(0, 10);
+            return `${code.substr(0, 5)}-${code.substr(5)}`;
+        });
+    }
+    
+    /**
+     * Normalize a recovery code for comparison
+     * @param {string} code - Recovery code as typed
+     * @returns {string} Uppercase code without separators
+     */
+    normalizeRecoveryCode(code) {
+        return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    }
+    
+    /**
+     * Issue a single-use token and hand it to the mailer
+     * Earlier tokens for the same purpose stop working
+     * @param {Object} record - User record
+     * @param {string} purpose - 'password_reset' or 'verify_email'
+     */
+    sendToken(record, purpose) {
+        const ttl = purpose === 'password_reset' ? this.resetTokenTTL : this.verificationTokenTTL;
+        const token = this.generateToken(purpose === 'password_reset' ? 'reset' : 'verify');
+        const expiresAt = this.now() + ttl;
+        
+        this.tokens.forEach((entry, key) => {
+            if (entry.userId === record.user.id && entry.purpose === purpose) {
+                this.tokens.delete(key);
+            }
+        });
+        
+        this.tokens.set(token, { userId: record.user.id, purpose, expiresAt });
+        this.persist();
+        
+        this.mailer({ to: record.user.email, purpose, token, expiresAt });
+    }
+    
+    /**
+     * Redeem a single-use token
+     * @param {string} token - Token
+     * @param {string} purpose - Expected purpose
+     * @returns {Object} User record
+     */
+    consumeToken(token, purpose) {
+        const entry = this.tokens.get(token);
+        const record = entry && this.users.get(entry.userId);
+        
+        if (!entry || entry.purpose !== purpose || !record) {
+            throw new AuthError(AuthErrorCodes.TOKEN_INVALID, 'This code is invalid or has already been used');
+        }
+        
+        this.tokens.delete(token);
+        
+        if (entry.expiresAt <= this.now()) {
+            this.persist();
+            throw new AuthError(AuthErrorCodes.TOKEN_EXPIRED, 'This code has expired. Please request a new one');
+        }
+        
+        return record;
+    }
+    
+    /**
+     * Copy of the user data safe to hand out
+     * @param {Object} record - User record
+     * @returns {Object} User data
+     */
+    publicUser(record) {
+        return { ...record.user, stats: { ...record.user.stats } };
+    }
+    
+    /**
+     * Generate an opaque token
+     * @param {string} prefix - Token prefix
+     * @returns {string} Token
+     */
+    generateToken(prefix) {
+        return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 12)}`;
+    }
+    
+    /**
+     * Hash a password with a salt (cyrb53)
+     * @param {string} password - Plain password
+     * @param {string} salt - Salt
+     * @returns {string} Hash
+     */
+    hashPassword(password, salt) {
+        const input = `${salt}:${password}`;
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        
+        for (let i = 0; i < input.length; i++) {
+            const ch = input.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+    
+    /**
+     * Write the user and session store to storage
+     */
+    persist() {
+        if (!this.storage) return;
+        
+        try {
+            this.snapshot = JSON.stringify({
+                nextUserId: this.nextUserId,
+                users: Array.from(this.users.entries()),
+                sessions: Array.from(this.sessions.entries()),
+                tokens: Array.from(this.tokens.entries()),
+                challenges: Array.from(this.challenges.entries())
+            });
+            this.storage.setItem(this.storageKey, this.snapshot);
+        } catch (error) {
+            console.warn('Failed to persist local auth store:', error);
+        }
+    }
+    
+    /**
+     * Reload the user and session store from storage
+     * Other tabs may have changed it since the last operation. The maps are only
+     * replaced when they did, so records held across an await stay attached.
+     */
+    restore() {
+        if (!this.storage) return;
+        
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (!raw || raw === this.snapshot) return;
+            
+            const stored = JSON.parse(raw);
+            this.snapshot = raw;
+            this.nextUserId = stored.nextUserId || 1;
+            this.users = new Map(stored.users);
+            this.sessions = new Map(stored.sessions);
+            this.tokens = new Map(stored.tokens || []);
+            this.challenges = new Map(stored.challenges || []);
+        } catch (error) {
+            console.warn('Failed to restore local auth store:', error);
+        }
+    }
+    
+    /**
+     * Wait for the configured latency
+     * @returns {Promise} Delay promise
+     */
+    simulateLatency() {
+        return this.latency > 0
+            ? new Promise(resolve => setTimeout(resolve, this.latency))
+            : Promise.resolve();
+    }
+}
+
+// Export for global access
+window.AuthErrorCodes = AuthErrorCodes;
+window.AuthError = AuthError;
+window.AuthProvider = AuthProvider;
+window.ApiAuthProvider = ApiAuthProvider;
+window.LocalAuthProvider = LocalAuthProvider;
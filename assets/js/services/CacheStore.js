@@ -0,0 +1,413 @@
+/* ==============================================
+   PERSISTENT RESPONSE CACHE
+   ============================================== */
+
+/**
+ * Storage backends for ApiService's persistent cache layer
+ * Stores hold plain JSON entries; PersistentCache adds size limits and
+ * least-recently-used eviction on top of any store.
+ *
+ * Usage:
+ * const persistentCache = new PersistentCache({
+ *   store: IndexedDBCacheStore.isSupported() ? new IndexedDBCacheStore() : new LocalStorageCacheStore(),
+ *   maxEntries: 200,
+ *   maxBytes: 2 * 1024 * 1024
+ * });
+ *
+ * const apiService = new ApiService('https://api.gamevault.com', { persistentCache });
+ * const games = await apiService.get('/games', { cache: true, cacheStrategy: CacheStrategies.STALE_WHILE_REVALIDATE });
+ */
+
+/**
+ * How a cached GET request uses the cache
+ */
+const CacheStrategies = {
+    CACHE_FIRST: 'cache-first',                       // fresh cache hit skips the network
+    NETWORK_FIRST: 'network-first',                   // cache only when the network fails
+    STALE_WHILE_REVALIDATE: 'stale-while-revalidate'  // answer from cache, refresh in the background
+};
+
+/**
+ * Base store defining the interface PersistentCache relies on
+ * All methods are async so stores can be backed by IndexedDB
+ */
+class CacheStore {
+    /**
+     * Read an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry
+     */
+    async get(key) {
+        throw new Error(`${this.constructor.name} does not implement get()`);
+    }
+    
+    /**
+     * Write an entry
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-serializable entry
+     * @returns {Promise<void>}
+     */
+    async set(key, entry) {
+        throw new Error(`${this.constructor.name} does not implement set()`);
+    }
+    
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+    
+    /**
+     * Read every entry
+     * @returns {Promise<Array>} [key, entry] pairs
+     */
+    async entries() {
+        throw new Error(`${this.constructor.name} does not implement entries()`);
+    }
+    
+    /**
+     * Remove every entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const entries = await this.entries();
+        await Promise.all(entries.map(([key]) => this.delete(key)));
+    }
+}
+
+/**
+ * Store backed by localStorage (or any Storage), one item per entry
+ */
+class LocalStorageCacheStore extends CacheStore {
+    constructor(options = {}) {
+        super();
+        
+        this.storage = options.storage || localStorage;
+        this.prefix = options.prefix || 'gameVault_cache_';
+    }
+    
+    async get(key) {
+        const stored = this.storage.getItem(this.prefix + key);
+        
+        if (!stored) return null;
+        
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            // Corrupt entry: drop it rather than fail every read
+            this.storage.removeItem(this.prefix + key);
+            return null;
+        }
+    }
+    
+    async set(key, entry) {
+        // Throws QuotaExceededError when storage is full
+        this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    }
+    
+    async delete(key) {
+        this.storage.removeItem(this.prefix + key);
+    }
+    
+    async entries() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith(this.prefix)) {
+                keys.push(storageKey.slice(this.prefix.length));
+            }
+        }
+        
+        const entries = await Promise.all(keys.map(async key => [key, await this.get(key)]));
+        return entries.filter(([, entry]) => entry !== null);
+    }
+}
+
+/**
+ * Store backed by IndexedDB, for larger caches than localStorage allows
+ */
+class IndexedDBCacheStore extends CacheStore {
+    constructor(options = {}) {
+        super();
+        
+        this.dbName = options.dbName || 'gameVault_cache';
+        this.storeName = options.storeName || 'responses';
+        this.dbPromise = null;
+    }
+    
+    /**
+     * Check whether IndexedDB exists in this environment
+     * @returns {boolean} Support status
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Let a later call retry if opening failed (e.g. private browsing)
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    /**
+     * Run one request against the object store
+     * @param {string} mode - readonly or readwrite
+     * @param {Function} operation - (objectStore) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    async get(key) {
+        const entry = await this.run('readonly', store => store.get(key));
+        return entry === undefined ? null : entry;
+    }
+    
+    async set(key, entry) {
+        await this.run('readwrite', store => store.put(entry, key));
+    }
+    
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+    
+    async entries() {
+        const [keys, values] = await Promise.all([
+            this.run('readonly', store => store.getAllKeys()),
+            this.run('readonly', store => store.getAll())
+        ]);
+        
+        return keys.map((key, index) => [key, values[index]]);
+    }
+    
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * Size-limited cache over a CacheStore with least-recently-used eviction
+ * An in-memory index of entry sizes and access times is loaded on first use
+ */
+class PersistentCache {
+    constructor(options = {}) {
+        this.store = options.store || new LocalStorageCacheStore();
+        this.maxEntries = options.maxEntries || 200;
+        this.maxBytes = options.maxBytes || 2 * 1024 * 1024; // 2 MB
+        
+        this.index = null; // key -> { size, lastAccess }
+        this.loadPromise = null;
+    }
+    
+    /**
+     * Build the index from the store
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.store.entries()
+                .then((entries) => {
+                    this.index = new Map(entries.map(([key, entry]) => [
+                        key,
+                        { size: entry.size || this.measure(entry), lastAccess: entry.lastAccess || 0 }
+                    ]));
+                })
+                .catch((error) => {
+                    console.error('Failed to load persistent cache:', error);
+                    this.index = new Map();
+                });
+        }
+        
+        return this.loadPromise;
+    }
+    
+    /**
+     * Read an entry and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry
+     */
+    async get(key) {
+        await this.load();
+        
+        if (!this.index.has(key)) return null;
+        
+        const entry = await this.store.get(key);
+        if (!entry) {
+            this.index.delete(key);
+            return null;
+        }
+        
+        entry.lastAccess = Date.now();
+        this.index.get(key).lastAccess = entry.lastAccess;
+        
+        // Saved so eviction order survives reloads
+        this.store.set(key, entry).catch(() => {});
+        
+        return entry;
+    }
+    
+    /**
+     * Write an entry, evicting the least recently used ones over the limits
+     * @param {string} key - Cache key
+     * @param {Object} entry - JSON-serializable entry
+     * @returns {Promise<boolean>} Whether the entry was stored
+     */
+    async set(key, entry) {
+        await this.load();
+        
+        const record = { ...entry, lastAccess: Date.now(), size: 0 };
+        record.size = this.measure(record);
+        
+        // Would evict everything else and still not fit
+        if (record.size > this.maxBytes) {
+            await this.delete(key);
+            return false;
+        }
+        
+        this.index.set(key, { size: record.size, lastAccess: record.lastAccess });
+        await this.evict(key);
+        
+        try {
+            await this.store.set(key, record);
+            return true;
+        } catch (error) {
+            console.warn(`Failed to persist cache entry ${key}:`, error);
+            this.index.delete(key);
+            return false;
+        }
+    }
+    
+    /**
+     * Remove an entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.load();
+        
+        this.index.delete(key);
+        await this.store.delete(key);
+    }
+    
+    /**
+     * Remove entries whose key matches a pattern, or all entries
+     * @param {string|RegExp} pattern - Optional pattern to match keys
+     * @returns {Promise<void>}
+     */
+    async clear(pattern = null) {
+        await this.load();
+        
+        if (!pattern) {
+            this.index.clear();
+            await this.store.clear();
+            return;
+        }
+        
+        const regex = new RegExp(pattern);
+        const keys = [...this.index.keys()].filter(key => regex.test(key));
+        
+        keys.forEach(key => this.index.delete(key));
+        await Promise.all(keys.map(key => this.store.delete(key)));
+    }
+    
+    /**
+     * Drop least recently used entries until the cache fits its limits
+     * @param {string} keep - Key that was just written
+     * @returns {Promise<void>}
+     */
+    async evict(keep) {
+        let totalBytes = this.getTotalBytes();
+        
+        const candidates = [...this.index.entries()]
+            .filter(([key]) => key !== keep)
+            .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        
+        const evicted = [];
+        while ((this.index.size > this.maxEntries || totalBytes > this.maxBytes) && candidates.length) {
+            const [key, meta] = candidates.shift();
+            
+            this.index.delete(key);
+            totalBytes -= meta.size;
+            evicted.push(key);
+        }
+        
+        await Promise.all(evicted.map(key => this.store.delete(key)));
+    }
+    
+    /**
+     * Approximate size of an entry
+     * @param {Object} entry - Entry
+     * @returns {number} Size in bytes (UTF-16 estimate)
+     */
+    measure(entry) {
+        try {
+            return JSON.stringify(entry).length * 2;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    /**
+     * Total size of all entries
+     * @returns {number} Size in bytes
+     */
+    getTotalBytes() {
+        let total = 0;
+        for (const meta of (this.index || new Map()).values()) {
+            total += meta.size;
+        }
+        return total;
+    }
+    
+    /**
+     * Get cache statistics
+     * @returns {Object} Entry count and size against the limits
+     */
+    getStats() {
+        return {
+            entries: this.index ? this.index.size : 0,
+            bytes: this.getTotalBytes(),
+            maxEntries: this.maxEntries,
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+// Export for global access
+window.CacheStrategies = CacheStrategies;
+window.CacheStore = CacheStore;
+window.LocalStorageCacheStore = LocalStorageCacheStore;
+window.IndexedDBCacheStore = IndexedDBCacheStore;
+window.PersistentCache = PersistentCache;
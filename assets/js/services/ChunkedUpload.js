@@ -0,0 +1,330 @@
+/* ==============================================
+   RESUMABLE CHUNKED UPLOADS
+   ============================================== */
+
+/**
+ * Uploads a large file in chunks that survive pauses, failures and reloads
+ *
+ * Protocol (served by MockServer when there is no backend):
+ *   POST   /uploads      { fileName, size, type, chunkSize, ... } -> { uploadId, offset }
+ *   PUT    /uploads/:id  chunk bytes + Content-Range            -> { offset, complete, url }
+ *   GET    /uploads/:id                                         -> { offset, complete }
+ *   DELETE /uploads/:id                                         -> 204
+ * A PUT for the wrong range answers 409 with the server's offset, which the
+ * upload continues from.
+ *
+ * The upload id is saved per file, so picking the same file again after a
+ * reload continues where the last attempt stopped. Chunks are PUTs, so
+ * ApiService's retry policy already repeats those that fail.
+ *
+ * Session requests skip the offline queue: a queued POST has no upload id to
+ * continue with, and replaying it later would open a session nobody uses.
+ * Going offline pauses the upload instead; start() continues it.
+ *
+ * Usage:
+ * const upload = new ChunkedUpload(file, { apiService, metadata: { purpose: 'screenshot' } });
+ * upload.on('progress', ({ percent }) => progressBar.style.width = `${percent}%`);
+ *
+ * const result = await upload.start(); // null when paused or cancelled
+ * upload.pause();
+ * upload.start(); // resume
+ * upload.cancel();
+ */
+
+class ChunkedUpload extends EventEmitter {
+    constructor(file, options = {}) {
+        super();
+        
+        this.file = file;
+        this.apiService = options.apiService;
+        this.endpoint = (options.endpoint || '/uploads').replace(/\/$/, '');
+        this.chunkSize = options.chunkSize || 1024 * 1024; // 1 MB
+        this.chunkTimeout = options.chunkTimeout || 60000;
+        this.metadata = options.metadata || {};
+        this.storage = options.storage || localStorage;
+        this.storageKey = options.storageKey || 'gameVault_uploads';
+        this.sessionTTL = options.sessionTTL || 24 * 60 * 60 * 1000; // saved ids older than this are dropped
+        this.isOnline = options.isOnline || (() => navigator.onLine);
+        
+        this.uploadId = null;
+        this.offset = 0;
+        this.result = null;
+        this.status = 'idle'; // idle, uploading, paused, complete, cancelled, failed
+        this.controller = null;
+        this.promise = null;
+    }
+    
+    /**
+     * Key identifying this file across visits
+     * @returns {string} Fingerprint
+     */
+    get fingerprint() {
+        const { name, size, type, lastModified } = this.file;
+        return [this.endpoint, name, size, type, lastModified].join('|');
+    }
+    
+    /**
+     * Start the upload, or resume it after a pause or failure
+     * @returns {Promise<Object|null>} Server result, or null when paused or cancelled
+     */
+    start() {
+        if (this.promise) {
+            return this.promise;
+        }
+        
+        if (this.status === 'complete' || this.status === 'cancelled') {
+            return Promise.resolve(this.result);
+        }
+        
+        this.promise = this.run().finally(() => {
+            this.promise = null;
+        });
+        
+        return this.promise;
+    }
+    
+    /**
+     * Stop sending chunks; start() continues from the last stored chunk
+     */
+    pause() {
+        if (this.status !== 'uploading') return;
+        
+        this.status = 'paused';
+        this.controller?.abort();
+        this.emit('paused', { offset: this.offset });
+    }
+    
+    /**
+     * Stop the upload and discard what the server stored
+     * @returns {Promise} Resolves once the server was told
+     */
+    async cancel() {
+        if (this.status === 'complete' || this.status === 'cancelled') return;
+        
+        this.status = 'cancelled';
+        this.controller?.abort();
+        this.forgetSession();
+        this.emit('cancelled', { offset: this.offset });
+        
+        if (this.uploadId) {
+            // Only frees server storage; the upload is cancelled either way
+            await this.apiService.delete(this.getSessionUrl(), { skipOfflineQueue: true }).catch(() => {});
+        }
+    }
+    
+    /**
+     * Send chunks until the server reports the file complete
+     * @returns {Promise<Object|null>} Server result
+     */
+    async run() {
+        this.status = 'uploading';
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+        
+        if (!this.isOnline()) {
+            return this.pauseOffline();
+        }
+        
+        try {
+            if (!this.uploadId) {
+                await this.openSession(signal);
+            }
+            
+            while (!this.result) {
+                await this.sendChunk(signal);
+            }
+            
+            this.status = 'complete';
+            this.forgetSession();
+            this.emit('complete', { result: this.result });
+            
+            return this.result;
+        } catch (error) {
+            // pause() and cancel() already updated the status
+            if (error.aborted) {
+                this.reportProgress(this.offset);
+                return null;
+            }
+            
+            if (!this.isOnline()) {
+                return this.pauseOffline();
+            }
+            
+            this.status = 'failed';
+            this.emit('error', { error, offset: this.offset });
+            throw error;
+        }
+    }
+    
+    /**
+     * Pause because the connection is gone
+     * @returns {null} Result of the interrupted run
+     */
+    pauseOffline() {
+        this.status = 'paused';
+        this.reportProgress(this.offset);
+        this.emit('paused', { offset: this.offset, offline: true });
+        return null;
+    }
+    
+    /**
+     * Continue a saved session for this file, or open a new one
+     * @param {AbortSignal} signal - Abort signal
+     */
+    async openSession(signal) {
+        const saved = this.getSavedSessions()[this.fingerprint];
+        
+        if (saved) {
+            try {
+                const response = await this.apiService.get(`${this.endpoint}/${encodeURIComponent(saved.uploadId)}`, {
+                    signal,
+                    skipOfflineQueue: true
+                });
+                this.uploadId = saved.uploadId;
+                this.applyStatus(response.data);
+                this.emit('resumed', { offset: this.offset });
+                return;
+            } catch (error) {
+                // The server dropped the session: start over
+                if (![404, 410].includes(error.status)) {
+                    throw error;
+                }
+                this.forgetSession();
+            }
+        }
+        
+        const response = await this.apiService.post(this.endpoint, {
+            fileName: this.file.name || 'blob',
+            size: this.file.size,
+            type: this.file.type,
+            chunkSize: this.chunkSize,
+            ...this.metadata
+        }, { signal, skipOfflineQueue: true });
+        
+        this.uploadId = response.data.uploadId;
+        this.applyStatus(response.data);
+        this.saveSession();
+    }
+    
+    /**
+     * Send the chunk starting at the current offset
+     * @param {AbortSignal} signal - Abort signal
+     */
+    async sendChunk(signal) {
+        const size = this.file.size;
+        const start = this.offset;
+        const end = Math.min(start + this.chunkSize, size);
+        
+        try {
+            const response = await this.apiService.put(this.getSessionUrl(), this.file.slice(start, end), {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': size === 0 ? 'bytes */0' : `bytes ${start}-${end - 1}/${size}`
+                },
+                signal,
+                skipOfflineQueue: true,
+                timeout: this.chunkTimeout,
+                onUploadProgress: ({ loaded }) => this.reportProgress(start + loaded)
+            });
+            
+            this.applyStatus(response.data);
+            this.emit('chunk', { start, end, offset: this.offset });
+        } catch (error) {
+            // The server is at another offset, e.g. a chunk arrived but its answer was lost
+            const body = error.error?.response?.data;
+            if (error.status === 409 && Number.isFinite(body?.offset)) {
+                this.applyStatus(body);
+                return;
+            }
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Adopt the server's view of the upload
+     * @param {Object} status - { offset, complete, ... }
+     */
+    applyStatus(status = {}) {
+        this.offset = status.offset || 0;
+        
+        if (status.complete) {
+            this.result = status;
+        }
+        
+        this.reportProgress(this.offset);
+    }
+    
+    /**
+     * Emit a progress event
+     * @param {number} loaded - Bytes stored or in flight
+     */
+    reportProgress(loaded) {
+        const total = this.file.size;
+        loaded = Math.min(loaded, total);
+        
+        this.emit('progress', {
+            loaded,
+            total,
+            percent: total ? Math.round(loaded / total * 100) : 100
+        });
+    }
+    
+    /**
+     * URL of this upload's session
+     * @returns {string} URL
+     */
+    getSessionUrl() {
+        return `${this.endpoint}/${encodeURIComponent(this.uploadId)}`;
+    }
+    
+    // Saved sessions
+    
+    /**
+     * Read saved sessions, dropping expired ones
+     * @returns {Object} fingerprint -> { uploadId, savedAt }
+     */
+    getSavedSessions() {
+        try {
+            const sessions = JSON.parse(this.storage.getItem(this.storageKey)) || {};
+            const cutoff = Date.now() - this.sessionTTL;
+            
+            return Object.fromEntries(Object.entries(sessions).filter(([, session]) => session.savedAt > cutoff));
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Remember this upload's session so a later visit can resume it
+     */
+    saveSession() {
+        const sessions = this.getSavedSessions();
+        sessions[this.fingerprint] = { uploadId: this.uploadId, savedAt: Date.now() };
+        this.writeSessions(sessions);
+    }
+    
+    /**
+     * Forget this file's saved session
+     */
+    forgetSession() {
+        const sessions = this.getSavedSessions();
+        delete sessions[this.fingerprint];
+        this.writeSessions(sessions);
+    }
+    
+    /**
+     * Store sessions
+     * @param {Object} sessions - fingerprint -> session
+     */
+    writeSessions(sessions) {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(sessions));
+        } catch (error) {
+            console.error('Failed to save upload sessions:', error);
+        }
+    }
+}
+
+// Export for global access
+window.ChunkedUpload = ChunkedUpload;
@@ -0,0 +1,559 @@
+/* ==============================================
+   GRAPHQL DOCUMENTS
+   ============================================== */
+
+/**
+ * Small GraphQL document toolkit shared by ApiService.graphql(), the
+ * normalized cache and the local mock schema
+ * Parses executable documents (operations, variables, fragments, inline
+ * fragments, @include/@skip), prints them back and collects the fields a
+ * selection set asks for. Schema definitions (SDL) are not supported.
+ *
+ * Usage:
+ * const document = GraphQL.addTypename(GraphQL.parse(`
+ *   query Game($id: ID!) { game(id: $id) { id title stats { averageRating } } }
+ * `));
+ * const operation = GraphQL.getOperation(document);
+ * const query = GraphQL.print(document);
+ */
+
+/**
+ * Error returned by a GraphQL server in the `errors` array
+ */
+class GraphQLError extends Error {
+    constructor(errors = [], data = null) {
+        super(errors.map(error => error.message).join('; ') || 'GraphQL request failed');
+        this.name = 'GraphQLError';
+        this.errors = errors;
+        this.data = data;
+        this.code = errors[0]?.extensions?.code || 'GRAPHQL_ERROR';
+    }
+}
+
+class GraphQL {
+    /* ===== PARSING ===== */
+    
+    /**
+     * Parse a document
+     * @param {string} source - GraphQL source
+     * @returns {Object} Document { kind, definitions }
+     */
+    static parse(source) {
+        const parser = new GraphQLParser(source);
+        return parser.parseDocument();
+    }
+    
+    /**
+     * Find the operation to run
+     * @param {Object} document - Parsed document
+     * @param {string|null} operationName - Name, required when there are several operations
+     * @returns {Object} Operation definition
+     */
+    static getOperation(document, operationName = null) {
+        const operations = document.definitions.filter(definition => definition.kind === 'OperationDefinition');
+        
+        const operation = operationName
+            ? operations.find(candidate => candidate.name === operationName)
+            : operations.length === 1 ? operations[0] : null;
+        
+        if (!operation) {
+            throw new GraphQLError([{
+                message: operationName
+                    ? `Unknown operation "${operationName}"`
+                    : 'Pass operationName when a document has several operations',
+                extensions: { code: 'GRAPHQL_VALIDATION_FAILED' }
+            }]);
+        }
+        
+        return operation;
+    }
+    
+    /**
+     * Map fragment names to their definitions
+     * @param {Object} document - Parsed document
+     * @returns {Object} name -> fragment definition
+     */
+    static getFragments(document) {
+        return Object.fromEntries(document.definitions
+            .filter(definition => definition.kind === 'FragmentDefinition')
+            .map(fragment => [fragment.name, fragment]));
+    }
+    
+    /* ===== EXECUTION HELPERS ===== */
+    
+    /**
+     * Flatten a selection set into the fields that apply to an object
+     * Fragments match on the exact type name; an unknown type matches every fragment.
+     * @param {Array} selectionSet - Selections
+     * @param {string|null} typename - Object's __typename
+     * @param {Object} fragments - name -> fragment definition
+     * @param {Object} variables - Variable values
+     * @returns {Array} Field nodes
+     */
+    static collectFields(selectionSet, typename, fragments = {}, variables = {}) {
+        const fields = [];
+        
+        const visit = (selections) => {
+            selections.forEach((selection) => {
+                if (!GraphQL.shouldInclude(selection, variables)) return;
+                
+                if (selection.kind === 'Field') {
+                    fields.push(selection);
+                    return;
+                }
+                
+                const fragment = selection.kind === 'FragmentSpread' ? fragments[selection.name] : selection;
+                if (!fragment) {
+                    throw new Error(`Unknown fragment "${selection.name}"`);
+                }
+                
+                if (!fragment.typeCondition || !typename || fragment.typeCondition === typename) {
+                    visit(fragment.selectionSet);
+                }
+            });
+        };
+        
+        visit(selectionSet);
+        return fields;
+    }
+    
+    /**
+     * Apply @skip and @include
+     * @param {Object} selection - Selection node
+     * @param {Object} variables - Variable values
+     * @returns {boolean} Inclusion
+     */
+    static shouldInclude(selection, variables) {
+        for (const directive of selection.directives || []) {
+            const { if: condition } = GraphQL.getArguments(directive, variables);
+            
+            if (directive.name === 'skip' && condition === true) return false;
+            if (directive.name === 'include' && condition === false) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Evaluate a field's or directive's arguments
+     * @param {Object} node - Field or directive node
+     * @param {Object} variables - Variable values
+     * @returns {Object} name -> value
+     */
+    static getArguments(node, variables = {}) {
+        return Object.fromEntries((node.arguments || [])
+            .map(argument => [argument.name, GraphQL.valueFromAST(argument.value, variables)])
+            .filter(([, value]) => value !== undefined));
+    }
+    
+    /**
+     * Evaluate a value node
+     * @param {Object} value - Value node
+     * @param {Object} variables - Variable values
+     * @returns {*} Value (undefined for an unset variable)
+     */
+    static valueFromAST(value, variables = {}) {
+        switch (value.kind) {
+            case 'Variable':
+                return variables[value.name];
+            case 'Int':
+                return parseInt(value.value, 10);
+            case 'Float':
+                return parseFloat(value.value);
+            case 'List':
+                return value.values.map(item => GraphQL.valueFromAST(item, variables));
+            case 'Object':
+                return Object.fromEntries(value.fields.map(field => [field.name, GraphQL.valueFromAST(field.value, variables)]));
+            default:
+                return value.value; // String, Boolean, Null, Enum
+        }
+    }
+    
+    /* ===== TRANSFORMS ===== */
+    
+    /**
+     * Ask for __typename in every object selection, so results can be normalized
+     * @param {Object} document - Parsed document
+     * @returns {Object} New document
+     */
+    static addTypename(document) {
+        const typenameField = { kind: 'Field', alias: null, name: '__typename', arguments: [], directives: [], selectionSet: null };
+        
+        const withTypename = (selectionSet, isRoot) => {
+            const selections = selectionSet.map((selection) => {
+                if (!selection.selectionSet) return selection;
+                // Fragments share their parent's object, so they don't need their own
+                return { ...selection, selectionSet: withTypename(selection.selectionSet, selection.kind !== 'Field') };
+            });
+            
+            const hasTypename = selections.some(selection => selection.kind === 'Field' && selection.name === '__typename' && !selection.alias);
+            return isRoot || hasTypename ? selections : [...selections, typenameField];
+        };
+        
+        return {
+            ...document,
+            definitions: document.definitions.map(definition => ({
+                ...definition,
+                // Operation roots are not entities
+                selectionSet: withTypename(definition.selectionSet, definition.kind === 'OperationDefinition')
+            }))
+        };
+    }
+    
+    /* ===== PRINTING ===== */
+    
+    /**
+     * Print a document back to source
+     * @param {Object} document - Parsed document
+     * @returns {string} GraphQL source
+     */
+    static print(document) {
+        return document.definitions.map(definition => GraphQL.printDefinition(definition)).join('\n\n');
+    }
+    
+    static printDefinition(definition) {
+        const directives = GraphQL.printDirectives(definition.directives);
+        const selectionSet = GraphQL.printSelectionSet(definition.selectionSet, '');
+        
+        if (definition.kind === 'FragmentDefinition') {
+            return `fragment ${definition.name} on ${definition.typeCondition}${directives} ${selectionSet}`;
+        }
+        
+        const variables = definition.variableDefinitions.length
+            ? `(${definition.variableDefinitions.map(variable =>
+                `$${variable.name}: ${variable.type}${variable.defaultValue ? ` = ${GraphQL.printValue(variable.defaultValue)}` : ''}`
+            ).join(', ')})`
+            : '';
+        
+        return `${definition.operation}${definition.name ? ` ${definition.name}` : ''}${variables}${directives} ${selectionSet}`;
+    }
+    
+    static printSelectionSet(selectionSet, indent) {
+        const inner = `${indent}  `;
+        const lines = selectionSet.map((selection) => {
+            const directives = GraphQL.printDirectives(selection.directives);
+            const children = selection.selectionSet ? ` ${GraphQL.printSelectionSet(selection.selectionSet, inner)}` : '';
+            
+            switch (selection.kind) {
+                case 'FragmentSpread':
+                    return `${inner}...${selection.name}${directives}`;
+                case 'InlineFragment':
+                    return `${inner}...${selection.typeCondition ? ` on ${selection.typeCondition}` : ''}${directives}${children}`;
+                default:
+                    return `${inner}${selection.alias ? `${selection.alias}: ` : ''}${selection.name}${GraphQL.printArguments(selection.arguments)}${directives}${children}`;
+            }
+        });
+        
+        return `{\n${lines.join('\n')}\n${indent}}`;
+    }
+    
+    static printArguments(args = []) {
+        return args.length ? `(${args.map(argument => `${argument.name}: ${GraphQL.printValue(argument.value)}`).join(', ')})` : '';
+    }
+    
+    static printDirectives(directives = []) {
+        return directives.map(directive => ` @${directive.name}${GraphQL.printArguments(directive.arguments)}`).join('');
+    }
+    
+    static printValue(value) {
+        switch (value.kind) {
+            case 'Variable':
+                return `$${value.name}`;
+            case 'String':
+                return JSON.stringify(value.value);
+            case 'Null':
+                return 'null';
+            case 'List':
+                return `[${value.values.map(item => GraphQL.printValue(item)).join(', ')}]`;
+            case 'Object':
+                return `{${value.fields.map(field => `${field.name}: ${GraphQL.printValue(field.value)}`).join(', ')}}`;
+            default:
+                return String(value.value); // Int, Float, Boolean, Enum
+        }
+    }
+}
+
+/**
+ * Recursive descent parser for executable documents
+ */
+class GraphQLParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.position = 0;
+    }
+    
+    /**
+     * Split the source into tokens, dropping whitespace, commas and comments
+     * @param {string} source - GraphQL source
+     * @returns {Array} Tokens { kind, value }
+     */
+    tokenize(source) {
+        const pattern = /[\s,\uFEFF]+|#[^\n\r]*|(\.\.\.|[!$&():=@[\]{|}])|([_A-Za-z][_0-9A-Za-z]*)|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|("""[\s\S]*?"""|"(?:[^"\\\n\r]|\\.)*")/y;
+        const tokens = [];
+        
+        while (pattern.lastIndex < source.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(source);
+            
+            if (!match) {
+                this.syntaxError(`Unexpected character "${source[start]}"`, start);
+            }
+            
+            const [, punctuator, name, number, string] = match;
+            if (punctuator) tokens.push({ kind: 'punctuator', value: punctuator, start });
+            else if (name) tokens.push({ kind: 'name', value: name, start });
+            else if (number) tokens.push({ kind: /[.eE]/.test(number) ? 'Float' : 'Int', value: number, start });
+            else if (string) tokens.push({ kind: 'String', value: this.readString(string), start });
+        }
+        
+        tokens.push({ kind: 'eof', value: '<EOF>', start: source.length });
+        return tokens;
+    }
+    
+    /**
+     * Decode a string or block string literal
+     * @param {string} literal - Literal including quotes
+     * @returns {string} Value
+     */
+    readString(literal) {
+        if (literal.startsWith('"""')) {
+            return literal.slice(3, -3).replace(/\\"""/g, '"""').trim();
+        }
+        return JSON.parse(literal.replace(/\\u\{([0-9A-Fa-f]+)\}/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16))));
+    }
+    
+    peek(value = null) {
+        const token = this.tokens[this.position];
+        return value === null ? token : token.value === value && token.kind !== 'String';
+    }
+    
+    next() {
+        return this.tokens[this.position++];
+    }
+    
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.kind === 'String') {
+            this.syntaxError(`Expected "${value}", found "${token.value}"`, token.start);
+        }
+        return token;
+    }
+    
+    expectName() {
+        const token = this.next();
+        if (token.kind !== 'name') {
+            this.syntaxError(`Expected a name, found "${token.value}"`, token.start);
+        }
+        return token.value;
+    }
+    
+    syntaxError(message, offset) {
+        const line = this.source.slice(0, offset).split('\n').length;
+        throw new GraphQLError([{ message: `Syntax Error: ${message} (line ${line})`, extensions: { code: 'GRAPHQL_PARSE_FAILED' } }]);
+    }
+    
+    parseDocument() {
+        const definitions = [];
+        
+        do {
+            definitions.push(this.parseDefinition());
+        } while (this.peek().kind !== 'eof');
+        
+        return { kind: 'Document', definitions };
+    }
+    
+    parseDefinition() {
+        if (this.peek('{')) {
+            return { kind: 'OperationDefinition', operation: 'query', name: null, variableDefinitions: [], directives: [], selectionSet: this.parseSelectionSet() };
+        }
+        
+        const keyword = this.expectName();
+        
+        if (keyword === 'fragment') {
+            const name = this.expectName();
+            this.expect('on');
+            return { kind: 'FragmentDefinition', name, typeCondition: this.expectName(), directives: this.parseDirectives(), selectionSet: this.parseSelectionSet() };
+        }
+        
+        if (!['query', 'mutation', 'subscription'].includes(keyword)) {
+            this.syntaxError(`Unexpected "${keyword}"`, this.tokens[this.position - 1].start);
+        }
+        
+        return {
+            kind: 'OperationDefinition',
+            operation: keyword,
+            name: this.peek().kind === 'name' ? this.next().value : null,
+            variableDefinitions: this.parseVariableDefinitions(),
+            directives: this.parseDirectives(),
+            selectionSet: this.parseSelectionSet()
+        };
+    }
+    
+    parseVariableDefinitions() {
+        const definitions = [];
+        if (!this.peek('(')) return definitions;
+        
+        this.expect('(');
+        while (!this.peek(')')) {
+            this.expect('$');
+            const name = this.expectName();
+            this.expect(':');
+            const type = this.parseType();
+            let defaultValue = null;
+            
+            if (this.peek('=')) {
+                this.next();
+                defaultValue = this.parseValue(true);
+            }
+            
+            definitions.push({ name, type, defaultValue, directives: this.parseDirectives() });
+        }
+        this.expect(')');
+        
+        return definitions;
+    }
+    
+    parseType() {
+        let type;
+        
+        if (this.peek('[')) {
+            this.next();
+            const inner = this.parseType();
+            this.expect(']');
+            type = `[${inner}]`;
+        } else {
+            type = this.expectName();
+        }
+        
+        if (this.peek('!')) {
+            this.next();
+            type += '!';
+        }
+        
+        return type;
+    }
+    
+    parseSelectionSet() {
+        const selections = [];
+        
+        this.expect('{');
+        do {
+            selections.push(this.parseSelection());
+        } while (!this.peek('}'));
+        this.expect('}');
+        
+        return selections;
+    }
+    
+    parseSelection() {
+        if (this.peek('...')) {
+            this.next();
+            
+            if (this.peek().kind === 'name' && !this.peek('on')) {
+                return { kind: 'FragmentSpread', name: this.next().value, directives: this.parseDirectives() };
+            }
+            
+            let typeCondition = null;
+            if (this.peek('on')) {
+                this.next();
+                typeCondition = this.expectName();
+            }
+            
+            return { kind: 'InlineFragment', typeCondition, directives: this.parseDirectives(), selectionSet: this.parseSelectionSet() };
+        }
+        
+        let alias = null;
+        let name = this.expectName();
+        
+        if (this.peek(':')) {
+            this.next();
+            alias = name;
+            name = this.expectName();
+        }
+        
+        return {
+            kind: 'Field',
+            alias,
+            name,
+            arguments: this.parseArguments(false),
+            directives: this.parseDirectives(),
+            selectionSet: this.peek('{') ? this.parseSelectionSet() : null
+        };
+    }
+    
+    parseArguments(isConst) {
+        const args = [];
+        if (!this.peek('(')) return args;
+        
+        this.expect('(');
+        while (!this.peek(')')) {
+            const name = this.expectName();
+            this.expect(':');
+            args.push({ name, value: this.parseValue(isConst) });
+        }
+        this.expect(')');
+        
+        return args;
+    }
+    
+    parseDirectives() {
+        const directives = [];
+        
+        while (this.peek('@')) {
+            this.next();
+            directives.push({ name: this.expectName(), arguments: this.parseArguments(false) });
+        }
+        
+        return directives;
+    }
+    
+    parseValue(isConst) {
+        const token = this.next();
+        
+        if (token.kind === 'String' || token.kind === 'Int' || token.kind === 'Float') {
+            return { kind: token.kind, value: token.value };
+        }
+        
+        if (token.kind === 'name') {
+            if (token.value === 'true' || token.value === 'false') return { kind: 'Boolean', value: token.value === 'true' };
+            if (token.value === 'null') return { kind: 'Null', value: null };
+            return { kind: 'Enum', value: token.value };
+        }
+        
+        switch (token.value) {
+            case '$':
+                if (isConst) {
+                    this.syntaxError('Variables are not allowed here', token.start);
+                }
+                return { kind: 'Variable', name: this.expectName() };
+            
+            case '[': {
+                const values = [];
+                while (!this.peek(']')) {
+                    values.push(this.parseValue(isConst));
+                }
+                this.next();
+                return { kind: 'List', values };
+            }
+            
+            case '{': {
+                const fields = [];
+                while (!this.peek('}')) {
+                    const name = this.expectName();
+                    this.expect(':');
+                    fields.push({ name, value: this.parseValue(isConst) });
+                }
+                this.next();
+                return { kind: 'Object', fields };
+            }
+            
+            default:
+                return this.syntaxError(`Unexpected "${token.value}"`, token.start);
+        }
+    }
+}
+
+// Export for global access
+window.GraphQLError = GraphQLError;
+window.GraphQL = GraphQL;
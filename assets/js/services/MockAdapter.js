@@ -0,0 +1,400 @@
+/* ==============================================
+   MOCK API ADAPTER
+   ============================================== */
+
+/**
+ * Serves ApiService requests from local route handlers instead of the network
+ * Installed as a request interceptor, so retries, caching, cancellation and
+ * the other interceptors behave exactly as they do against a real backend.
+ *
+ * Handlers receive { method, path, params, query, body, headers } and return
+ * data (sent as 200 JSON) or a MockAdapter.reply(status, data, headers).
+ *
+ * Usage:
+ * const mock = new MockAdapter({ latency: [150, 400], errorRate: 0.05 });
+ *
+ * mock.get('/games/:id', ({ params }) => {
+ *   const game = games.find(g => g.id === Number(params.id));
+ *   return game || MockAdapter.reply(404, { code: 'NOT_FOUND', message: 'Game not found' });
+ * });
+ *
+ * mock.injectError({ method: 'POST', path: '/reviews', status: 500, times: 1 });
+ * mock.injectError({ path: '/games', status: 429, headers: { 'Retry-After': '5' } });
+ * mock.install(apiService);
+ */
+
+/**
+ * Response with an explicit status, returned by route handlers
+ */
+class MockReply {
+    constructor(status = 200, data = null, headers = {}) {
+        this.status = status;
+        this.data = data;
+        this.headers = headers;
+    }
+}
+
+class MockAdapter extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.latency = options.latency ?? 300;        // ms, or [min, max]
+        this.errorRate = options.errorRate || 0;      // share of requests failing with 503
+        this.passthrough = options.passthrough || false; // unmatched requests go to fetch
+        this.basePath = options.basePath || '';
+        
+        this.routes = [];
+        this.injectedErrors = [];
+        this.apiService = null;
+        
+        // Bind methods
+        this.handle = this.handle.bind(this);
+    }
+    
+    /**
+     * Create a reply with a status other than 200
+     * @param {number} status - HTTP status
+     * @param {*} data - JSON body
+     * @param {Object} headers - Response headers
+     * @returns {MockReply} Reply
+     */
+    static reply(status, data = null, headers = {}) {
+        return new MockReply(status, data, headers);
+    }
+    
+    /**
+     * Register a route handler
+     * @param {string} method - HTTP method
+     * @param {string} path - Path pattern, e.g. /games/:id
+     * @param {Function} handler - Route handler
+     * @returns {MockAdapter} This adapter, for chaining
+     */
+    route(method, path, handler) {
+        const keys = [];
+        const pattern = path.replace(/\/$/, '').replace(/:(\w+)/g, (match, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        
+        this.routes.push({
+            method: method.toUpperCase(),
+            path,
+            regex: new RegExp(`^${pattern}/?$`),
+            keys,
+            handler
+        });
+        
+        return this;
+    }
+    
+    // Route shortcuts
+    
+    get(path, handler) {
+        return this.route('GET', path, handler);
+    }
+    
+    post(path, handler) {
+        return this.route('POST', path, handler);
+    }
+    
+    put(path, handler) {
+        return this.route('PUT', path, handler);
+    }
+    
+    patch(path, handler) {
+        return this.route('PATCH', path, handler);
+    }
+    
+    delete(path, handler) {
+        return this.route('DELETE', path, handler);
+    }
+    
+    /**
+     * Make matching requests fail
+     * @param {Object} rule - { method, path, status, times, body, headers }; status 0 simulates a network error
+     */
+    injectError(rule = {}) {
+        this.injectedErrors.push({
+            method: rule.method ? rule.method.toUpperCase() : null,
+            path: rule.path || null,
+            status: rule.status ?? 500,
+            times: rule.times ?? Infinity,
+            body: rule.body || { code: 'INJECTED_ERROR', message: 'Injected failure' },
+            headers: rule.headers || {}
+        });
+    }
+    
+    /**
+     * Remove all injected errors
+     */
+    clearErrors() {
+        this.injectedErrors = [];
+    }
+    
+    /**
+     * Route an ApiService's requests through this adapter
+     * @param {ApiService} apiService - API service
+     */
+    install(apiService) {
+        this.apiService = apiService;
+        
+        if (!this.basePath && apiService.baseURL) {
+            this.basePath = new URL(apiService.baseURL, window.location.href).pathname.replace(/\/$/, '');
+        }
+        
+        apiService.addRequestInterceptor((config) => {
+            config.adapter = this.handle;
+            return config;
+        });
+    }
+    
+    /**
+     * Answer a request (fetch-compatible signature)
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async handle(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const parsed = new URL(url, window.location.href);
+        const path = parsed.pathname.slice(this.basePath.length) || '/';
+        
+        const match = this.match(method, path);
+        if (!match && this.passthrough) {
+            return fetch(url, options);
+        }
+        
+        const delay = this.getLatency();
+        if (options.onUploadProgress && options.body) {
+            this.reportUploadProgress(options, delay);
+        }
+        
+        await this.wait(options.signal, delay);
+        
+        const request = {
+            method,
+            path,
+            params: match ? match.params : {},
+            query: this.parseQuery(parsed.searchParams),
+            body: this.parseBody(options.body),
+            headers: options.headers || {}
+        };
+        
+        this.emit('request', request);
+        
+        const injected = this.takeInjectedError(method, path);
+        if (injected) {
+            if (injected.status === 0) {
+                throw new TypeError('Failed to fetch');
+            }
+            return this.createResponse(new MockReply(injected.status, injected.body, injected.headers));
+        }
+        
+        if (this.errorRate > 0 && Math.random() < this.errorRate) {
+            return this.createResponse(new MockReply(503, { code: 'SERVICE_UNAVAILABLE', message: 'Random failure (errorRate)' }));
+        }
+        
+        if (!match) {
+            return this.createResponse(new MockReply(404, { code: 'NOT_FOUND', message: `No mock route for ${method} ${path}` }));
+        }
+        
+        try {
+            const result = await match.route.handler(request);
+            return this.createResponse(result instanceof MockReply ? result : new MockReply(200, result));
+        } catch (error) {
+            console.error(`Mock route ${method} ${match.route.path} failed:`, error);
+            return this.createResponse(new MockReply(500, { code: 'INTERNAL_ERROR', message: error.message }));
+        }
+    }
+    
+    /**
+     * Find the route for a request
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {Object|null} { route, params }
+     */
+    match(method, path) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+            
+            const result = route.regex.exec(path);
+            if (result) {
+                const params = {};
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(result[index + 1]);
+                });
+                return { route, params };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Use up a matching injected error, if any
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path
+     * @returns {Object|null} Error rule
+     */
+    takeInjectedError(method, path) {
+        const rule = this.injectedErrors.find(candidate =>
+            (!candidate.method || candidate.method === method) &&
+            (!candidate.path || this.pathMatches(candidate.path, path))
+        );
+        
+        if (!rule) return null;
+        
+        rule.times--;
+        if (rule.times <= 0) {
+            this.injectedErrors = this.injectedErrors.filter(candidate => candidate !== rule);
+        }
+        
+        return rule;
+    }
+    
+    /**
+     * Check a path against a route pattern
+     * @param {string} pattern - Path pattern, e.g. /games/:id
+     * @param {string} path - Request path
+     * @returns {boolean} Match status
+     */
+    pathMatches(pattern, path) {
+        const regex = new RegExp(`^${pattern.replace(/\/$/, '').replace(/:(\w+)/g, '[^/]+')}/?$`);
+        return regex.test(path);
+    }
+    
+    /**
+     * Pick a latency for one request
+     * @returns {number} Delay in milliseconds
+     */
+    getLatency() {
+        const [min, max] = Array.isArray(this.latency) ? this.latency : [this.latency, this.latency];
+        return min + Math.random() * (max - min);
+    }
+    
+    /**
+     * Wait for the configured latency, unless the request is aborted first
+     * @param {AbortSignal} signal - Request signal
+     * @param {number} delay - Delay in milliseconds
+     * @returns {Promise} Delay promise
+     */
+    wait(signal, delay = this.getLatency()) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, delay);
+            
+            if (signal?.aborted) {
+                abort();
+            } else {
+                signal?.addEventListener('abort', abort);
+            }
+        });
+    }
+    
+    /**
+     * Simulate upload progress in four steps spread over the latency
+     * @param {Object} options - fetch options with body, signal and onUploadProgress
+     * @param {number} delay - Request latency in milliseconds
+     */
+    reportUploadProgress(options, delay) {
+        const total = this.getBodySize(options.body);
+        const steps = 4;
+        
+        for (let step = 1; step <= steps; step++) {
+            setTimeout(() => {
+                if (options.signal?.aborted) return;
+                
+                const loaded = Math.round(total * step / steps);
+                options.onUploadProgress({
+                    loaded,
+                    total,
+                    percent: total ? Math.round(loaded / total * 100) : 100
+                });
+            }, delay * step / (steps + 1));
+        }
+    }
+    
+    /**
+     * Estimate the size of a request body
+     * @param {*} body - fetch body
+     * @returns {number} Size in bytes
+     */
+    getBodySize(body) {
+        if (body instanceof Blob) {
+            return body.size;
+        }
+        
+        if (body instanceof FormData) {
+            let size = 0;
+            for (const [name, value] of body.entries()) {
+                size += name.length + (value instanceof Blob ? value.size : String(value).length);
+            }
+            return size;
+        }
+        
+        return body.byteLength ?? String(body).length;
+    }
+    
+    /**
+     * Read query parameters, skipping ApiService's cache-busting timestamp
+     * @param {URLSearchParams} searchParams - Query parameters
+     * @returns {Object} Query object
+     */
+    parseQuery(searchParams) {
+        const query = {};
+        for (const [key, value] of searchParams.entries()) {
+            if (key !== '_t') {
+                query[key] = value;
+            }
+        }
+        return query;
+    }
+    
+    /**
+     * Decode a JSON request body
+     * @param {*} body - fetch body
+     * @returns {*} Parsed body
+     */
+    parseBody(body) {
+        if (typeof body !== 'string') {
+            return body ?? null;
+        }
+        
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return body;
+        }
+    }
+    
+    /**
+     * Build a fetch Response from a reply
+     * @param {MockReply} reply - Reply
+     * @returns {Response} Response
+     */
+    createResponse(reply) {
+        // 204 and 304 must not have a body
+        const hasBody = reply.data !== null && reply.data !== undefined && ![204, 304].includes(reply.status);
+        
+        return new Response(hasBody ? JSON.stringify(reply.data) : null, {
+            status: reply.status,
+            headers: {
+                ...(hasBody ? { 'Content-Type': 'application/json' } : {}),
+                ...reply.headers
+            }
+        });
+    }
+}
+
+// Export for global access
+window.MockReply = MockReply;
+window.MockAdapter = MockAdapter;
@@ -0,0 +1,318 @@
+/* ==============================================
+   NORMALIZED GRAPHQL CACHE
+   ============================================== */
+
+/**
+ * Stores GraphQL results as entities keyed by type and id
+ * Every object with __typename and id is kept once ("Game:42"); results
+ * point at it, so a Game updated by one query or mutation is updated for
+ * every query that selected it. Root fields are stored by name and
+ * arguments ("game({"id":42})"), so a query can be answered from the cache
+ * when all of its fields are there, even if it was never sent before.
+ *
+ * Usage:
+ * const cache = new NormalizedCache();
+ * cache.write(document, { id: 42 }, data);
+ * const result = cache.read(document, { id: 42 }); // null when a field is missing
+ *
+ * cache.on('change', ({ entities }) => console.log('Updated', entities)); // ['Game:42']
+ * cache.evict('Game:42');
+ */
+
+class NormalizedCache extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.dataIdFromObject = options.dataIdFromObject || NormalizedCache.defaultDataId;
+        this.entities = new Map();     // "Type:id" and ROOT_QUERY -> stored fields
+        this.queryTimes = new Map();   // query key -> time it was last written
+    }
+    
+    /**
+     * Default entity key: "__typename:id"
+     * @param {Object} object - Result object
+     * @returns {string|null} Key, or null for objects without both
+     */
+    static defaultDataId(object) {
+        const id = object.id ?? object._id;
+        return object.__typename && id !== undefined && id !== null ? `${object.__typename}:${id}` : null;
+    }
+    
+    /**
+     * Key identifying a query and its variables
+     * @param {string} query - Printed query
+     * @param {Object} variables - Variables
+     * @returns {string} Query key
+     */
+    static getQueryKey(query, variables = {}) {
+        return `${query}|${NormalizedCache.stableStringify(variables)}`;
+    }
+    
+    /**
+     * JSON with sorted object keys, so equal arguments give equal keys
+     * @param {*} value - Value
+     * @returns {string} JSON
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => NormalizedCache.stableStringify(item)).join(',')}]`;
+        }
+        
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${NormalizedCache.stableStringify(value[key])}`).join(',')}}`;
+        }
+        
+        return JSON.stringify(value ?? null);
+    }
+    
+    /* ===== WRITING ===== */
+    
+    /**
+     * Store an operation's result
+     * Query results are stored under ROOT_QUERY; mutation results only update entities.
+     * @param {Object} document - Parsed document (with __typename fields)
+     * @param {Object} variables - Variables
+     * @param {Object} data - Result data
+     * @param {string|null} operationName - Operation name
+     * @returns {Array} Keys of the entities that changed
+     */
+    write(document, variables, data, operationName = null) {
+        const operation = GraphQL.getOperation(document, operationName);
+        const context = {
+            fragments: GraphQL.getFragments(document),
+            variables: this.withDefaults(operation, variables),
+            changed: new Set()
+        };
+        
+        const rootKey = operation.operation === 'query' ? 'ROOT_QUERY' : null;
+        this.writeObject(operation.selectionSet, data, context, rootKey);
+        
+        if (rootKey) {
+            this.queryTimes.set(NormalizedCache.getQueryKey(GraphQL.print(document), variables), Date.now());
+        }
+        
+        const entities = Array.from(context.changed);
+        if (entities.length) {
+            this.emit('change', { entities });
+        }
+        
+        return entities;
+    }
+    
+    /**
+     * Store an object's selected fields, merging into its entity when it has one
+     * @param {Array} selectionSet - Selections
+     * @param {Object} object - Result object
+     * @param {Object} context - { fragments, variables, changed }
+     * @param {string|null} key - Entity key, when known (root objects)
+     * @returns {Object} Reference { __ref } or the embedded fields
+     */
+    writeObject(selectionSet, object, context, key = undefined) {
+        const entityKey = key === undefined ? this.dataIdFromObject(object) : key;
+        const existing = entityKey ? this.entities.get(entityKey) : null;
+        const fields = existing ? { ...existing } : {};
+        
+        GraphQL.collectFields(selectionSet, object.__typename, context.fragments, context.variables).forEach((field) => {
+            const responseKey = field.alias || field.name;
+            if (!(responseKey in object)) return;
+            
+            fields[this.getStoreFieldName(field, context.variables)] = this.writeValue(field.selectionSet, object[responseKey], context);
+        });
+        
+        if (!entityKey) {
+            return fields;
+        }
+        
+        if (!existing || NormalizedCache.stableStringify(existing) !== NormalizedCache.stableStringify(fields)) {
+            this.entities.set(entityKey, fields);
+            context.changed.add(entityKey);
+        }
+        
+        return { __ref: entityKey };
+    }
+    
+    /**
+     * Store a field value
+     * @param {Array|null} selectionSet - Field's selections
+     * @param {*} value - Field value
+     * @param {Object} context - Write context
+     * @returns {*} Stored value
+     */
+    writeValue(selectionSet, value, context) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.writeValue(selectionSet, item, context));
+        }
+        
+        if (selectionSet && typeof value === 'object') {
+            return this.writeObject(selectionSet, value, context);
+        }
+        
+        return value; // scalars, including JSON objects without a selection
+    }
+    
+    /* ===== READING ===== */
+    
+    /**
+     * Answer a query from the cache
+     * @param {Object} document - Parsed document (with __typename fields)
+     * @param {Object} variables - Variables
+     * @param {string|null} operationName - Operation name
+     * @returns {Object|null} { data, storedAt }, or null when any selected field is missing
+     */
+    read(document, variables = {}, operationName = null) {
+        const operation = GraphQL.getOperation(document, operationName);
+        const root = this.entities.get('ROOT_QUERY');
+        
+        if (operation.operation !== 'query' || !root) {
+            return null;
+        }
+        
+        const context = {
+            fragments: GraphQL.getFragments(document),
+            variables: this.withDefaults(operation, variables),
+            missing: false
+        };
+        
+        const data = this.readObject(operation.selectionSet, root, context);
+        if (context.missing) {
+            return null;
+        }
+        
+        return {
+            data,
+            storedAt: this.queryTimes.get(NormalizedCache.getQueryKey(GraphQL.print(document), variables)) || null
+        };
+    }
+    
+    /**
+     * Read an object's selected fields
+     * @param {Array} selectionSet - Selections
+     * @param {Object} source - Stored fields
+     * @param {Object} context - { fragments, variables, missing }
+     * @returns {Object} Result object
+     */
+    readObject(selectionSet, source, context) {
+        const result = {};
+        
+        for (const field of GraphQL.collectFields(selectionSet, source.__typename, context.fragments, context.variables)) {
+            const storeName = this.getStoreFieldName(field, context.variables);
+            
+            if (!(storeName in source)) {
+                context.missing = true;
+                return result;
+            }
+            
+            result[field.alias || field.name] = this.readValue(field.selectionSet, source[storeName], context);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Read a stored field value
+     * @param {Array|null} selectionSet - Field's selections
+     * @param {*} value - Stored value
+     * @param {Object} context - Read context
+     * @returns {*} Result value
+     */
+    readValue(selectionSet, value, context) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.readValue(selectionSet, item, context));
+        }
+        
+        if (value.__ref) {
+            const entity = this.entities.get(value.__ref);
+            if (!entity) {
+                context.missing = true;
+                return null;
+            }
+            return this.readObject(selectionSet, entity, context);
+        }
+        
+        if (selectionSet && typeof value === 'object') {
+            return this.readObject(selectionSet, value, context);
+        }
+        
+        return value;
+    }
+    
+    /* ===== HELPERS ===== */
+    
+    /**
+     * Storage name of a field: its name, plus its arguments when it has any
+     * @param {Object} field - Field node
+     * @param {Object} variables - Variables
+     * @returns {string} Store field name, e.g. game({"id":42})
+     */
+    getStoreFieldName(field, variables) {
+        const args = GraphQL.getArguments(field, variables);
+        return Object.keys(args).length ? `${field.name}(${NormalizedCache.stableStringify(args)})` : field.name;
+    }
+    
+    /**
+     * Fill in variable defaults declared by the operation
+     * @param {Object} operation - Operation definition
+     * @param {Object} variables - Variables
+     * @returns {Object} Variables
+     */
+    withDefaults(operation, variables = {}) {
+        const values = { ...variables };
+        
+        operation.variableDefinitions.forEach((definition) => {
+            if (values[definition.name] === undefined && definition.defaultValue) {
+                values[definition.name] = GraphQL.valueFromAST(definition.defaultValue);
+            }
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Get a stored entity
+     * @param {string} key - Entity key, e.g. Game:42
+     * @returns {Object|null} Stored fields (references unresolved)
+     */
+    getEntity(key) {
+        return this.entities.get(key) || null;
+    }
+    
+    /**
+     * Drop an entity; queries that selected it are refetched next time
+     * @param {string} key - Entity key
+     */
+    evict(key) {
+        if (this.entities.delete(key)) {
+            this.emit('change', { entities: [key] });
+        }
+    }
+    
+    /**
+     * Drop everything
+     */
+    clear() {
+        this.entities.clear();
+        this.queryTimes.clear();
+    }
+    
+    /**
+     * Get cache statistics
+     * @returns {Object} { entities, queries }
+     */
+    getStats() {
+        return {
+            entities: Math.max(0, this.entities.size - (this.entities.has('ROOT_QUERY') ? 1 : 0)),
+            queries: this.queryTimes.size
+        };
+    }
+}
+
+// Export for global access
+window.NormalizedCache = NormalizedCache;
@@ -0,0 +1,349 @@
+/* ==============================================
+   OFFLINE REQUEST QUEUE
+   ============================================== */
+
+/**
+ * Persistent queue for mutating requests made while offline
+ * ApiService hands POST/PUT/PATCH/DELETE requests to the queue when the
+ * browser is offline; they are saved to localStorage and replayed in order
+ * once the `online` event fires.
+ *
+ * Requests sharing a `collapseKey` replace each other, so only the latest
+ * intent is sent (e.g. rating a game three times offline sends one rating).
+ * PATCHes with the same key are merged instead.
+ *
+ * Tabs share the stored queue; it is re-read before every change, and a Web
+ * Lock (where supported) lets only one tab replay at a time.
+ *
+ * Each request is tagged with the user who queued it (see `getUserId`). The
+ * queue outlives sign-outs, so a request whose user isn't the one signed in
+ * at replay is dropped rather than sent with someone else's token.
+ *
+ * Usage:
+ * const offlineQueue = new OfflineQueue({
+ *   apiService,
+ *   stateManager,
+ *   getUserId: () => authManager.currentUser?.id ?? null
+ * });
+ *
+ * const response = await apiService.put('/games/42/rating', { rating: 9 }, {
+ *   collapseKey: 'rating:42',
+ *   description: 'Rate Elden Ring'
+ * });
+ * if (response.queued) { ... } // saved, will sync when back online
+ *
+ * offlineQueue.on('itemSucceeded', ({ item }) => console.log('Synced', item.description));
+ * offlineQueue.on('itemFailed', ({ item, error }) => console.warn('Rejected', item.description));
+ * offlineQueue.on('itemDiscarded', ({ item }) => console.info('Queued by another user', item.description));
+ */
+
+class OfflineQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.apiService = options.apiService;
+        this.stateManager = options.stateManager || null;
+        this.storage = options.storage || localStorage;
+        this.storageKey = options.storageKey || 'gameVault_offlineQueue';
+        this.isOnline = options.isOnline || (() => navigator.onLine);
+        this.getUserId = options.getUserId || (() => null); // signed-in user's id, null for guests
+        
+        this.items = [];
+        this.replaying = null;
+        this.replayingIds = new Set();
+        
+        // Bind methods
+        this.replay = this.replay.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize offline queue
+     */
+    init() {
+        this.restore();
+        this.apiService.setOfflineQueue(this);
+        
+        window.addEventListener('online', () => {
+            this.syncNetworkState();
+            this.replay();
+        });
+        
+        window.addEventListener('offline', () => {
+            this.syncNetworkState();
+        });
+        
+        this.syncNetworkState();
+        
+        // Requests left over from a previous visit
+        if (this.items.length && this.isOnline()) {
+            this.replay();
+        }
+    }
+    
+    /**
+     * Check whether a request can be queued
+     * @param {string} method - HTTP method
+     * @param {*} data - Request body
+     * @returns {boolean} Queueable status
+     */
+    canQueue(method, data) {
+        if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(String(method).toUpperCase())) {
+            return false;
+        }
+        
+        // Files can't be saved to localStorage
+        const isBinary = (typeof FormData !== 'undefined' && data instanceof FormData) ||
+                         (typeof Blob !== 'undefined' && data instanceof Blob);
+        
+        return !isBinary;
+    }
+    
+    /**
+     * Check whether a request should wait in the queue instead of being sent
+     * Requests queue while offline, and while older ones are still waiting so order is kept
+     * @returns {boolean} Queue status
+     */
+    shouldQueue() {
+        this.restore();
+        return !this.isOnline() || this.items.length > 0;
+    }
+    
+    /**
+     * Add a request to the queue
+     * @param {string} url - Request URL as passed to ApiService
+     * @param {Object} options - Request options ({ method, data, headers, collapseKey, description })
+     * @returns {Object} Queued item
+     */
+    enqueue(url, options = {}) {
+        const method = (options.method || 'POST').toUpperCase();
+        
+        // Another tab may have changed the queue
+        this.restore();
+        
+        const item = {
+            id: generateId(),
+            method,
+            url,
+            data: options.data ?? null,
+            headers: options.headers || {},
+            collapseKey: options.collapseKey || null,
+            description: options.description || `${method} ${url}`,
+            userId: this.getUserId(),
+            queuedAt: Date.now(),
+            attempts: 0
+        };
+        
+        const collapsed = this.collapse(item);
+        this.items.push(collapsed);
+        this.persist();
+        
+        this.emit('itemQueued', { item: collapsed, collapsed: collapsed !== item });
+        
+        if (this.isOnline()) {
+            this.replay();
+        }
+        
+        return collapsed;
+    }
+    
+    /**
+     * Fold a new item into a waiting one with the same collapse key
+     * The result goes to the back of the queue, where the latest intent belongs.
+     * @param {Object} item - New item
+     * @returns {Object} Item to queue
+     */
+    collapse(item) {
+        if (!item.collapseKey) return item;
+        
+        const index = this.items.findIndex(queued =>
+            queued.collapseKey === item.collapseKey && queued.userId === item.userId && !this.replayingIds.has(queued.id)
+        );
+        if (index === -1) return item;
+        
+        const [previous] = this.items.splice(index, 1);
+        
+        if (previous.method === 'PATCH' && item.method === 'PATCH' &&
+            previous.url === item.url && this.isPlainObject(previous.data) && this.isPlainObject(item.data)) {
+            return { ...item, data: { ...previous.data, ...item.data }, queuedAt: previous.queuedAt };
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Send waiting requests one at a time, in order
+     * Stops at the first network failure; the rest wait for the next `online` event.
+     * @returns {Promise<void>} Resolves when the queue is drained or replay stops
+     */
+    replay() {
+        if (this.replaying) {
+            return this.replaying;
+        }
+        
+        this.replaying = this.withReplayLock(() => this.replayItems()).finally(() => {
+            this.replaying = null;
+        });
+        
+        return this.replaying;
+    }
+    
+    /**
+     * Run a replay while holding the cross-tab lock
+     * @param {Function} callback - Replay function
+     * @returns {Promise} Callback result
+     */
+    withReplayLock(callback) {
+        if (navigator.locks) {
+            return navigator.locks.request(this.storageKey, callback);
+        }
+        
+        return callback();
+    }
+    
+    /**
+     * Replay loop behind replay()
+     */
+    async replayItems() {
+        this.restore();
+        this.emit('replayStart', { count: this.items.length });
+        
+        while (this.items.length && this.isOnline()) {
+            const item = this.items[0];
+            
+            // Queued before a sign-out or by another tab's user
+            if ((item.userId ?? null) !== this.getUserId()) {
+                this.remove(item.id);
+                this.emit('itemDiscarded', { item });
+                continue;
+            }
+            
+            item.attempts++;
+            this.replayingIds.add(item.id);
+            this.persist();
+            
+            try {
+                const response = await this.apiService.request(item.url, {
+                    method: item.method,
+                    data: item.data,
+                    headers: item.headers,
+                    priority: 'background',
+                    skipOfflineQueue: true
+                });
+                
+                this.remove(item.id);
+                this.emit('itemSucceeded', { item, response });
+            } catch (error) {
+                if (error.status === 0 && !error.aborted) {
+                    // Still unreachable: keep the item and try again later
+                    this.replayingIds.delete(item.id);
+                    this.syncNetworkState();
+                    this.emit('replayPaused', { item, error });
+                    return;
+                }
+                
+                // The server rejected it; retrying won't help and would block the queue
+                this.remove(item.id);
+                this.emit('itemFailed', { item, error });
+            }
+        }
+        
+        if (!this.items.length && this.stateManager) {
+            this.stateManager.setState('network', { lastSyncTime: Date.now() }, false, true, { history: false });
+        }
+        
+        this.emit('replayComplete', { remaining: this.items.length });
+    }
+    
+    /**
+     * Remove an item from the queue
+     * @param {string} id - Item ID
+     * @returns {boolean} Whether the item was found
+     */
+    remove(id) {
+        this.restore();
+        
+        const index = this.items.findIndex(item => item.id === id);
+        this.replayingIds.delete(id);
+        
+        if (index === -1) return false;
+        
+        this.items.splice(index, 1);
+        this.persist();
+        return true;
+    }
+    
+    /**
+     * Drop every waiting request
+     */
+    clear() {
+        this.restore();
+        this.items = this.items.filter(item => this.replayingIds.has(item.id));
+        this.persist();
+        this.emit('cleared');
+    }
+    
+    /**
+     * Get waiting requests
+     * @returns {Array} Queued items, oldest first
+     */
+    getItems() {
+        this.restore();
+        return [...this.items];
+    }
+    
+    /**
+     * Save the queue and mirror it into network state
+     */
+    persist() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.error('Failed to persist offline queue:', error);
+        }
+        
+        this.syncNetworkState();
+    }
+    
+    /**
+     * Load the queue saved by a previous visit
+     */
+    restore() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            this.items = stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to restore offline queue:', error);
+            this.items = [];
+        }
+    }
+    
+    /**
+     * Publish connectivity and queue contents as `network` state
+     */
+    syncNetworkState() {
+        if (!this.stateManager) return;
+        
+        // Kept out of the history, which is for changes the user makes
+        this.stateManager.setState('network', {
+            isOnline: this.isOnline(),
+            pendingRequests: new Set(this.replayingIds),
+            retryQueue: this.items.map(({ id, method, url, description, queuedAt, attempts }) => ({
+                id, method, url, description, queuedAt, attempts
+            }))
+        }, false, true, { history: false });
+    }
+    
+    /**
+     * Check for an object literal (mergeable PATCH body)
+     * @param {*} value - Value to check
+     * @returns {boolean} Plain object status
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+    }
+}
+
+// Export for global access
+window.OfflineQueue = OfflineQueue;
@@ -0,0 +1,578 @@
+/* ==============================================
+   REAL-TIME UPDATES
+   ============================================== */
+
+/**
+ * Client for the real-time channel (WebSocket, or Server-Sent Events)
+ * Frames are JSON envelopes:
+ *   server -> client  { type: 'event', topic, event, data }
+ *                     { type: 'pong', at }, { type: 'error', topic, code, message }
+ *   client -> server  { type: 'subscribe' | 'unsubscribe', topics }, { type: 'ping', at }
+ * Over SSE the topics and token travel in the URL, so changing topics reopens
+ * the stream, and the server's own heartbeat events keep it alive.
+ *
+ * Dropped connections are reopened with jittered exponential backoff (see
+ * RetryPolicy) and every subscribed topic is sent again. A connection that
+ * stays silent past the heartbeat timeout is treated as dropped. The
+ * connection state is mirrored to StateManager under network.realtime.
+ *
+ * Usage:
+ * const realtime = new RealtimeClient({
+ *   url: 'wss://realtime.gamevault.com',
+ *   stateManager,
+ *   getToken: () => apiService.getAuthToken()
+ * });
+ * realtime.connect();
+ *
+ * const unsubscribe = realtime.subscribe('reviews:42', (event, data) => {
+ *   if (event === 'votes') console.log('Votes', data.helpfulVotes);
+ * });
+ * realtime.on('statusChange', ({ status }) => console.log(status)); // connecting, open, reconnecting, closed
+ */
+
+class RealtimeClient extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.url = options.url;
+        this.transport = options.transport || 'websocket'; // websocket or sse
+        this.stateManager = options.stateManager || null;
+        this.getToken = options.getToken || (() => null);
+        this.createSocket = options.createSocket || (url => new WebSocket(url));
+        this.createEventSource = options.createEventSource || (url => new EventSource(url));
+        this.heartbeatInterval = options.heartbeatInterval || 25000;
+        this.heartbeatTimeout = options.heartbeatTimeout || 10000; // silence allowed past an interval
+        this.maxReconnectAttempts = options.maxReconnectAttempts ?? Infinity;
+        this.reconnectPolicy = options.reconnectPolicy || new RetryPolicy({ baseDelay: 1000, maxDelay: 30000 });
+        this.isOnline = options.isOnline || (() => navigator.onLine);
+        
+        this.topics = new Map(); // topic -> Set of handlers
+        this.connection = null;
+        this.status = 'closed'; // connecting, open, reconnecting, closed
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.lastMessageAt = 0;
+        this.latency = null;
+        this.shouldConnect = false;
+        
+        // Bind methods
+        this.handleOnline = this.handleOnline.bind(this);
+        
+        window.addEventListener('online', this.handleOnline);
+    }
+    
+    /* ===== CONNECTION ===== */
+    
+    /**
+     * Open the connection, and keep it open until disconnect()
+     */
+    connect() {
+        this.shouldConnect = true;
+        
+        if (this.connection || this.reconnectTimer) return;
+        
+        this.open();
+    }
+    
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+        this.shouldConnect = false;
+        this.clearReconnect();
+        this.closeConnection();
+        this.reconnectAttempt = 0;
+        this.setStatus('closed');
+    }
+    
+    /**
+     * Reopen the connection now, e.g. after the user signed in or out
+     */
+    reconnect() {
+        if (!this.shouldConnect) return;
+        
+        this.clearReconnect();
+        this.closeConnection();
+        this.open();
+    }
+    
+    /**
+     * Open a socket or event stream
+     */
+    open() {
+        this.setStatus(this.reconnectAttempt ? 'reconnecting' : 'connecting');
+        
+        try {
+            this.connection = this.transport === 'sse' ? this.openEventSource() : this.openSocket();
+        } catch (error) {
+            console.error('Failed to open the real-time connection:', error);
+            this.connection = null;
+            this.scheduleReconnect();
+        }
+    }
+    
+    /**
+     * Open a WebSocket
+     * @returns {WebSocket} Socket
+     */
+    openSocket() {
+        const socket = this.createSocket(this.buildUrl(false));
+        
+        socket.onopen = () => {
+            if (this.connection !== socket) return;
+            
+            this.handleOpen();
+            const topics = Array.from(this.topics.keys());
+            if (topics.length) {
+                this.send({ type: 'subscribe', topics });
+            }
+        };
+        socket.onmessage = (event) => this.connection === socket && this.handleFrame(event.data);
+        socket.onclose = (event) => this.connection === socket && this.handleClose(event.code, event.reason);
+        socket.onerror = () => this.connection === socket && this.emit('connectionError', { transport: 'websocket' });
+        
+        return socket;
+    }
+    
+    /**
+     * Open an EventSource; it is closed on errors so our backoff applies instead of the browser's
+     * @returns {EventSource} Event source
+     */
+    openEventSource() {
+        const source = this.createEventSource(this.buildUrl(true));
+        
+        source.onopen = () => this.connection === source && this.handleOpen();
+        source.onmessage = (event) => this.connection === source && this.handleFrame(event.data);
+        source.onerror = () => {
+            if (this.connection !== source) return;
+            
+            this.emit('connectionError', { transport: 'sse' });
+            this.handleClose(1006, 'Stream error');
+        };
+        
+        return source;
+    }
+    
+    /**
+     * Connection URL, carrying the access token and, for SSE, the topics
+     * @param {boolean} withTopics - Whether to add the topics
+     * @returns {string} URL
+     */
+    buildUrl(withTopics) {
+        const url = new URL(this.url, window.location.href);
+        const token = this.getToken();
+        
+        if (token) {
+            url.searchParams.set('token', token);
+        }
+        if (withTopics && this.topics.size) {
+            url.searchParams.set('topics', Array.from(this.topics.keys()).join(','));
+        }
+        
+        return url.toString();
+    }
+    
+    /**
+     * Connection established
+     */
+    handleOpen() {
+        const attempts = this.reconnectAttempt;
+        
+        this.reconnectAttempt = 0;
+        this.lastMessageAt = Date.now();
+        this.startHeartbeat();
+        this.setStatus('open');
+        
+        this.emit(attempts ? 'reconnected' : 'connected', { attempts });
+    }
+    
+    /**
+     * Connection lost
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    handleClose(code, reason) {
+        this.closeConnection();
+        this.emit('disconnected', { code, reason });
+        
+        // 4401: the server refused the token; wait for reconnect() with a new one
+        if (code === 4401) {
+            this.setStatus('closed');
+            this.emit('unauthorized', { reason });
+            return;
+        }
+        
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Reopen the connection after a backoff delay
+     */
+    scheduleReconnect() {
+        if (!this.shouldConnect || this.reconnectTimer) return;
+        
+        if (this.reconnectAttempt >= this.maxReconnectAttempts) {
+            this.setStatus('closed');
+            this.emit('reconnectFailed', { attempts: this.reconnectAttempt });
+            return;
+        }
+        
+        this.setStatus('reconnecting');
+        
+        // Offline: handleOnline() reconnects straight away
+        if (!this.isOnline()) return;
+        
+        const delay = this.reconnectPolicy.getDelay(this.reconnectAttempt);
+        this.reconnectAttempt++;
+        this.emit('reconnecting', { attempt: this.reconnectAttempt, delay });
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.open();
+        }, delay);
+    }
+    
+    /**
+     * Back online: don't wait for the backoff
+     */
+    handleOnline() {
+        if (this.shouldConnect && this.status === 'reconnecting') {
+            this.clearReconnect();
+            this.open();
+        }
+    }
+    
+    /**
+     * Close the current socket or stream without reconnecting
+     */
+    closeConnection() {
+        this.stopHeartbeat();
+        
+        const connection = this.connection;
+        this.connection = null;
+        
+        if (connection) {
+            connection.onopen = connection.onmessage = connection.onclose = connection.onerror = null;
+            try {
+                connection.close();
+            } catch (error) {
+                // Already closed
+            }
+        }
+    }
+    
+    /**
+     * Cancel a pending reconnect
+     */
+    clearReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+    }
+    
+    /* ===== HEARTBEAT ===== */
+    
+    /**
+     * Ping every interval, and drop the connection when nothing arrived for too long
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        
+        this.heartbeatTimer = setInterval(() => {
+            if (Date.now() - this.lastMessageAt > this.heartbeatInterval + this.heartbeatTimeout) {
+                this.emit('heartbeatTimeout', { lastMessageAt: this.lastMessageAt });
+                this.handleClose(4000, 'Heartbeat timeout');
+                return;
+            }
+            
+            // SSE can't send; the server's heartbeat events count instead
+            if (this.transport !== 'sse') {
+                this.send({ type: 'ping', at: Date.now() });
+            }
+        }, this.heartbeatInterval);
+    }
+    
+    /**
+     * Stop the heartbeat
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+    }
+    
+    /* ===== MESSAGES ===== */
+    
+    /**
+     * Handle a frame from the server
+     * @param {string} raw - JSON frame
+     */
+    handleFrame(raw) {
+        this.lastMessageAt = Date.now();
+        
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            console.warn('Ignoring malformed real-time frame:', raw);
+            return;
+        }
+        
+        switch (message.type) {
+            case 'event':
+                this.dispatch(message);
+                break;
+            case 'pong':
+                if (message.at) {
+                    this.latency = Date.now() - message.at;
+                    this.updateState();
+                }
+                break;
+            case 'error':
+                this.emit('serverError', message);
+                break;
+            default:
+                break; // heartbeats, acknowledgements
+        }
+    }
+    
+    /**
+     * Pass an event to its topic's handlers
+     * @param {Object} message - { topic, event, data }
+     */
+    dispatch(message) {
+        const { topic, event, data } = message;
+        
+        this.emit('message', message);
+        
+        (this.topics.get(topic) || []).forEach((handler) => {
+            try {
+                handler(event, data, message);
+            } catch (error) {
+                console.error(`Error in real-time handler for ${topic}:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Send a frame over the WebSocket
+     * @param {Object} message - Message
+     * @returns {boolean} Whether it was sent
+     */
+    send(message) {
+        const socket = this.connection;
+        
+        if (this.transport === 'sse' || !socket || socket.readyState !== 1) {
+            return false;
+        }
+        
+        socket.send(JSON.stringify(message));
+        return true;
+    }
+    
+    /* ===== TOPICS ===== */
+    
+    /**
+     * Receive a topic's events
+     * @param {string} topic - Topic, e.g. reviews:42
+     * @param {Function} handler - Called with (event, data, message)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(topic, handler) {
+        const isNew = !this.topics.has(topic);
+        
+        if (isNew) {
+            this.topics.set(topic, new Set());
+        }
+        this.topics.get(topic).add(handler);
+        
+        if (isNew) {
+            this.topicsChanged('subscribe', topic);
+        }
+        
+        return () => this.unsubscribe(topic, handler);
+    }
+    
+    /**
+     * Stop receiving a topic's events
+     * @param {string} topic - Topic
+     * @param {Function} handler - Handler passed to subscribe()
+     */
+    unsubscribe(topic, handler) {
+        const handlers = this.topics.get(topic);
+        if (!handlers) return;
+        
+        handlers.delete(handler);
+        
+        if (handlers.size === 0) {
+            this.topics.delete(topic);
+            this.topicsChanged('unsubscribe', topic);
+        }
+    }
+    
+    /**
+     * Tell the server about a topic change
+     * @param {string} type - subscribe or unsubscribe
+     * @param {string} topic - Topic
+     */
+    topicsChanged(type, topic) {
+        if (this.status !== 'open') return; // sent with the rest once open
+        
+        if (this.transport === 'sse') {
+            this.reconnect();
+        } else {
+            this.send({ type, topics: [topic] });
+        }
+    }
+    
+    /* ===== STATE ===== */
+    
+    /**
+     * Change the connection status
+     * @param {string} status - New status
+     */
+    setStatus(status) {
+        if (status === this.status) return;
+        
+        const previous = this.status;
+        this.status = status;
+        
+        this.updateState();
+        this.emit('statusChange', { status, previous });
+    }
+    
+    /**
+     * Mirror the connection to StateManager (network.realtime)
+     */
+    updateState() {
+        this.stateManager?.setState('network', {
+            realtime: {
+                status: this.status,
+                transport: this.transport,
+                reconnectAttempt: this.reconnectAttempt,
+                latency: this.latency
+            }
+        }, false, true, { history: false }); // changes with every pong
+    }
+    
+    /**
+     * Get connection statistics
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            status: this.status,
+            transport: this.transport,
+            topics: Array.from(this.topics.keys()),
+            reconnectAttempt: this.reconnectAttempt,
+            latency: this.latency,
+            lastMessageAt: this.lastMessageAt || null
+        };
+    }
+    
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.disconnect();
+        this.topics.clear();
+        window.removeEventListener('online', this.handleOnline);
+    }
+}
+
+/**
+ * Applies real-time events to application state and models
+ *   notifications   -> ui.notifications (queue and unreadCount)
+ *   users:<id>      -> User#setStatus(), which emits statusChanged
+ *   reviews:<id>    -> Review vote counts, emitting votesUpdated
+ *
+ * Usage:
+ * const realtimeSync = new RealtimeSync({ client: realtime, stateManager });
+ * const unwatch = realtimeSync.watchUser(friend); // friend.on('statusChanged', ...)
+ * realtimeSync.watchReview(review);               // review.on('votesUpdated', ...)
+ */
+class RealtimeSync {
+    constructor(options = {}) {
+        this.client = options.client;
+        this.stateManager = options.stateManager || null;
+        this.maxNotifications = options.maxNotifications || 50;
+        
+        this.unsubscribeNotifications = this.client.subscribe('notifications', (event, data) => this.handleNotification(event, data));
+        
+        // Signed out: the server refuses the topic, so nothing is unread
+        this.handleServerError = (error) => {
+            if (error.topic === 'notifications') {
+                this.handleNotification('unread', { unreadCount: 0 });
+            }
+        };
+        this.client.on('serverError', this.handleServerError);
+    }
+    
+    /**
+     * Update the notification queue and unread count
+     * @param {string} event - notification or unread
+     * @param {Object} data - { notification, unreadCount }
+     */
+    handleNotification(event, data = {}) {
+        if (!this.stateManager) return;
+        
+        const current = this.stateManager.getState('ui')?.notifications || { queue: [], unreadCount: 0 };
+        
+        if (event === 'notification' && data.notification) {
+            this.stateManager.setState('ui', {
+                notifications: {
+                    queue: [data.notification, ...current.queue].slice(0, this.maxNotifications),
+                    unreadCount: data.unreadCount ?? current.unreadCount + 1
+                }
+            });
+        } else if (event === 'unread') {
+            this.stateManager.setState('ui', { notifications: { unreadCount: data.unreadCount || 0 } });
+        }
+    }
+    
+    /**
+     * Keep a user's status current
+     * @param {User} user - User model
+     * @returns {Function} Stop watching
+     */
+    watchUser(user) {
+        return this.client.subscribe(`users:${user.id}`, (event, data) => {
+            if (event !== 'status') return;
+            
+            user.setStatus(data.status, data.customStatus || '');
+            
+            // The signed-in user's status is also app state
+            if (this.stateManager?.getState('user')?.id === user.id) {
+                this.stateManager.setState('user', { status: data.status, customStatus: data.customStatus || '' });
+            }
+        });
+    }
+    
+    /**
+     * Keep a review's vote counts current
+     * @param {Review} review - Review model
+     * @returns {Function} Stop watching
+     */
+    watchReview(review) {
+        return this.client.subscribe(`reviews:${review.id}`, (event, data) => {
+            if (event !== 'votes') return;
+            
+            const oldStats = { ...review.stats };
+            review.stats.helpfulVotes = data.helpfulVotes ?? review.stats.helpfulVotes;
+            review.stats.unhelpfulVotes = data.unhelpfulVotes ?? review.stats.unhelpfulVotes;
+            
+            review.emit('votesUpdated', { newStats: review.stats, oldStats });
+        });
+    }
+    
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.unsubscribeNotifications();
+        this.client.off('serverError', this.handleServerError);
+    }
+}
+
+// Export for global access
+window.RealtimeClient = RealtimeClient;
+window.RealtimeSync = RealtimeSync;
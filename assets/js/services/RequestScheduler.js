@@ -0,0 +1,385 @@
+/* ==============================================
+   REQUEST SCHEDULER
+   ============================================== */
+
+/**
+ * Limits how many requests ApiService has in flight and how fast endpoints are called
+ * Requests wait in one of three priority lanes: user (what the user just
+ * asked for), prefetch (data they will probably want next) and background
+ * (revalidation, offline replays). A free slot goes to the oldest request of
+ * the highest lane. Endpoints listed in `rateLimits` also take a token from
+ * their bucket, which holds `capacity` tokens and refills `refillRate` per second.
+ *
+ * When more than `downgradeAt` requests wait, waiting prefetches move to the
+ * background lane; past `maxQueueSize`, the oldest background and prefetch
+ * requests are dropped and reject with `dropped: true`. User requests are
+ * never dropped. Pass Infinity to turn either off.
+ *
+ * Usage:
+ * const apiService = new ApiService(url, {
+ *   scheduler: new RequestScheduler({
+ *     maxConcurrent: 4,
+ *     rateLimits: { 'GET /search': { capacity: 3, refillRate: 2 } }
+ *   })
+ * });
+ *
+ * await apiService.get('/games?sort=rating', { priority: 'prefetch' });
+ */
+
+/**
+ * Priority lanes, highest first
+ */
+const RequestPriorities = ['user', 'prefetch', 'background'];
+
+/**
+ * Token bucket: up to `capacity` requests at once, then `refillRate` per second
+ */
+class TokenBucket {
+    constructor(options = {}) {
+        this.capacity = options.capacity || 10;
+        this.refillRate = options.refillRate || 5;
+        this.now = options.now || (() => Date.now());
+        
+        this.tokens = this.capacity;
+        this.updatedAt = this.now();
+    }
+    
+    /**
+     * Add the tokens earned since the last update
+     */
+    refill() {
+        const now = this.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillRate);
+        this.updatedAt = now;
+    }
+    
+    /**
+     * Take a token if one is available
+     * @returns {boolean} Whether a token was taken
+     */
+    tryTake() {
+        this.refill();
+        
+        if (this.tokens < 1) {
+            return false;
+        }
+        
+        this.tokens--;
+        return true;
+    }
+    
+    /**
+     * Time until the next token
+     * @returns {number} Milliseconds, 0 when one is available
+     */
+    getWait() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate * 1000);
+    }
+}
+
+class RequestScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.maxConcurrent = options.maxConcurrent || 6;
+        this.downgradeAt = options.downgradeAt ?? 10;   // waiting requests before prefetches are downgraded
+        this.maxQueueSize = options.maxQueueSize ?? 30; // waiting requests before low priorities are dropped
+        this.now = options.now || (() => Date.now());
+        
+        // 'METHOD /path/:param' -> { capacity, refillRate }
+        this.rateLimits = Object.entries(options.rateLimits || {}).map(([endpoint, limit]) => this.compileLimit(endpoint, limit));
+        
+        this.lanes = Object.fromEntries(RequestPriorities.map(priority => [priority, []]));
+        this.buckets = new Map(); // endpoint -> TokenBucket
+        this.active = 0;
+        this.timer = null;
+        this.counts = { scheduled: 0, rateLimited: 0, downgraded: 0, dropped: 0 };
+    }
+    
+    /**
+     * Parse a rate limit's endpoint pattern
+     * @param {string} endpoint - e.g. 'GET /games/:id'
+     * @param {Object} limit - { capacity, refillRate }
+     * @returns {Object} { endpoint, method, regex, limit }
+     */
+    compileLimit(endpoint, limit) {
+        const [method, path] = endpoint.split(' ');
+        const pattern = path.replace(/\/$/, '').replace(/:\w+/g, '[^/]+');
+        
+        return {
+            endpoint,
+            method: method.toUpperCase(),
+            regex: new RegExp(`^${pattern}/?$`),
+            limit
+        };
+    }
+    
+    /**
+     * Get the token bucket that limits a request
+     * @param {Object} config - Request configuration
+     * @returns {TokenBucket|null} Bucket, or null when the endpoint has no limit
+     */
+    getBucket(config) {
+        const method = String(config.method).toUpperCase();
+        const { pathname } = new URL(config.originalUrl || config.url, window.location.href);
+        const rateLimit = this.rateLimits.find(candidate => candidate.method === method && candidate.regex.test(pathname));
+        
+        if (!rateLimit) {
+            return null;
+        }
+        
+        if (!this.buckets.has(rateLimit.endpoint)) {
+            this.buckets.set(rateLimit.endpoint, new TokenBucket({ ...rateLimit.limit, now: this.now }));
+        }
+        return this.buckets.get(rateLimit.endpoint);
+    }
+    
+    /* ===== QUEUE ===== */
+    
+    /**
+     * Wait for a slot to send a request
+     * The request's lane is `config.priority` (default 'user'). Rejects when
+     * `config.signal` aborts or the request is dropped while waiting.
+     * @param {Object} config - Request configuration
+     * @returns {Promise<Function>} Call the function once the response is in, to free the slot
+     */
+    acquire(config) {
+        return new Promise((resolve, reject) => {
+            const item = {
+                config,
+                priority: RequestPriorities.includes(config.priority) ? config.priority : 'user',
+                bucket: this.getBucket(config),
+                resolve,
+                reject,
+                rateLimited: false
+            };
+            
+            item.onAbort = () => {
+                this.remove(item);
+                reject(this.createError('AbortError', 'Request aborted'));
+                this.pump();
+            };
+            
+            if (config.signal?.aborted) {
+                item.onAbort();
+                return;
+            }
+            
+            config.signal?.addEventListener('abort', item.onAbort);
+            this.lanes[item.priority].push(item);
+            this.counts.scheduled++;
+            
+            this.shed();
+            this.pump();
+        });
+    }
+    
+    /**
+     * Move a waiting request to a higher lane, e.g. when a user request joins a prefetch
+     * @param {Object} config - Request configuration
+     * @param {string} priority - New priority
+     * @returns {boolean} Whether the request was moved
+     */
+    promote(config, priority) {
+        const item = this.find(config);
+        
+        if (!item || RequestPriorities.indexOf(priority) >= RequestPriorities.indexOf(item.priority)) {
+            return false;
+        }
+        
+        this.remove(item);
+        item.priority = priority;
+        config.priority = priority; // retries keep the new lane
+        this.lanes[priority].push(item);
+        this.pump();
+        
+        return true;
+    }
+    
+    /**
+     * Start waiting requests while there are free slots and tokens
+     */
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        while (this.active < this.maxConcurrent) {
+            const item = this.next();
+            if (!item) break;
+            
+            this.start(item);
+        }
+    }
+    
+    /**
+     * Take the next request that may start
+     * Rate-limited requests don't hold up other endpoints; when nothing may
+     * start yet, a timer wakes the queue when the first token is due.
+     * @returns {Object|null} Queue item
+     */
+    next() {
+        let wait = Infinity;
+        
+        for (const priority of RequestPriorities) {
+            for (const item of this.lanes[priority]) {
+                if (!item.bucket || item.bucket.tryTake()) {
+                    this.remove(item);
+                    return item;
+                }
+                
+                if (!item.rateLimited) {
+                    item.rateLimited = true;
+                    this.counts.rateLimited++;
+                    this.emit('rateLimited', { config: item.config });
+                }
+                wait = Math.min(wait, item.bucket.getWait());
+            }
+        }
+        
+        if (wait < Infinity) {
+            this.timer = setTimeout(() => this.pump(), wait);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Hand a slot to a request
+     * @param {Object} item - Queue item
+     */
+    start(item) {
+        let released = false;
+        
+        item.config.signal?.removeEventListener('abort', item.onAbort);
+        this.active++;
+        
+        item.resolve(() => {
+            if (released) return;
+            
+            released = true;
+            this.active--;
+            this.pump();
+        });
+    }
+    
+    /**
+     * Downgrade or drop low-priority requests when too many are waiting
+     */
+    shed() {
+        if (this.getQueueSize() > this.downgradeAt && this.lanes.prefetch.length) {
+            const downgraded = this.lanes.prefetch.splice(0);
+            
+            // They were waiting ahead of the background requests
+            downgraded.forEach((item) => {
+                item.priority = 'background';
+            });
+            this.lanes.background.unshift(...downgraded);
+            this.counts.downgraded += downgraded.length;
+            this.emit('downgraded', { count: downgraded.length });
+        }
+        
+        let excess = this.getQueueSize() - this.maxQueueSize;
+        
+        // Lowest lane first, oldest first: the newest prefetches are the likeliest to be needed
+        for (const priority of ['background', 'prefetch']) {
+            while (excess > 0 && this.lanes[priority].length) {
+                this.drop(this.lanes[priority].shift());
+                excess--;
+            }
+        }
+    }
+    
+    /**
+     * Reject a waiting request to make room
+     * @param {Object} item - Queue item
+     */
+    drop(item) {
+        item.config.signal?.removeEventListener('abort', item.onAbort);
+        this.counts.dropped++;
+        this.emit('dropped', { config: item.config, priority: item.priority });
+        item.reject(this.createError('RequestDroppedError', 'Request dropped: too many requests waiting', { dropped: true }));
+    }
+    
+    /**
+     * Find the queue item of a waiting request
+     * @param {Object} config - Request configuration
+     * @returns {Object|undefined} Queue item
+     */
+    find(config) {
+        return RequestPriorities
+            .map(priority => this.lanes[priority].find(item => item.config === config))
+            .find(Boolean);
+    }
+    
+    /**
+     * Take a request out of its lane
+     * @param {Object} item - Queue item
+     */
+    remove(item) {
+        const lane = this.lanes[item.priority];
+        const index = lane.indexOf(item);
+        
+        if (index !== -1) {
+            lane.splice(index, 1);
+        }
+    }
+    
+    /**
+     * Number of waiting requests
+     * @returns {number} Count
+     */
+    getQueueSize() {
+        return RequestPriorities.reduce((total, priority) => total + this.lanes[priority].length, 0);
+    }
+    
+    /**
+     * Create a rejection error
+     * @param {string} name - Error name
+     * @param {string} message - Message
+     * @param {Object} fields - Extra properties
+     * @returns {Error} Error
+     */
+    createError(name, message, fields = {}) {
+        const error = new Error(message);
+        error.name = name;
+        error.status = 0;
+        
+        return Object.assign(error, fields);
+    }
+    
+    /**
+     * Get scheduler statistics
+     * @returns {Object} { active, waiting: { user, prefetch, background }, scheduled, rateLimited, downgraded, dropped, buckets }
+     */
+    getStats() {
+        return {
+            active: this.active,
+            waiting: Object.fromEntries(RequestPriorities.map(priority => [priority, this.lanes[priority].length])),
+            ...this.counts,
+            buckets: Object.fromEntries([...this.buckets.entries()].map(([endpoint, bucket]) => {
+                bucket.refill();
+                return [endpoint, Math.floor(bucket.tokens)];
+            }))
+        };
+    }
+    
+    /**
+     * Cleanup resources: waiting requests are rejected
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        
+        RequestPriorities.forEach((priority) => {
+            this.lanes[priority].splice(0).forEach((item) => {
+                item.config.signal?.removeEventListener('abort', item.onAbort);
+                item.reject(this.createError('AbortError', 'Request aborted'));
+            });
+        });
+    }
+}
+
+// Export for global access
+window.RequestPriorities = RequestPriorities;
+window.TokenBucket = TokenBucket;
+window.RequestScheduler = RequestScheduler;
@@ -0,0 +1,447 @@
+/* ==============================================
+   REQUEST TELEMETRY
+   ============================================== */
+
+/**
+ * Records what ApiService sends: a log of recent requests and per-endpoint
+ * metrics (latency percentiles, error rate, retries) plus the cache hit ratio
+ * Fed by ApiService's request events, so it sees requests exactly as sent,
+ * after interceptors and across retries. Endpoints group URLs by method and
+ * path, with ids replaced by :id ("GET /games/:id/reviews").
+ *
+ * Responses that don't match their schema (see ResponseSchemas.js) are
+ * counted per endpoint, with the mismatches kept on the log entry.
+ *
+ * Header values listed in `redactHeaders` never reach the log. Replaying an
+ * entry sends it again through ApiService, so the current token is used.
+ *
+ * Usage:
+ * const { telemetry } = apiService;
+ * telemetry.getStats().endpoints['GET /games/:id']; // { requests, errorRate, latency: { p50, p95, ... } }
+ * telemetry.on('entry', ({ entry }) => console.log(entry.method, entry.url, entry.status));
+ *
+ * const [latest] = telemetry.getLog();
+ * console.log(telemetry.toCurl(latest.id));
+ * await telemetry.replay(latest.id);
+ */
+
+class RequestTelemetry extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.maxLogSize = options.maxLogSize || 100;
+        this.maxSamples = options.maxSamples || 200; // latency samples kept per endpoint
+        this.redactHeaders = (options.redactHeaders || ['Authorization', 'Cookie']).map(name => name.toLowerCase());
+        
+        this.apiService = null;
+        this.log = [];                 // newest first
+        this.active = new WeakMap();   // request config -> log entry, while in flight
+        this.entries = new WeakMap();  // request config -> log entry
+        this.endpoints = new Map();    // endpoint -> metrics
+        this.cache = { hits: 0, misses: 0 };
+        this.nextId = 1;
+    }
+    
+    /**
+     * Start recording an ApiService's requests
+     * @param {ApiService} apiService - API service
+     */
+    attach(apiService) {
+        this.apiService = apiService;
+        
+        apiService.on('requestStart', ({ config }) => this.handleStart(config));
+        apiService.on('requestSuccess', ({ config, response }) => this.handleEnd(config, { response }));
+        apiService.on('requestRetry', ({ config, error }) => this.handleRetry(config, error));
+        apiService.on('requestFailed', ({ config, error }) => this.handleEnd(config, { error }));
+        apiService.on('requestAborted', ({ config }) => this.handleEnd(config, { aborted: true }));
+        apiService.on('requestDropped', ({ config }) => this.handleEnd(config, { dropped: true }));
+        apiService.on('requestQueued', ({ config }) => this.handleQueued(config));
+        apiService.on('cacheResult', ({ hit }) => {
+            this.cache[hit ? 'hits' : 'misses']++;
+        });
+        apiService.on('schemaMismatch', ({ config, errors }) => this.handleSchemaMismatch(config, errors));
+    }
+    
+    /* ===== RECORDING ===== */
+    
+    /**
+     * An attempt started; the first one opens the log entry
+     * @param {Object} config - Request configuration
+     */
+    handleStart(config) {
+        const entry = this.active.get(config);
+        
+        if (entry) {
+            entry.attempts++;
+            return;
+        }
+        
+        this.addEntry(config, { state: 'pending', attempts: 1 });
+    }
+    
+    /**
+     * An attempt failed and will be retried
+     * @param {Object} config - Request configuration
+     * @param {Object} error - Attempt error
+     */
+    handleRetry(config, error) {
+        const entry = this.active.get(config);
+        if (!entry) return;
+        
+        entry.retries++;
+        entry.status = error?.status || 0;
+        this.getEndpoint(entry.endpoint).retries++;
+        this.emit('entry', { entry });
+    }
+    
+    /**
+     * The request finished: answered, failed for good, cancelled or dropped
+     * @param {Object} config - Request configuration
+     * @param {Object} outcome - { response } | { error } | { aborted } | { dropped }
+     */
+    handleEnd(config, { response, error, aborted, dropped }) {
+        // Requests stopped by an open circuit or dropped from the queue never started an attempt
+        const entry = this.active.get(config) || this.addEntry(config, { attempts: 0 });
+        this.active.delete(config);
+        
+        entry.duration = Date.now() - entry.startedAt;
+        
+        if (aborted) {
+            entry.state = 'aborted';
+        } else if (dropped) {
+            entry.state = 'dropped';
+        } else if (response) {
+            entry.state = 'success';
+            entry.status = response.status;
+        } else {
+            entry.state = 'error';
+            entry.status = error?.status || 0;
+            entry.error = error?.error?.message || error?.statusText || 'Request failed';
+        }
+        
+        const metrics = this.getEndpoint(entry.endpoint);
+        if (aborted) {
+            metrics.aborted++;
+        } else if (dropped) {
+            metrics.dropped++;
+        } else {
+            metrics.requests++;
+            if (!response) metrics.errors++;
+            if (entry.attempts) this.addSample(metrics, entry.duration);
+        }
+        
+        this.emit('entry', { entry });
+    }
+    
+    /**
+     * A mutation was saved by the offline queue instead of being sent
+     * @param {Object} config - Request configuration
+     */
+    handleQueued(config) {
+        const entry = this.addEntry(config, { state: 'queued', attempts: 0 });
+        entry.duration = 0;
+        this.active.delete(config);
+        this.emit('entry', { entry });
+    }
+    
+    /**
+     * A response didn't match its endpoint's schema
+     * @param {Object} config - Request configuration
+     * @param {Array} errors - Mismatches ({ path, message })
+     */
+    handleSchemaMismatch(config, errors) {
+        const entry = this.entries.get(config);
+        if (!entry) return;
+        
+        entry.schemaErrors = errors.map(error => `${error.path} ${error.message}`);
+        this.getEndpoint(entry.endpoint).schemaMismatches++;
+        this.emit('entry', { entry });
+    }
+    
+    /**
+     * Add a request to the log
+     * @param {Object} config - Request configuration
+     * @param {Object} fields - Initial state
+     * @returns {Object} Log entry
+     */
+    addEntry(config, fields) {
+        const url = this.cleanUrl(config.url);
+        const entry = {
+            id: this.nextId++,
+            method: String(config.method).toUpperCase(),
+            url,
+            originalUrl: config.originalUrl || config.url,
+            endpoint: this.getEndpointKey(config.method, url, config.data),
+            startedAt: Date.now(),
+            duration: null,
+            status: null,
+            retries: 0,
+            error: null,
+            schemaErrors: null,
+            request: {
+                headers: this.redact(config.headers || {}),
+                body: this.describeBody(config.data)
+            },
+            ...fields
+        };
+        
+        this.active.set(config, entry);
+        this.entries.set(config, entry);
+        this.log.unshift(entry);
+        if (this.log.length > this.maxLogSize) {
+            this.log.length = this.maxLogSize;
+        }
+        
+        this.emit('entry', { entry });
+        return entry;
+    }
+    
+    /**
+     * Keep a latency sample, dropping the oldest past maxSamples
+     * @param {Object} metrics - Endpoint metrics
+     * @param {number} duration - Milliseconds
+     */
+    addSample(metrics, duration) {
+        metrics.samples.push(duration);
+        if (metrics.samples.length > this.maxSamples) {
+            metrics.samples.shift();
+        }
+    }
+    
+    /**
+     * Get (creating if needed) an endpoint's metrics
+     * @param {string} key - Endpoint key
+     * @returns {Object} { requests, errors, retries, aborted, dropped, schemaMismatches, samples }
+     */
+    getEndpoint(key) {
+        if (!this.endpoints.has(key)) {
+            this.endpoints.set(key, { requests: 0, errors: 0, retries: 0, aborted: 0, dropped: 0, schemaMismatches: 0, samples: [] });
+        }
+        return this.endpoints.get(key);
+    }
+    
+    /* ===== HELPERS ===== */
+    
+    /**
+     * Endpoint key: method and path with ids replaced, plus the GraphQL operation name
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @param {*} data - Request body
+     * @returns {string} Key, e.g. "GET /games/:id"
+     */
+    getEndpointKey(method, url, data) {
+        const { pathname } = new URL(url, window.location.href);
+        const path = pathname
+            .split('/')
+            .map(segment => /^\d+$/.test(segment) || (/\d/.test(segment) && segment.length >= 6) ? ':id' : segment)
+            .join('/');
+        const operationName = data?.operationName || /^\s*(?:query|mutation)\s+(\w+)/.exec(data?.query || '')?.[1];
+        const operation = operationName ? ` (${operationName})` : '';
+        
+        return `${String(method).toUpperCase()} ${path}${operation}`;
+    }
+    
+    /**
+     * Drop the cache-busting `_t` parameter the default interceptor adds
+     * @param {string} url - Request URL
+     * @returns {string} URL
+     */
+    cleanUrl(url) {
+        return url.replace(/([?&])_t=\d+(&|$)/, (match, before, after) => (after ? before : '')).replace(/\?$/, '');
+    }
+    
+    /**
+     * Copy headers with sensitive values hidden
+     * @param {Object} headers - Request headers
+     * @returns {Object} Headers
+     */
+    redact(headers) {
+        return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+            name,
+            this.redactHeaders.includes(name.toLowerCase()) ? '[redacted]' : value
+        ]));
+    }
+    
+    /**
+     * Describe a request body for the log
+     * Binary bodies are summarized; they can't be replayed.
+     * @param {*} data - Request body
+     * @returns {Object|null} { type: 'json', value } | { type: 'form', fields } | { type: 'binary', size, contentType }
+     */
+    describeBody(data) {
+        if (data === undefined || data === null) {
+            return null;
+        }
+        
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            return {
+                type: 'form',
+                fields: Array.from(data.entries()).map(([name, value]) => (
+                    typeof value === 'string' ? { name, value } : { name, fileName: value.name || 'blob', size: value.size }
+                ))
+            };
+        }
+        
+        if (this.apiService?.isBinaryBody(data)) {
+            return { type: 'binary', size: data.size ?? data.byteLength ?? null, contentType: data.type || null };
+        }
+        
+        return { type: 'json', value: data };
+    }
+    
+    /* ===== LOG ===== */
+    
+    /**
+     * Get the request log, newest first
+     * @returns {Array} Entries
+     */
+    getLog() {
+        return [...this.log];
+    }
+    
+    /**
+     * Find a log entry
+     * @param {number|Object} idOrEntry - Entry or its id
+     * @returns {Object} Entry
+     */
+    getEntry(idOrEntry) {
+        const entry = typeof idOrEntry === 'object' ? idOrEntry : this.log.find(candidate => candidate.id === idOrEntry);
+        if (!entry) {
+            throw new Error(`No logged request with id ${idOrEntry}`);
+        }
+        return entry;
+    }
+    
+    /**
+     * Send a logged request again
+     * @param {number|Object} idOrEntry - Entry or its id
+     * @returns {Promise} Request promise
+     */
+    replay(idOrEntry) {
+        const entry = this.getEntry(idOrEntry);
+        const body = entry.request.body;
+        
+        if (body && body.type !== 'json') {
+            return Promise.reject(new Error('Only requests with JSON bodies can be replayed'));
+        }
+        
+        // Redacted and conditional headers are added again by ApiService where they apply
+        const headers = Object.fromEntries(Object.entries(entry.request.headers).filter(([name, value]) => (
+            value !== '[redacted]' && !/^if-/i.test(name)
+        )));
+        
+        return this.apiService.request(entry.originalUrl, {
+            method: entry.method,
+            data: body?.value,
+            headers,
+            skipOfflineQueue: true
+        });
+    }
+    
+    /**
+     * Format a logged request as a curl command
+     * @param {number|Object} idOrEntry - Entry or its id
+     * @returns {string} Command
+     */
+    toCurl(idOrEntry) {
+        const entry = this.getEntry(idOrEntry);
+        const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+        const body = entry.request.body;
+        const parts = [`curl ${quote(new URL(entry.url, window.location.href).toString())}`];
+        
+        if (entry.method !== 'GET') {
+            parts.push(`-X ${entry.method}`);
+        }
+        
+        Object.entries(entry.request.headers).forEach(([name, value]) => {
+            // curl sets multipart boundaries itself
+            if (body?.type === 'form' && name.toLowerCase() === 'content-type') return;
+            parts.push(`-H ${quote(`${name}: ${value}`)}`);
+        });
+        
+        if (body?.type === 'json') {
+            parts.push(`--data-raw ${quote(typeof body.value === 'string' ? body.value : JSON.stringify(body.value))}`);
+        } else if (body?.type === 'form') {
+            body.fields.forEach((field) => {
+                parts.push(`-F ${quote(field.fileName ? `${field.name}=@${field.fileName}` : `${field.name}=${field.value}`)}`);
+            });
+        } else if (body?.type === 'binary') {
+            parts.push('--data-binary @file');
+        }
+        
+        return parts.join(' \\\n  ');
+    }
+    
+    /* ===== STATISTICS ===== */
+    
+    /**
+     * Nearest-rank percentile
+     * @param {Array} sorted - Samples in ascending order
+     * @param {number} percentile - 0 to 100
+     * @returns {number|null} Value
+     */
+    static percentile(sorted, percentile) {
+        if (!sorted.length) return null;
+        
+        const rank = Math.ceil(percentile / 100 * sorted.length);
+        return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+    }
+    
+    /**
+     * Get request statistics
+     * @returns {Object} { requests, errors, errorRate, retries, aborted, dropped, schemaMismatches, cache, endpoints }
+     */
+    getStats() {
+        const endpoints = {};
+        const totals = { requests: 0, errors: 0, retries: 0, aborted: 0, dropped: 0, schemaMismatches: 0 };
+        
+        for (const [key, metrics] of this.endpoints.entries()) {
+            const sorted = [...metrics.samples].sort((a, b) => a - b);
+            
+            endpoints[key] = {
+                requests: metrics.requests,
+                errors: metrics.errors,
+                errorRate: metrics.requests ? metrics.errors / metrics.requests : 0,
+                retries: metrics.retries,
+                aborted: metrics.aborted,
+                dropped: metrics.dropped,
+                schemaMismatches: metrics.schemaMismatches,
+                latency: {
+                    p50: RequestTelemetry.percentile(sorted, 50),
+                    p90: RequestTelemetry.percentile(sorted, 90),
+                    p95: RequestTelemetry.percentile(sorted, 95),
+                    p99: RequestTelemetry.percentile(sorted, 99),
+                    max: sorted.length ? sorted[sorted.length - 1] : null
+                }
+            };
+            
+            Object.keys(totals).forEach((name) => {
+                totals[name] += metrics[name];
+            });
+        }
+        
+        const lookups = this.cache.hits + this.cache.misses;
+        
+        return {
+            ...totals,
+            errorRate: totals.requests ? totals.errors / totals.requests : 0,
+            cache: { ...this.cache, hitRatio: lookups ? this.cache.hits / lookups : null },
+            endpoints
+        };
+    }
+    
+    /**
+     * Forget the log and metrics
+     */
+    reset() {
+        this.log = [];
+        this.active = new WeakMap();
+        this.entries = new WeakMap();
+        this.endpoints.clear();
+        this.cache = { hits: 0, misses: 0 };
+        this.emit('reset');
+    }
+}
+
+// Export for global access
+window.RequestTelemetry = RequestTelemetry;
@@ -0,0 +1,578 @@
+/* ==============================================
+   API RESOURCE CLIENTS
+   ============================================== */
+
+/**
+ * Typed clients for the GameVault REST resources
+ * Each client builds URLs for its resource, hydrates responses into model
+ * instances (Game, User, Review) through their fromObject() methods, and turns
+ * ApiService's error responses into ApiError subclasses.
+ *
+ * List methods return a Page; follow `nextCursor` with page.next(), or walk
+ * every item with the client's iterate() helper.
+ *
+ * Mutations resolve to null when the request was saved to the offline queue.
+ *
+ * Usage:
+ * const games = new GamesApi(apiService);
+ *
+ * const page = await games.list({ genre: 'RPG', sort: 'rating', limit: 10 });
+ * page.items.forEach(game => console.log(game.title));
+ * const nextPage = await page.next();
+ *
+ * for await (const game of games.iterate({ tag: 'co-op' })) { ... }
+ *
+ * try {
+ *   await new ReviewsApi(apiService).create({ gameId: 3, title, content, rating });
+ * } catch (error) {
+ *   if (error instanceof ValidationError) showErrors(error.fieldErrors);
+ *   if (error instanceof RateLimitedError) retryIn(error.retryAfter);
+ * }
+ */
+
+/**
+ * Error from an API request, with the response status and the server's error code
+ */
+class ApiError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = options.status ?? 0;
+        this.code = options.code || 'API_ERROR';
+        this.details = options.details || {};
+        this.response = options.response || null;
+    }
+    
+    /**
+     * Map an ApiService error response to the matching error class
+     * @param {Object} errorResponse - Rejection from ApiService
+     * @returns {ApiError} Typed error
+     */
+    static from(errorResponse) {
+        if (errorResponse instanceof ApiError) {
+            return errorResponse;
+        }
+        
+        const response = errorResponse?.error?.response || {};
+        const body = response.data && typeof response.data === 'object' ? response.data : {};
+        const status = errorResponse?.status || 0;
+        const options = { status, code: body.code, details: body.details, response: errorResponse };
+        
+        if (errorResponse?.aborted) {
+            return new ApiError('Request was cancelled', { ...options, code: 'ABORTED' });
+        }
+        
+        if (errorResponse?.dropped) {
+            return new ApiError('Request was dropped, too many requests were waiting', { ...options, code: 'DROPPED' });
+        }
+        
+        if (errorResponse?.error?.circuitOpen) {
+            return new ApiError('This service is temporarily unavailable', { ...options, code: 'CIRCUIT_OPEN' });
+        }
+        
+        // Only in strict mode (see ResponseValidator)
+        if (errorResponse?.error instanceof ResponseSchemaError) {
+            const { message, errors } = errorResponse.error;
+            return new ApiError(message, { ...options, code: 'SCHEMA_MISMATCH', details: { errors } });
+        }
+        
+        // GraphQL errors arrive with a 200, their kind is in extensions.code
+        if (errorResponse?.error instanceof GraphQLError) {
+            const { message, errors, code } = errorResponse.error;
+            const graphqlOptions = { ...options, code, details: { errors } };
+            
+            switch (code) {
+                case 'NOT_FOUND':
+                    return new NotFoundError(message, graphqlOptions);
+                case 'BAD_USER_INPUT':
+                    return new ValidationError(message, { ...graphqlOptions, fieldErrors: errors[0]?.extensions?.fields || {} });
+                default:
+                    return new ApiError(message, graphqlOptions);
+            }
+        }
+        
+        switch (status) {
+            case 0:
+                return new ApiError('Unable to reach the server', { ...options, code: 'NETWORK_ERROR' });
+            case 400:
+            case 422:
+                return new ValidationError(body.message || 'Invalid request', {
+                    ...options,
+                    fieldErrors: body.details?.fields || body.errors || {}
+                });
+            case 404:
+                return new NotFoundError(body.message || 'Not found', options);
+            case 429:
+                return new RateLimitedError(body.message || 'Too many requests, please slow down', {
+                    ...options,
+                    retryAfter: RetryPolicy.parseRetryAfter(response.headers?.['retry-after'])
+                });
+            default:
+                return new ApiError(body.message || errorResponse?.statusText || 'Request failed', options);
+        }
+    }
+}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class NotFoundError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NOT_FOUND', ...options });
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * The server rejected the submitted data (400/422)
+ * `fieldErrors` maps field names to messages, like FormValidator's errors
+ */
+class ValidationError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...options });
+        this.name = 'ValidationError';
+        this.fieldErrors = options.fieldErrors || {};
+    }
+}
+
+/**
+ * Too many requests (429)
+ * `retryAfter` is the wait in milliseconds from the Retry-After header, or null
+ */
+class RateLimitedError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { code: 'RATE_LIMITED', ...options });
+        this.name = 'RateLimitedError';
+        this.retryAfter = options.retryAfter ?? null;
+    }
+}
+
+/**
+ * One page of a cursor-paginated list
+ */
+class Page {
+    constructor(options = {}) {
+        this.items = options.items || [];
+        this.total = options.total ?? null;
+        this.nextCursor = options.nextCursor || null;
+        this.fetchPage = options.fetchPage; // (cursor) => Promise<Page>
+    }
+    
+    /**
+     * Check for a following page
+     * @returns {boolean} More pages status
+     */
+    get hasMore() {
+        return Boolean(this.nextCursor);
+    }
+    
+    /**
+     * Fetch the following page
+     * @returns {Promise<Page|null>} Next page, or null on the last page
+     */
+    next() {
+        return this.hasMore ? this.fetchPage(this.nextCursor) : Promise.resolve(null);
+    }
+}
+
+/**
+ * Base client shared by the resource clients
+ */
+class ResourceClient {
+    constructor(apiService) {
+        this.apiService = apiService;
+    }
+    
+    /**
+     * Send a request, rejecting with an ApiError
+     * @param {string} method - HTTP method
+     * @param {string} path - Resource path
+     * @param {Object} options - ApiService options ({ params, data, signal, ... })
+     * @returns {Promise<Object>} ApiService response
+     */
+    async send(method, path, options = {}) {
+        const { params, ...requestOptions } = options;
+        
+        try {
+            return await this.apiService.request(path + this.buildQuery(params), { ...requestOptions, method });
+        } catch (errorResponse) {
+            throw ApiError.from(errorResponse);
+        }
+    }
+    
+    /**
+     * Run a GraphQL operation (see ApiService.graphql)
+     * @param {string} query - GraphQL document
+     * @param {Object} variables - Variables
+     * @param {Object} options - graphql() options
+     * @returns {Promise<Object>} Response
+     */
+    async query(query, variables = {}, options = {}) {
+        let response;
+        
+        try {
+            response = await this.apiService.graphql(query, variables, options);
+        } catch (errorResponse) {
+            throw ApiError.from(errorResponse);
+        }
+        
+        // A root field that failed leaves the caller nothing to show
+        const failed = (response.errors || []).filter(error => error.path?.length === 1 && response.data?.[error.path[0]] == null);
+        if (failed.length) {
+            const error = new GraphQLError(failed, response.data);
+            error.status = response.status;
+            error.response = response;
+            throw ApiError.from({ ...response, ok: false, error });
+        }
+        
+        return response;
+    }
+    
+    /**
+     * Fetch a page of a list endpoint
+     * @param {string} path - List path
+     * @param {string} key - Property holding the items in the response body
+     * @param {Function} hydrate - Item factory, e.g. Game.fromObject
+     * @param {Object} params - Query parameters (limit, cursor, filters)
+     * @param {Object} options - ApiService options
+     * @returns {Promise<Page>} Page
+     */
+    async fetchPage(path, key, hydrate, params = {}, options = {}) {
+        const response = await this.send('GET', path, { ...options, params });
+        const body = response.data || {};
+        
+        return new Page({
+            items: (body[key] || []).map(item => hydrate(item)),
+            total: body.total,
+            nextCursor: body.nextCursor,
+            fetchPage: cursor => this.fetchPage(path, key, hydrate, { ...params, cursor }, options)
+        });
+    }
+    
+    /**
+     * Walk every item of a paginated list, fetching pages as needed
+     * @param {Page|Promise<Page>} firstPage - First page
+     * @returns {AsyncGenerator} Items
+     */
+    async *iteratePages(firstPage) {
+        let page = await firstPage;
+        
+        while (page) {
+            yield* page.items;
+            page = await page.next();
+        }
+    }
+    
+    /**
+     * Hydrate a mutation response, or return null when it was queued offline
+     * @param {Object} response - ApiService response
+     * @param {Function} hydrate - Model factory
+     * @returns {Object|null} Model instance
+     */
+    hydrateResult(response, hydrate) {
+        return response.queued ? null : hydrate(response.data);
+    }
+    
+    /**
+     * Build a query string, skipping empty values
+     * @param {Object} params - Query parameters
+     * @returns {string} Query string including '?', or ''
+     */
+    buildQuery(params = {}) {
+        const search = new URLSearchParams();
+        
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                search.append(key, value);
+            }
+        });
+        
+        const query = search.toString();
+        return query ? `?${query}` : '';
+    }
+    
+    /**
+     * Encode an id for use in a path
+     * @param {string|number} id - Resource ID
+     * @returns {string} Path segment
+     */
+    segment(id) {
+        return encodeURIComponent(id);
+    }
+}
+
+/**
+ * Game detail page query (see GamesApi.details)
+ */
+const GAME_DETAILS_QUERY = `
+    query GameDetails($id: ID!, $reviewLimit: Int = 5) {
+        game(id: $id) {
+            id title slug description shortDescription developer publisher
+            genre tags platform releaseDate isReleased ageRating
+            price { current original currency discount }
+            images { cover background screenshots }
+            stats { playersCount averageRating ratingsCount reviewsCount wishlistCount }
+            userStats { wishlisted favorited rating }
+            reviews(limit: $reviewLimit) {
+                total
+                items {
+                    id gameId userId username userAvatar title content rating recommended
+                    playtimeAtReview completedGame platform verified createdAt publishedAt
+                }
+            }
+        }
+    }
+`;
+
+/**
+ * Games catalog
+ */
+class GamesApi extends ResourceClient {
+    /**
+     * List games
+     * @param {Object} params - { q, genre, tag, platform, featured, sort, order, limit, cursor }
+     * @param {Object} options - ApiService options
+     * @returns {Promise<Page>} Page of Game instances
+     */
+    list(params = {}, options = {}) {
+        return this.fetchPage('/games', 'games', Game.fromObject, params, options);
+    }
+    
+    /**
+     * Iterate over every matching game
+     * @param {Object} params - Filters, as for list()
+     * @returns {AsyncGenerator<Game>} Games
+     */
+    iterate(params = {}) {
+        return this.iteratePages(this.list(params));
+    }
+    
+    /**
+     * Get a game
+     * @param {string|number} id - Game ID
+     * @param {Object} options - ApiService options
+     * @returns {Promise<Game>} Game
+     */
+    async get(id, options = {}) {
+        const response = await this.send('GET', `/games/${this.segment(id)}`, options);
+        return Game.fromObject(response.data);
+    }
+    
+    /**
+     * Rate a game for the signed-in user
+     * @param {string|number} id - Game ID
+     * @param {number} rating - Rating from 0 to 10
+     * @returns {Promise<Object|null>} { gameId, rating, averageRating, ratingsCount }
+     */
+    async rate(id, rating) {
+        const response = await this.send('PUT', `/games/${this.segment(id)}/rating`, {
+            data: { rating },
+            collapseKey: `rating:${id}`,
+            description: 'Rate game'
+        });
+        
+        return response.queued ? null : response.data;
+    }
+    
+    /**
+     * Get a game with its latest reviews, through GraphQL
+     * Served from the normalized cache when every field is there, so a game
+     * already loaded (or rated) elsewhere shows without a request.
+     * @param {string|number} id - Game ID
+     * @param {Object} options - graphql() options, plus { reviewLimit }
+     * @returns {Promise<Object>} { game, reviews, totalReviews }
+     */
+    async details(id, options = {}) {
+        const { reviewLimit = 5, ...queryOptions } = options;
+        const response = await this.query(GAME_DETAILS_QUERY, { id, reviewLimit }, queryOptions);
+        const { reviews, ...game } = response.data.game;
+        
+        return {
+            game: Game.fromObject(game),
+            reviews: reviews.items.map(Review.fromObject),
+            totalReviews: reviews.total
+        };
+    }
+    
+    /**
+     * List genres
+     * @returns {Promise<Array>} Genres
+     */
+    async genres() {
+        const response = await this.send('GET', '/genres', { cache: true });
+        return response.data?.genres || [];
+    }
+}
+
+/**
+ * User profiles and the signed-in user's lists
+ */
+class UsersApi extends ResourceClient {
+    /**
+     * Get the signed-in user
+     * @returns {Promise<User>} User
+     */
+    async me() {
+        const response = await this.send('GET', '/me');
+        return User.fromObject(response.data);
+    }
+    
+    /**
+     * Get a public profile
+     * @param {string} id - User ID
+     * @returns {Promise<User>} User
+     */
+    async get(id) {
+        const response = await this.send('GET', `/users/${this.segment(id)}`);
+        return User.fromObject(response.data);
+    }
+    
+    /**
+     * Get the signed-in user's wishlist
+     * @returns {Promise<Array<Game>>} Games
+     */
+    async wishlist() {
+        const response = await this.send('GET', '/wishlist');
+        return (response.data?.games || []).map(game => Game.fromObject(game));
+    }
+    
+    /**
+     * Add a game to the wishlist
+     * @param {string|number} gameId - Game ID
+     * @param {Object} options - ApiService options (e.g. description for the offline queue)
+     * @returns {Promise<Object>} ApiService response
+     */
+    addToWishlist(gameId, options = {}) {
+        return this.send('POST', '/wishlist', {
+            collapseKey: `wishlist:${gameId}`,
+            ...options,
+            data: { gameId }
+        });
+    }
+    
+    /**
+     * Remove a game from the wishlist
+     * @param {string|number} gameId - Game ID
+     * @param {Object} options - ApiService options
+     * @returns {Promise<Object>} ApiService response
+     */
+    removeFromWishlist(gameId, options = {}) {
+        return this.send('DELETE', `/wishlist/${this.segment(gameId)}`, {
+            collapseKey: `wishlist:${gameId}`,
+            ...options
+        });
+    }
+    
+    /**
+     * Get the signed-in user's favorite games
+     * @returns {Promise<Array<Game>>} Games
+     */
+    async favorites() {
+        const response = await this.send('GET', '/favorites');
+        return (response.data?.games || []).map(game => Game.fromObject(game));
+    }
+    
+    /**
+     * Mark a game as a favorite
+     * @param {string|number} gameId - Game ID
+     * @param {Object} options - ApiService options
+     * @returns {Promise<Object>} ApiService response
+     */
+    addFavorite(gameId, options = {}) {
+        return this.send('PUT', `/favorites/${this.segment(gameId)}`, {
+            collapseKey: `favorites:${gameId}`,
+            ...options
+        });
+    }
+    
+    /**
+     * Unmark a favorite game
+     * @param {string|number} gameId - Game ID
+     * @param {Object} options - ApiService options
+     * @returns {Promise<Object>} ApiService response
+     */
+    removeFavorite(gameId, options = {}) {
+        return this.send('DELETE', `/favorites/${this.segment(gameId)}`, {
+            collapseKey: `favorites:${gameId}`,
+            ...options
+        });
+    }
+}
+
+/**
+ * Game reviews
+ */
+class ReviewsApi extends ResourceClient {
+    /**
+     * Get a review
+     * @param {string} id - Review ID
+     * @returns {Promise<Review>} Review
+     */
+    async get(id) {
+        const response = await this.send('GET', `/reviews/${this.segment(id)}`);
+        return Review.fromObject(response.data);
+    }
+    
+    /**
+     * List a game's reviews, newest first
+     * @param {string|number} gameId - Game ID
+     * @param {Object} params - { limit, cursor }
+     * @returns {Promise<Page>} Page of Review instances
+     */
+    listByGame(gameId, params = {}) {
+        return this.fetchPage(`/games/${this.segment(gameId)}/reviews`, 'reviews', Review.fromObject, params);
+    }
+    
+    /**
+     * List a user's reviews, newest first
+     * @param {string} userId - User ID
+     * @param {Object} params - { limit, cursor }
+     * @returns {Promise<Page>} Page of Review instances
+     */
+    listByUser(userId, params = {}) {
+        return this.fetchPage(`/users/${this.segment(userId)}/reviews`, 'reviews', Review.fromObject, params);
+    }
+    
+    /**
+     * Publish a review as the signed-in user
+     * @param {Object} data - { gameId, title, content, rating, recommended, ... }
+     * @returns {Promise<Review|null>} Created review
+     */
+    async create(data) {
+        const response = await this.send('POST', '/reviews', {
+            data,
+            collapseKey: `review:${data.gameId}`,
+            description: 'Publish review'
+        });
+        
+        return this.hydrateResult(response, Review.fromObject);
+    }
+    
+    /**
+     * Vote on a review as the signed-in user
+     * Other viewers get the new counts over the real-time channel (reviews:<id>).
+     * @param {string} id - Review ID
+     * @param {string|null} vote - helpful, unhelpful, or null to withdraw the vote
+     * @returns {Promise<Object|null>} { reviewId, vote, helpfulVotes, unhelpfulVotes }
+     */
+    async vote(id, vote) {
+        const response = await this.send('PUT', `/reviews/${this.segment(id)}/vote`, {
+            data: { vote },
+            collapseKey: `vote:${id}`,
+            description: 'Vote on review'
+        });
+        
+        return response.queued ? null : response.data;
+    }
+}
+
+// Export for global access
+window.ApiError = ApiError;
+window.NotFoundError = NotFoundError;
+window.ValidationError = ValidationError;
+window.RateLimitedError = RateLimitedError;
+window.Page = Page;
+window.ResourceClient = ResourceClient;
+window.GamesApi = GamesApi;
+window.UsersApi = UsersApi;
+window.ReviewsApi = ReviewsApi;
@@ -0,0 +1,315 @@
+/* ==============================================
+   RETRY POLICIES AND CIRCUIT BREAKER
+   ============================================== */
+
+/**
+ * When and how long ApiService waits before retrying a failed request
+ * Only idempotent methods are retried by default, and only for network
+ * errors, timeouts and the statuses listed in `statuses`. Delays grow
+ * exponentially with random jitter, unless the server sent Retry-After.
+ *
+ * The circuit breaker tracks failures per endpoint (method + path) and
+ * rejects requests straight away while an endpoint keeps failing, then lets
+ * a single trial request through after `resetTimeout`.
+ *
+ * Usage:
+ * // Per request: a number of retries, policy options, a RetryPolicy or false
+ * await apiService.get('/games', { retry: { retries: 5, maxDelay: 10000 } });
+ * await apiService.post('/reviews', review, { retry: false });
+ *
+ * // POST is retried too when the server can deduplicate it, or when it only reads
+ * await apiService.post('/orders', order, { headers: { 'Idempotency-Key': generateId() } });
+ * await apiService.post('/search', filters, { idempotent: true });
+ *
+ * const apiService = new ApiService(url, {
+ *   circuitBreaker: new CircuitBreaker({ failureThreshold: 5, resetTimeout: 30000 })
+ * });
+ * apiService.on('circuitOpen', ({ key }) => console.warn(`${key} is failing`));
+ */
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.retries = options.retries ?? 3;
+        this.baseDelay = options.baseDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 30000;
+        this.factor = options.factor ?? 2;
+        this.jitter = options.jitter || 'full'; // full, equal or none
+        this.methods = (options.methods || ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']).map(method => method.toUpperCase());
+        this.statuses = options.statuses || [408, 429, 500, 502, 503, 504];
+        this.retryNetworkErrors = options.retryNetworkErrors ?? true;
+        this.respectRetryAfter = options.respectRetryAfter ?? true;
+        this.maxRetryAfter = options.maxRetryAfter ?? 60000; // longer waits fail instead
+        this.random = options.random || Math.random;
+    }
+    
+    /**
+     * Build the policy for a request from its `retry`, `retries` and `retryDelay` options
+     * @param {Object} config - Request configuration
+     * @returns {RetryPolicy} Policy
+     */
+    static fromConfig(config = {}) {
+        const { retry } = config;
+        
+        if (retry instanceof RetryPolicy) {
+            return retry;
+        }
+        
+        if (retry === false) {
+            return new RetryPolicy({ retries: 0 });
+        }
+        
+        return new RetryPolicy({
+            retries: typeof retry === 'number' ? retry : config.retries,
+            baseDelay: config.retryDelay,
+            ...(retry && typeof retry === 'object' ? retry : {})
+        });
+    }
+    
+    /**
+     * Read a Retry-After header (seconds or an HTTP date)
+     * @param {string} value - Header value
+     * @returns {number|null} Wait in milliseconds
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+    
+    /**
+     * Decide whether a failed attempt should be retried
+     * @param {Error} error - Error thrown by the attempt
+     * @param {number} attempt - Zero-based attempt number
+     * @param {Object} config - Request configuration
+     * @returns {boolean} Retry status
+     */
+    shouldRetry(error, attempt, config) {
+        if (attempt >= this.retries) {
+            return false;
+        }
+        
+        if (!this.isIdempotent(config)) {
+            return false;
+        }
+        
+        if (!error.status) {
+            return this.retryNetworkErrors;
+        }
+        
+        if (!this.statuses.includes(error.status)) {
+            return false;
+        }
+        
+        // Retrying sooner than the server asked would only fail again
+        const retryAfter = this.getRetryAfter(error);
+        return retryAfter === null || retryAfter <= this.maxRetryAfter;
+    }
+    
+    /**
+     * Check whether repeating a request is safe
+     * @param {Object} config - Request configuration
+     * @returns {boolean} Idempotency
+     */
+    isIdempotent(config) {
+        const headers = config.headers || {};
+        return config.idempotent === true ||
+               this.methods.includes(String(config.method).toUpperCase()) ||
+               Boolean(headers['Idempotency-Key'] || headers['idempotency-key']);
+    }
+    
+    /**
+     * Get the wait before the next attempt
+     * @param {number} attempt - Zero-based number of the attempt that failed
+     * @param {Error} error - Error thrown by the attempt
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(attempt, error) {
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter !== null) {
+            return retryAfter;
+        }
+        
+        const ceiling = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt));
+        
+        switch (this.jitter) {
+            case 'none':
+                return ceiling;
+            case 'equal':
+                return ceiling / 2 + this.random() * ceiling / 2;
+            default:
+                return this.random() * ceiling;
+        }
+    }
+    
+    /**
+     * Get the server's requested wait for a 429 or 503
+     * @param {Error} error - Error thrown by the attempt
+     * @returns {number|null} Wait in milliseconds
+     */
+    getRetryAfter(error) {
+        if (!this.respectRetryAfter || ![429, 503].includes(error?.status)) {
+            return null;
+        }
+        
+        const headers = error.response?.headers || {};
+        return RetryPolicy.parseRetryAfter(headers['retry-after'] || headers['Retry-After']);
+    }
+}
+
+/**
+ * Per-endpoint circuit breaker
+ * closed: requests flow; open: requests fail fast; half-open: one trial request decides
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
+        this.failureThreshold = options.failureThreshold || 5; // consecutive failures before opening
+        this.resetTimeout = options.resetTimeout || 30000;     // ms before a trial request
+        this.now = options.now || (() => Date.now());
+        
+        this.circuits = new Map(); // key -> { state, failures, openedAt, trialInFlight }
+    }
+    
+    /**
+     * Endpoint key for a request
+     * @param {Object} config - Request configuration
+     * @returns {string} Key, e.g. "GET https://api.gamevault.com/games/3"
+     */
+    getKey(config) {
+        const url = new URL(config.url, window.location.href);
+        return `${String(config.method).toUpperCase()} ${url.origin}${url.pathname}`;
+    }
+    
+    /**
+     * Check whether a request may be sent, claiming the trial slot when half-open
+     * @param {string} key - Endpoint key
+     * @returns {boolean} Permission
+     */
+    canRequest(key) {
+        const circuit = this.circuits.get(key);
+        if (!circuit || circuit.state === 'closed') {
+            return true;
+        }
+        
+        if (circuit.state === 'open') {
+            if (this.now() - circuit.openedAt < this.resetTimeout) {
+                return false;
+            }
+            
+            circuit.state = 'half-open';
+            this.emit('halfOpen', { key });
+        }
+        
+        // Half-open: only one trial at a time
+        if (circuit.trialInFlight) {
+            return false;
+        }
+        
+        circuit.trialInFlight = true;
+        return true;
+    }
+    
+    /**
+     * Record a response from the endpoint (any status below 500 counts)
+     * @param {string} key - Endpoint key
+     */
+    recordSuccess(key) {
+        const circuit = this.circuits.get(key);
+        if (!circuit) return;
+        
+        this.circuits.delete(key);
+        
+        if (circuit.state !== 'closed') {
+            this.emit('close', { key });
+        }
+    }
+    
+    /**
+     * Record a network error, timeout or 5xx
+     * @param {string} key - Endpoint key
+     */
+    recordFailure(key) {
+        const circuit = this.circuits.get(key) || { state: 'closed', failures: 0, openedAt: null, trialInFlight: false };
+        
+        circuit.failures++;
+        circuit.trialInFlight = false;
+        
+        if (circuit.state === 'half-open' || circuit.failures >= this.failureThreshold) {
+            const wasOpen = circuit.state === 'open';
+            circuit.state = 'open';
+            circuit.openedAt = this.now();
+            
+            if (!wasOpen) {
+                this.emit('open', { key, failures: circuit.failures });
+            }
+        }
+        
+        this.circuits.set(key, circuit);
+    }
+    
+    /**
+     * Release a half-open trial that ended without an answer (e.g. cancelled)
+     * @param {string} key - Endpoint key
+     */
+    releaseTrial(key) {
+        const circuit = this.circuits.get(key);
+        if (circuit) {
+            circuit.trialInFlight = false;
+        }
+    }
+    
+    /**
+     * Check whether an error counts against the endpoint
+     * @param {Error} error - Request error
+     * @returns {boolean} Failure status
+     */
+    isFailure(error) {
+        return !error.status || error.status >= 500;
+    }
+    
+    /**
+     * Get an endpoint's state
+     * @param {string} key - Endpoint key
+     * @returns {string} closed, open or half-open
+     */
+    getState(key) {
+        return this.circuits.get(key)?.state || 'closed';
+    }
+    
+    /**
+     * Close one circuit, or all of them
+     * @param {string} key - Endpoint key
+     */
+    reset(key = null) {
+        if (key) {
+            this.circuits.delete(key);
+        } else {
+            this.circuits.clear();
+        }
+    }
+    
+    /**
+     * Get endpoints that are not closed
+     * @returns {Object} key -> { state, failures }
+     */
+    getStats() {
+        const stats = {};
+        for (const [key, circuit] of this.circuits.entries()) {
+            if (circuit.state !== 'closed') {
+                stats[key] = { state: circuit.state, failures: circuit.failures };
+            }
+        }
+        return stats;
+    }
+}
+
+// Export for global access
+window.RetryPolicy = RetryPolicy;
+window.CircuitBreaker = CircuitBreaker;
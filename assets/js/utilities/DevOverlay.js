@@ -0,0 +1,354 @@
+/* ==============================================
+   DEVELOPER OVERLAY
+   ============================================== */
+
+/**
+ * Live view of ApiService's request telemetry for developers
+ * Shows per-endpoint metrics and the request log; any logged request can be
+ * sent again or copied as a curl command. Toggle with Alt+Shift+D.
+ *
+ * Usage:
+ * const devOverlay = new DevOverlay({ telemetry: apiService.telemetry });
+ * devOverlay.toggle();
+ */
+
+class DevOverlay {
+    constructor(options = {}) {
+        this.telemetry = options.telemetry;
+        this.maxRows = options.maxRows || 50;
+        
+        this.element = null;
+        this.isOpen = false;
+        this.isPaused = false;
+        this.renderPending = false;
+        
+        // Bind methods
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.scheduleRender = this.scheduleRender.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize developer overlay
+     */
+    init() {
+        document.addEventListener('keydown', this.handleKeydown);
+        this.telemetry.on('entry', this.scheduleRender);
+        this.telemetry.on('reset', this.scheduleRender);
+    }
+    
+    /**
+     * Alt+Shift+D toggles the overlay, Escape closes it
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        // e.code, since Alt changes e.key on macOS
+        if (e.altKey && e.shiftKey && e.code === 'KeyD') {
+            e.preventDefault();
+            this.toggle();
+        } else if (e.key === 'Escape' && this.isOpen) {
+            this.close();
+        }
+    }
+    
+    /* ===== VISIBILITY ===== */
+    
+    /**
+     * Show or hide the overlay
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * Show the overlay, creating it on first use
+     */
+    open() {
+        if (!this.element) {
+            this.createElement();
+        }
+        
+        this.isOpen = true;
+        this.element.hidden = false;
+        this.render();
+    }
+    
+    /**
+     * Hide the overlay
+     */
+    close() {
+        this.isOpen = false;
+        if (this.element) {
+            this.element.hidden = true;
+        }
+    }
+    
+    /**
+     * Create the overlay markup
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'dev-overlay';
+        this.element.className = 'dev-overlay';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Request inspector');
+        this.element.innerHTML = `
+            <div class="dev-overlay-header">
+                <strong>Requests</strong>
+                <span class="dev-overlay-summary"></span>
+                <div class="dev-overlay-actions">
+                    <button type="button" data-action="pause">Pause</button>
+                    <button type="button" data-action="clear">Clear</button>
+                    <button type="button" data-action="close" aria-label="Close request inspector">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="dev-overlay-body">
+                <table class="dev-overlay-endpoints">
+                    <thead>
+                        <tr>
+                            <th>Endpoint</th>
+                            <th>Requests</th>
+                            <th>Errors</th>
+                            <th>Retries</th>
+                            <th>p50</th>
+                            <th>p95</th>
+                            <th>p99</th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <ol class="dev-overlay-log"></ol>
+            </div>
+        `;
+        
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button);
+            }
+        });
+        
+        document.body.appendChild(this.element);
+    }
+    
+    /**
+     * Handle a button in the overlay
+     * @param {string} action - Button action
+     * @param {HTMLElement} button - Button
+     */
+    handleAction(action, button) {
+        const id = Number(button.closest('[data-id]')?.dataset.id);
+        
+        switch (action) {
+            case 'pause':
+                this.isPaused = !this.isPaused;
+                button.textContent = this.isPaused ? 'Resume' : 'Pause';
+                this.render();
+                break;
+            case 'clear':
+                this.telemetry.reset();
+                break;
+            case 'close':
+                this.close();
+                break;
+            case 'replay':
+                // The replayed request shows up as a new entry
+                this.telemetry.replay(id).catch(error => console.warn('Replay failed:', error));
+                break;
+            case 'curl':
+                this.copyCurl(id, button);
+                break;
+        }
+    }
+    
+    /**
+     * Copy a request as a curl command
+     * @param {number} id - Log entry id
+     * @param {HTMLElement} button - Button to show the result on
+     */
+    async copyCurl(id, button) {
+        const command = this.telemetry.toCurl(id);
+        
+        try {
+            await navigator.clipboard.writeText(command);
+            button.textContent = 'Copied';
+        } catch (error) {
+            // No clipboard access (e.g. insecure context): the console still has it
+            console.log(command);
+            button.textContent = 'See console';
+        }
+        
+        setTimeout(() => {
+            button.textContent = 'cURL';
+        }, 1500);
+    }
+    
+    /* ===== RENDERING ===== */
+    
+    /**
+     * Render on the next frame, at most once per frame
+     */
+    scheduleRender() {
+        if (!this.isOpen || this.isPaused || this.renderPending) return;
+        
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+    
+    /**
+     * Render the summary, endpoint table and log
+     */
+    render() {
+        if (!this.element || !this.isOpen) return;
+        
+        const stats = this.telemetry.getStats();
+        const hitRatio = stats.cache.hitRatio === null ? 'n/a' : this.formatPercent(stats.cache.hitRatio);
+        
+        this.element.querySelector('.dev-overlay-summary').textContent =
+            `${stats.requests} requests · ${this.formatPercent(stats.errorRate)} errors · ` +
+            `${stats.retries} retries · ${stats.schemaMismatches} schema mismatches · ` +
+            `cache hit ${hitRatio}${this.isPaused ? ' · paused' : ''}`;
+        
+        this.renderEndpoints(stats.endpoints);
+        this.renderLog(this.telemetry.getLog().slice(0, this.maxRows));
+    }
+    
+    /**
+     * Render the per-endpoint table, slowest p95 first
+     * @param {Object} endpoints - Endpoint statistics
+     */
+    renderEndpoints(endpoints) {
+        const rows = Object.entries(endpoints)
+            .sort(([, a], [, b]) => (b.latency.p95 || 0) - (a.latency.p95 || 0))
+            .map(([key, metrics]) => this.createRow([
+                key,
+                metrics.requests,
+                `${metrics.errors} (${this.formatPercent(metrics.errorRate)})`,
+                metrics.retries,
+                this.formatDuration(metrics.latency.p50),
+                this.formatDuration(metrics.latency.p95),
+                this.formatDuration(metrics.latency.p99)
+            ], metrics.errorRate > 0 ? 'has-errors' : ''));
+        
+        this.element.querySelector('.dev-overlay-endpoints tbody').replaceChildren(...rows);
+    }
+    
+    /**
+     * Render the request log, newest first
+     * @param {Array} entries - Log entries
+     */
+    renderLog(entries) {
+        const items = entries.map((entry) => {
+            const item = document.createElement('li');
+            item.className = `dev-log-entry is-${entry.state}${entry.schemaErrors ? ' has-schema-errors' : ''}`;
+            item.dataset.id = entry.id;
+            
+            const status = entry.state === 'pending' ? '…' : entry.state === 'queued' ? 'queued' :
+                entry.state === 'aborted' ? 'cancelled' : entry.state === 'dropped' ? 'dropped' : String(entry.status);
+            const attempts = entry.attempts > 1 ? ` ×${entry.attempts}` : '';
+            
+            item.append(
+                this.createSpan('dev-log-method', entry.method),
+                this.createSpan('dev-log-url', entry.url, entry.error || entry.schemaErrors?.join('\n') || entry.url),
+                this.createSpan('dev-log-status', status),
+                this.createSpan('dev-log-duration', `${this.formatDuration(entry.duration)}${attempts}`),
+                this.createButton('replay', 'Replay', entry.request.body && entry.request.body.type !== 'json'),
+                this.createButton('curl', 'cURL')
+            );
+            
+            return item;
+        });
+        
+        this.element.querySelector('.dev-overlay-log').replaceChildren(...items);
+    }
+    
+    /**
+     * Create a table row
+     * @param {Array} cells - Cell contents
+     * @param {string} className - Row class
+     * @returns {HTMLElement} Row
+     */
+    createRow(cells, className) {
+        const row = document.createElement('tr');
+        row.className = className;
+        cells.forEach((value) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        return row;
+    }
+    
+    /**
+     * Create a text span (text is never parsed as HTML)
+     * @param {string} className - Class
+     * @param {string} text - Text
+     * @param {string} title - Tooltip
+     * @returns {HTMLElement} Span
+     */
+    createSpan(className, text, title = '') {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        if (title) span.title = title;
+        return span;
+    }
+    
+    /**
+     * Create a log entry action button
+     * @param {string} action - Action
+     * @param {string} label - Label
+     * @param {boolean} disabled - Disabled state
+     * @returns {HTMLElement} Button
+     */
+    createButton(action, label, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.disabled = disabled;
+        return button;
+    }
+    
+    /**
+     * Format milliseconds
+     * @param {number|null} ms - Duration
+     * @returns {string} e.g. 120 ms, 1.4 s
+     */
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return '–';
+        return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`;
+    }
+    
+    /**
+     * Format a ratio as a percentage
+     * @param {number} ratio - 0 to 1
+     * @returns {string} e.g. 12.5%
+     */
+    formatPercent(ratio) {
+        return `${Math.round(ratio * 1000) / 10}%`;
+    }
+    
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.telemetry.off('entry', this.scheduleRender);
+        this.telemetry.off('reset', this.scheduleRender);
+        this.element?.remove();
+    }
+}
+
+// Export for global access
+window.DevOverlay = DevOverlay;
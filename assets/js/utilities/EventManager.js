@@ -346,9 +346,19 @@ class EventManager {
 class FormEventManager extends EventManager {
     constructor() {
         super();
+        this.apiService = null;
+        this.uploads = new Map(); // file input -> { element, cancel }
         this.setupFormEvents();
     }
     
+    /**
+     * Enable uploads for file inputs with data-upload-url
+     * @param {ApiService} apiService - API service
+     */
+    setApiService(apiService) {
+        this.apiService = apiService;
+    }
+    
     /**
      * Setup common form event delegations
      */
@@ -383,6 +393,11 @@ class FormEventManager extends EventManager {
             this.handleFilePreview(event, target);
         });
         
+        // Upload cancel buttons
+        this.delegate('click', '.upload-cancel', (event, target) => {
+            this.handleUploadCancel(event, target);
+        });
+        
         // Confirm dialogs
         this.delegate('click', '[data-confirm]', (event, target) => {
             this.handleConfirmDialog(event, target);
@@ -537,6 +552,10 @@ class FormEventManager extends EventManager {
     
     /**
      * Handle file input preview
+     * Inputs with data-upload-url also upload the file, showing a progress
+     * bar under the preview:
+     * <input type="file" data-preview="#avatar-preview" data-upload-url="/me/avatar" data-upload-field="avatar">
+     * <input type="file" data-preview="#clip-preview" data-upload-url="/uploads" data-resumable data-chunk-size="1048576">
      * @param {Event} event - Change event
      * @param {HTMLElement} input - File input
      */
@@ -548,17 +567,196 @@ class FormEventManager extends EventManager {
         
         const file = input.files[0];
         
+        // The preview loads asynchronously, so it gets its own slot beside the progress bar
+        previewContainer.innerHTML = '<div class="file-preview-media"></div>';
+        const media = previewContainer.firstElementChild;
+        
         if (file.type.startsWith('image/')) {
             const reader = new FileReader();
             reader.onload = (e) => {
-                previewContainer.innerHTML = `<img src="${e.target.result}" alt="Preview" style="max-width: 100%; height: auto;">`;
+                media.innerHTML = `<img src="${e.target.result}" alt="Preview" style="max-width: 100%; height: auto;">`;
             };
             reader.readAsDataURL(file);
         } else {
-            previewContainer.innerHTML = `<p>Selected file: ${file.name}</p>`;
+            const name = document.createElement('p');
+            name.textContent = `Selected file: ${file.name}`;
+            media.appendChild(name);
+        }
+        
+        if (input.dataset.uploadUrl) {
+            this.uploadFile(input, file, previewContainer);
         }
     }
     
+    /**
+     * Upload a file chosen in an input
+     * Fires uploadProgress, uploadComplete ({ file, result }) and uploadError
+     * ({ file, error }) on the input.
+     * @param {HTMLElement} input - File input
+     * @param {File} file - Chosen file
+     * @param {HTMLElement} container - Preview container
+     * @returns {Promise} Resolves when the upload ends
+     */
+    async uploadFile(input, file, container) {
+        if (!this.apiService) {
+            console.warn('Uploads need an API service; call formEventManager.setApiService()');
+            return;
+        }
+        
+        // A new choice replaces the upload in progress
+        this.cancelUpload(input);
+        
+        const element = this.createUploadProgress();
+        container.appendChild(element);
+        
+        const maxSize = parseInt(input.dataset.maxSize);
+        if (maxSize && file.size > maxSize) {
+            this.setUploadState(element, 'error', `File must be ${Math.round(maxSize / 1024)} KB or smaller`);
+            return;
+        }
+        
+        const onProgress = (progress) => {
+            this.updateUploadProgress(element, progress.percent);
+            this.trigger('uploadProgress', input, { file, progress });
+        };
+        
+        let request;
+        let cancel;
+        
+        if ('resumable' in input.dataset) {
+            const upload = new ChunkedUpload(file, {
+                apiService: this.apiService,
+                endpoint: input.dataset.uploadUrl,
+                chunkSize: parseInt(input.dataset.chunkSize) || undefined
+            });
+            upload.on('progress', onProgress);
+            request = upload.start();
+            cancel = () => upload.cancel();
+        } else {
+            const controller = new AbortController();
+            request = this.apiService.upload(input.dataset.uploadUrl, file, {
+                fieldName: input.dataset.uploadField || input.name || 'file',
+                signal: controller.signal,
+                onProgress
+            }).then(response => response.data);
+            cancel = () => controller.abort();
+        }
+        
+        this.uploads.set(input, { element, cancel });
+        
+        try {
+            const result = await request;
+            
+            // Cancelled chunked uploads resolve with null
+            if (this.uploads.get(input)?.element !== element) {
+                this.setUploadState(element, 'cancelled', 'Upload cancelled');
+                return;
+            }
+            
+            this.setUploadState(element, 'complete', 'Uploaded');
+            this.trigger('uploadComplete', input, { file, result });
+        } catch (error) {
+            if (error.aborted) {
+                this.setUploadState(element, 'cancelled', 'Upload cancelled');
+                return;
+            }
+            
+            this.setUploadState(element, 'error', this.getUploadErrorMessage(error));
+            this.trigger('uploadError', input, { file, error });
+        } finally {
+            if (this.uploads.get(input)?.element === element) {
+                this.uploads.delete(input);
+            }
+        }
+    }
+    
+    /**
+     * Get a message for a failed upload
+     * @param {Object} error - ApiService error response
+     * @returns {string} Message
+     */
+    getUploadErrorMessage(error) {
+        const body = error.error?.response?.data || {};
+        const fieldErrors = Object.values(body.details?.fields || {}).flat();
+        
+        return fieldErrors[0] || body.message || 'Upload failed. Please try again.';
+    }
+    
+    /**
+     * Cancel an input's upload, if one is running
+     * @param {HTMLElement} input - File input
+     */
+    cancelUpload(input) {
+        const upload = this.uploads.get(input);
+        if (!upload) return;
+        
+        this.uploads.delete(input);
+        upload.cancel();
+    }
+    
+    /**
+     * Handle an upload's cancel button
+     * @param {Event} event - Click event
+     * @param {HTMLElement} button - Cancel button
+     */
+    handleUploadCancel(event, button) {
+        for (const [input, upload] of this.uploads.entries()) {
+            if (upload.element.contains(button)) {
+                this.cancelUpload(input);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Create an upload progress bar
+     * @returns {HTMLElement} Progress element
+     */
+    createUploadProgress() {
+        const element = document.createElement('div');
+        element.className = 'upload-progress';
+        element.innerHTML = `
+            <div class="upload-progress-track" role="progressbar" aria-label="Upload progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                <div class="upload-progress-bar"></div>
+            </div>
+            <span class="upload-progress-label">Uploading… 0%</span>
+            <button type="button" class="upload-cancel">Cancel</button>
+        `;
+        return element;
+    }
+    
+    /**
+     * Move an upload progress bar
+     * @param {HTMLElement} element - Progress element
+     * @param {number|null} percent - Percentage, null when the size is unknown
+     */
+    updateUploadProgress(element, percent) {
+        const track = element.querySelector('.upload-progress-track');
+        const label = element.querySelector('.upload-progress-label');
+        
+        element.classList.toggle('indeterminate', percent === null);
+        element.querySelector('.upload-progress-bar').style.width = `${percent ?? 100}%`;
+        track.setAttribute('aria-valuenow', percent ?? 0);
+        label.textContent = percent === null ? 'Uploading…' : `Uploading… ${percent}%`;
+    }
+    
+    /**
+     * Show how an upload ended
+     * @param {HTMLElement} element - Progress element
+     * @param {string} state - complete, cancelled or error
+     * @param {string} message - Status text
+     */
+    setUploadState(element, state, message) {
+        if (state === 'complete') {
+            this.updateUploadProgress(element, 100);
+        }
+        
+        element.classList.remove('indeterminate');
+        element.classList.add(state);
+        element.querySelector('.upload-progress-label').textContent = message;
+        element.querySelector('.upload-cancel')?.remove();
+    }
+    
     /**
      * Handle confirm dialog
      * @param {Event} event - Click event
@@ -0,0 +1,345 @@
+/* ==============================================
+   STATE TIMELINE
+   ============================================== */
+
+/**
+ * Developer panel for StateManager's history
+ * Lists state changes, checkpoints and transactions with their diffs; the
+ * slider or a row's Go button travels to that point. Toggle with Alt+Shift+T.
+ *
+ * Usage:
+ * const stateTimeline = new StateTimeline({ stateManager });
+ * stateTimeline.toggle();
+ */
+
+class StateTimeline {
+    constructor(options = {}) {
+        this.stateManager = options.stateManager;
+        this.maxValueLength = options.maxValueLength || 80;
+        
+        this.element = null;
+        this.isOpen = false;
+        this.renderPending = false;
+        this.expanded = new Set(); // ids of entries showing their diff
+        
+        // Bind methods
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.scheduleRender = this.scheduleRender.bind(this);
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize state timeline
+     */
+    init() {
+        document.addEventListener('keydown', this.handleKeydown);
+        this.stateManager.on('historyChange', this.scheduleRender);
+    }
+    
+    /**
+     * Alt+Shift+T toggles the panel, Escape closes it
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeydown(e) {
+        // e.code, since Alt changes e.key on macOS
+        if (e.altKey && e.shiftKey && e.code === 'KeyT') {
+            e.preventDefault();
+            this.toggle();
+        } else if (e.key === 'Escape' && this.isOpen) {
+            this.close();
+        }
+    }
+    
+    /* ===== VISIBILITY ===== */
+    
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    /**
+     * Show the panel, creating it on first use
+     */
+    open() {
+        if (!this.element) {
+            this.createElement();
+        }
+        
+        this.isOpen = true;
+        this.element.hidden = false;
+        this.render();
+    }
+    
+    /**
+     * Hide the panel
+     */
+    close() {
+        this.isOpen = false;
+        if (this.element) {
+            this.element.hidden = true;
+        }
+    }
+    
+    /**
+     * Create the panel markup
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.id = 'state-timeline';
+        this.element.className = 'dev-overlay state-timeline';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'State timeline');
+        this.element.innerHTML = `
+            <div class="dev-overlay-header">
+                <strong>State</strong>
+                <span class="dev-overlay-summary"></span>
+                <div class="dev-overlay-actions">
+                    <button type="button" data-action="undo">Undo</button>
+                    <button type="button" data-action="redo">Redo</button>
+                    <button type="button" data-action="checkpoint">Checkpoint</button>
+                    <button type="button" data-action="live">Live</button>
+                    <button type="button" data-action="clear">Clear</button>
+                    <button type="button" data-action="close" aria-label="Close state timeline">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            <input type="range" class="state-timeline-scrubber" min="-1" step="1" aria-label="History position">
+            <div class="dev-overlay-body">
+                <ol class="state-timeline-log"></ol>
+            </div>
+        `;
+        
+        this.element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleAction(button.dataset.action, button);
+            }
+        });
+        
+        this.element.querySelector('.state-timeline-scrubber').addEventListener('input', (e) => {
+            this.stateManager.travelTo(Number(e.target.value));
+        });
+        
+        document.body.appendChild(this.element);
+    }
+    
+    /**
+     * Handle a button in the panel
+     * @param {string} action - Button action
+     * @param {HTMLElement} button - Button
+     */
+    handleAction(action, button) {
+        const row = button.closest('[data-index]');
+        
+        switch (action) {
+            case 'undo':
+                this.stateManager.undo();
+                break;
+            case 'redo':
+                this.stateManager.redo();
+                break;
+            case 'checkpoint':
+                this.stateManager.checkpoint(`Checkpoint ${new Date().toLocaleTimeString()}`);
+                break;
+            case 'live':
+                this.stateManager.travelTo(this.stateManager.history.length - 1);
+                break;
+            case 'clear':
+                this.expanded.clear();
+                this.stateManager.clearHistory();
+                break;
+            case 'close':
+                this.close();
+                break;
+            case 'travel':
+                this.stateManager.travelTo(Number(row.dataset.index));
+                break;
+            case 'diff':
+                this.toggleDiff(Number(row.dataset.id));
+                break;
+        }
+    }
+    
+    /**
+     * Show or hide an entry's diff
+     * @param {number} id - Entry id
+     */
+    toggleDiff(id) {
+        if (this.expanded.has(id)) {
+            this.expanded.delete(id);
+        } else {
+            this.expanded.add(id);
+        }
+        this.render();
+    }
+    
+    /* ===== RENDERING ===== */
+    
+    /**
+     * Render on the next frame, at most once per frame
+     */
+    scheduleRender() {
+        if (!this.isOpen || this.renderPending) return;
+        
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+    
+    /**
+     * Render the summary, scrubber and timeline
+     */
+    render() {
+        if (!this.element || !this.isOpen) return;
+        
+        const { history, historyIndex } = this.stateManager;
+        const scrubber = this.element.querySelector('.state-timeline-scrubber');
+        
+        scrubber.max = history.length - 1;
+        scrubber.value = historyIndex;
+        scrubber.disabled = history.length === 0;
+        
+        this.element.querySelector('.dev-overlay-summary').textContent = historyIndex === history.length - 1
+            ? `${history.length} entries · live`
+            : `${history.length} entries · at #${historyIndex + 1}`;
+        
+        this.element.querySelector('[data-action="undo"]').disabled = this.stateManager.findStep(-1) === null;
+        this.element.querySelector('[data-action="redo"]').disabled = this.stateManager.findStep(1) === null;
+        
+        // Newest first, like the request inspector
+        const items = history.map((entry, index) => this.renderEntry(entry, index, historyIndex)).reverse();
+        this.element.querySelector('.state-timeline-log').replaceChildren(...items);
+    }
+    
+    /**
+     * Render one history entry
+     * @param {Object} entry - History entry
+     * @param {number} index - History index
+     * @param {number} historyIndex - Current position
+     * @returns {HTMLElement} List item
+     */
+    renderEntry(entry, index, historyIndex) {
+        const item = document.createElement('li');
+        const isFuture = index > historyIndex;
+        const changes = entry.type === 'checkpoint' ? [] : this.stateManager.diff(entry.oldState, entry.newState, entry.key);
+        
+        item.className = `state-timeline-entry is-${entry.type}${index === historyIndex ? ' is-current' : ''}${isFuture ? ' is-future' : ''}`;
+        item.dataset.index = index;
+        item.dataset.id = entry.id;
+        
+        const name = entry.type === 'checkpoint' ? `◆ ${entry.label}` : entry.key;
+        const label = entry.type === 'checkpoint' ? '' : entry.label || '';
+        const summary = entry.type === 'checkpoint' ? '' : `${changes.length} ${changes.length === 1 ? 'change' : 'changes'}`;
+        
+        item.append(
+            this.createSpan('state-timeline-time', new Date(entry.timestamp).toLocaleTimeString()),
+            this.createSpan('state-timeline-key', name),
+            this.createSpan('state-timeline-label', label),
+            this.createButton('diff', summary || '–', !changes.length),
+            this.createButton('travel', 'Go', index === historyIndex)
+        );
+        
+        if (this.expanded.has(entry.id) && changes.length) {
+            item.appendChild(this.renderDiff(changes));
+        }
+        
+        return item;
+    }
+    
+    /**
+     * Render a list of changes
+     * @param {Array} changes - Changes from StateManager#diff
+     * @returns {HTMLElement} List
+     */
+    renderDiff(changes) {
+        const list = document.createElement('ul');
+        list.className = 'state-timeline-diff';
+        
+        changes.forEach((change) => {
+            const line = document.createElement('li');
+            line.className = `is-${change.type}`;
+            line.textContent = change.type === 'added' ? `+ ${change.path}: ${this.formatValue(change.newValue)}` :
+                change.type === 'removed' ? `- ${change.path}: ${this.formatValue(change.oldValue)}` :
+                `~ ${change.path}: ${this.formatValue(change.oldValue)} → ${this.formatValue(change.newValue)}`;
+            list.appendChild(line);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Format a state value for the diff
+     * @param {*} value - Value
+     * @returns {string} Short text
+     */
+    formatValue(value) {
+        let text;
+        
+        try {
+            text = JSON.stringify(value, (key, current) => {
+                if (current instanceof Set) return `Set(${current.size})`;
+                if (current instanceof Map) return `Map(${current.size})`;
+                return current;
+            });
+        } catch (error) {
+            text = String(value);
+        }
+        
+        if (text === undefined) {
+            text = String(value);
+        }
+        
+        return text.length > this.maxValueLength ? `${text.slice(0, this.maxValueLength - 1)}…` : text;
+    }
+    
+    /**
+     * Create a text span (text is never parsed as HTML)
+     * @param {string} className - Class
+     * @param {string} text - Text
+     * @returns {HTMLElement} Span
+     */
+    createSpan(className, text) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    }
+    
+    /**
+     * Create an entry action button
+     * @param {string} action - Action
+     * @param {string} label - Label
+     * @param {boolean} disabled - Disabled state
+     * @returns {HTMLElement} Button
+     */
+    createButton(action, label, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.disabled = disabled;
+        return button;
+    }
+    
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.stateManager.off('historyChange', this.scheduleRender);
+        this.element?.remove();
+    }
+}
+
+// Export for global access
+window.StateTimeline = StateTimeline;
@@ -0,0 +1,216 @@
+/* ==============================================
+   TIME-BASED ONE-TIME PASSWORDS
+   ============================================== */
+
+/**
+ * RFC 6238 one-time passwords (HMAC-SHA1) compatible with authenticator apps
+ * All time inputs are explicit so codes can be checked against a deterministic clock
+ *
+ * Usage:
+ * const secret = TOTP.generateSecret();
+ * const uri = TOTP.getKeyUri(secret, 'gamer@example.com');
+ *
+ * const code = await TOTP.generate(secret, { time: Date.now() });
+ * const counter = await TOTP.verify(code, secret, { time: Date.now() });
+ * if (counter !== null) { ... }
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TOTP {
+    /**
+     * Default options shared by generate and verify
+     */
+    static get defaults() {
+        return {
+            step: 30,    // seconds per code
+            digits: 6,
+            window: 1    // accepted steps of clock drift either side
+        };
+    }
+    
+    /**
+     * Generate a random base32 secret
+     * @param {number} bytes - Secret length in bytes (20 matches SHA-1)
+     * @returns {string} Base32 secret
+     */
+    static generateSecret(bytes = 20) {
+        const buffer = new Uint8Array(bytes);
+        crypto.getRandomValues(buffer);
+        return TOTP.base32Encode(buffer);
+    }
+    
+    /**
+     * Build the otpauth:// URI authenticator apps import (usually as a QR code)
+     * @param {string} secret - Base32 secret
+     * @param {string} account - Account label, usually the email
+     * @param {string} issuer - Service name
+     * @returns {string} Key URI
+     */
+    static getKeyUri(secret, account, issuer = 'GameVault') {
+        const label = encodeURIComponent(`${issuer}:${account}`);
+        const { step, digits } = TOTP.defaults;
+        
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${digits}&period=${step}`;
+    }
+    
+    /**
+     * Time step counter for a timestamp
+     * @param {number} time - Epoch milliseconds
+     * @param {number} step - Seconds per code
+     * @returns {number} Counter
+     */
+    static counterAt(time, step = TOTP.defaults.step) {
+        return Math.floor(time / 1000 / step);
+    }
+    
+    /**
+     * Generate the code for a point in time
+     * @param {string} secret - Base32 secret
+     * @param {Object} options - { time, step, digits }
+     * @returns {Promise<string>} Zero-padded code
+     */
+    static async generate(secret, options = {}) {
+        const { step, digits } = { ...TOTP.defaults, ...options };
+        const time = options.time ?? Date.now();
+        
+        return TOTP.hotp(secret, TOTP.counterAt(time, step), digits);
+    }
+    
+    /**
+     * Check a code, tolerating `window` steps of clock drift
+     * @param {string} code - Code entered by the user
+     * @param {string} secret - Base32 secret
+     * @param {Object} options - { time, step, digits, window }
+     * @returns {Promise<number|null>} Matching counter (for replay checks) or null
+     */
+    static async verify(code, secret, options = {}) {
+        const { step, digits, window } = { ...TOTP.defaults, ...options };
+        const time = options.time ?? Date.now();
+        const normalized = String(code || '').replace(/\s+/g, '');
+        
+        if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+            return null;
+        }
+        
+        const current = TOTP.counterAt(time, step);
+        
+        for (let offset = -window; offset <= window; offset++) {
+            const candidate = await TOTP.hotp(secret, current + offset, digits);
+            if (TOTP.safeEqual(candidate, normalized)) {
+                return current + offset;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * RFC 4226 HMAC-based one-time password
+     * @param {string} secret - Base32 secret
+     * @param {number} counter - Moving factor
+     * @param {number} digits - Code length
+     * @returns {Promise<string>} Zero-padded code
+     */
+    static async hotp(secret, counter, digits = TOTP.defaults.digits) {
+        const key = await crypto.subtle.importKey(
+            'raw',
+            TOTP.base32Decode(secret),
+            { name: 'HMAC', hash: 'SHA-1' },
+            false,
+            ['sign']
+        );
+        
+        // 8-byte big-endian counter
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter >>> 0);
+        
+        const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+        
+        // Dynamic truncation
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = ((hmac[offset] & 0x7f) << 24)
+            | (hmac[offset + 1] << 16)
+            | (hmac[offset + 2] << 8)
+            | hmac[offset + 3];
+        
+        return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+    }
+    
+    /**
+     * Encode bytes as unpadded base32
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {string} Base32 string
+     */
+    static base32Encode(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        
+        for (const byte of bytes) {
+            value = (value << 8) | byte;
+            bits += 8;
+            
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Decode base32, ignoring case, spaces and padding
+     * @param {string} input - Base32 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static base32Decode(input) {
+        const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+        
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error(`Invalid base32 character: ${char}`);
+            }
+            
+            value = (value << 5) | index;
+            bits += 5;
+            
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        
+        return new Uint8Array(bytes);
+    }
+    
+    /**
+     * Compare two strings without exiting early on the first mismatch
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {boolean} Equality
+     */
+    static safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        
+        return diff === 0;
+    }
+}
+
+// Export for global access
+window.TOTP = TOTP;
@@ -654,10 +654,13 @@ class FormValidationManager {
 }
 
 // Common validation rule sets
+// Fields also found in API responses take their rules from ResponseSchemas
 const ValidationRules = {
     user: {
-        username: ['required', 'minLength:3', 'maxLength:20', 'alphanumeric'],
-        email: ['required', 'email', 'maxLength:255'],
+        ...ResponseSchemas.user.toRules(['username', 'email'], {
+            username: ['maxLength:20', 'alphanumeric'],
+            email: ['maxLength:255']
+        }),
         password: ['required', 'minLength:8', 'strongPassword'],
         confirmPassword: ['required', 'confirmPassword:password'],
         firstName: ['required', 'minLength:2', 'maxLength:50'],
@@ -666,12 +669,17 @@ const ValidationRules = {
         phone: ['phone']
     },
     
-    review: {
-        title: ['required', 'minLength:5', 'maxLength:200'],
-        content: ['required', 'minLength:50', 'maxLength:10000'],
-        rating: ['required', 'numeric', 'min:1', 'max:10']
+    passwordReset: {
+        token: ['required'],
+        password: ['required', 'minLength:8', 'strongPassword'],
+        confirmPassword: ['required', 'confirmPassword:password']
     },
     
+    review: ResponseSchemas.review.toRules(['title', 'content', 'rating'], {
+        title: ['minLength:5'],
+        rating: ['required', 'min:1']
+    }),
+    
     contact: {
         name: ['required', 'minLength:2', 'maxLength:100'],
         email: ['required', 'email'],
@@ -0,0 +1,452 @@
+/* ==============================================
+   RESPONSE SCHEMAS
+   ============================================== */
+
+/**
+ * Declarative shapes of the GameVault API's responses
+ * ResponseValidator checks responses against them in an ApiService response
+ * interceptor, before the resource clients hydrate them into models (whose
+ * fromObject() quietly defaults anything missing). Forms reuse the fields
+ * they share with a response through Schema.toRules().
+ *
+ * A field spec is { type, required, nullable, enum, format, min, max,
+ * minLength, maxLength, minItems, items, properties }. Types are string,
+ * number, boolean, id (string or integer), array and object; formats are
+ * email, url and date. Fields a schema doesn't list are allowed.
+ *
+ * Mismatches are reported as a `schemaMismatch` event on the API service,
+ * which request telemetry counts per endpoint. In strict mode (development)
+ * the request also fails with a ResponseSchemaError listing every mismatch.
+ *
+ * Usage:
+ * new ResponseValidator({ strict: true }).attach(apiService);
+ *
+ * const { valid, errors } = ResponseSchemas.game.validate(data); // errors: [{ path, message }]
+ * const validator = new FormValidator(ResponseSchemas.review.toRules(['title', 'content']));
+ */
+
+class Schema {
+    constructor(name, properties = {}) {
+        this.name = name;
+        this.spec = { type: 'object', properties };
+    }
+    
+    /**
+     * Check a value against the schema
+     * @param {*} value - Value, e.g. a response body
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validate(value) {
+        const errors = [];
+        this.checkValue(this.spec, value, '', errors);
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Check a value against a field spec
+     * @param {Object|Schema} spec - Field spec, or a schema to embed
+     * @param {*} value - Value
+     * @param {string} path - Path to the value, e.g. games[0].stats
+     * @param {Array} errors - Collected errors
+     */
+    checkValue(spec, value, path, errors) {
+        if (spec instanceof Schema) {
+            spec = spec.spec;
+        }
+        
+        const fail = message => errors.push({ path: path || '(root)', message });
+        
+        if (value === null && spec.nullable) return;
+        
+        if (value === undefined || value === null || (spec.required && typeof value === 'string' && !value.trim())) {
+            if (spec.required) fail('is required');
+            return;
+        }
+        
+        if (!Schema.types[spec.type](value)) {
+            fail(`expected ${spec.type}, got ${Schema.describe(value)}`);
+            return;
+        }
+        
+        if (spec.enum && !spec.enum.includes(value)) {
+            fail(`must be one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}`);
+        }
+        // Like the models, an empty optional string is no value at all
+        if (spec.format && value !== '' && !Schema.formats[spec.format](value)) {
+            fail(`is not a valid ${spec.format}`);
+        }
+        if (spec.min !== undefined && value < spec.min) {
+            fail(`must be at least ${spec.min}, got ${value}`);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            fail(`cannot exceed ${spec.max}, got ${value}`);
+        }
+        if (spec.minLength !== undefined && value.length < spec.minLength) {
+            fail(`must be at least ${spec.minLength} characters long`);
+        }
+        if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+            fail(`cannot exceed ${spec.maxLength} characters`);
+        }
+        if (spec.minItems !== undefined && value.length < spec.minItems) {
+            fail(`must have at least ${spec.minItems} item${spec.minItems === 1 ? '' : 's'}`);
+        }
+        
+        if (spec.items) {
+            value.forEach((item, index) => this.checkValue(spec.items, item, `${path}[${index}]`, errors));
+        }
+        
+        if (spec.properties) {
+            Object.entries(spec.properties).forEach(([field, fieldSpec]) => {
+                this.checkValue(fieldSpec, value[field], path ? `${path}.${field}` : field, errors);
+            });
+        }
+    }
+    
+    /**
+     * FormValidator rules for fields a form shares with this schema
+     * Rules in `extra` replace the derived rule of the same name.
+     * @param {Array} fields - Field names
+     * @param {Object} extra - Form-only rules by field, e.g. { title: ['minLength:5'] }
+     * @returns {Object} Rules by field, e.g. { title: ['required', 'minLength:5', 'maxLength:200'] }
+     */
+    toRules(fields, extra = {}) {
+        return Object.fromEntries(fields.map((field) => {
+            const spec = this.spec.properties[field];
+            if (!spec) {
+                throw new Error(`${this.name} has no field "${field}"`);
+            }
+            
+            const extraRules = extra[field] || [];
+            const replaced = extraRules.map(rule => rule.split(':')[0]);
+            const derived = Schema.getRules(spec).filter(rule => !replaced.includes(rule.split(':')[0]));
+            const rules = [...derived, ...extraRules];
+            
+            // 'required' first, so an empty field reports that rather than a format error
+            rules.sort((a, b) => Number(b === 'required') - Number(a === 'required'));
+            
+            return [field, rules];
+        }));
+    }
+    
+    /**
+     * Translate a field spec into FormValidator rules
+     * @param {Object} spec - Field spec
+     * @returns {Array} Rules
+     */
+    static getRules(spec) {
+        const rules = [];
+        
+        if (spec.required) rules.push('required');
+        if (spec.type === 'number') rules.push('numeric');
+        if (spec.format) rules.push(spec.format);
+        
+        ['minLength', 'maxLength', 'min', 'max'].forEach((name) => {
+            if (spec[name] !== undefined) rules.push(`${name}:${spec[name]}`);
+        });
+        
+        return rules;
+    }
+    
+    /**
+     * Describe a value's type for error messages
+     * @param {*} value - Value
+     * @returns {string} e.g. string ("9.1"), array
+     */
+    static describe(value) {
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'object') return 'object';
+        
+        const text = JSON.stringify(value);
+        return `${typeof value} (${text.length > 40 ? `${text.slice(0, 37)}...` : text})`;
+    }
+}
+
+// Type checks by spec type
+Schema.types = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    id: value => (typeof value === 'string' && value.length > 0) || Number.isInteger(value),
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && !Array.isArray(value)
+};
+
+// Same checks as FormValidator's validators of the same name
+Schema.formats = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    url: (value) => {
+        try {
+            new URL(value);
+            return true;
+        } catch {
+            return false;
+        }
+    },
+    date: value => !isNaN(new Date(value))
+};
+
+/* ===== SCHEMAS ===== */
+
+const ResponseSchemas = (() => {
+    const count = { type: 'number', min: 0 };
+    const rating = { type: 'number', min: 0, max: 10 };
+    const strings = { type: 'array', items: { type: 'string' } };
+    const image = { type: 'string', format: 'url', nullable: true };
+    const timestamp = { type: 'string', format: 'date' };
+    
+    const game = new Schema('Game', {
+        id: { type: 'id', required: true },
+        title: { type: 'string', required: true, maxLength: 200 },
+        slug: { type: 'string' },
+        description: { type: 'string', maxLength: 5000 },
+        shortDescription: { type: 'string' },
+        developer: { type: 'string', required: true },
+        publisher: { type: 'string' },
+        genre: { ...strings, required: true, minItems: 1 },
+        tags: strings,
+        platform: { ...strings, required: true, minItems: 1 },
+        releaseDate: { ...timestamp, nullable: true },
+        isReleased: { type: 'boolean' },
+        ageRating: { type: 'string', nullable: true },
+        price: {
+            type: 'object',
+            properties: {
+                current: count,
+                original: count,
+                currency: { type: 'string', minLength: 3, maxLength: 3 },
+                discount: { type: 'number', min: 0, max: 100 }
+            }
+        },
+        images: {
+            type: 'object',
+            properties: {
+                cover: image,
+                background: image,
+                screenshots: { type: 'array', items: { type: 'string', format: 'url' } }
+            }
+        },
+        stats: {
+            type: 'object',
+            properties: {
+                playersCount: count,
+                averageRating: rating,
+                ratingsCount: count,
+                reviewsCount: count,
+                wishlistCount: count
+            }
+        },
+        userStats: {
+            type: 'object',
+            properties: {
+                owned: { type: 'boolean' },
+                wishlisted: { type: 'boolean' },
+                favorited: { type: 'boolean' },
+                rating: { ...rating, nullable: true }
+            }
+        }
+    });
+    
+    // Public profile, as anyone can see it
+    const profile = new Schema('Profile', {
+        id: { type: 'id', required: true },
+        username: { type: 'string', required: true, minLength: 3 },
+        displayName: { type: 'string', maxLength: 50 },
+        avatar: image,
+        bio: { type: 'string', maxLength: 500 },
+        stats: { type: 'object' }
+    });
+    
+    // The signed-in user's own account
+    const user = new Schema('User', {
+        ...profile.spec.properties,
+        email: { type: 'string', required: true, format: 'email' },
+        website: { type: 'string', format: 'url' },
+        role: { type: 'string', enum: UserRoles },
+        emailVerified: { type: 'boolean' }
+    });
+    
+    const review = new Schema('Review', {
+        id: { type: 'id', required: true },
+        gameId: { type: 'id', required: true },
+        userId: { type: 'id', required: true },
+        username: { type: 'string' },
+        userAvatar: image,
+        title: { type: 'string', required: true, maxLength: 200 },
+        content: { type: 'string', required: true, minLength: 50, maxLength: 10000 },
+        rating: { ...rating, nullable: true },
+        recommended: { type: 'boolean', nullable: true },
+        playtimeAtReview: count,
+        tags: strings,
+        pros: strings,
+        cons: strings,
+        stats: {
+            type: 'object',
+            properties: {
+                helpfulVotes: count,
+                unhelpfulVotes: count,
+                replies: count
+            }
+        },
+        moderation: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'hidden'] }
+            }
+        },
+        createdAt: timestamp,
+        publishedAt: { ...timestamp, nullable: true }
+    });
+    
+    const page = (name, key, item) => new Schema(name, {
+        [key]: { type: 'array', required: true, items: item },
+        total: count,
+        nextCursor: { type: 'string', nullable: true }
+    });
+    
+    return {
+        game,
+        gamePage: page('GamePage', 'games', game),
+        gameList: new Schema('GameList', { games: { type: 'array', required: true, items: game } }),
+        profile,
+        user,
+        review,
+        reviewPage: page('ReviewPage', 'reviews', review)
+    };
+})();
+
+/**
+ * Which schema each endpoint's response follows: [method, path, schema name]
+ */
+const ResponseRoutes = [
+    ['GET', '/games', 'gamePage'],
+    ['GET', '/games/:id', 'game'],
+    ['GET', '/games/:id/reviews', 'reviewPage'],
+    ['GET', '/reviews/:id', 'review'],
+    ['POST', '/reviews', 'review'],
+    ['GET', '/me', 'user'],
+    ['GET', '/users/:id', 'profile'],
+    ['GET', '/users/:id/reviews', 'reviewPage'],
+    ['GET', '/wishlist', 'gameList'],
+    ['GET', '/favorites', 'gameList']
+];
+
+/* ===== VALIDATION ===== */
+
+/**
+ * A response didn't match its endpoint's schema
+ * `errors` lists every mismatch as { path, message }.
+ */
+class ResponseSchemaError extends Error {
+    constructor(schema, errors, config = {}) {
+        const endpoint = `${String(config.method || 'GET').toUpperCase()} ${config.originalUrl || config.url || ''}`;
+        const lines = errors.map(error => `  ${error.path} ${error.message}`);
+        
+        super(`Response from ${endpoint} does not match the ${schema.name} schema:\n${lines.join('\n')}`);
+        this.name = 'ResponseSchemaError';
+        this.schema = schema.name;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validates API responses in an ApiService response interceptor
+ */
+class ResponseValidator {
+    constructor(options = {}) {
+        this.schemas = options.schemas || ResponseSchemas;
+        this.strict = options.strict || false; // fail mismatching responses instead of passing them on
+        this.routes = [];
+        this.basePath = '';
+        this.apiService = null;
+        
+        (options.routes || ResponseRoutes).forEach(([method, path, schema]) => this.register(method, path, schema));
+    }
+    
+    /**
+     * Declare the schema of an endpoint's response
+     * @param {string} method - HTTP method
+     * @param {string} path - Path pattern, e.g. /games/:id
+     * @param {string|Schema} schema - Schema or its name in `schemas`
+     * @returns {ResponseValidator} This validator, for chaining
+     */
+    register(method, path, schema) {
+        const pattern = path.replace(/\/$/, '').replace(/:\w+/g, '[^/]+');
+        
+        this.routes.push({
+            method: method.toUpperCase(),
+            regex: new RegExp(`^${pattern}/?$`),
+            schema: typeof schema === 'string' ? this.schemas[schema] : schema
+        });
+        
+        return this;
+    }
+    
+    /**
+     * Validate an API service's responses
+     * @param {ApiService} apiService - API service
+     */
+    attach(apiService) {
+        this.apiService = apiService;
+        
+        if (apiService.baseURL) {
+            this.basePath = new URL(apiService.baseURL, window.location.href).pathname.replace(/\/$/, '');
+        }
+        
+        apiService.addResponseInterceptor(response => this.check(response));
+    }
+    
+    /**
+     * Find the schema for a request
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @returns {Schema|null} Schema
+     */
+    match(method, url) {
+        const path = new URL(url, window.location.href).pathname.slice(this.basePath.length) || '/';
+        const route = this.routes.find(candidate => candidate.method === String(method).toUpperCase() && candidate.regex.test(path));
+        
+        return route ? route.schema : null;
+    }
+    
+    /**
+     * Response interceptor: validate a response from the network
+     * @param {Object} response - ApiService response
+     * @returns {Object|Promise} The response, or a rejection in strict mode
+     */
+    check(response) {
+        // Cached copies were checked when they were fetched; queued mutations have no body yet
+        if (!response?.config || response.fromCache || response.notModified || response.queued) {
+            return response;
+        }
+        
+        const { config } = response;
+        const schema = this.match(config.method, config.url);
+        if (!schema) return response;
+        
+        const { valid, errors } = schema.validate(response.data);
+        if (valid) return response;
+        
+        const error = new ResponseSchemaError(schema, errors, config);
+        this.apiService.emit('schemaMismatch', { config, response, schema: schema.name, errors });
+        
+        if (!this.strict) {
+            return response;
+        }
+        
+        console.error(error.message);
+        error.status = response.status;
+        error.response = response;
+        return Promise.reject(this.apiService.createErrorResponse(error, config));
+    }
+}
+
+// Export for global access
+window.Schema = Schema;
+window.ResponseSchemas = ResponseSchemas;
+window.ResponseRoutes = ResponseRoutes;
+window.ResponseSchemaError = ResponseSchemaError;
+window.ResponseValidator = ResponseValidator;